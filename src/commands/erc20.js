@@ -18,7 +18,7 @@ class ERC20 extends Operation {
     super(blockchain, config, 'erc20');
     
     // Initialize contract manager
-    this.contractManager = new Contract(this.blockchain, config);
+    this.contractManager = new Contract(this.blockchain, config, 'erc20');
   }
   
   /**
@@ -70,8 +70,8 @@ class ERC20 extends Operation {
    */
   async executeOperations() {
     try {
-      // Generate token name and symbol
-      const tokenName = this.generateRandomTokenName();
+      // Generate token name and symbol (kept when an interrupted cycle resumes)
+      const tokenName = await this.rememberValue('token_name', () => this.generateRandomTokenName());
       const symbol = this.generateTokenSymbol(tokenName);
       const decimals = this.config.get ? 
         this.config.getNumber('operations.erc20.decimals', 18) :
@@ -87,20 +87,24 @@ class ERC20 extends Operation {
       const contractSource = constants.ERC20.CONTRACT_TEMPLATE.replace(/{{CONTRACT_NAME}}/g, solContractName);
       const compiledContract = await this.contractManager.compileContract(solContractName, contractSource);
       
-      // Add random delay before deployment
-      await this.addDelay("ERC20 contract deployment");
-      
-      // Deploy token contract
-      const deployedContract = await this.contractManager.deployContract(
-        compiledContract, 
-        [tokenName, symbol, decimals],
-        "ERC20 token"
-      );
+      // Deploy token contract (a deployment confirmed before an interruption is reused)
+      const deployment = await this.runStep('deploy', async () => {
+        // Add random delay before deployment
+        await this.addDelay("ERC20 contract deployment");
+        
+        const deployed = await this.contractManager.deployContract(
+          compiledContract, 
+          [tokenName, symbol, decimals],
+          "ERC20 token"
+        );
+        return { success: true, ...deployed };
+      }, receipt => ({ success: true, contractAddress: receipt.contractAddress, txHash: receipt.hash }));
+      const deployedContract = { ...deployment, abi: compiledContract.abi };
       
       // Determine mint amount
-      const mintAmount = this.config.get ? 
+      const mintAmount = await this.rememberValue('mint_amount', () => this.config.get ? 
         this.config.getRandomInRange('erc20', 'mint_amount', 1000000, 10000000) :
-        Math.floor(Math.random() * 9000000) + 1000000;
+        Math.floor(Math.random() * 9000000) + 1000000);
       
       this.logger.info(`Will mint ${mintAmount.toLocaleString()} tokens...`);
       
@@ -108,12 +112,12 @@ class ERC20 extends Operation {
       const formattedAmount = this.formatTokenAmount(mintAmount, decimals);
       
       // Mint tokens
-      const mintResult = await this.contractManager.callContractMethod(
+      const mintResult = await this.runStep('mint', () => this.contractManager.callContractMethod(
         deployedContract.contractAddress,
         deployedContract.abi,
         'mint',
         [this.blockchain.address, formattedAmount]
-      );
+      ));
       
       if (mintResult.success) {
         this.logger.success(`Minted ${mintAmount.toLocaleString()} ${symbol} tokens`);
@@ -126,22 +130,22 @@ class ERC20 extends Operation {
         const burnAmount = Math.floor(mintAmount * burnPercentage / 100);
         
         if (burnAmount > 0) {
-          await this.burnTokens(deployedContract, burnAmount, burnPercentage, symbol, decimals);
+          await this.runStep('burn', () => this.burnTokens(deployedContract, burnAmount, burnPercentage, symbol, decimals));
         } else {
           this.logger.info(`No tokens to burn (burn percentage: ${burnPercentage}%)`);
         }
       } else {
-        this.logger.error(`Failed to mint tokens: ${mintResult.error}`);
+        this.logFailure(`Failed to mint tokens`, mintResult);
       }
       
       this.logger.success(`ERC20 token operations completed!`);
       this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
       this.logger.success(`Token: ${tokenName} (${symbol})`);
-      this.logger.success(`View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+      this.logger.success(`View contract: ${this.blockchain.getAddressUrl(deployedContract.contractAddress)}`);
       
       return true;
     } catch (error) {
-      this.logger.error(`Error executing ERC20 token operations: ${error.message}`);
+      this.logFailure(`Error executing ERC20 token operations`, error);
       return false;
     }
   }
@@ -177,7 +181,7 @@ class ERC20 extends Operation {
         this.logger.success(`Burned ${burnAmount.toLocaleString()} ${symbol} tokens`);
         return true;
       } else {
-        this.logger.error(`Failed to burn tokens: ${burnResult.error}`);
+        this.logFailure(`Failed to burn tokens`, burnResult);
         return false;
       }
     } catch (error) {
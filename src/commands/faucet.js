@@ -6,7 +6,7 @@ const axios = require('axios');
 const Operation = require('../core/operation');
 const constants = require('../utils/constants');
 const ProxyManager = require('../core/proxy');
-const { wait } = require('../utils/delay');
+const { FaucetError, normalizeError } = require('../utils/errors');
 
 class Faucet extends Operation {
   /**
@@ -19,22 +19,6 @@ class Faucet extends Operation {
     super(blockchain, config, 'faucet');
   }
   
-  /**
-   * Get retry configuration for faucet
-   * @returns {Object} Retry configuration
-   */
-  getRetryConfig() {
-    return {
-      maxAttempts: this.config.get ? 
-        this.config.getNumber('operations.faucet.retry.max_attempts', 3) :
-        (this.config.operations?.faucet?.retry?.max_attempts || 3),
-      
-      delayMs: this.config.get ? 
-        this.config.getNumber('operations.faucet.retry.delay_ms', 5000) :
-        (this.config.operations?.faucet?.retry?.delay_ms || 5000)
-    };
-  }
-  
   /**
    * Execute with timeout
    * @param {Promise} promise Promise to execute
@@ -64,186 +48,180 @@ class Faucet extends Operation {
     return 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36';
   }
   
+  /**
+   * Check whether a faucet error means the wallet claimed recently
+   * @param {string} errorMessage Error message from the faucet
+   * @param {number} status HTTP status code
+   * @returns {boolean}
+   */
+  isRateLimited(errorMessage, status = null) {
+    return status === 429 ||
+      (typeof errorMessage === 'string' &&
+       (errorMessage.includes('rate limit') || errorMessage.includes('wait 24 hours')));
+  }
+  
+  /**
+   * Send a single faucet request
+   * @param {boolean} directConnection Skip the proxy for this request
+   * @returns {Promise<Object>} { success: true }, or { success: true, skipped: true, reason } when the wallet
+   *   claimed recently; throws on failure
+   */
+  async requestFaucet(directConnection = false) {
+    const proxyManager = ProxyManager.getInstance();
+    
+    // Prepare request configuration
+    const url = constants.FAUCET.URL;
+    const payload = {
+      address: this.blockchain.address
+    };
+    
+    // Create headers similar to browser
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': '*/*',
+      'Origin': constants.FAUCET.ORIGIN,
+      'Referer': constants.FAUCET.REFERER,
+      'User-Agent': this.getUserAgent(),
+      'Sec-Fetch-Dest': 'empty',
+      'Sec-Fetch-Mode': 'cors',
+      'Sec-Fetch-Site': 'same-origin',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br'
+    };
+    
+    // Configure request
+    let requestConfig = { 
+      headers,
+      timeout: 30000 // 30 second timeout
+    };
+    
+    const useProxy = proxyManager.isEnabled() && 
+                     proxyManager.currentProxy && 
+                     !directConnection;
+    
+    if (useProxy) {
+      this.logger.info(`Using proxy for faucet request: ${proxyManager.currentProxy}`);
+      requestConfig = {
+        ...requestConfig,
+        ...proxyManager.getAxiosConfig(),
+        headers: {
+          ...headers,
+          ...proxyManager.getHeaders()
+        }
+      };
+    } else if (directConnection) {
+      this.logger.info(`Proxy connection failed previously, attempting direct connection`);
+    } else {
+      this.logger.info(`No proxy configured, using direct connection`);
+    }
+    
+    let response;
+    try {
+      // Make the faucet API request with timeout
+      this.logger.info(`Sending faucet request to ${url} for address ${this.blockchain.address}`);
+      response = await this.executeWithTimeout(
+        axios.post(url, payload, requestConfig),
+        30000 // 30 second timeout
+      );
+    } catch (error) {
+      // Handle rate limit specifically
+      if (this.isRateLimited(error.response?.data?.error, error.response?.status)) {
+        this.logger.info(`Wallet has already claimed funds recently. Skipping faucet and continuing with other operations.`);
+        return { success: true, skipped: true, reason: 'already claimed recently' };
+      }
+      
+      // Keep the transport category (network, timeout, ...) so the retry policy can tell them apart
+      const { category } = normalizeError(error);
+      throw new FaucetError(error.response?.data?.error || error.message, {
+        code: error.code || null,
+        category: category === 'unknown' ? 'faucet' : category,
+        cause: error
+      });
+    }
+    
+    // Check response
+    if (response.data && response.data.success) {
+      this.logger.success(`Faucet request successful: ${response.data.message || 'Request accepted'}`);
+      
+      // Log status information if available
+      if (response.data.data && response.data.data.status) {
+        this.logger.info(`Faucet status: ${response.data.data.status}`);
+        this.logger.info(`Faucet funds should arrive shortly.`);
+      }
+      
+      return { success: true };
+    }
+    
+    const errorMessage = response.data?.error || 'Unknown error';
+    
+    if (this.isRateLimited(errorMessage)) {
+      this.logger.info(`This wallet has already claimed funds recently. Skipping faucet and continuing with other operations.`);
+      // Not an error - it's normal for already funded wallets
+      return { success: true, skipped: true, reason: 'already claimed recently' };
+    }
+    
+    throw new FaucetError(`Faucet request failed: ${errorMessage}`);
+  }
+  
   /**
    * Claim tokens from faucet
-   * @returns {Promise<boolean>} Success status
+   * Retried under the 'http' retry policy (operations.faucet.retry)
+   * @returns {Promise<Object>} Step result ({ success }, { skipped, reason } or { success: false, error })
    */
   async claimFromFaucet() {
     this.logger.info(`🚰 Attempting to claim from s0mn1a testnet faucet...`);
     
+    // The faucet is an external request with its own rate limit, dry runs leave it alone
+    if (this.isDryRun()) {
+      this.logger.info(`Dry run: skipping faucet claim`);
+      return { success: true, skipped: true, reason: 'dry run' };
+    }
+    
     // Add random delay before faucet claim
     await this.addDelay("faucet claim operation");
     
-    // Try with different proxy configurations
-    const retryConfig = this.getRetryConfig();
-    let attempt = 0;
-    let lastError = null;
-    let proxyAttemptFailed = false;
-    
+    const policy = this.getRetryPolicy('http', 'claim');
     const proxyManager = ProxyManager.getInstance();
+    let directConnection = false;
     
-    while (attempt < retryConfig.maxAttempts) {
-      try {
-        attempt++;
-        
-        if (attempt > 1) {
-          // Wait before retry
-          const delayMs = retryConfig.delayMs * (attempt - 1);
-          this.logger.info(`Waiting ${delayMs}ms before retry...`);
-          await wait(delayMs);
-          
-          this.logger.info(`Retry attempt ${attempt}/${retryConfig.maxAttempts} for faucet claim`);
-        }
-        
-        // Prepare request configuration
-        const url = constants.FAUCET.URL;
-        const payload = {
-          address: this.blockchain.address
-        };
-        
-        // Create headers similar to browser
-        const headers = {
-          'Content-Type': 'application/json',
-          'Accept': '*/*',
-          'Origin': constants.FAUCET.ORIGIN,
-          'Referer': constants.FAUCET.REFERER,
-          'User-Agent': this.getUserAgent(),
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-origin',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br'
-        };
-        
-        // Configure request
-        let requestConfig = { 
-          headers,
-          timeout: 30000 // 30 second timeout
-        };
-        
-        // Decide whether to use proxy based on previous attempts
-        const useProxy = proxyManager.isEnabled() && 
-                         proxyManager.currentProxy && 
-                         !(proxyAttemptFailed && attempt > 1);
-        
-        if (useProxy) {
-          this.logger.info(`Using proxy for faucet request: ${proxyManager.currentProxy}`);
-          requestConfig = {
-            ...requestConfig,
-            ...proxyManager.getAxiosConfig(),
-            headers: {
-              ...headers,
-              ...proxyManager.getHeaders()
-            }
-          };
-        } else {
-          // If proxy attempt failed previously, try direct connection
-          if (proxyAttemptFailed) {
-            this.logger.info(`Proxy connection failed previously, attempting direct connection`);
-          } else {
-            this.logger.info(`No proxy configured, using direct connection`);
-          }
-        }
-        
-        // Make the faucet API request with timeout
-        this.logger.info(`Sending faucet request to ${url} for address ${this.blockchain.address}`);
-        const response = await this.executeWithTimeout(
-          axios.post(url, payload, requestConfig),
-          30000 // 30 second timeout
-        );
-        
-        // Check response
-        if (response.data && response.data.success) {
-          this.logger.success(`Faucet request successful: ${response.data.message || 'Request accepted'}`);
-          
-          // Log status information if available
-          if (response.data.data && response.data.data.status) {
-            this.logger.info(`Faucet status: ${response.data.data.status}`);
-            this.logger.info(`Faucet funds should arrive shortly.`);
-          }
-          
-          return true;
-        } else {
-          // Handle failure
-          const errorMessage = response.data?.error || 'Unknown error';
-          this.logger.warn(`Faucet request failed: ${errorMessage}`);
-          
-          // Handle specific errors
-          if (errorMessage.includes('wait 24 hours') || errorMessage.includes('rate limit')) {
-            this.logger.info(`This wallet has already claimed funds recently. Skipping faucet and continuing with other operations.`);
-            return true; // Don't treat this as an error - it's normal for already funded wallets
-          }
-          
-          lastError = errorMessage;
-        }
-      } catch (error) {
-        // Handle network or other errors
-        const errorMessage = error.response?.data?.error || error.message;
-        this.logger.warn(`Error in faucet claim: ${errorMessage}`);
-        
-        // Handle rate limit specifically
-        if (error.response?.status === 429 || 
-            (error.response?.data && error.response.data.error && 
-             (error.response.data.error.includes('rate limit') || 
-              error.response.data.error.includes('wait 24 hours')))) {
-          this.logger.info(`Wallet has already claimed funds recently. Skipping faucet and continuing with other operations.`);
-          return true; // Return true so we continue with other operations
-        }
-        
-        // Check for connection errors specifically related to proxies
-        if (error.message.includes('ECONNRESET') || 
-            error.message.includes('ETIMEDOUT') ||
-            error.message.includes('ECONNREFUSED') ||
-            error.message.includes('socket hang up')) {
-          
-          this.logger.warn(`Proxy connection error detected: ${error.message}`);
+    try {
+      return await policy.execute(() => this.requestFaucet(directConnection), {
+        name: 'Faucet claim',
+        logger: this.logger,
+        onRetry: (error, category) => {
+          if (category !== 'network' && category !== 'timeout') return;
           
-          // On connection errors with proxy, try to:
-          // 1. Switch proxies if available
+          // On connection errors, switch proxies if available, otherwise go direct
           if (proxyManager.isEnabled() && proxyManager.proxies.length > 1) {
             proxyManager.selectNextProxy();
             this.logger.info(`Switched to new proxy: ${proxyManager.currentProxy}`);
-          } else {
-            // 2. Try direct connection on next attempt if proxy is causing issues
-            proxyAttemptFailed = true;
+          } else if (proxyManager.isEnabled()) {
+            directConnection = true;
             this.logger.info(`Will try direct connection on next attempt`);
           }
-          
-          // Continue to next attempt
-          lastError = error.message;
-          continue;
         }
-        
-        lastError = errorMessage;
-      }
+      });
+    } catch (error) {
+      this.logFailure(`Failed to claim from faucet after ${policy.maxAttempts} attempts`, error);
+      return { success: false, error: error.message };
     }
-    
-    this.logger.warn(`Failed to claim from faucet after ${retryConfig.maxAttempts} attempts. Last error: ${lastError}`);
-    return false;
   }
   
   /**
    * Implementation of the executeOperations method from Operation base class
+   * A failed claim fails the operation; the wallet still continues with its other operations
    * @returns {Promise<boolean>} Success status
    */
   async executeOperations() {
-    try {
-      // Just try to claim from faucet
-      const claimResult = await this.claimFromFaucet();
-      
-      if (claimResult) {
-        this.logger.success(`Faucet operation completed successfully.`);
-      } else {
-        this.logger.warn(`Faucet claim failed. Continuing with other operations.`);
-      }
-      
-      // Always return true to continue with other operations
-      return true;
-    } catch (error) {
-      this.logger.error(`Error in faucet operations: ${error.message}`);
-      // Return true to continue with other operations
-      return true;
+    const claimResult = await this.runStep('claim', () => this.claimFromFaucet());
+    
+    if (claimResult.success && !claimResult.skipped) {
+      this.logger.success(`Faucet operation completed successfully.`);
+    } else if (!claimResult.success) {
+      this.logger.warn(`Faucet claim failed. Continuing with other operations.`);
     }
+    
+    return claimResult.success;
   }
 }
 
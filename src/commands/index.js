@@ -5,6 +5,10 @@
 const logger = require('../utils/logger');
 const Blockchain = require('../core/blockchain');
 const ProxyManager = require('../core/proxy');
+const OperationResult = require('../core/result');
+const EventBus = require('../core/events');
+const Tracer = require('../core/tracing');
+const RunControl = require('../core/control');
 
 // Import all operation classes
 const FaucetOperation = require('./faucet');
@@ -20,18 +24,17 @@ const NFTOperation = require('./nft');
 class OperationRegistry {
   /**
    * Create a new operation registry
-   * @param {string} privateKey Wallet private key
+   * @param {Object|string} signer ethers Signer of the wallet (or a private key)
    * @param {Object} config Configuration object
    * @param {number|null} walletNum Wallet number for logging
    */
-  constructor(privateKey, config = {}, walletNum = null) {
-    this.privateKey = privateKey;
+  constructor(signer, config = {}, walletNum = null) {
     this.config = config;
     this.walletNum = walletNum;
     this.logger = walletNum !== null ? logger.getInstance(walletNum) : logger.getInstance();
     
     // Create blockchain instance for this wallet
-    this.blockchain = new Blockchain(privateKey, config, walletNum);
+    this.blockchain = new Blockchain(signer, config, walletNum);
     
     // Initialize proxy manager if needed
     this.proxyManager = ProxyManager.getInstance();
@@ -143,7 +146,6 @@ class OperationRegistry {
     
     // Always put faucet first if it's enabled
     const faucetOp = filteredOperations.find(op => op.name === 'faucet');
-    const nonFaucetOps = filteredOperations.filter(op => op.name !== 'faucet');
     
     // Randomize if enabled
     if (randomization.enable && randomizableOps.length > 1) {
@@ -174,33 +176,90 @@ class OperationRegistry {
   
   /**
    * Execute all enabled operations in configured order
-   * @returns {Promise<boolean>} Success status
+   * Publishes wallet:start/end around the wallet and operation:start/end around each operation,
+   * and traces the wallet as a span
+   * @returns {Promise<Object>} Wallet result from OperationResult.aggregate, with interrupted set
+   * when the wallet was skipped or the cycle aborted through the control API
    */
   async executeOperations() {
+    return await Tracer.getInstance().withSpan(`wallet ${this.walletNum}`, {
+      'wallet.number': this.walletNum,
+      'wallet.address': this.blockchain.address
+    }, async (span) => {
+      const walletResult = await this.runOperations();
+      span.setAttributes({ 'wallet.status': walletResult.status, 'tx.count': walletResult.txHashes.length });
+      if (walletResult.status === OperationResult.STATUS.FAILED) span.recordError(walletResult.errors[0] || 'wallet failed');
+      return walletResult;
+    });
+  }
+  
+  /**
+   * Run the operations of the wallet (see executeOperations)
+   * @returns {Promise<Object>} Wallet result
+   * @private
+   */
+  async runOperations() {
+    const events = EventBus.getInstance();
+    const wallet = { wallet: this.walletNum, address: this.blockchain.address };
     const operations = this.getRandomizedOperations();
     
     // Log operations sequence
     this.logger.info(`Operations sequence: ${operations.map(op => op.name).join(' -> ')}`);
+    events.publish(EventBus.EVENTS.WALLET_START, {
+      ...wallet,
+      operations: operations.map(op => op.name)
+    });
     
-    let success = true;
+    const results = [];
+    const control = RunControl.getInstance();
     
     // Execute operations in sequence
     for (const operation of operations) {
-      try {
-        logger.setWalletNum(this.walletNum);
-        
-        // Rotate proxy if configured
-        this.rotateProxyIfNeeded();
-        
-        const result = await operation.instance.execute();
-        if (!result) success = false;
-      } catch (error) {
-        this.logger.error(`Error in ${operation.name} operation: ${error.message}`);
-        success = false;
+      await control.waitIfPaused(this.logger);
+      events.publish(EventBus.EVENTS.OPERATION_START, { ...wallet, operation: operation.name });
+      
+      let result;
+      const interruption = control.getInterruption();
+      if (interruption) {
+        // Skipped wallets and aborted cycles leave the remaining operations out
+        result = new OperationResult(operation.name).skip(interruption).finish();
+      } else {
+        try {
+          logger.setWalletNum(this.walletNum);
+          
+          // Rotate proxy if configured
+          this.rotateProxyIfNeeded();
+          
+          result = await operation.instance.execute();
+        } catch (error) {
+          this.logger.error(`Error in ${operation.name} operation: ${error.message}`);
+          result = new OperationResult(operation.name).addError(error.message).finish(false);
+        }
       }
+      
+      results.push(result);
+      events.publish(EventBus.EVENTS.OPERATION_END, {
+        ...wallet,
+        operation: operation.name,
+        status: result.status,
+        result: result.toJSON()
+      });
     }
     
-    return success;
+    const walletResult = OperationResult.aggregate(results);
+    // Read before wallet:end, which clears a wallet skip
+    walletResult.interrupted = Boolean(control.getInterruption());
+    events.publish(EventBus.EVENTS.WALLET_END, {
+      ...wallet,
+      status: walletResult.status,
+      tx_hashes: walletResult.txHashes,
+      gas_used: walletResult.gasUsed.toString(),
+      contracts: walletResult.contracts,
+      warnings: walletResult.warnings,
+      errors: walletResult.errors
+    });
+    
+    return walletResult;
   }
 }
 
@@ -4,8 +4,6 @@
  */
 const { ethers } = require('ethers');
 const Operation = require('../core/operation');
-const constants = require('../utils/constants');
-const { isRetryableError } = require('../utils/error');
 
 class MemCoin extends Operation {
   /**
@@ -21,28 +19,28 @@ class MemCoin extends Operation {
     this.defaultConfig = {
       enabled: true,
       mint_enabled: true,
-      // Base token that will be minted
+      // Base token that will be minted (address book key in the network profile)
       base_token: {
         name: "sUSDT",
-        address: "0x65296738D4E5edB1515e40287B6FDf8320E6eE04"
+        contract: "susdt"
       },
       // Tokens for swapping
       swap_tokens: [
         {
           name: "Somini",
-          address: "0x7a7045415f3682C3349E4b68d2940204b81fFF33"
+          contract: "somini"
         },
         {
           name: "SOMSOM",
-          address: "0x6756B4542d545270CacF1F15C3b7DefE589Ba1aa"
+          contract: "somsom"
         },
         {
           name: "SMI",
-          address: "0xC9005DD5C562bDdEF1Cf3C90Ad5B1Bf54fB8aa9d"
+          contract: "smi"
         }
       ],
-      // Router address for swapping tokens
-      router_address: "0x6AAC14f090A35EeA150705f72D90E4CDC4a49b2C",
+      // Router used for swapping tokens
+      router_contract: "router",
       // Swap amounts
       buy_amount: 0.1,  // Amount to buy (in sUSDT)
       sell_amount: 0.01, // Amount to sell (in memcoin)
@@ -67,7 +65,7 @@ class MemCoin extends Operation {
    * @returns {Object} Base token details
    */
   getBaseToken() {
-    return this.defaultConfig.base_token;
+    return this.resolveToken(this.defaultConfig.base_token);
   }
 
   /**
@@ -75,7 +73,7 @@ class MemCoin extends Operation {
    * @returns {Array} Available swap tokens
    */
   getSwapTokens() {
-    return this.defaultConfig.swap_tokens;
+    return this.defaultConfig.swap_tokens.map(token => this.resolveToken(token));
   }
 
   /**
@@ -83,7 +81,19 @@ class MemCoin extends Operation {
    * @returns {string} Router contract address
    */
   getRouterAddress() {
-    return this.defaultConfig.router_address;
+    return this.blockchain.getContractAddress(this.defaultConfig.router_contract);
+  }
+
+  /**
+   * Resolve a token's address through the active network profile
+   * @param {Object} token Token with name and address book key
+   * @returns {Object} Token with name and address
+   */
+  resolveToken(token) {
+    return {
+      name: token.name,
+      address: this.blockchain.getContractAddress(token.contract)
+    };
   }
 
   /**
@@ -190,16 +200,15 @@ class MemCoin extends Operation {
       };
       
       // Send mint transaction
-      const result = await this.blockchain.sendTransaction(txObject, `${baseToken.name} token mint`);
+      const result = await this.blockchain.sendTransaction(txObject, `${baseToken.name} token mint`, this.getTxOptions('mint'));
       
       if (!result.success) {
-        this.logger.error(`Failed to mint ${baseToken.name} tokens: ${result.error}`);
+        this.logFailure(`Failed to mint ${baseToken.name} tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully minted ${baseToken.name} tokens`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -239,16 +248,18 @@ class MemCoin extends Operation {
       };
       
       // Send approval transaction
-      const result = await this.blockchain.sendTransaction(txObject, "Token approval");
+      const result = await this.blockchain.sendTransaction(txObject, "Token approval", {
+        abi: approveInterface,
+        ...this.getTxOptions('approve')
+      });
       
       if (!result.success) {
-        this.logger.error(`Failed to approve tokens: ${result.error}`);
+        this.logFailure(`Failed to approve tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully approved ${amount.humanReadable.toFixed(4)} tokens for swap`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -301,16 +312,15 @@ class MemCoin extends Operation {
       };
       
       // Send swap transaction
-      const result = await this.blockchain.sendTransaction(txObject, `${fromToken.name} to ${toToken.name} swap`);
+      const result = await this.blockchain.sendTransaction(txObject, `${fromToken.name} to ${toToken.name} swap`, this.getTxOptions('swap'));
       
       if (!result.success) {
-        this.logger.error(`Failed to swap tokens: ${result.error}`);
+        this.logFailure(`Failed to swap tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully swapped ${amount.humanReadable.toFixed(4)} ${fromToken.name} tokens for ${toToken.name}`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -335,10 +345,11 @@ class MemCoin extends Operation {
       // Perform operations for each cycle
       for (let i = 0; i < repeatTimes; i++) {
         this.logger.info(`📍 Memcoin operation cycle ${i+1}/${repeatTimes}`);
+        const cycle = `cycle${i + 1}`;
         
         // Step 1: Mint sUSDT tokens (if enabled)
         if (this.isMintEnabled()) {
-          const mintSuccess = await this.mintSUSDT();
+          const mintSuccess = await this.runStep(`${cycle}.mint`, () => this.mintSUSDT());
           if (!mintSuccess) {
             this.logger.warn(`${baseToken.name} minting failed, continuing with next operations`);
           }
@@ -354,7 +365,8 @@ class MemCoin extends Operation {
           const buyAmount = this.getBuyAmount();
           
           // Step 2: Approve sUSDT for swap
-          const approveSuccess = await this.approveToken(baseToken.address, buyAmount);
+          const approveSuccess = await this.runStep(`${cycle}.${token.name}.approve_buy`,
+            () => this.approveToken(baseToken.address, buyAmount));
           
           if (!approveSuccess) {
             this.logger.warn(`Skipping ${token.name} operations due to approval failure`);
@@ -362,7 +374,8 @@ class MemCoin extends Operation {
           }
           
           // Step 3: Swap sUSDT for the token (buy)
-          const buyResult = await this.swapTokens(baseToken, token, buyAmount);
+          const buyResult = await this.runStep(`${cycle}.${token.name}.buy`,
+            () => this.swapTokens(baseToken, token, buyAmount));
           
           if (!buyResult) {
             this.logger.warn(`Buy operation failed for ${token.name}, skipping sell step`);
@@ -376,7 +389,8 @@ class MemCoin extends Operation {
           const sellAmount = this.getSellAmount();
           
           // Step 4: Approve token for swap back
-          const tokenApproveSuccess = await this.approveToken(token.address, sellAmount);
+          const tokenApproveSuccess = await this.runStep(`${cycle}.${token.name}.approve_sell`,
+            () => this.approveToken(token.address, sellAmount));
           
           if (!tokenApproveSuccess) {
             this.logger.warn(`Skipping ${token.name} sell operation due to approval failure`);
@@ -384,7 +398,7 @@ class MemCoin extends Operation {
           }
           
           // Step 5: Swap token back to sUSDT (sell)
-          await this.swapTokens(token, baseToken, sellAmount);
+          await this.runStep(`${cycle}.${token.name}.sell`, () => this.swapTokens(token, baseToken, sellAmount));
         }
         
         // Add delay between cycles if not the last one
@@ -397,7 +411,7 @@ class MemCoin extends Operation {
       this.logger.success(`Memcoin operations completed successfully!`);
       return true;
     } catch (error) {
-      this.logger.error(`Error in memcoin operations: ${error.message}`);
+      this.logFailure(`Error in memcoin operations`, error);
       return false;
     }
   }
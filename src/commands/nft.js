@@ -18,7 +18,7 @@ class NFT extends Operation {
     super(blockchain, config, 'nft');
     
     // Initialize contract manager
-    this.contractManager = new Contract(this.blockchain, config);
+    this.contractManager = new Contract(this.blockchain, config, 'nft');
   }
   
   /**
@@ -96,14 +96,14 @@ class NFT extends Operation {
    */
   async executeOperations() {
     try {
-      // Generate collection name and symbol
-      const collectionName = this.generateRandomNFTName();
+      // Generate collection name and symbol (kept when an interrupted cycle resumes)
+      const collectionName = await this.rememberValue('collection_name', () => this.generateRandomNFTName());
       const symbol = this.generateRandomNFTSymbol(collectionName);
       
       // Generate supply
-      const supply = this.config.get ? 
+      const supply = await this.rememberValue('supply', () => this.config.get ? 
         this.config.getRandomInRange('nft', 'supply', 100, 1000) :
-        Math.floor(Math.random() * 900) + 100; // 100-1000
+        Math.floor(Math.random() * 900) + 100); // 100-1000
       
       this.logger.info(`NFT Collection: ${collectionName} (${symbol})`);
       this.logger.info(`Max Supply: ${supply}`);
@@ -119,15 +119,19 @@ class NFT extends Operation {
         'NFTContract.sol'
       );
       
-      // Add delay before deployment
-      await this.addDelay("NFT contract deployment");
-      
-      // Deploy NFT contract
-      const deployedContract = await this.contractManager.deployContract(
-        compiledContract, 
-        [collectionName, symbol, supply],
-        "NFT collection"
-      );
+      // Deploy NFT contract (a deployment confirmed before an interruption is reused)
+      const deployment = await this.runStep('deploy', async () => {
+        // Add delay before deployment
+        await this.addDelay("NFT contract deployment");
+        
+        const deployed = await this.contractManager.deployContract(
+          compiledContract, 
+          [collectionName, symbol, supply],
+          "NFT collection"
+        );
+        return { success: true, ...deployed };
+      }, receipt => ({ success: true, contractAddress: receipt.contractAddress, txHash: receipt.hash }));
+      const deployedContract = { ...deployment, abi: compiledContract.abi };
       
       // Mint and burn NFTs
       const mintedTokens = await this.mintNFTs(deployedContract, collectionName);
@@ -135,11 +139,11 @@ class NFT extends Operation {
       
       this.logger.success(`NFT operations completed successfully!`);
       this.logger.success(`Contract address: ${deployedContract.contractAddress}`);
-      this.logger.success(`View collection: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`);
+      this.logger.success(`View collection: ${this.blockchain.getAddressUrl(deployedContract.contractAddress)}`);
       
       return true;
     } catch (error) {
-      this.logger.error(`Error executing NFT operations: ${error.message}`);
+      this.logFailure(`Error executing NFT operations`, error);
       return false;
     }
   }
@@ -152,9 +156,9 @@ class NFT extends Operation {
    */
   async mintNFTs(deployedContract, collectionName) {
     // Determine mint count
-    const mintCount = this.config.get ? 
+    const mintCount = await this.rememberValue('mint_count', () => this.config.get ? 
       this.config.getRandomInRange('nft', 'mint_count', 2, 10) :
-      Math.floor(Math.random() * 9) + 2; // 2-10
+      Math.floor(Math.random() * 9) + 2); // 2-10
     
     this.logger.info(`Will mint ${mintCount} NFTs...`);
     
@@ -162,27 +166,29 @@ class NFT extends Operation {
     const mintedTokens = [];
     for (let i = 0; i < mintCount; i++) {
       const tokenId = i;
-      const tokenURI = this.generateTokenMetadata(tokenId, collectionName);
       
       this.logger.info(`Minting token #${tokenId}...`);
       
-      // Add delay before minting
-      if (i > 0) {
-        await this.addDelay(`NFT minting (token #${tokenId})`);
-      }
-      
-      const mintResult = await this.contractManager.callContractMethod(
-        deployedContract.contractAddress,
-        deployedContract.abi,
-        'mint',
-        [this.blockchain.address, tokenId, tokenURI]
-      );
+      const mintResult = await this.runStep(`mint_${tokenId}`, async () => {
+        // Add delay before minting
+        if (i > 0) {
+          await this.addDelay(`NFT minting (token #${tokenId})`);
+        }
+        
+        const tokenURI = this.generateTokenMetadata(tokenId, collectionName);
+        return await this.contractManager.callContractMethod(
+          deployedContract.contractAddress,
+          deployedContract.abi,
+          'mint',
+          [this.blockchain.address, tokenId, tokenURI]
+        );
+      });
       
       if (mintResult.success) {
         mintedTokens.push(tokenId);
         this.logger.success(`Token #${tokenId} minted successfully`);
       } else {
-        this.logger.error(`Failed to mint token #${tokenId}: ${mintResult.error}`);
+        this.logFailure(`Failed to mint token #${tokenId}`, mintResult);
       }
     }
     
@@ -206,45 +212,51 @@ class NFT extends Operation {
     if (burnCount > 0 && mintedTokens.length > 0) {
       this.logger.info(`Burning ${burnCount} NFTs (${burnPercentage}% of minted)...`);
       
-      // Randomly select tokens to burn
-      const tokensToBurn = [...mintedTokens]
+      // Randomly select tokens to burn (kept when an interrupted cycle resumes)
+      const tokensToBurn = await this.rememberValue('burn_tokens', () => [...mintedTokens]
         .sort(() => Math.random() - 0.5) // Shuffle
-        .slice(0, burnCount);
+        .slice(0, burnCount));
       
       let burnedCount = 0;
       for (const tokenId of tokensToBurn) {
         this.logger.info(`Burning token #${tokenId}...`);
         
-        // Add delay before burning
-        if (burnedCount > 0) {
-          await this.addDelay(`NFT burning (token #${tokenId})`);
-        }
-        
-        // Verify ownership
-        const ownerResult = await this.contractManager.callViewMethod(
-          deployedContract.contractAddress,
-          deployedContract.abi,
-          'ownerOf',
-          [tokenId]
-        );
+        const burnResult = await this.runStep(`burn_${tokenId}`, async () => {
+          // Add delay before burning
+          if (burnedCount > 0) {
+            await this.addDelay(`NFT burning (token #${tokenId})`);
+          }
+          
+          // Verify ownership
+          const ownerResult = await this.contractManager.callViewMethod(
+            deployedContract.contractAddress,
+            deployedContract.abi,
+            'ownerOf',
+            [tokenId]
+          );
+          
+          if (!ownerResult.success || ownerResult.result.toLowerCase() !== this.blockchain.address.toLowerCase()) {
+            return null;
+          }
+          
+          return await this.contractManager.callContractMethod(
+            deployedContract.contractAddress,
+            deployedContract.abi,
+            'burn',
+            [tokenId]
+          );
+        });
         
-        if (!ownerResult.success || ownerResult.result.toLowerCase() !== this.blockchain.address.toLowerCase()) {
+        if (!burnResult) {
           this.logger.error(`Token #${tokenId} not owned by this wallet`);
           continue;
         }
         
-        const burnResult = await this.contractManager.callContractMethod(
-          deployedContract.contractAddress,
-          deployedContract.abi,
-          'burn',
-          [tokenId]
-        );
-        
         if (burnResult.success) {
           this.logger.success(`Token #${tokenId} burned successfully`);
           burnedCount++;
         } else {
-          this.logger.error(`Failed to burn token #${tokenId}: ${burnResult.error}`);
+          this.logFailure(`Failed to burn token #${tokenId}`, burnResult);
         }
       }
       
@@ -4,9 +4,6 @@
  */
 const { ethers } = require('ethers');
 const Operation = require('../core/operation');
-const constants = require('../utils/constants');
-const { wait } = require('../utils/delay');
-const { isRetryableError } = require('../utils/error');
 
 class TokenSwap extends Operation {
   /**
@@ -161,95 +158,6 @@ class TokenSwap extends Operation {
     return cleanHex.padStart(64, '0');
   }
   
-  /**
-   * Get retry configuration
-   * @returns {Object} Retry config
-   */
-  getRetryConfig() {
-    return {
-      maxAttempts: this.config.get ? 
-        this.config.getNumber('operations.tokenswap.retry.max_attempts', 3) :
-        (this.config.operations?.tokenswap?.retry?.max_attempts || 3),
-      
-      delayMs: this.config.get ? 
-        this.config.getNumber('operations.tokenswap.retry.delay_ms', 2000) :
-        (this.config.operations?.tokenswap?.retry?.delay_ms || 2000),
-      
-      gasIncrease: this.config.get ? 
-        this.config.getNumber('operations.tokenswap.retry.gas_increase', 1.2) :
-        (this.config.operations?.tokenswap?.retry?.gas_increase || 1.2)
-    };
-  }
-  
-  /**
-   * Execute transaction with retry mechanism
-   * @param {Object} txObject Transaction object
-   * @param {string} operationName Operation name for logging
-   * @returns {Promise<Object>} Transaction result
-   */
-  async executeWithRetry(txObject, operationName) {
-    const retryConfig = this.getRetryConfig();
-    let attempt = 0;
-    let lastError = null;
-    
-    while (attempt < retryConfig.maxAttempts) {
-      try {
-        attempt++;
-        
-        if (attempt > 1) {
-          // If this is a retry, increase gas
-          const increasedGas = Math.floor(Number(txObject.gas || 500000) * retryConfig.gasIncrease);
-          txObject.gas = increasedGas;
-          
-          this.logger.info(`Retry attempt ${attempt}/${retryConfig.maxAttempts} for ${operationName}`);
-          this.logger.info(`Increased gas to: ${increasedGas}`);
-          
-          // Wait before retry
-          const delayMs = retryConfig.delayMs * (attempt - 1);
-          this.logger.info(`Waiting ${delayMs}ms before retry...`);
-          await wait(delayMs);
-        }
-        
-        // Send transaction
-        const result = await this.blockchain.sendTransaction(txObject, operationName);
-        
-        if (result.success) {
-          if (attempt > 1) {
-            this.logger.success(`${operationName} succeeded on attempt ${attempt}/${retryConfig.maxAttempts}`);
-          }
-          return result;
-        } else {
-          lastError = result.error;
-          this.logger.warn(`${operationName} failed on attempt ${attempt}/${retryConfig.maxAttempts}: ${result.error}`);
-          
-          // Check if we should retry based on error
-          if (isRetryableError(result.error)) {
-            continue;
-          } else {
-            this.logger.error(`Non-retryable error detected: ${result.error}`);
-            return result;
-          }
-        }
-      } catch (error) {
-        lastError = error.message;
-        this.logger.warn(`Exception in ${operationName} on attempt ${attempt}/${retryConfig.maxAttempts}: ${error.message}`);
-        
-        if (attempt < retryConfig.maxAttempts) {
-          // Wait before retry
-          const delayMs = retryConfig.delayMs * attempt;
-          this.logger.info(`Waiting ${delayMs}ms before retry...`);
-          await wait(delayMs);
-        }
-      }
-    }
-    
-    this.logger.error(`${operationName} failed after ${retryConfig.maxAttempts} attempts`);
-    return {
-      success: false,
-      error: lastError || `Failed after ${retryConfig.maxAttempts} attempts`,
-      details: { attemptsCount: attempt }
-    };
-  }
   /**
    * Check if minting is enabled
    * @returns {boolean} Whether minting is enabled
@@ -340,21 +248,23 @@ class TokenSwap extends Operation {
       
       // Prepare mint transaction
       const txObject = {
-        to: constants.TOKEN.PING_ADDRESS,
+        to: this.blockchain.getContractAddress('ping'),
         data: data
       };
       
       // Send mint transaction with retry
-      const result = await this.executeWithRetry(txObject, "PING token mint");
+      const result = await this.blockchain.sendTransaction(txObject, "PING token mint", {
+        abi: mintInterface,
+        ...this.getTxOptions('mint')
+      });
       
       if (!result.success) {
-        this.logger.error(`Failed to mint PING tokens: ${result.error}`);
+        this.logFailure(`Failed to mint PING tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully minted ${mintAmount.humanReadable.toFixed(2)} PING tokens`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -396,21 +306,23 @@ class TokenSwap extends Operation {
       
       // Prepare mint transaction
       const txObject = {
-        to: constants.TOKEN.PONG_ADDRESS,
+        to: this.blockchain.getContractAddress('pong'),
         data: data
       };
       
       // Send mint transaction with retry
-      const result = await this.executeWithRetry(txObject, "PONG token mint");
+      const result = await this.blockchain.sendTransaction(txObject, "PONG token mint", {
+        abi: mintInterface,
+        ...this.getTxOptions('mint')
+      });
       
       if (!result.success) {
-        this.logger.error(`Failed to mint PONG tokens: ${result.error}`);
+        this.logFailure(`Failed to mint PONG tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully minted ${mintAmount.humanReadable.toFixed(2)} PONG tokens`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -434,8 +346,8 @@ class TokenSwap extends Operation {
       
       // Check current allowance
       const currentAllowance = await this.checkAllowance(
-        constants.TOKEN.PONG_ADDRESS, 
-        constants.TOKEN.ROUTER_ADDRESS
+        this.blockchain.getContractAddress('pong'), 
+        this.blockchain.getContractAddress('router')
       );
       
       this.logger.info(`Current PONG allowance: ${ethers.formatUnits(currentAllowance, 18)} PONG`);
@@ -459,27 +371,29 @@ class TokenSwap extends Operation {
       
       // Encode function data properly
       const data = approveInterface.encodeFunctionData("approve", [
-        constants.TOKEN.ROUTER_ADDRESS,
+        this.blockchain.getContractAddress('router'),
         swapAmount.raw
       ]);
       
       // Prepare approve transaction
       const txObject = {
-        to: constants.TOKEN.PONG_ADDRESS,
+        to: this.blockchain.getContractAddress('pong'),
         data: data
       };
       
       // Send approve transaction with retry
-      const result = await this.executeWithRetry(txObject, "PONG token approval");
+      const result = await this.blockchain.sendTransaction(txObject, "PONG token approval", {
+        abi: approveInterface,
+        ...this.getTxOptions('approve')
+      });
       
       if (!result.success) {
-        this.logger.error(`Failed to approve PONG tokens: ${result.error}`);
+        this.logFailure(`Failed to approve PONG tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully approved ${swapAmount.humanReadable.toFixed(4)} PONG tokens for swap`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -525,8 +439,8 @@ class TokenSwap extends Operation {
       
       // Build data exactly as in the successful transaction
       const swapData = `0x04e45aaf` + // Function signature
-        `000000000000000000000000${constants.TOKEN.PONG_ADDRESS.slice(2)}` + // tokenIn (PONG)
-        `000000000000000000000000${constants.TOKEN.PING_ADDRESS.slice(2)}` + // tokenOut (PING)
+        `000000000000000000000000${this.blockchain.getContractAddress('pong').slice(2)}` + // tokenIn (PONG)
+        `000000000000000000000000${this.blockchain.getContractAddress('ping').slice(2)}` + // tokenOut (PING)
         `${paddedSlippageHex}` + // slippage (from config)
         `000000000000000000000000${this.blockchain.address.slice(2)}` + // recipient
         `${paddedAmountHex}` + // amountIn (from config)
@@ -535,22 +449,21 @@ class TokenSwap extends Operation {
       
       // Prepare swap transaction with fixed gas limit, using 'gas' parameter
       const txObject = {
-        to: constants.TOKEN.ROUTER_ADDRESS,
+        to: this.blockchain.getContractAddress('router'),
         data: swapData,
         gas: 500000
       };
       
       // Send swap transaction with retry
-      const result = await this.executeWithRetry(txObject, "PONG to PING swap");
+      const result = await this.blockchain.sendTransaction(txObject, "PONG to PING swap", this.getTxOptions('swap'));
       
       if (!result.success) {
-        this.logger.error(`Failed to swap PONG tokens: ${result.error}`);
+        this.logFailure(`Failed to swap PONG tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully swapped ${swapAmount.humanReadable.toFixed(4)} PONG tokens for PING tokens`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -574,8 +487,8 @@ class TokenSwap extends Operation {
       
       // Check current allowance
       const currentAllowance = await this.checkAllowance(
-        constants.TOKEN.PING_ADDRESS, 
-        constants.TOKEN.ROUTER_ADDRESS
+        this.blockchain.getContractAddress('ping'), 
+        this.blockchain.getContractAddress('router')
       );
       
       this.logger.info(`Current PING allowance: ${ethers.formatUnits(currentAllowance, 18)} PING`);
@@ -599,27 +512,29 @@ class TokenSwap extends Operation {
       
       // Encode function data properly
       const data = approveInterface.encodeFunctionData("approve", [
-        constants.TOKEN.ROUTER_ADDRESS,
+        this.blockchain.getContractAddress('router'),
         swapAmount.raw
       ]);
       
       // Prepare approve transaction
       const txObject = {
-        to: constants.TOKEN.PING_ADDRESS,
+        to: this.blockchain.getContractAddress('ping'),
         data: data
       };
       
       // Send approve transaction with retry
-      const result = await this.executeWithRetry(txObject, "PING token approval");
+      const result = await this.blockchain.sendTransaction(txObject, "PING token approval", {
+        abi: approveInterface,
+        ...this.getTxOptions('approve')
+      });
       
       if (!result.success) {
-        this.logger.error(`Failed to approve PING tokens: ${result.error}`);
+        this.logFailure(`Failed to approve PING tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully approved ${swapAmount.humanReadable.toFixed(4)} PING tokens for swap`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -665,8 +580,8 @@ class TokenSwap extends Operation {
       
       // Build data exactly as in the successful transaction
       const swapData = `0x04e45aaf` + // Function signature
-        `000000000000000000000000${constants.TOKEN.PING_ADDRESS.slice(2)}` + // tokenIn (PING)
-        `000000000000000000000000${constants.TOKEN.PONG_ADDRESS.slice(2)}` + // tokenOut (PONG)
+        `000000000000000000000000${this.blockchain.getContractAddress('ping').slice(2)}` + // tokenIn (PING)
+        `000000000000000000000000${this.blockchain.getContractAddress('pong').slice(2)}` + // tokenOut (PONG)
         `${paddedSlippageHex}` + // slippage (from config)
         `000000000000000000000000${this.blockchain.address.slice(2)}` + // recipient
         `${paddedAmountHex}` + // amountIn (from config)
@@ -675,22 +590,21 @@ class TokenSwap extends Operation {
       
       // Prepare swap transaction with fixed gas limit, using 'gas' parameter
       const txObject = {
-        to: constants.TOKEN.ROUTER_ADDRESS,
+        to: this.blockchain.getContractAddress('router'),
         data: swapData,
         gas: 500000
       };
       
       // Send swap transaction with retry
-      const result = await this.executeWithRetry(txObject, "PING to PONG swap");
+      const result = await this.blockchain.sendTransaction(txObject, "PING to PONG swap", this.getTxOptions('swap'));
       
       if (!result.success) {
-        this.logger.error(`Failed to swap PING tokens: ${result.error}`);
+        this.logFailure(`Failed to swap PING tokens`, result);
         return false;
       }
       
       this.logger.success(`Successfully swapped ${swapAmount.humanReadable.toFixed(4)} PING tokens for PONG tokens`);
-      this.logger.success(`Transaction hash: ${result.txHash}`);
-      this.logger.success(`View on explorer: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
+      this.logTransaction(result);
       
       return true;
     } catch (error) {
@@ -716,14 +630,16 @@ class TokenSwap extends Operation {
       for (let i = 0; i < repeatTimes; i++) {
         this.logger.info(`📍 Token operation cycle ${i+1}/${repeatTimes}`);
         
+        const cycle = `cycle${i + 1}`;
+        
         // Mint PING tokens
-        const pingMintSuccess = await this.mintPingTokens();
+        const pingMintSuccess = await this.runStep(`${cycle}.mint_ping`, () => this.mintPingTokens());
         if (!pingMintSuccess && this.isMintEnabled()) {
           this.logger.warn(`PING minting failed, but continuing with remaining operations`);
         }
         
         // Mint PONG tokens
-        const pongMintSuccess = await this.mintPongTokens();
+        const pongMintSuccess = await this.runStep(`${cycle}.mint_pong`, () => this.mintPongTokens());
         if (!pongMintSuccess && this.isMintEnabled()) {
           this.logger.warn(`PONG minting failed, but continuing with remaining operations`);
         }
@@ -731,32 +647,36 @@ class TokenSwap extends Operation {
         if (this.isSwapEnabled()) {
           // Pre-calculate swap amounts to ensure consistency
           
-          // Calculate PONG->PING swap amount once and store it
-          const pongSwapAmount = await this.calculateSwapAmount(constants.TOKEN.PONG_ADDRESS);
+          // Calculate PONG->PING swap amount once and store it (kept when the cycle resumes)
+          const pongSwapAmount = await this.rememberValue(`${cycle}.pong_swap_amount`,
+            () => this.calculateSwapAmount(this.blockchain.getContractAddress('pong')));
           this.logger.info(`Pre-calculated PONG swap amount: ${pongSwapAmount.humanReadable} PONG`);
           
           // Approve PONG tokens for swap using the pre-calculated amount
-          const pongApproveSuccess = await this.approvePongForSwapWithAmount(pongSwapAmount);
+          const pongApproveSuccess = await this.runStep(`${cycle}.approve_pong`,
+            () => this.approvePongForSwapWithAmount(pongSwapAmount));
           if (!pongApproveSuccess) {
             this.logger.warn(`PONG->PING swap may fail due to approval failure`);
           } else {
             // Only perform swap if approval was successful
             // Swap PONG -> PING using the same pre-calculated amount
-            await this.swapPongForPingWithAmount(pongSwapAmount);
+            await this.runStep(`${cycle}.swap_pong`, () => this.swapPongForPingWithAmount(pongSwapAmount));
           }
           
-          // Calculate PING->PONG swap amount once and store it
-          const pingSwapAmount = await this.calculateSwapAmount(constants.TOKEN.PING_ADDRESS);
+          // Calculate PING->PONG swap amount once and store it (kept when the cycle resumes)
+          const pingSwapAmount = await this.rememberValue(`${cycle}.ping_swap_amount`,
+            () => this.calculateSwapAmount(this.blockchain.getContractAddress('ping')));
           this.logger.info(`Pre-calculated PING swap amount: ${pingSwapAmount.humanReadable} PING`);
           
           // Approve PING tokens for swap using the pre-calculated amount
-          const pingApproveSuccess = await this.approvePingForSwapWithAmount(pingSwapAmount);
+          const pingApproveSuccess = await this.runStep(`${cycle}.approve_ping`,
+            () => this.approvePingForSwapWithAmount(pingSwapAmount));
           if (!pingApproveSuccess) {
             this.logger.warn(`PING->PONG swap may fail due to approval failure`);
           } else {
             // Only perform swap if approval was successful
             // Swap PING -> PONG using the same pre-calculated amount
-            await this.swapPingForPongWithAmount(pingSwapAmount);
+            await this.runStep(`${cycle}.swap_ping`, () => this.swapPingForPongWithAmount(pingSwapAmount));
           }
         }
         
@@ -773,7 +693,7 @@ class TokenSwap extends Operation {
       return successCount > 0;
       
     } catch (error) {
-      this.logger.error(`Error in token mint and swap operations: ${error.message}`);
+      this.logFailure(`Error in token mint and swap operations`, error);
       return false;
     }
   }
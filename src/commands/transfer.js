@@ -4,7 +4,7 @@
  */
 const { ethers } = require('ethers');
 const Operation = require('../core/operation');
-const constants = require('../utils/constants');
+const { InsufficientFundsError } = require('../utils/errors');
 
 class Transfer extends Operation {
   /**
@@ -61,25 +61,26 @@ class Transfer extends Operation {
     };
     
     const gasLimit = await this.blockchain.estimateGas(txTemplate);
-    const gasPrice = await this.blockchain.getGasPrice();
+    const feeData = await this.blockchain.getFeeData();
     
-    return gasLimit * gasPrice;
+    return gasLimit * (feeData.maxFeePerGas || feeData.gasPrice);
   }
   
   /**
    * Execute a single transfer
    * @param {number} transferNum Current transfer number
    * @param {number} totalTransfers Total transfers to execute
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object>} Transaction result, or { success: true, skipped: true, reason } when the
+   *   balance cannot cover a transfer; failed results carry the typed error as failure
    */
   async executeTransfer(transferNum, totalTransfers) {
     try {
       // Get wallet balance
-      const { balance, balanceInEth, currency } = await this.blockchain.getBalance();
+      const { balance, currency } = await this.blockchain.getBalance();
       
       if (balance === BigInt(0)) {
         this.logger.warn(`No balance to transfer`);
-        return true;
+        return { success: true, skipped: true, reason: 'no balance to transfer' };
       }
 
       // Add random delay before transfer
@@ -90,8 +91,9 @@ class Transfer extends Operation {
         this.config.get('operations.transfer.use_percentage', true) : 
         (this.config.operations?.transfer?.use_percentage ?? true);
       
-      // Estimate gas cost for a transfer
-      const gasPrice = await this.blockchain.getGasPrice();
+      // Estimate gas cost for a transfer (max fee per gas for type 2 transactions)
+      const feeData = await this.blockchain.getFeeData();
+      const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
       const estimatedGasCost = BigInt(21000) * gasPrice * BigInt(2); // Double for safety
       
       let transferAmount;
@@ -114,7 +116,7 @@ class Transfer extends Operation {
         const safeBalance = balance - estimatedGasCost;
         if (safeBalance <= BigInt(0)) {
           this.logger.warn(`Insufficient balance to perform transfer`);
-          return true;
+          return { success: true, skipped: true, reason: 'insufficient balance' };
         }
         
         const percentValue = BigInt(Math.floor(Number(safeBalance) * percentage / 100));
@@ -132,7 +134,7 @@ class Transfer extends Operation {
         
         if (balance <= estimatedGasCost) {
           this.logger.warn(`Insufficient balance to even cover gas costs`);
-          return true;
+          return { success: true, skipped: true, reason: 'insufficient balance to cover gas' };
         }
         
         // Reduce amount
@@ -148,31 +150,44 @@ class Transfer extends Operation {
 
       this.logger.info(`Sending transfer #${transferNum}/${totalTransfers} of ${displayAmount} ${currency} to self`);
       
-      const result = await this.blockchain.sendTransaction(txObject, `self-transfer #${transferNum}`);
+      const result = await this.blockchain.sendTransaction(txObject, `self-transfer #${transferNum}`, this.getTxOptions('transfer'));
       
       if (result.success) {
         this.logger.success(`Transfer #${transferNum}/${totalTransfers} successful`);
-        this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`);
-        return true;
-      } else {
-        this.logger.error(`Transfer #${transferNum}/${totalTransfers} failed: ${result.error}`);
-        return false;
+        this.logTransaction(result);
+        return result;
       }
+      
+      const failure = this.logFailure(`Transfer #${transferNum}/${totalTransfers} failed`, result);
+      return { ...result, failure };
     } catch (error) {
-      this.logger.error(`Error in transfer #${transferNum}/${totalTransfers}: ${error.message}`);
-      return false;
+      const failure = this.logFailure(`Error in transfer #${transferNum}/${totalTransfers}`, error);
+      return { success: false, error: error.message, failure };
     }
   }
+  
+  /**
+   * Get why the remaining transfers should not be sent
+   * @param {Object} outcome Result of a transfer step
+   * @returns {string|null} Reason to stop, or null to go on
+   */
+  getStopReason(outcome) {
+    // The balance only goes down, so the remaining transfers have nothing to send either
+    if (outcome?.skipped) return outcome.reason;
+    // Every further transfer would fail the same way
+    if (outcome?.failure instanceof InsufficientFundsError) return 'wallet cannot cover value plus gas';
+    return null;
+  }
 
   /**
    * Implementation of the executeOperations method from Operation base class
    * @returns {Promise<boolean>} Success status
    */
   async executeOperations() {
-    // Get transfer count from config
-    const count = this.config.get ? 
+    // Get transfer count from config (kept when an interrupted cycle resumes)
+    const count = await this.rememberValue('count', () => this.config.get ? 
       this.config.getRandomInRange('transfer', 'count', 1, 3) : 
-      Math.floor(Math.random() * 3) + 1;
+      Math.floor(Math.random() * 3) + 1);
     
     // Get repeat count
     const repeatTimes = this.config.get ? 
@@ -201,18 +216,19 @@ class Transfer extends Operation {
     }
     
     let totalSuccess = 0;
-    for (let r = 0; r < repeatTimes; r++) {
-      let successCount = 0;
-      
+    let stopReason = null;
+    for (let r = 0; r < repeatTimes && !stopReason; r++) {
       // Reset nonce for each repeat cycle
       this.blockchain.resetNonce();
       
       for (let i = 1; i <= count; i++) {
-        const success = await this.executeTransfer(i, count);
-        if (success) {
-          successCount++;
-          totalSuccess++;
+        const outcome = await this.runStep(`cycle${r + 1}.transfer${i}`, () => this.executeTransfer(i, count));
+        stopReason = this.getStopReason(outcome);
+        if (stopReason) {
+          this.logger.warn(`Stopping self-transfers: ${stopReason}`);
+          break;
         }
+        if (outcome?.success) totalSuccess++;
         
         // Add delay between transfers if not the last one
         if (i < count) {
@@ -221,7 +237,7 @@ class Transfer extends Operation {
       }
       
       // Add delay between repeat cycles if not the last one
-      if (r < repeatTimes - 1) {
+      if (!stopReason && r < repeatTimes - 1) {
         this.logger.info(`Completed repeat cycle ${r+1}/${repeatTimes}`);
         await this.addDelay(`next repeat cycle (${r+2}/${repeatTimes})`);
       }
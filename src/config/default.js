@@ -81,14 +81,175 @@ module.exports = {
     },
     "general": {
       "gas_price_multiplier": 1.2,
-      "max_retries": 3,
-      "base_wait_time": 5,
+      "fee_mode": "auto",
       "delay": {
         "min_seconds": 3,
         "max_seconds": 10
       },
       "log_level": "info"
     },
+    "report": {
+      "enabled": true,
+      "dir": "reports"
+    },
+    "metrics": {
+      "enabled": false,
+      "host": "127.0.0.1",
+      "port": 9464,
+      "default_metrics": true
+    },
+    "tracing": {
+      "enabled": false,
+      "exporter": "file",
+      "dir": "traces",
+      "endpoint": "http://127.0.0.1:4318/v1/traces",
+      "service_name": "s0mn1a-automation",
+      "rpc_spans": true
+    },
+    "dashboard": {
+      "enabled": false,
+      "host": "127.0.0.1",
+      "port": 8787,
+      "recent_transactions": 50
+    },
+    "control": {
+      "enabled": false,
+      "host": "127.0.0.1",
+      "port": 8788,
+      "token": "",
+      "token_file": "data/control-token"
+    },
+    "notifications": {
+      "enabled": false,
+      "wallet_failure_threshold": 2,
+      "low_balance": null,
+      "timeout_ms": 10000,
+      "retry": {
+        "max_attempts": 4,
+        "backoff": "exponential",
+        "delay_ms": 2000,
+        "max_delay_ms": 60000,
+        "retry_on": ["network", "timeout", "server", "rate_limit"]
+      },
+      "webhooks": []
+    },
+    "logging": {
+      "format": "text",
+      "json_file": "",
+      "redact": true,
+      "secrets": [],
+      "files": {
+        "enabled": true,
+        "dir": "logs",
+        "retention_days": 14
+      }
+    },
+    "transactions": {
+      "simulate": true,
+      "confirmation_timeout_seconds": 120,
+      "max_speedups": 3,
+      "cancel_on_stuck": true
+    },
+    "rpc": {
+      "probe_interval_seconds": 60,
+      "request_timeout_ms": 15000,
+      "max_block_lag": 5,
+      "failure_threshold": 3,
+      "cooldown_seconds": 300
+    },
+    "wallets": {
+      "source": "pk_file",
+      "pk_file": "data/pk.txt",
+      "keystore_dir": "data/keystores",
+      "mnemonic_file": "data/mnemonic.txt",
+      "derivation_path": "m/44'/60'/0'/0/{0..9}",
+      "remote_signer": {
+        "url": "http://127.0.0.1:8550",
+        "accounts": [],
+        "timeout_ms": 30000
+      }
+    },
+    "journal": {
+      "enabled": true,
+      "path": "data/transactions.jsonl"
+    },
+    "checkpoint": {
+      "enabled": true,
+      "path": "data/checkpoint.json"
+    },
+    "dry_run": {
+      "enabled": false
+    },
+    "retry": {
+      "tx": {
+        "max_attempts": 3,
+        "backoff": "linear",
+        "delay_ms": 2000,
+        "max_delay_ms": 30000,
+        "gas_increase": 1.3,
+        "retry_on": ["network", "timeout", "server", "nonce", "fee"]
+      },
+      "rpc": {
+        "max_attempts": 3,
+        "backoff": "exponential",
+        "delay_ms": 1000,
+        "max_delay_ms": 10000,
+        "retry_on": ["network", "timeout", "server", "rate_limit"]
+      },
+      "http": {
+        "max_attempts": 3,
+        "backoff": "linear",
+        "delay_ms": 5000,
+        "max_delay_ms": 60000,
+        "retry_on": ["network", "timeout", "server", "faucet"]
+      }
+    },
+    "network": {
+      "active": "s0mn1a_testnet",
+      "profiles": {
+        "s0mn1a_testnet": {
+          "name": "s0mn1a Testnet",
+          "rpc_url": "https://dream-rpc.somnia.network",
+          "rpc_urls": [],
+          "chain_id": 50312,
+          "currency_symbol": "STT",
+          "explorer_url": "https://shannon-explorer.somnia.network",
+          "contracts": {
+            "ping": "0xBeCd9B5F373877881D91cBdBaF013D97eB532154",
+            "pong": "0x7968ac15a72629E05F41B8271e4e7292E0cC9f90",
+            "router": "0x6AAC14f090A35EeA150705f72D90E4CDC4a49b2C",
+            "susdt": "0x65296738D4E5edB1515e40287B6FDf8320E6eE04",
+            "somini": "0x7a7045415f3682C3349E4b68d2940204b81fFF33",
+            "somsom": "0x6756B4542d545270CacF1F15C3b7DefE589Ba1aa",
+            "smi": "0xC9005DD5C562bDdEF1Cf3C90Ad5B1Bf54fB8aa9d"
+          }
+        },
+        "local_devnet": {
+          "name": "Local Devnet (anvil/hardhat)",
+          "rpc_url": "http://127.0.0.1:8545",
+          "chain_id": 31337,
+          "currency_symbol": "ETH",
+          "explorer_url": "",
+          "contracts": {}
+        },
+        "staging_fork": {
+          "name": "s0mn1a Staging Fork",
+          "rpc_url": "http://127.0.0.1:8546",
+          "chain_id": 50312,
+          "currency_symbol": "STT",
+          "explorer_url": "",
+          "contracts": {
+            "ping": "0xBeCd9B5F373877881D91cBdBaF013D97eB532154",
+            "pong": "0x7968ac15a72629E05F41B8271e4e7292E0cC9f90",
+            "router": "0x6AAC14f090A35EeA150705f72D90E4CDC4a49b2C",
+            "susdt": "0x65296738D4E5edB1515e40287B6FDf8320E6eE04",
+            "somini": "0x7a7045415f3682C3349E4b68d2940204b81fFF33",
+            "somsom": "0x6756B4542d545270CacF1F15C3b7DefE589Ba1aa",
+            "smi": "0xC9005DD5C562bDdEF1Cf3C90Ad5B1Bf54fB8aa9d"
+          }
+        }
+      }
+    },
     "proxy": {
       "enabled": false,
       "type": "http",
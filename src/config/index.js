@@ -9,6 +9,8 @@ const inquirer = require('inquirer');
 const logger = require('../utils/logger');
 const defaultConfig = require('./default');
 const { configPrompts } = require('./inquirer');
+const { getNetworkProfile, getNetworkProfiles } = require('./network');
+const { ConfigError } = require('../utils/errors');
 
 class ConfigManager {
   constructor() {
@@ -28,7 +30,7 @@ class ConfigManager {
     try {
       const configExists = await this.checkConfigExists();
       
-      if (configExists && !forceInteractive) {
+      if (configExists && (!forceInteractive || !this.interactive)) {
         this.logger.success(`Found config.json`);
         await this.loadFromFile();
       } else {
@@ -44,7 +46,7 @@ class ConfigManager {
           await this.createInteractive();
         } else {
           this.logger.info(`Using default configuration (non-interactive mode)`);
-          this.config = defaultConfig;
+          this.config = ConfigManager.withDefaults({});
         }
       }
       
@@ -53,7 +55,7 @@ class ConfigManager {
     } catch (error) {
       this.logger.error(`Error loading configuration: ${error.message}`);
       this.logger.info(`Falling back to default configuration`);
-      this.config = defaultConfig;
+      this.config = ConfigManager.withDefaults({});
       return this.config;
     }
   }
@@ -73,17 +75,44 @@ class ConfigManager {
 
   /**
    * Load configuration from file
+   * Defaults are merged under the file, so sections missing from an older config.json are filled in.
    * @returns {Promise<void>}
    */
   async loadFromFile() {
     try {
       const fileContent = await fs.readFile(this.configPath, 'utf8');
-      this.config = JSON.parse(fileContent);
+      this.config = ConfigManager.withDefaults(JSON.parse(fileContent));
     } catch (error) {
-      throw new Error(`Failed to parse config.json: ${error.message}`);
+      throw new ConfigError(`Failed to parse config.json: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Deep-merge a configuration over the default configuration
+   * Arrays are taken as a whole from the configuration instead of being merged by index.
+   * @param {Object} config Configuration to apply
+   * @returns {Object} New configuration object
+   */
+  static withDefaults(config) {
+    return _.mergeWith(_.cloneDeep(defaultConfig), config, (defaultValue, value) =>
+      (Array.isArray(value) ? _.cloneDeep(value) : undefined));
+  }
+
+  /**
+   * Reload configuration from config.json without prompts
+   * The current configuration is kept when the file is missing or invalid.
+   * @returns {Promise<Object>} The reloaded configuration
+   */
+  async reload() {
+    if (!(await this.checkConfigExists())) {
+      throw new ConfigError('config.json not found');
+    }
+    
+    await this.loadFromFile();
+    this.logger.info(`Configuration reloaded from config.json`);
+    return this.config;
+  }
+
   /**
    * Create configuration interactively using inquirer
    * @returns {Promise<void>}
@@ -105,7 +134,7 @@ class ConfigManager {
     } catch (error) {
       this.logger.error(`Error in interactive configuration: ${error.message}`);
       this.logger.info('Using default configuration');
-      this.config = defaultConfig;
+      this.config = ConfigManager.withDefaults({});
     }
   }
 
@@ -115,12 +144,17 @@ class ConfigManager {
    * @returns {Object} Processed configuration
    */
   processAnswers(answers) {
-    const config = _.cloneDeep(defaultConfig);
+    // Start from the loaded configuration, so settings without a prompt are kept
+    const config = ConfigManager.withDefaults(this.config);
+    
+    if (answers.hasOwnProperty('networkProfile')) {
+      config.network.active = answers.networkProfile;
+    }
     
     // General settings
     config.general.gas_price_multiplier = answers.gasPriceMultiplier;
-    if (answers.hasOwnProperty('maxRetries')) {
-      config.general.max_retries = answers.maxRetries;
+    if (answers.hasOwnProperty('txMaxAttempts')) {
+      config.retry.tx.max_attempts = answers.txMaxAttempts;
     }
     if (answers.hasOwnProperty('delayMinSeconds') && answers.hasOwnProperty('delayMaxSeconds')) {
       config.general.delay = {
@@ -184,6 +218,7 @@ class ConfigManager {
           answers.hasOwnProperty('tokenswap_retry_delay') && 
           answers.hasOwnProperty('tokenswap_gas_increase')) {
         config.operations.tokenswap.retry = {
+          ...config.operations.tokenswap.retry,
           max_attempts: answers.tokenswap_retry_attempts,
           delay_ms: answers.tokenswap_retry_delay,
           gas_increase: answers.tokenswap_gas_increase
@@ -426,6 +461,23 @@ class ConfigManager {
            { min_seconds: 5, max_seconds: 30 };
   }
 
+  /**
+   * Get the active network profile
+   * @param {string|null} profileKey Optional profile key to resolve instead of network.active
+   * @returns {Object} Network profile with rpc_url, chain_id, currency_symbol, explorer_url and contracts
+   */
+  getNetwork(profileKey = null) {
+    return getNetworkProfile(this, profileKey);
+  }
+
+  /**
+   * Get all available network profiles
+   * @returns {Object} Network profiles by key
+   */
+  getNetworkProfiles() {
+    return getNetworkProfiles(this);
+  }
+
   /**
    * Get repeat times for a feature
    * @param {string} feature Feature name
@@ -1,6 +1,7 @@
 /**
  * Interactive configuration prompts using Inquirer.js
  */
+const defaultConfig = require('./default');
 
 // Available operations for user selection
 const availableOperations = [
@@ -48,6 +49,24 @@ const availableOperations = [
       }
     },
     
+    // NETWORK SETTINGS
+    {
+      type: 'list',
+      name: 'networkProfile',
+      message: 'Select network profile:',
+      choices: () => {
+        const profiles = {
+          ...defaultConfig.network.profiles,
+          ...(config.network?.profiles || {})
+        };
+        return Object.keys(profiles).map(key => ({
+          name: `${profiles[key].name || key} (chain ${profiles[key].chain_id})`,
+          value: key
+        }));
+      },
+      default: () => config.network?.active || defaultConfig.network.active
+    },
+    
     // GENERAL SETTINGS
     {
       type: 'number',
@@ -63,9 +82,15 @@ const availableOperations = [
     },
     {
       type: 'number',
-      name: 'maxRetries',
-      message: 'Maximum retries for failed transactions:',
-      default: () => config.general?.max_retries || 3
+      name: 'txMaxAttempts',
+      message: 'Maximum attempts for failed transactions, including the first one:',
+      default: () => config.retry?.tx?.max_attempts || defaultConfig.retry.tx.max_attempts,
+      validate: (value) => {
+        if (!Number.isInteger(value) || value < 1) {
+          return 'Please enter a whole number of at least 1';
+        }
+        return true;
+      }
     },
     {
       type: 'number',
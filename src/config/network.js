@@ -0,0 +1,80 @@
+/**
+ * Network profile resolution
+ * Resolves RPC, chain and address book settings for the active network
+ */
+const _ = require('lodash');
+const defaultConfig = require('./default');
+const { ConfigError } = require('../utils/errors');
+
+/**
+ * Read a value from a config manager or a plain config object
+ * @param {Object} config Configuration manager or plain object
+ * @param {string} path Configuration path
+ * @param {*} defaultValue Default value if path not found
+ * @returns {*} Configuration value
+ * @private
+ */
+function readConfig(config, path, defaultValue) {
+  return config && config.get ?
+    config.get(path, defaultValue) :
+    _.get(config, path, defaultValue);
+}
+
+/**
+ * Get all configured network profiles
+ * Built-in profiles are always available; profiles from config override them by key
+ * @param {Object} config Configuration manager or plain object
+ * @returns {Object} Network profiles by key
+ */
+function getNetworkProfiles(config = {}) {
+  return {
+    ...defaultConfig.network.profiles,
+    ...readConfig(config, 'network.profiles', {})
+  };
+}
+
+/**
+ * Resolve a network profile
+ * @param {Object} config Configuration manager or plain object
+ * @param {string|null} profileKey Profile key, defaults to network.active
+ * @returns {Object} Normalized network profile
+ */
+function getNetworkProfile(config = {}, profileKey = null) {
+  const key = profileKey ||
+    process.env.NETWORK_PROFILE ||
+    readConfig(config, 'network.active', defaultConfig.network.active);
+
+  const profiles = getNetworkProfiles(config);
+  const profile = profiles[key];
+
+  if (!profile) {
+    throw new ConfigError(`Unknown network profile "${key}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  // rpc_url is the primary endpoint, rpc_urls adds failover endpoints
+  const rpcUrls = _.uniq([profile.rpc_url, ...(profile.rpc_urls || [])].filter(Boolean));
+  if (rpcUrls.length === 0) {
+    throw new ConfigError(`Network profile "${key}" has no rpc_url`);
+  }
+
+  const chainId = Number(profile.chain_id);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new ConfigError(`Network profile "${key}" has an invalid chain_id: ${profile.chain_id}`);
+  }
+
+  return {
+    key,
+    name: profile.name || key,
+    rpc_url: rpcUrls[0],
+    rpc_urls: rpcUrls,
+    chain_id: chainId,
+    currency_symbol: profile.currency_symbol || 'ETH',
+    explorer_url: (profile.explorer_url || '').replace(/\/+$/, ''),
+    contracts: { ...(profile.contracts || {}) }
+  };
+}
+
+module.exports = {
+  getNetworkProfile,
+  getNetworkProfiles
+};
\ No newline at end of file
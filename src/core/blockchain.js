@@ -6,38 +6,62 @@ const { ethers } = require('ethers');
 const constants = require('../utils/constants');
 const logger = require('../utils/logger');
 const ProxyManager = require('./proxy');
+const TransactionTracker = require('./tracker');
+const RpcPool = require('./rpcpool');
+const PooledProvider = require('./provider');
+const TransactionJournal = require('./journal');
+const CheckpointStore = require('./checkpoint');
+const DryRunPlan = require('./dryrun');
+const EventBus = require('./events');
+const Tracer = require('./tracing');
+const { RetryPolicy } = require('./retry');
+const { extractRevertData, decodeRevertData } = require('../utils/revert');
+const { getNetworkProfile } = require('../config/network');
+const { RevertError, ConfigError, normalizeError, toFailureResult } = require('../utils/errors');
 
 class Blockchain {
   /**
    * Create a new blockchain interaction manager
-   * @param {string} privateKey Private key for the wallet
+   * @param {Object|string} signer ethers Signer of the wallet (a private key string is also accepted)
    * @param {Object} config Configuration object
    * @param {number|null} walletNum Optional wallet number for logging
    */
-  constructor(privateKey, config = {}, walletNum = null) {
+  constructor(signer, config = {}, walletNum = null) {
     this.config = config;
     this.walletNum = walletNum;
     this.logger = walletNum !== null ? 
       logger.getInstance(walletNum) : 
       logger.getInstance();
     
-    // Initialize provider
-    this.rpcUrl = constants.NETWORK.RPC_URL;
-    this.provider = this._createProvider(this.rpcUrl);
+    // Resolve active network profile
+    this.network = config.getNetwork ? config.getNetwork() : getNetworkProfile(config);
     
-    // Initialize wallet if private key provided
-    if (privateKey) {
-      if (!privateKey.startsWith('0x')) {
-        privateKey = '0x' + privateKey;
+    // Initialize provider over the shared RPC endpoint pool
+    this.rpcPool = RpcPool.getInstance();
+    this.provider = this._createProvider();
+    
+    // Connect the wallet's signer to the pooled provider
+    if (signer) {
+      if (typeof signer === 'string') {
+        signer = new ethers.Wallet(signer.startsWith('0x') ? signer : `0x${signer}`);
       }
-      this.wallet = new ethers.Wallet(privateKey, this.provider);
-      this.address = this.wallet.address;
-      this.privateKey = privateKey;
+      this.signer = signer;
+      this.wallet = signer.connect(this.provider);
+      this.address = signer.address;
     }
     
     // Track nonce values for this session
     this.currentNonce = null;
     
+    // OperationResult of the running operation, collects sent transactions
+    this.operationResult = null;
+    
+    // EIP-1559 support is detected on first fee lookup (null = unknown)
+    this.supportsEip1559 = null;
+    
+    // Speeds up or cancels transactions that do not confirm in time
+    this.txTracker = new TransactionTracker(this);
+    
     // Log proxy status if enabled
     const proxyManager = ProxyManager.getInstance();
     if (proxyManager.isEnabled() && proxyManager.currentProxy) {
@@ -46,35 +70,46 @@ class Blockchain {
   }
   
   /**
-   * Create a JSON-RPC provider with proxy support
-   * @param {string} rpcUrl RPC endpoint URL
-   * @returns {ethers.JsonRpcProvider} Provider instance
+   * Create a provider backed by the network's RPC endpoint pool
+   * @returns {PooledProvider} Provider instance
    * @private
    */
-  _createProvider(rpcUrl) {
-    const proxyManager = ProxyManager.getInstance();
-    let fetchFn = undefined;
-    const proxyHeaders = proxyManager.getHeaders();
-    
-    if (Object.keys(proxyHeaders).length > 0) {
-      // Create a custom fetch function that adds proxy headers
-      fetchFn = async (url, json) => {
-        const response = await fetch(url, {
-          method: 'POST',
-          body: json,
-          headers: {
-            'Content-Type': 'application/json',
-            ...proxyHeaders
-          }
-        });
-        return response;
-      };
+  _createProvider() {
+    this.rpcPool.setNetwork(this.network, this.config);
+    return new PooledProvider(this.rpcPool, this.network);
+  }
+  
+  /**
+   * Resolve a contract address from the active network's address book
+   * @param {string} name Address book entry (e.g. 'ping', 'router')
+   * @returns {string} Contract address
+   */
+  getContractAddress(name) {
+    const address = this.network.contracts[name];
+    
+    if (!address) {
+      throw new ConfigError(`No "${name}" contract address configured for network ${this.network.name}`);
     }
     
-    // Create provider with custom fetch function if available
-    return new ethers.JsonRpcProvider(rpcUrl, undefined, { 
-      fetchFunc: fetchFn 
-    });
+    return address;
+  }
+  
+  /**
+   * Get explorer link for a transaction
+   * @param {string} txHash Transaction hash
+   * @returns {string} Explorer URL, or the bare hash if the network has no explorer
+   */
+  getTxUrl(txHash) {
+    return this.network.explorer_url ? `${this.network.explorer_url}/tx/${txHash}` : txHash;
+  }
+  
+  /**
+   * Get explorer link for an address
+   * @param {string} address Account or contract address
+   * @returns {string} Explorer URL, or the bare address if the network has no explorer
+   */
+  getAddressUrl(address) {
+    return this.network.explorer_url ? `${this.network.explorer_url}/address/${address}` : address;
   }
   
   /**
@@ -96,12 +131,11 @@ class Blockchain {
     
     if (newProxy) {
       // Re-initialize provider with new proxy
-      this.provider = this._createProvider(this.rpcUrl);
+      this.provider = this._createProvider();
       
-      // Reinitialize wallet with new provider
-      if (this.privateKey) {
-        this.wallet = new ethers.Wallet(this.privateKey, this.provider);
-        this.address = this.wallet.address;
+      // Reconnect the signer to the new provider
+      if (this.signer) {
+        this.wallet = this.signer.connect(this.provider);
       }
       
       this.logger.info(`Changed proxy to: ${newProxy}`);
@@ -136,20 +170,31 @@ class Blockchain {
   
   /**
    * Reset the nonce counter (forces refresh on next use)
+   * Kept in dry-run mode: planned transactions never reach the chain, so its nonce would go backwards
    */
   resetNonce() {
+    if (this.isDryRun()) return;
     this.currentNonce = null;
   }
   
+  /**
+   * Check if dry-run mode is enabled (plan and simulate, never broadcast)
+   * @returns {boolean}
+   */
+  isDryRun() {
+    return DryRunPlan.isEnabled(this.config);
+  }
+  
   /**
    * Get current gas price with multiplier and retry logic
    * @param {number} retryCount Current retry attempt
+   * @param {number} retryIncrease Fee multiplier per retry
    * @returns {Promise<BigInt>} Gas price in wei
    */
-  async getGasPrice(retryCount = 0) {
+  async getGasPrice(retryCount = 0, retryIncrease = constants.GAS.RETRY_INCREASE) {
     try {
       // Get current gas price from network
-      const feeData = await this.provider.getFeeData();
+      const feeData = await this.readWithRetry(() => this.provider.getFeeData(), 'getFeeData');
       const networkGasPrice = feeData.gasPrice;
       
       // Apply configured multiplier
@@ -158,7 +203,7 @@ class Blockchain {
       
       // Apply additional multiplier on retries
       if (retryCount > 0) {
-        const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
+        const retryMultiplier = Math.pow(retryIncrease, retryCount);
         multiplier *= retryMultiplier;
         this.logger.info(`Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`);
       }
@@ -187,17 +232,6 @@ class Blockchain {
     } catch (error) {
       this.logger.warn(`Error getting gas price: ${error.message}`);
       
-      const proxyManager = ProxyManager.getInstance();
-      
-      // Handle proxy errors
-      if (proxyManager.isEnabled() && error.message.includes('proxy')) {
-        this.logger.warn('Proxy error detected, trying to change proxy...');
-        this.changeProxy();
-        if (retryCount < 3) {
-          return this.getGasPrice(retryCount + 1);
-        }
-      }
-      
       // Fallback to minimum gas price
       const fallbackGasPrice = ethers.parseUnits(constants.GAS.MIN_GWEI.toString(), 'gwei');
       this.logger.warn(`Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`);
@@ -206,6 +240,126 @@ class Blockchain {
     }
   }
   
+  /**
+   * Get configured fee mode
+   * @returns {string} 'auto', 'eip1559' or 'legacy'
+   */
+  getFeeMode() {
+    const mode = this.config.get ?
+      this.config.get('general.fee_mode', 'auto') :
+      (this.config.general?.fee_mode || 'auto');
+    return String(mode).toLowerCase();
+  }
+  
+  /**
+   * Get fee fields for the next transaction
+   * Uses EIP-1559 (type 2) fees when the network reports a base fee, legacy gas price otherwise
+   * @param {number} retryCount Current retry attempt
+   * @param {number} retryIncrease Fee multiplier per retry
+   * @returns {Promise<Object>} Fee fields: { type, maxFeePerGas, maxPriorityFeePerGas } or { type, gasPrice }
+   */
+  async getFeeData(retryCount = 0, retryIncrease = constants.GAS.RETRY_INCREASE) {
+    const feeMode = this.getFeeMode();
+    
+    if (feeMode !== 'legacy' && this.supportsEip1559 !== false) {
+      const eip1559Fees = await this.getEip1559Fees(retryCount, retryIncrease);
+      if (eip1559Fees) {
+        return eip1559Fees;
+      }
+      
+      if (feeMode === 'eip1559') {
+        this.logger.warn('EIP-1559 fees requested but unavailable, falling back to legacy gas price');
+      }
+    }
+    
+    const gasPrice = await this.getGasPrice(retryCount, retryIncrease);
+    return { type: 0, gasPrice };
+  }
+  
+  /**
+   * Derive EIP-1559 fees from eth_feeHistory
+   * @param {number} retryCount Current retry attempt
+   * @param {number} retryIncrease Fee multiplier per retry
+   * @returns {Promise<Object|null>} Type 2 fee fields, or null if the network has no base fee
+   */
+  async getEip1559Fees(retryCount = 0, retryIncrease = constants.GAS.RETRY_INCREASE) {
+    try {
+      const history = await this.readWithRetry(() => this.provider.send('eth_feeHistory', [
+        ethers.toQuantity(constants.GAS.FEE_HISTORY_BLOCKS),
+        'latest',
+        [constants.GAS.FEE_HISTORY_PERCENTILE]
+      ]), 'eth_feeHistory');
+      
+      // Last entry is the base fee of the next block
+      const baseFees = (history?.baseFeePerGas || []).map(fee => BigInt(fee));
+      const nextBaseFee = baseFees.length > 0 ? baseFees[baseFees.length - 1] : BigInt(0);
+      
+      if (nextBaseFee === BigInt(0)) {
+        this.logger.info('Network does not report a base fee, using legacy transactions');
+        this.supportsEip1559 = false;
+        return null;
+      }
+      
+      this.supportsEip1559 = true;
+      
+      // Median of the per-block priority fee rewards, ignoring empty blocks
+      const rewards = (history.reward || [])
+        .map(blockRewards => BigInt(blockRewards[0] || 0))
+        .filter(reward => reward > BigInt(0))
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      
+      const minPriorityFee = ethers.parseUnits(constants.GAS.MIN_PRIORITY_GWEI.toString(), 'gwei');
+      let priorityFee = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : minPriorityFee;
+      if (priorityFee < minPriorityFee) {
+        priorityFee = minPriorityFee;
+      }
+      
+      // Apply configured multiplier, bumped on retries
+      let multiplier = (this.config.get && this.config.get('general.gas_price_multiplier')) || 
+                       constants.GAS.PRICE_MULTIPLIER;
+      
+      if (retryCount > 0) {
+        const retryMultiplier = Math.pow(retryIncrease, retryCount);
+        multiplier *= retryMultiplier;
+        this.logger.info(`Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`);
+      }
+      
+      let maxPriorityFeePerGas = BigInt(Math.floor(Number(priorityFee) * multiplier));
+      let maxFeePerGas = BigInt(Math.floor(Number(nextBaseFee) * constants.GAS.BASE_FEE_MULTIPLIER * multiplier)) + 
+                         maxPriorityFeePerGas;
+      
+      // Enforce min/max fee cap
+      const minFee = ethers.parseUnits(constants.GAS.MIN_GWEI.toString(), 'gwei');
+      const maxFee = ethers.parseUnits(constants.GAS.MAX_GWEI.toString(), 'gwei');
+      
+      if (maxFeePerGas < minFee) {
+        maxFeePerGas = minFee;
+      } else if (maxFeePerGas > maxFee) {
+        maxFeePerGas = maxFee;
+        this.logger.warn(`Max fee above maximum, using: ${constants.GAS.MAX_GWEI} gwei`);
+      }
+      
+      if (maxPriorityFeePerGas > maxFeePerGas) {
+        maxPriorityFeePerGas = maxFeePerGas;
+      }
+      
+      this.logger.info(
+        `Base fee: ${ethers.formatUnits(nextBaseFee, 'gwei')} gwei, ` +
+        `using max fee: ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei, ` +
+        `priority fee: ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} gwei (${multiplier.toFixed(2)}x)`
+      );
+      
+      return {
+        type: 2,
+        maxFeePerGas,
+        maxPriorityFeePerGas
+      };
+    } catch (error) {
+      this.logger.warn(`Error getting fee history: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Estimate gas for a transaction
    * @param {Object} txObject Transaction object
@@ -214,7 +368,8 @@ class Blockchain {
   async estimateGas(txObject) {
     try {
       // Estimate gas from the network
-      const estimatedGas = await this.provider.estimateGas(txObject);
+      const estimatedGas = await Tracer.getInstance().withSpan('estimate_gas', {},
+        () => this.readWithRetry(() => this.provider.estimateGas(txObject), 'estimateGas'));
       
       // Add 20% safety buffer
       const gasWithBuffer = BigInt(Math.floor(Number(estimatedGas) * 1.2));
@@ -225,18 +380,6 @@ class Blockchain {
     } catch (error) {
       this.logger.warn(`Gas estimation failed: ${error.message}`);
       
-      const proxyManager = ProxyManager.getInstance();
-      
-      // Handle proxy errors
-      if (proxyManager.isEnabled() && error.message.includes('proxy')) {
-        this.logger.warn('Proxy error detected, trying to change proxy...');
-        this.changeProxy();
-        if (txObject.retry === undefined || txObject.retry < 3) {
-          const newTxObject = { ...txObject, retry: (txObject.retry || 0) + 1 };
-          return this.estimateGas(newTxObject);
-        }
-      }
-      
       // Use default gas limit
       const defaultGas = constants.GAS.DEFAULT_GAS;
       this.logger.warn(`Using default gas: ${defaultGas}`);
@@ -244,126 +387,457 @@ class Blockchain {
     }
   }
   
+  /**
+   * Check if pre-flight simulation is enabled
+   * @returns {boolean}
+   */
+  isSimulationEnabled() {
+    if (this.isDryRun()) return true;
+    
+    return this.config.get ?
+      this.config.get('transactions.simulate', true) !== false :
+      this.config.transactions?.simulate !== false;
+  }
+  
+  /**
+   * Simulate a transaction with eth_call against the pending block
+   * @param {Object} txObject Transaction object
+   * @param {Array|Object|null} abi ABI(s) used to decode custom errors
+   * @param {string} methodName Method name for logging
+   * @param {Object} context Event context ({ operation, step })
+   * @returns {Promise<Object>} { success, revert } - revert is set when the call would revert
+   */
+  async simulateTransaction(txObject, abi = null, methodName = "transaction", context = {}) {
+    if (!this.isSimulationEnabled()) {
+      return { success: true, skipped: true };
+    }
+    
+    try {
+      await Tracer.getInstance().withSpan('simulate', { 'tx.method': methodName }, () => this.provider.call({
+        from: this.address,
+        to: txObject.to,
+        data: txObject.data,
+        value: txObject.value,
+        blockTag: 'pending'
+      }));
+      
+      this.publishEvent(EventBus.EVENTS.TX_SIMULATED, context, {
+        method: methodName,
+        to: txObject.to || null,
+        success: true,
+        revert: null,
+        dry_run: this.isDryRun()
+      });
+      return { success: true };
+    } catch (error) {
+      const revertData = extractRevertData(error);
+      
+      if (revertData === null) {
+        // Simulation itself failed (RPC error), let the real send decide
+        this.logger.warn(`Could not simulate ${methodName}: ${error.shortMessage || error.message}`);
+        return { success: true, skipped: true };
+      }
+      
+      const revert = decodeRevertData(revertData, abi);
+      this.logger.error(`${methodName} would revert: ${revert.reason}`);
+      
+      this.publishEvent(EventBus.EVENTS.TX_SIMULATED, context, {
+        method: methodName,
+        to: txObject.to || null,
+        success: false,
+        revert: revert.reason,
+        dry_run: this.isDryRun()
+      });
+      return { success: false, revert };
+    }
+  }
+  
+  /**
+   * Get the retry policy for a call kind, optionally scoped to an operation step
+   * @param {string} kind Call kind: 'tx', 'rpc' or 'http'
+   * @param {string|null} operationName Operation name
+   * @param {string|null} stepName Step inside the operation
+   * @returns {RetryPolicy} Resolved policy
+   */
+  getRetryPolicy(kind = 'tx', operationName = null, stepName = null) {
+    return RetryPolicy.resolve(this.config, kind, operationName, stepName);
+  }
+  
+  /**
+   * Switch proxy before retrying a call that failed on the connection
+   * @param {string} category Error category of the failed attempt
+   */
+  handleRetryCategory(category) {
+    const proxyManager = ProxyManager.getInstance();
+    
+    if (proxyManager.isEnabled() && (category === 'network' || category === 'timeout')) {
+      this.logger.warn('Possible proxy error detected, trying to change proxy...');
+      this.changeProxy();
+    }
+  }
+  
+  /**
+   * Run a read-only RPC call under the 'rpc' retry policy
+   * @param {Function} fn Function performing the call
+   * @param {string} name Call name for logging
+   * @returns {Promise<*>} Call result; throws the last error if every attempt failed
+   */
+  async readWithRetry(fn, name) {
+    return await this.getRetryPolicy('rpc').execute(fn, {
+      name,
+      logger: this.logger,
+      onRetry: (error, category) => this.handleRetryCategory(category)
+    });
+  }
+  
   /**
    * Send a transaction to the blockchain
+   * Failed attempts are retried under the 'tx' retry policy with a fresh nonce and bumped fees
    * @param {Object} txObject Transaction object
    * @param {string} methodName Method name for logging
+   * @param {Object} options Send options
+   * @param {RetryPolicy} options.policy Retry policy, defaults to the global 'tx' policy
+   * @param {Array|Object|null} options.abi ABI(s) used to decode revert reasons
+   * @param {string|null} options.operation Operation name for the transaction journal
+   * @param {string|null} options.step Step name for the transaction journal
    * @returns {Promise<Object>} Transaction result
    */
-  async sendTransaction(txObject, methodName = "transaction") {
+  async sendTransaction(txObject, methodName = "transaction", options = {}) {
+    if (this.isDryRun()) {
+      return await this.planTransaction(txObject, methodName, options);
+    }
+    
+    const policy = options.policy || this.getRetryPolicy('tx');
+    
+    return await policy.execute(
+      ({ retryCount }) => this.traceTransaction(methodName, options, retryCount,
+        () => this.sendTransactionOnce(txObject, methodName, options, retryCount, policy.gasIncrease)),
+      {
+        name: methodName,
+        logger: this.logger,
+        isFailure: result => !result.success,
+        onRetry: (failure, category) => {
+          this.resetNonce();
+          this.handleRetryCategory(category);
+        }
+      }
+    );
+  }
+  
+  /**
+   * Trace a transaction attempt as a span
+   * The hash and nonce are added when the transaction is broadcast, gas and status when it is recorded.
+   * @param {string} methodName Method name used in logs
+   * @param {Object} context { operation, step }
+   * @param {number} retryCount Retry attempt, 0 for the first
+   * @param {Function} fn Sends the transaction
+   * @returns {Promise<*>} Result of fn; a failed result ({ success: false }) marks the span as failed
+   */
+  async traceTransaction(methodName, context, retryCount, fn) {
+    return await Tracer.getInstance().withSpan(`transaction ${methodName}`, {
+      'wallet.number': this.walletNum,
+      'wallet.address': this.address,
+      'operation.name': context.operation || null,
+      'step.name': context.step || null,
+      'tx.method': methodName,
+      'tx.attempt': retryCount + 1
+    }, async (span) => {
+      const result = await fn();
+      if (result && result.success === false) span.recordError(result);
+      return result;
+    }, { kind: Tracer.SPAN_KIND.CLIENT });
+  }
+  
+  /**
+   * Plan a transaction in dry-run mode: simulate and estimate it, record it, never sign or broadcast it
+   * @param {Object} txObject Transaction object (no 'to' for deployments)
+   * @param {string} methodName Method name for logging
+   * @param {Object} options Plan options (abi, operation, step)
+   * @returns {Promise<Object>} Result with dryRun set; a predicted revert is a failed result
+   */
+  async planTransaction(txObject, methodName, options = {}) {
+    const { abi = null } = options;
+    const plan = DryRunPlan.getInstance();
+    
+    const nonce = await this.getNonce();
+    const feeData = await this.getFeeData();
+    const request = {
+      from: this.address,
+      ...txObject,
+      nonce,
+      chainId: this.network.chain_id
+    };
+    
+    let gasLimit = request.gasLimit ?? null;
+    let revert = null;
+    let failure = null;
+    let note = null;
+    
+    if (plan.isPlannedContract(request.to)) {
+      // The contract only exists in this plan, the chain cannot execute the call
+      note = 'target is deployed earlier in this plan, not simulated';
+    } else {
+      const simulation = await this.simulateTransaction(request, abi, methodName, options);
+      
+      if (!simulation.success) {
+        revert = simulation.revert;
+        failure = new RevertError(`Transaction would revert: ${revert.reason}`, { revert });
+      } else if (gasLimit === null) {
+        try {
+          gasLimit = await this.readWithRetry(() => this.provider.estimateGas(request), 'estimateGas');
+        } catch (error) {
+          failure = normalizeError(error);
+        }
+      }
+    }
+    
+    const entry = plan.record({
+      wallet: this.address,
+      walletNum: this.walletNum,
+      operation: options.operation || null,
+      step: options.step || null,
+      method: methodName,
+      to: request.to || null,
+      value: request.value || 0,
+      data: request.data || '0x',
+      nonce,
+      gasLimit,
+      feePerGas: feeData.maxFeePerGas ?? feeData.gasPrice ?? null,
+      contractAddress: request.to ? null : ethers.getCreateAddress({ from: this.address, nonce }),
+      revert: failure ? (revert ? revert.reason : failure.message) : null,
+      note
+    });
+    
+    if (failure) {
+      this.logger.warn(`Dry run: ${methodName} would fail: ${entry.revert}`);
+      return { ...toFailureResult(failure), dryRun: true };
+    }
+    
+    // Later planned transactions take the next nonce, as they would on chain
+    this.incrementNonce();
+    this.logger.info(`Dry run: ${methodName} planned, not broadcast (gas: ${gasLimit ?? 'unknown'})`);
+    
+    return {
+      success: true,
+      dryRun: true,
+      txHash: null,
+      contractAddress: entry.contractAddress,
+      plan: entry
+    };
+  }
+  
+  /**
+   * Send a transaction once, without retries
+   * @param {Object} txObject Transaction object
+   * @param {string} methodName Method name for logging
+   * @param {Object} options Send options (abi, operation, step)
+   * @param {number} retryCount Retry attempt, used to bump fees
+   * @param {number} retryIncrease Fee multiplier per retry
+   * @returns {Promise<Object>} Transaction result
+   * @private
+   */
+  async sendTransactionOnce(txObject, methodName, options, retryCount, retryIncrease) {
+    const { abi = null } = options;
+    let txTemplate = null;
+    let tx = null;
+    
     try {
-      const chainId = constants.NETWORK.CHAIN_ID;
-      const explorerUrl = constants.NETWORK.EXPLORER_URL;
+      const chainId = this.network.chain_id;
       
-      // Get nonce and gas price
+      // Get nonce and fees
       const nonce = await this.getNonce();
-      const gasPrice = await this.getGasPrice();
+      const feeData = await this.getFeeData(retryCount, retryIncrease);
       
       // Create transaction template
-      const txTemplate = {
+      txTemplate = {
         from: this.address,
         ...txObject,
         nonce: nonce,
         chainId: chainId
       };
       
+      // Simulate first so deterministic reverts fail fast without spending gas
+      const simulation = await this.simulateTransaction(txTemplate, abi, methodName, options);
+      if (!simulation.success) {
+        const error = new RevertError(`Transaction would revert: ${simulation.revert.reason}`, {
+          revert: simulation.revert
+        });
+        await this.recordTransaction(methodName, options, { request: txTemplate, error });
+        return toFailureResult(error);
+      }
+      
       // Estimate gas if not provided
       if (!txTemplate.gasLimit) {
         txTemplate.gasLimit = await this.estimateGas(txTemplate);
       }
       
-      // Set gas price if not provided
-      if (!txTemplate.gasPrice) {
-        txTemplate.gasPrice = gasPrice;
+      // Set fees if not provided
+      if (!txTemplate.gasPrice && !txTemplate.maxFeePerGas) {
+        Object.assign(txTemplate, feeData);
       }
       
       // Increment nonce before sending
       this.incrementNonce();
       
-      // Send transaction
-      const tx = await this.wallet.sendTransaction(txTemplate);
-      const receipt = await tx.wait();
+      // Send transaction and wait for it (or its replacement) to confirm
+      tx = await this.wallet.sendTransaction(txTemplate);
+      await this.noteBroadcast(tx, methodName, options);
+      const { receipt, replacements } = await this.waitForTransaction(tx, methodName, retryIncrease);
       
       this.logger.success(`${methodName} transaction successful`);
+      await this.recordTransaction(methodName, options, { tx, receipt, replacements });
       
       return {
         txHash: receipt.hash,
         receipt,
+        replacements,
         success: true
       };
-    } catch (error) {
-      // Extract clean error message
-      let cleanErrorMessage = '';
-      
-      if (error.code) {
-        // Use error code if available
-        cleanErrorMessage = error.code;
-        
-        // Add specific details for common errors
-        if (error.code === 'INSUFFICIENT_FUNDS') {
-          cleanErrorMessage = 'Insufficient funds for transaction';
-        } else if (error.code === 'NONCE_EXPIRED') {
-          cleanErrorMessage = 'Nonce has already been used';
-        } else if (error.code === 'REPLACEMENT_UNDERPRICED') {
-          cleanErrorMessage = 'Gas price too low to replace pending transaction';
-        } else if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
-          cleanErrorMessage = 'Cannot estimate gas for transaction';
-        } else {
-          // Add additional error information when helpful
-          if (error.reason) {
-            cleanErrorMessage += `: ${error.reason}`;
-          }
-        }
-      } else {
-        // Use message if no code is available
-        cleanErrorMessage = error.message;
-        
-        // Try to extract the most relevant part
-        if (error.message.includes(':')) {
-          cleanErrorMessage = error.message.split(':')[0].trim();
-        }
-      }
-      
-      this.logger.error(`Error in ${methodName}: ${cleanErrorMessage}`);
-      
-      const proxyManager = ProxyManager.getInstance();
-      
-      // Handle proxy errors
-      if (proxyManager.isEnabled() &&
-          (error.message.includes('proxy') || 
-           error.message.includes('ETIMEDOUT') || 
-           error.message.includes('ECONNREFUSED') || 
-           error.message.includes('ECONNRESET'))) {
-        
-        this.logger.warn('Possible proxy error detected, trying to change proxy...');
-        this.changeProxy();
-        
-        // Retry with new proxy
-        if (txObject.retryCount === undefined || txObject.retryCount < 3) {
-          this.logger.info(`Retrying transaction with new proxy (attempt ${(txObject.retryCount || 0) + 1}/3)...`);
-          const newTxObject = { ...txObject, retryCount: (txObject.retryCount || 0) + 1 };
-          return this.sendTransaction(newTxObject, methodName);
-        }
-      }
-      
-      return {
-        success: false,
-        error: cleanErrorMessage,
-        code: error.code || 'UNKNOWN_ERROR',
-        details: error
-      };
+    } catch (caught) {
+      // Once broadcast, a retry could send the call twice
+      const error = tx ? TransactionTracker.toPendingError(caught, [tx.hash]) : caught;
+      const failure = toFailureResult(error);
+      this.logger.error(`Error in ${methodName}: ${failure.error}`, { errorCode: failure.code, txHash: tx?.hash });
+      await this.recordTransaction(methodName, options, {
+        request: txTemplate,
+        tx,
+        replacements: error.replacements,
+        error
+      });
+      return failure;
+    }
+  }
+  
+  /**
+   * Set the result that collects transactions sent by the running operation
+   * @param {OperationResult|null} result Operation result, null when the operation finished
+   */
+  setOperationResult(result) {
+    this.operationResult = result;
+  }
+  
+  /**
+   * Publish a lifecycle event with the wallet and operation of this blockchain instance
+   * @param {string} type Event type (EventBus.EVENTS)
+   * @param {Object} context { operation, step }, the operation defaults to the running operation
+   * @param {Object} fields Event fields
+   */
+  publishEvent(type, context = {}, fields = {}) {
+    EventBus.getInstance().publish(type, {
+      wallet: this.walletNum,
+      address: this.address,
+      operation: context.operation || this.operationResult?.operation || null,
+      step: context.step || null,
+      ...fields
+    });
+  }
+  
+  /**
+   * Record a sent (or attempted) transaction in the transaction journal and the operation result,
+   * and publish tx:confirmed or tx:failed
+   * @param {string} methodName Method name used in logs
+   * @param {Object} context Journal context
+   * @param {string|null} context.operation Operation name
+   * @param {string|null} context.step Step inside the operation
+   * @param {Object} details { request, tx, receipt, replacements, error }
+   * @returns {Promise<void>}
+   */
+  async recordTransaction(methodName, context = {}, details = {}) {
+    await TransactionJournal.getInstance().recordTransaction({
+      wallet: this.address,
+      walletNum: this.walletNum,
+      network: this.network,
+      operation: context.operation || null,
+      step: context.step || null,
+      method: methodName,
+      ...details,
+      replacements: details.replacements || (details.tx ? [details.tx.hash] : [])
+    });
+    
+    const receipt = details.receipt || details.error?.receipt || null;
+    if (this.operationResult && (details.tx || details.receipt)) {
+      this.operationResult.addTransaction({
+        hash: details.tx?.hash || null,
+        receipt
+      });
+    }
+    
+    // Gas is paid for mined transactions, reverted ones included
+    const gasUsed = receipt?.gasUsed ?? null;
+    Tracer.getInstance().getActiveSpan()?.setAttributes({
+      'tx.status': details.error ? 'failed' : (receipt ? 'confirmed' : null),
+      'tx.gas_used': gasUsed !== null ? Number(gasUsed) : null,
+      'tx.block_number': receipt?.blockNumber ?? null
+    });
+    const feeWei = gasUsed !== null && receipt?.gasPrice !== undefined && receipt?.gasPrice !== null ?
+      (BigInt(gasUsed) * BigInt(receipt.gasPrice)).toString() :
+      null;
+    
+    if (details.error) {
+      const error = normalizeError(details.error);
+      this.publishEvent(EventBus.EVENTS.TX_FAILED, context, {
+        method: methodName,
+        tx_hash: receipt?.hash || details.tx?.hash || null,
+        gas_used: gasUsed !== null ? gasUsed.toString() : null,
+        fee_wei: feeWei,
+        error: error.message,
+        error_code: error.code || null,
+        category: error.category || null
+      });
+    } else if (receipt) {
+      this.publishEvent(EventBus.EVENTS.TX_CONFIRMED, context, {
+        method: methodName,
+        tx_hash: receipt.hash,
+        block_number: receipt.blockNumber,
+        gas_used: gasUsed !== null ? gasUsed.toString() : null,
+        fee_wei: feeWei,
+        value_wei: BigInt(details.tx?.value ?? 0).toString(),
+        contract_address: receipt.contractAddress || null
+      });
     }
   }
   
+  /**
+   * Attach a broadcast transaction to the running checkpoint step and publish tx:sent
+   * On restart the step is resolved from its receipt instead of being sent again
+   * @param {Object} tx Broadcast ethers TransactionResponse
+   * @param {string|null} methodName Method name used in logs
+   * @param {Object} context Event context ({ operation, step })
+   * @returns {Promise<void>}
+   */
+  async noteBroadcast(tx, methodName = null, context = {}) {
+    await CheckpointStore.getInstance().recordBroadcast(tx.hash);
+    Tracer.getInstance().getActiveSpan()?.setAttributes({ 'tx.hash': tx.hash, 'tx.nonce': tx.nonce });
+    this.publishEvent(EventBus.EVENTS.TX_SENT, context, {
+      method: methodName,
+      tx_hash: tx.hash,
+      to: tx.to || null,
+      nonce: tx.nonce
+    });
+  }
+  
+  /**
+   * Wait for a broadcast transaction to confirm
+   * Stuck transactions are re-broadcast with bumped fees and finally cancelled
+   * @param {Object} tx Broadcast ethers TransactionResponse
+   * @param {string} methodName Method name for logging
+   * @param {number|null} gasIncrease Fee multiplier per speed-up, defaults to retry.tx.gas_increase
+   * @returns {Promise<Object>} { receipt, hash, replacements }
+   */
+  async waitForTransaction(tx, methodName = "transaction", gasIncrease = null) {
+    return await Tracer.getInstance().withSpan('wait_for_confirmation', { 'tx.hash': tx.hash, 'tx.nonce': tx.nonce },
+      () => this.txTracker.waitForConfirmation(tx, methodName, gasIncrease));
+  }
+  
   /**
    * Get wallet balance
    * @returns {Promise<Object>} Balance information
    */
   async getBalance() {
     try {
-      const currency = constants.NETWORK.CURRENCY_SYMBOL;
+      const currency = this.network.currency_symbol;
       
-      const balance = await this.provider.getBalance(this.address);
+      const balance = await this.readWithRetry(() => this.provider.getBalance(this.address), 'getBalance');
       const balanceInEth = ethers.formatEther(balance);
       
       this.logger.info(`Balance: ${balanceInEth} ${currency}`);
@@ -376,26 +850,10 @@ class Blockchain {
     } catch (error) {
       this.logger.error(`Error getting balance: ${error.message}`);
       
-      const proxyManager = ProxyManager.getInstance();
-      
-      // Handle proxy errors
-      if (proxyManager.isEnabled() && 
-          (error.message.includes('proxy') || 
-           error.message.includes('ETIMEDOUT') || 
-           error.message.includes('ECONNREFUSED') || 
-           error.message.includes('ECONNRESET'))) {
-        
-        this.logger.warn('Proxy error detected, trying to change proxy...');
-        if (this.changeProxy()) {
-          this.logger.info('Retrying getBalance with new proxy...');
-          return this.getBalance();
-        }
-      }
-      
       return {
         balance: BigInt(0),
         balanceInEth: '0',
-        currency: constants.NETWORK.CURRENCY_SYMBOL,
+        currency: this.network.currency_symbol,
         error: error.message
       };
     }
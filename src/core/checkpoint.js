@@ -0,0 +1,298 @@
+/**
+ * Cycle Checkpoints
+ * Singleton store that records per-wallet, per-operation step progress so an interrupted cycle can resume
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { sectionReader } = require('../utils/settings');
+const DryRunPlan = require('./dryrun');
+
+const DEFAULT_PATH = 'data/checkpoint.json';
+
+/**
+ * JSON replacer that keeps BigInt values
+ * @private
+ */
+function replacer(key, value) {
+  return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+/**
+ * JSON reviver that restores BigInt values
+ * @private
+ */
+function reviver(key, value) {
+  return value && typeof value === 'object' && typeof value.$bigint === 'string' ?
+    BigInt(value.$bigint) :
+    value;
+}
+
+class CheckpointStore {
+  constructor() {
+    this.enabled = true;
+    this.path = DEFAULT_PATH;
+    this.state = null;
+    this.activeStep = null;
+    this.logger = logger.getInstance();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {CheckpointStore} The singleton instance
+   */
+  static getInstance() {
+    if (!CheckpointStore.instance) {
+      CheckpointStore.instance = new CheckpointStore();
+    }
+    return CheckpointStore.instance;
+  }
+
+  /**
+   * Read settings and load an unfinished cycle, if any
+   * @param {Object} config Configuration object
+   * @returns {Promise<string|null>} Run id of the interrupted cycle, or null
+   */
+  async initialize(config = {}) {
+    const read = sectionReader(config, 'checkpoint');
+
+    // A dry run completes nothing, so it must not mark steps as done for the real run
+    this.enabled = read('enabled', true) !== false && !DryRunPlan.isEnabled(config);
+    this.path = read('path', DEFAULT_PATH);
+    this.state = null;
+    this.activeStep = null;
+
+    if (!this.enabled) return null;
+
+    try {
+      const state = JSON.parse(await fs.readFile(this.path, 'utf8'), reviver);
+      if (state && state.run_id && !state.completed_at) {
+        this.state = state;
+        return state.run_id;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Ignoring unreadable checkpoint ${this.path}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Start checkpointing a new cycle (no-op when resuming one)
+   * @param {string} runId Run id
+   * @returns {Promise<void>}
+   */
+  async begin(runId) {
+    if (!this.enabled) return;
+
+    if (!this.state || this.state.run_id !== runId) {
+      this.state = {
+        run_id: runId,
+        started_at: new Date().toISOString(),
+        completed_at: null,
+        wallets: {}
+      };
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Mark the cycle as completed, so the next start begins a new one
+   * @returns {Promise<void>}
+   */
+  async complete() {
+    if (!this.enabled || !this.state) return;
+
+    this.state.completed_at = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * Persist the state atomically (write to a temp file, then rename)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.enabled || !this.state) return;
+
+    const content = JSON.stringify(this.state, replacer, 2);
+
+    this.writing = this.writing
+      .then(async () => {
+        const tempPath = `${this.path}.tmp`;
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(tempPath, content, 'utf8');
+        await fs.rename(tempPath, this.path);
+      })
+      .catch(error => {
+        this.logger.warn(`Could not write checkpoint ${this.path}: ${error.message}`);
+      });
+
+    return this.writing;
+  }
+
+  /**
+   * Get (and create) the checkpoint of a wallet
+   * @param {string} wallet Wallet address
+   * @returns {Object|null} Wallet checkpoint, or null when disabled
+   * @private
+   */
+  _wallet(wallet) {
+    if (!this.enabled || !this.state) return null;
+
+    const key = wallet.toLowerCase();
+    this.state.wallets[key] = this.state.wallets[key] || { status: 'pending', operations: {} };
+    return this.state.wallets[key];
+  }
+
+  /**
+   * Get (and create) the checkpoint of an operation
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @returns {Object|null} Operation checkpoint, or null when disabled
+   * @private
+   */
+  _operation(wallet, operation) {
+    const walletState = this._wallet(wallet);
+    if (!walletState) return null;
+
+    walletState.operations[operation] = walletState.operations[operation] ||
+      { status: 'pending', steps: {}, values: {} };
+    return walletState.operations[operation];
+  }
+
+  /**
+   * Check whether a wallet finished all operations in this cycle
+   * @param {string} wallet Wallet address
+   * @returns {boolean}
+   */
+  isWalletDone(wallet) {
+    return this._wallet(wallet)?.status === 'done';
+  }
+
+  /**
+   * Record wallet progress
+   * @param {string} wallet Wallet address
+   * @param {string} status 'pending' or 'done'
+   * @param {number|null} walletNum Wallet number, for reading the file
+   * @returns {Promise<void>}
+   */
+  async markWallet(wallet, status, walletNum = null) {
+    const walletState = this._wallet(wallet);
+    if (!walletState) return;
+
+    walletState.status = status;
+    walletState.wallet_num = walletNum;
+    await this.save();
+  }
+
+  /**
+   * Check whether an operation already ran to the end in this cycle
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @returns {boolean}
+   */
+  isOperationDone(wallet, operation) {
+    return this._operation(wallet, operation)?.status === 'done';
+  }
+
+  /**
+   * Record operation progress
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @param {string} status 'pending' or 'done'
+   * @returns {Promise<void>}
+   */
+  async markOperation(wallet, operation, status) {
+    const operationState = this._operation(wallet, operation);
+    if (!operationState) return;
+
+    operationState.status = status;
+    await this.save();
+  }
+
+  /**
+   * Get a step checkpoint
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @param {string} step Step key
+   * @returns {Object|null} { status, result, tx_hashes }, or null if the step never started
+   */
+  getStep(wallet, operation, step) {
+    return this._operation(wallet, operation)?.steps[step] || null;
+  }
+
+  /**
+   * Record step progress
+   * A 'pending' step becomes the active step: transactions broadcast while it runs are attached to it.
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @param {string} step Step key
+   * @param {string} status 'pending', 'done' or 'failed'
+   * @param {*} result Step result, returned instead of re-running a finished step
+   * @returns {Promise<void>}
+   */
+  async markStep(wallet, operation, step, status, result = null) {
+    const operationState = this._operation(wallet, operation);
+    if (!operationState) return;
+
+    const previous = operationState.steps[step] || {};
+    operationState.steps[step] = {
+      status,
+      result,
+      tx_hashes: status === 'pending' ? [] : (previous.tx_hashes || []),
+      updated_at: new Date().toISOString()
+    };
+
+    this.activeStep = status === 'pending' ? operationState.steps[step] : null;
+    await this.save();
+  }
+
+  /**
+   * Attach a broadcast transaction to the active step
+   * Called right after broadcast, so a crash before confirmation can still be resolved on restart.
+   * @param {string} hash Transaction hash
+   * @returns {Promise<void>}
+   */
+  async recordBroadcast(hash) {
+    if (!this.activeStep) return;
+
+    this.activeStep.tx_hashes.push(hash);
+    await this.save();
+  }
+
+  /**
+   * Get a value remembered for an operation
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @param {string} key Value key
+   * @returns {*} Stored value, or undefined
+   */
+  getValue(wallet, operation, key) {
+    return this._operation(wallet, operation)?.values[key];
+  }
+
+  /**
+   * Remember a value for an operation (e.g. a random amount the remaining steps depend on)
+   * @param {string} wallet Wallet address
+   * @param {string} operation Operation name
+   * @param {string} key Value key
+   * @param {*} value Value (JSON and BigInt)
+   * @returns {Promise<void>}
+   */
+  async setValue(wallet, operation, key, value) {
+    const operationState = this._operation(wallet, operation);
+    if (!operationState) return;
+
+    operationState.values[key] = value;
+    await this.save();
+  }
+}
+
+// Create singleton instance
+CheckpointStore.instance = null;
+
+module.exports = CheckpointStore;
\ No newline at end of file
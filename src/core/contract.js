@@ -5,18 +5,23 @@
 const solc = require('solc');
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const constants = require('../utils/constants');
+const EventBus = require('./events');
+const Tracer = require('./tracing');
+const TransactionTracker = require('./tracker');
 const { randomDelay } = require('../utils/delay');
+const { RevertError, toFailureResult } = require('../utils/errors');
 
 class Contract {
   /**
    * Create a new contract manager
    * @param {Object} blockchain Blockchain instance
    * @param {Object} config Configuration object
+   * @param {string|null} operationName Operation the contract belongs to, selects its retry policy
    */
-  constructor(blockchain, config = {}) {
+  constructor(blockchain, config = {}, operationName = null) {
     this.blockchain = blockchain;
     this.config = config;
+    this.operationName = operationName;
     this.walletNum = blockchain.walletNum;
     this.logger = this.walletNum !== null ? 
       logger.getInstance(this.walletNum) : 
@@ -46,7 +51,11 @@ class Contract {
    * @returns {Promise<boolean>} Success status
    */
   async addDelay(message) {
-    return await randomDelay(this.getDelayConfig(), this.walletNum, message);
+    // Dry runs send nothing, so there is nothing to pace
+    if (this.blockchain.isDryRun()) return true;
+    
+    return await Tracer.getInstance().withSpan('delay', { 'delay.reason': message },
+      () => randomDelay(this.getDelayConfig(), this.walletNum, message));
   }
   
   /**
@@ -122,6 +131,15 @@ class Contract {
     }
   }
   
+  /**
+   * Get the transaction retry policy for a step of the owning operation
+   * @param {string} stepName Step name ('deploy' or the called method)
+   * @returns {RetryPolicy} Resolved policy
+   */
+  getRetryPolicy(stepName) {
+    return this.blockchain.getRetryPolicy('tx', this.operationName, stepName);
+  }
+  
   /**
    * Deploy a smart contract
    * @param {Object} compiledContract Compiled contract object
@@ -143,20 +161,106 @@ class Contract {
         this.blockchain.wallet
       );
       
-      // Deploy the contract
-      const contract = await factory.deploy(...constructorArgs);
-      await contract.waitForDeployment();
+      const deployTx = await factory.getDeployTransaction(...constructorArgs);
+      
+      // In dry-run mode, plan the deployment instead of sending it
+      if (this.blockchain.isDryRun()) {
+        const planned = await this.blockchain.planTransaction(deployTx, `${methodName} deployment`, {
+          abi: compiledContract.abi,
+          operation: this.operationName,
+          step: 'deploy'
+        });
+        
+        if (!planned.success) throw planned.details;
+        
+        this.logger.info(`${methodName} contract would be deployed at: ${planned.contractAddress}`);
+        this.blockchain.publishEvent(EventBus.EVENTS.DEPLOY_DONE, { operation: this.operationName, step: 'deploy' }, {
+          contract: methodName,
+          contract_address: planned.contractAddress,
+          tx_hash: null,
+          dry_run: true
+        });
+        return {
+          contractAddress: planned.contractAddress,
+          abi: compiledContract.abi,
+          txHash: null,
+          dryRun: true
+        };
+      }
       
-      const contractAddress = await contract.getAddress();
-      const deployTx = contract.deploymentTransaction();
+      // Simulate deployment so constructor reverts fail fast
+      const simulation = await this.blockchain.simulateTransaction(
+        deployTx,
+        compiledContract.abi,
+        `${methodName} deployment`,
+        { operation: this.operationName, step: 'deploy' }
+      );
+      
+      if (!simulation.success) {
+        const error = new RevertError(`${methodName} deployment would revert: ${simulation.revert.reason}`, {
+          revert: simulation.revert
+        });
+        await this.blockchain.recordTransaction(`${methodName} deployment`, {
+          operation: this.operationName,
+          step: 'deploy'
+        }, { request: deployTx, error });
+        throw error;
+      }
+      
+      // Deploy the contract with the network's fee type (EIP-1559 or legacy)
+      const policy = this.getRetryPolicy('deploy');
+      const journalContext = { operation: this.operationName, step: 'deploy' };
+      const { contractAddress, receipt } = await policy.execute(({ retryCount }) => this.blockchain.traceTransaction(
+        `${methodName} deployment`, journalContext, retryCount, async () => {
+          const feeData = await this.blockchain.getFeeData(retryCount, policy.gasIncrease);
+          let tx = null;
+          
+          try {
+            const contract = await factory.deploy(...constructorArgs, feeData);
+            tx = contract.deploymentTransaction();
+            await this.blockchain.noteBroadcast(tx, `${methodName} deployment`, journalContext);
+            
+            // Address depends only on sender and nonce, so it survives speed-ups
+            const address = await contract.getAddress();
+            const confirmation = await this.blockchain.waitForTransaction(tx, `${methodName} deployment`, policy.gasIncrease);
+            
+            await this.blockchain.recordTransaction(`${methodName} deployment`, journalContext, {
+              tx,
+              receipt: confirmation.receipt,
+              replacements: confirmation.replacements
+            });
+            
+            return { contractAddress: address, receipt: confirmation.receipt };
+          } catch (caught) {
+            // Once broadcast, a retry could deploy twice
+            const error = tx ? TransactionTracker.toPendingError(caught, [tx.hash]) : caught;
+            await this.blockchain.recordTransaction(`${methodName} deployment`, journalContext, {
+              request: { ...deployTx, ...feeData },
+              tx,
+              replacements: error.replacements,
+              error
+            });
+            throw error;
+          }
+        }), {
+        name: `${methodName} deployment`,
+        logger: this.logger,
+        onRetry: (error, category) => this.blockchain.handleRetryCategory(category)
+      });
       
       this.logger.success(`${methodName} contract deployed at: ${contractAddress}`);
-      this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${deployTx.hash}`);
+      this.logger.success(`View transaction: ${this.blockchain.getTxUrl(receipt.hash)}`);
+      this.blockchain.publishEvent(EventBus.EVENTS.DEPLOY_DONE, journalContext, {
+        contract: methodName,
+        contract_address: contractAddress,
+        tx_hash: receipt.hash,
+        dry_run: false
+      });
       
       return {
         contractAddress,
         abi: compiledContract.abi,
-        txHash: deployTx.hash
+        txHash: receipt.hash
       };
     } catch (error) {
       this.logger.error(`Error deploying ${methodName} contract: ${error.message}`);
@@ -202,19 +306,80 @@ class Contract {
         }
       }
       
-      // Send transaction with or without value
-      let tx;
-      if (value !== '0') {
-        tx = await contract[methodName](...methodArgs, { value: valueToSend });
-      } else {
-        tx = await contract[methodName](...methodArgs);
+      // Simulate the call so reverts fail fast with a decoded reason
+      const callTx = await contract[methodName].populateTransaction(
+        ...methodArgs,
+        value !== '0' ? { value: valueToSend } : {}
+      );
+      
+      // In dry-run mode, plan the call instead of sending it
+      if (this.blockchain.isDryRun()) {
+        return await this.blockchain.planTransaction(callTx, methodName, {
+          abi,
+          operation: this.operationName,
+          step: methodName
+        });
       }
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      const simulation = await this.blockchain.simulateTransaction(callTx, abi, methodName, {
+        operation: this.operationName,
+        step: methodName
+      });
+      
+      if (!simulation.success) {
+        const error = new RevertError(`Transaction would revert: ${simulation.revert.reason}`, {
+          revert: simulation.revert
+        });
+        await this.blockchain.recordTransaction(methodName, {
+          operation: this.operationName,
+          step: methodName
+        }, { request: callTx, error });
+        return toFailureResult(error);
+      }
+      
+      // Send transaction with or without value and wait for confirmation
+      const policy = this.getRetryPolicy(methodName);
+      const journalContext = { operation: this.operationName, step: methodName };
+      const { receipt } = await policy.execute(({ retryCount }) => this.blockchain.traceTransaction(
+        methodName, journalContext, retryCount, async () => {
+          const feeData = await this.blockchain.getFeeData(retryCount, policy.gasIncrease);
+          let tx = null;
+          
+          try {
+            if (value !== '0') {
+              tx = await contract[methodName](...methodArgs, { value: valueToSend, ...feeData });
+            } else {
+              tx = await contract[methodName](...methodArgs, feeData);
+            }
+            await this.blockchain.noteBroadcast(tx, methodName, journalContext);
+            
+            const confirmation = await this.blockchain.waitForTransaction(tx, methodName, policy.gasIncrease);
+            await this.blockchain.recordTransaction(methodName, journalContext, {
+              tx,
+              receipt: confirmation.receipt,
+              replacements: confirmation.replacements
+            });
+            
+            return confirmation;
+          } catch (caught) {
+            // Once broadcast, a retry could send the call twice
+            const error = tx ? TransactionTracker.toPendingError(caught, [tx.hash]) : caught;
+            await this.blockchain.recordTransaction(methodName, journalContext, {
+              request: { ...callTx, ...feeData },
+              tx,
+              replacements: error.replacements,
+              error
+            });
+            throw error;
+          }
+        }), {
+        name: methodName,
+        logger: this.logger,
+        onRetry: (error, category) => this.blockchain.handleRetryCategory(category)
+      });
       
       this.logger.success(`Method ${methodName} successful`);
-      this.logger.success(`View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.hash}`);
+      this.logger.success(`View transaction: ${this.blockchain.getTxUrl(receipt.hash)}`);
       
       return {
         success: true,
@@ -222,11 +387,9 @@ class Contract {
         receipt
       };
     } catch (error) {
-      this.logger.error(`Error calling ${methodName}: ${error.message}`);
-      return {
-        success: false,
-        error: error.message
-      };
+      const failure = toFailureResult(error);
+      this.logger.error(`Error calling ${methodName}: ${failure.error}`);
+      return failure;
     }
   }
   
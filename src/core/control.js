@@ -0,0 +1,345 @@
+/**
+ * Run Control
+ * Singleton that lets a local, token-authenticated HTTP API pause, resume, skip wallets, abort cycles,
+ * start the next cycle and reload the configuration of the running automation
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventBus = require('./events');
+const logger = require('../utils/logger');
+const LocalServer = require('../utils/server');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8788;
+const DEFAULT_TOKEN_FILE = path.join('data', 'control-token');
+
+// Action routes (POST) and what they are called in logs
+const ACTIONS = {
+  '/pause': 'pause',
+  '/resume': 'resume',
+  '/skip-wallet': 'skip wallet',
+  '/abort': 'abort cycle',
+  '/next-cycle': 'start next cycle',
+  '/reload-config': 'reload config'
+};
+
+class RunControl {
+  constructor() {
+    this.enabled = false;
+    this.host = DEFAULT_HOST;
+    this.port = DEFAULT_PORT;
+    this.token = null;
+    this.server = new LocalServer('Control API', (req, res) => {
+      // The request body is not used
+      req.resume();
+      this.handleRequest(req, res);
+    });
+    this.unsubscribe = null;
+    this.reloadConfig = null;
+
+    this.paused = false;
+    this.waiters = [];
+    this.cycleRunning = false;
+    this.currentWallet = null;
+    this.skipRequested = false;
+    this.abortRequested = false;
+    this.nextCycleRequested = false;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {RunControl} The singleton instance
+   */
+  static getInstance() {
+    if (!RunControl.instance) {
+      RunControl.instance = new RunControl();
+    }
+    return RunControl.instance;
+  }
+
+  /**
+   * Read control settings and start the API when enabled
+   * @param {Object} config Configuration object
+   * @param {Object} options Control options
+   * @param {Function|null} options.reloadConfig Reloads the configuration from disk
+   * @returns {Promise<void>}
+   */
+  async initialize(config = {}, options = {}) {
+    const read = sectionReader(config, 'control');
+
+    this.enabled = read('enabled', false) === true;
+    this.host = read('host', DEFAULT_HOST);
+    this.port = Number(read('port', DEFAULT_PORT));
+    this.reloadConfig = options.reloadConfig || null;
+
+    if (!this.enabled) {
+      await this.stop();
+      return;
+    }
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = EventBus.getInstance().subscribe([
+        EventBus.EVENTS.CYCLE_START,
+        EventBus.EVENTS.WALLET_START,
+        EventBus.EVENTS.WALLET_END,
+        EventBus.EVENTS.CYCLE_END
+      ], event => this.handleEvent(event));
+    }
+
+    await this.server.start(this.host, this.port, {
+      setup: async () => {
+        this.token = await RunControl.resolveToken(read('token', ''), read('token_file', DEFAULT_TOKEN_FILE));
+        logger.addSecret(this.token);
+      }
+    });
+  }
+
+  /**
+   * Get the API token: control.token, the CONTROL_TOKEN environment variable, or a token
+   * kept in the token file (generated on first use, readable by the owner only)
+   * @param {string} configured Token from the configuration
+   * @param {string} tokenFile Token file path
+   * @returns {Promise<string>} Token
+   * @private
+   */
+  static async resolveToken(configured, tokenFile) {
+    const token = configured || process.env.CONTROL_TOKEN;
+    if (token) return token;
+
+    try {
+      const saved = (await fs.readFile(tokenFile, 'utf8')).trim();
+      if (saved) return saved;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const generated = crypto.randomBytes(32).toString('hex');
+    await fs.mkdir(path.dirname(tokenFile), { recursive: true });
+    await fs.writeFile(tokenFile, generated + '\n', { encoding: 'utf8', mode: 0o600 });
+    logger.info(`Control API token written to ${tokenFile}`);
+    return generated;
+  }
+
+  /**
+   * Track the running cycle and wallet; requests for a finished wallet or cycle are dropped
+   * @param {Object} event Event from the event bus
+   * @private
+   */
+  handleEvent(event) {
+    const { EVENTS } = EventBus;
+
+    switch (event.type) {
+      case EVENTS.CYCLE_START:
+        this.cycleRunning = true;
+        this.abortRequested = false;
+        this.nextCycleRequested = false;
+        break;
+
+      case EVENTS.WALLET_START:
+        this.currentWallet = event.wallet;
+        this.skipRequested = false;
+        break;
+
+      case EVENTS.WALLET_END:
+        this.currentWallet = null;
+        this.skipRequested = false;
+        break;
+
+      case EVENTS.CYCLE_END:
+        this.cycleRunning = false;
+        this.currentWallet = null;
+        this.abortRequested = false;
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Wait while the automation is paused
+   * Skipping the wallet or aborting the cycle ends the wait, so the interruption can take effect.
+   * @param {Object} log Logger of the waiting wallet
+   * @returns {Promise<void>}
+   */
+  async waitIfPaused(log = logger.getInstance()) {
+    if (!this.paused || this.getInterruption()) return;
+
+    log.warn('Paused through the control API, waiting for resume');
+    while (this.paused && !this.getInterruption()) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    if (!this.paused) log.info('Resumed through the control API');
+  }
+
+  /**
+   * Wake every paused waiter to check its condition again
+   * @private
+   */
+  releaseWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Get why the running wallet has to stop
+   * @returns {string|null} Reason, or null when the wallet may go on
+   */
+  getInterruption() {
+    if (this.abortRequested) return 'cycle aborted through the control API';
+    if (this.skipRequested) return 'wallet skipped through the control API';
+    return null;
+  }
+
+  /**
+   * Check whether the running cycle was aborted
+   * @returns {boolean}
+   */
+  isCycleAborted() {
+    return this.abortRequested;
+  }
+
+  /**
+   * Check (once) whether the next cycle was asked to start without waiting for the countdown
+   * @returns {boolean}
+   */
+  consumeNextCycle() {
+    const requested = this.nextCycleRequested;
+    this.nextCycleRequested = false;
+    return requested;
+  }
+
+  /**
+   * Run a control action
+   * @param {string} action Action route (see ACTIONS)
+   * @returns {Promise<Object>} { status, message } with the HTTP status of the outcome
+   */
+  async runAction(action) {
+    switch (action) {
+      case '/pause':
+        this.paused = true;
+        return { status: 200, message: 'Pausing after the current step' };
+
+      case '/resume':
+        if (!this.paused) return { status: 409, message: 'Not paused' };
+        this.paused = false;
+        this.releaseWaiters();
+        return { status: 200, message: 'Resumed' };
+
+      case '/skip-wallet':
+        if (this.currentWallet === null) return { status: 409, message: 'No wallet is running' };
+        this.skipRequested = true;
+        this.releaseWaiters();
+        return { status: 200, message: `Skipping wallet ${this.currentWallet} after the current step` };
+
+      case '/abort':
+        if (!this.cycleRunning) return { status: 409, message: 'No cycle is running' };
+        this.abortRequested = true;
+        this.releaseWaiters();
+        return { status: 200, message: 'Aborting the cycle after the current step' };
+
+      case '/next-cycle':
+        if (this.cycleRunning) return { status: 409, message: 'A cycle is already running' };
+        this.nextCycleRequested = true;
+        return { status: 200, message: 'Starting the next cycle' };
+
+      case '/reload-config':
+        if (!this.reloadConfig) return { status: 409, message: 'Configuration reload is not available' };
+        await this.reloadConfig();
+        return { status: 200, message: 'Configuration reloaded' };
+
+      default:
+        return { status: 404, message: 'Unknown action' };
+    }
+  }
+
+  /**
+   * Get the control state
+   * @returns {Object} State
+   */
+  getStatus() {
+    return {
+      paused: this.paused,
+      cycle_running: this.cycleRunning,
+      wallet: this.currentWallet,
+      skip_requested: this.skipRequested,
+      abort_requested: this.abortRequested,
+      next_cycle_requested: this.nextCycleRequested
+    };
+  }
+
+  /**
+   * Check the bearer token of a request in constant time
+   * @param {http.IncomingMessage} req Request
+   * @returns {boolean}
+   * @private
+   */
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match || !this.token) return false;
+
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(this.token));
+  }
+
+  /**
+   * Handle an API request
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleRequest(req, res) {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body) + '\n');
+    };
+    const route = req.url.split('?')[0];
+
+    if (!this.isAuthorized(req)) {
+      send(401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (route === '/status') {
+      if (req.method !== 'GET') return send(405, { error: 'Method not allowed' }, { Allow: 'GET' });
+      return send(200, this.getStatus());
+    }
+
+    if (!ACTIONS[route]) return send(404, { error: 'Not found' });
+    if (req.method !== 'POST') return send(405, { error: 'Method not allowed' }, { Allow: 'POST' });
+
+    try {
+      const { status, message } = await this.runAction(route);
+      logger.info(`Control API ${ACTIONS[route]}: ${message}`);
+      send(status, { ok: status === 200, message, state: this.getStatus() });
+    } catch (error) {
+      logger.warn(`Control API ${ACTIONS[route]} failed: ${error.message}`);
+      send(500, { ok: false, message: error.message, state: this.getStatus() });
+    }
+  }
+
+  /**
+   * Stop the HTTP API and the event subscription; a paused run is resumed
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    this.paused = false;
+    this.releaseWaiters();
+
+    await this.server.stop();
+  }
+}
+
+// Create singleton instance
+RunControl.instance = null;
+
+module.exports = RunControl;
\ No newline at end of file
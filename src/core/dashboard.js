@@ -0,0 +1,509 @@
+/**
+ * Dashboard
+ * Singleton live view of the running cycle (wallets, operation steps, transactions, balances and the
+ * next-cycle countdown), kept from the event bus and pushed to a local web page over Server-Sent Events
+ */
+const { ethers } = require('ethers');
+const EventBus = require('./events');
+const RpcPool = require('./rpcpool');
+const logger = require('../utils/logger');
+const LocalServer = require('../utils/server');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8787;
+const DEFAULT_RECENT_TRANSACTIONS = 50;
+
+// Changes are pushed at most this often
+const PUSH_INTERVAL_MS = 500;
+// Comment lines keep idle SSE connections open through proxies
+const KEEPALIVE_INTERVAL_MS = 15000;
+// Balance refreshes of a wallet are coalesced over this window
+const BALANCE_DEBOUNCE_MS = 2000;
+
+class Dashboard {
+  constructor() {
+    this.enabled = false;
+    this.host = DEFAULT_HOST;
+    this.port = DEFAULT_PORT;
+    this.recentTransactions = DEFAULT_RECENT_TRANSACTIONS;
+    this.server = new LocalServer('Dashboard', (req, res) => this.handleRequest(req, res));
+    this.clients = new Set();
+    this.unsubscribe = null;
+    this.pushTimer = null;
+    this.keepaliveTimer = null;
+    this.balanceTimers = new Map();
+    this.state = Dashboard.createState();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {Dashboard} The singleton instance
+   */
+  static getInstance() {
+    if (!Dashboard.instance) {
+      Dashboard.instance = new Dashboard();
+    }
+    return Dashboard.instance;
+  }
+
+  /**
+   * Create an empty dashboard state
+   * @returns {Object} State
+   * @private
+   */
+  static createState() {
+    return {
+      run_id: null,
+      network: null,
+      chain_id: null,
+      currency: null,
+      explorer_url: null,
+      dry_run: false,
+      cycle: null,
+      next_cycle_at: null,
+      wallets: [],
+      transactions: []
+    };
+  }
+
+  /**
+   * Read dashboard settings and start the web server when enabled
+   * @param {Object} config Configuration object
+   * @param {Object|null} network Active network profile
+   * @returns {Promise<void>}
+   */
+  async initialize(config = {}, network = null) {
+    const read = sectionReader(config, 'dashboard');
+
+    this.enabled = read('enabled', false) === true;
+    this.host = read('host', DEFAULT_HOST);
+    this.port = Number(read('port', DEFAULT_PORT));
+    this.recentTransactions = Number(read('recent_transactions', DEFAULT_RECENT_TRANSACTIONS));
+
+    if (!this.enabled) {
+      await this.stop();
+      return;
+    }
+
+    if (network) {
+      this.state.network = network.name;
+      this.state.chain_id = network.chain_id;
+      this.state.currency = network.currency_symbol;
+      this.state.explorer_url = network.explorer_url || null;
+    }
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = EventBus.getInstance().subscribe(EventBus.ALL_EVENTS, event => this.handleEvent(event));
+    }
+
+    if (await this.server.start(this.host, this.port) && !this.keepaliveTimer) {
+      this.keepaliveTimer = setInterval(() => {
+        for (const client of this.clients) client.write(': keepalive\n\n');
+      }, KEEPALIVE_INTERVAL_MS);
+      this.keepaliveTimer.unref();
+    }
+  }
+
+  /**
+   * Update the state from a lifecycle event
+   * @param {Object} event Event from the event bus
+   */
+  handleEvent(event) {
+    const { EVENTS } = EventBus;
+
+    switch (event.type) {
+      case EVENTS.CYCLE_START:
+        this.state = {
+          ...Dashboard.createState(),
+          run_id: event.run_id,
+          network: event.network,
+          chain_id: event.chain_id,
+          currency: event.currency || this.state.currency,
+          explorer_url: event.explorer_url ?? this.state.explorer_url,
+          dry_run: event.dry_run,
+          cycle: {
+            status: 'running',
+            resumed: event.resumed,
+            started_at: event.timestamp,
+            ended_at: null,
+            wallets: event.wallets,
+            processed: 0
+          },
+          // Transactions of earlier cycles stay listed
+          transactions: this.state.transactions
+        };
+        this.state.wallets = (event.accounts || []).map(account => ({
+          wallet: account.wallet,
+          address: account.address,
+          label: account.label,
+          status: 'pending',
+          balance: null,
+          operations: []
+        }));
+        this.state.wallets.forEach(wallet => this.refreshBalance(wallet.wallet, 0));
+        break;
+
+      case EVENTS.WALLET_START: {
+        const wallet = this.getWallet(event);
+        wallet.status = 'running';
+        wallet.operations = event.operations.map(name => ({ name, status: 'pending', steps: [] }));
+        break;
+      }
+
+      case EVENTS.OPERATION_START:
+        this.getOperation(event).status = 'running';
+        break;
+
+      case EVENTS.STEP_START:
+        this.getStep(event).status = 'running';
+        break;
+
+      case EVENTS.STEP_END: {
+        const step = this.getStep(event);
+        step.status = event.status;
+        step.tx_hash = event.tx_hash;
+        step.reason = event.reason;
+        break;
+      }
+
+      case EVENTS.OPERATION_END:
+        this.getOperation(event).status = event.status;
+        break;
+
+      case EVENTS.TX_SENT:
+      case EVENTS.TX_CONFIRMED:
+      case EVENTS.TX_FAILED:
+        this.recordTransaction(event);
+        if (event.type !== EVENTS.TX_SENT) this.refreshBalance(event.wallet);
+        break;
+
+      case EVENTS.WALLET_END: {
+        const wallet = this.getWallet(event);
+        wallet.status = event.status;
+        if (this.state.cycle) this.state.cycle.processed++;
+        this.refreshBalance(event.wallet);
+        break;
+      }
+
+      case EVENTS.CYCLE_END:
+        if (this.state.cycle) {
+          this.state.cycle.status = event.status;
+          this.state.cycle.ended_at = event.timestamp;
+        }
+        break;
+
+      default:
+        return;
+    }
+
+    this.schedulePush();
+  }
+
+  /**
+   * Find a wallet by the event's wallet number, adding it when the cycle did not list it
+   * @param {Object} event Event with wallet and address
+   * @returns {Object} Wallet state
+   * @private
+   */
+  getWallet(event) {
+    let wallet = this.state.wallets.find(entry => entry.wallet === event.wallet);
+    if (!wallet) {
+      wallet = { wallet: event.wallet, address: event.address, label: null, status: 'running', balance: null, operations: [] };
+      this.state.wallets.push(wallet);
+    }
+    return wallet;
+  }
+
+  /**
+   * Find an operation of the event's wallet, adding it when it was not in the planned sequence
+   * @param {Object} event Event with wallet and operation
+   * @returns {Object} Operation state
+   * @private
+   */
+  getOperation(event) {
+    const wallet = this.getWallet(event);
+    // Repeated operation names resolve to the first one that has not finished
+    let operation = wallet.operations.find(entry => entry.name === event.operation && ['pending', 'running'].includes(entry.status)) ||
+      [...wallet.operations].reverse().find(entry => entry.name === event.operation);
+    if (!operation) {
+      operation = { name: event.operation, status: 'running', steps: [] };
+      wallet.operations.push(operation);
+    }
+    return operation;
+  }
+
+  /**
+   * Find a step of the event's operation, adding it on first sight
+   * @param {Object} event Event with wallet, operation and step
+   * @returns {Object} Step state
+   * @private
+   */
+  getStep(event) {
+    const operation = this.getOperation(event);
+    let step = operation.steps.find(entry => entry.key === event.step);
+    if (!step) {
+      step = { key: event.step, status: 'pending', tx_hash: null, reason: null };
+      operation.steps.push(step);
+    }
+    return step;
+  }
+
+  /**
+   * Add or update a transaction in the recent transactions list
+   * @param {Object} event tx:sent, tx:confirmed or tx:failed event
+   * @private
+   */
+  recordTransaction(event) {
+    if (!event.tx_hash) return;
+
+    const status = {
+      [EventBus.EVENTS.TX_SENT]: 'sent',
+      [EventBus.EVENTS.TX_CONFIRMED]: 'confirmed',
+      [EventBus.EVENTS.TX_FAILED]: 'failed'
+    }[event.type];
+
+    let transaction = this.state.transactions.find(entry => entry.hash === event.tx_hash);
+    if (!transaction) {
+      transaction = {
+        hash: event.tx_hash,
+        url: this.state.explorer_url ? `${this.state.explorer_url}/tx/${event.tx_hash}` : null,
+        wallet: event.wallet,
+        operation: event.operation,
+        step: event.step,
+        method: event.method,
+        sent_at: event.timestamp
+      };
+      this.state.transactions.unshift(transaction);
+      this.state.transactions.length = Math.min(this.state.transactions.length, this.recentTransactions);
+    }
+
+    transaction.status = status;
+    transaction.block_number = event.block_number ?? transaction.block_number ?? null;
+    transaction.error = event.error || null;
+  }
+
+  /**
+   * Refresh the native balance of a wallet from the best RPC endpoint
+   * @param {number} walletNum Wallet number
+   * @param {number} delayMs Debounce window
+   * @private
+   */
+  refreshBalance(walletNum, delayMs = BALANCE_DEBOUNCE_MS) {
+    if (!this.server.running || this.balanceTimers.has(walletNum)) return;
+
+    const timer = setTimeout(async () => {
+      this.balanceTimers.delete(walletNum);
+      const wallet = this.state.wallets.find(entry => entry.wallet === walletNum);
+      if (!wallet) return;
+
+      try {
+        const pool = RpcPool.getInstance();
+        const balance = await pool.request(pool.getBestUrl(), 'eth_getBalance', [wallet.address, 'latest']);
+        wallet.balance = ethers.formatEther(BigInt(balance));
+        this.schedulePush();
+      } catch (error) {
+        logger.debug(`Dashboard could not refresh balance of wallet ${walletNum}: ${error.message}`);
+      }
+    }, delayMs);
+    timer.unref();
+    this.balanceTimers.set(walletNum, timer);
+  }
+
+  /**
+   * Set when the next cycle starts
+   * @param {number|null} timestamp Start time in milliseconds, null when no cycle follows
+   */
+  setNextCycle(timestamp) {
+    this.state.next_cycle_at = timestamp ? new Date(timestamp).toISOString() : null;
+    this.schedulePush();
+  }
+
+  /**
+   * Push the state to connected pages, at most once per push interval
+   * @private
+   */
+  schedulePush() {
+    if (this.pushTimer || this.clients.size === 0) return;
+
+    this.pushTimer = setTimeout(() => {
+      this.pushTimer = null;
+      this.broadcast();
+    }, PUSH_INTERVAL_MS);
+    this.pushTimer.unref();
+  }
+
+  /**
+   * Send the state to every connected page
+   * @private
+   */
+  broadcast() {
+    const message = `event: state\ndata: ${JSON.stringify(this.state)}\n\n`;
+    for (const res of this.clients) {
+      res.write(message);
+    }
+  }
+
+  /**
+   * Open a Server-Sent Events stream, starting with the current state
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @private
+   */
+  openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: 3000\nevent: state\ndata: ${JSON.stringify(this.state)}\n\n`);
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Route a request
+   * GET / serves the page, GET /state the state as JSON and GET /events the SSE stream.
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @private
+   */
+  handleRequest(req, res) {
+    const route = req.url.split('?')[0];
+
+    if (req.method === 'GET' && route === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(Dashboard.toHtml());
+    } else if (req.method === 'GET' && route === '/state') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(this.state));
+    } else if (req.method === 'GET' && route === '/events') {
+      this.openStream(req, res);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  }
+
+  /**
+   * Stop the web server, its connected pages and the event subscription
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    clearTimeout(this.pushTimer);
+    clearInterval(this.keepaliveTimer);
+    this.balanceTimers.forEach(timer => clearTimeout(timer));
+    this.pushTimer = null;
+    this.keepaliveTimer = null;
+    this.balanceTimers.clear();
+
+    for (const client of this.clients) client.end();
+    this.clients.clear();
+
+    await this.server.stop();
+  }
+
+  /**
+   * Dashboard page; it renders the state received over /events
+   * @returns {string} HTML
+   */
+  static toHtml() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>s0mn1a automation</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 2em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    .step { display: inline-block; margin: 1px 4px 1px 0; padding: 0 4px; border-radius: 3px; background: #f0f0f0; }
+    .success, .confirmed { color: #1a7f37; }
+    .partial, .running, .sent { color: #9a6700; }
+    .failed { color: #cf222e; }
+    .skipped, .pending { color: #6e7781; }
+    #connection { float: right; }
+  </style>
+</head>
+<body>
+  <span id="connection" class="pending">connecting</span>
+  <h1>s0mn1a automation</h1>
+  <p id="cycle">Waiting for the first cycle...</p>
+  <h2>Wallets</h2>
+  <table>
+    <thead><tr><th>#</th><th>Address</th><th>Balance</th><th>Status</th><th>Operations</th></tr></thead>
+    <tbody id="wallets"></tbody>
+  </table>
+  <h2>Recent transactions</h2>
+  <table>
+    <thead><tr><th>Wallet</th><th>Operation</th><th>Method</th><th>Status</th><th>Block</th><th>Hash</th></tr></thead>
+    <tbody id="transactions"></tbody>
+  </table>
+  <script>
+    const esc = (value) => String(value ?? '').replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+    const byId = (id) => document.getElementById(id);
+    let state = null;
+
+    function countdown() {
+      if (!state || !state.next_cycle_at) return '';
+      const seconds = Math.max(0, Math.round((Date.parse(state.next_cycle_at) - Date.now()) / 1000));
+      const pad = (n) => String(n).padStart(2, '0');
+      return ' &middot; next cycle in ' + pad(Math.floor(seconds / 3600)) + ':' + pad(Math.floor(seconds % 3600 / 60)) + ':' + pad(seconds % 60);
+    }
+
+    function renderCycle() {
+      if (!state || !state.cycle) return;
+      const cycle = state.cycle;
+      byId('cycle').innerHTML = 'Run <code>' + esc(state.run_id) + '</code> on ' + esc(state.network) +
+        ' (chain ' + esc(state.chain_id) + ')' + (state.dry_run ? ' &middot; dry run' : '') +
+        ' &middot; <span class="' + esc(cycle.status) + '">' + esc(cycle.status) + '</span>' +
+        ' &middot; ' + esc(cycle.processed) + '/' + esc(cycle.wallets) + ' wallets' + countdown();
+    }
+
+    function render() {
+      renderCycle();
+      byId('wallets').innerHTML = state.wallets.map(wallet => '<tr>' +
+        '<td>' + esc(wallet.wallet) + '</td>' +
+        '<td><code>' + esc(wallet.address) + '</code>' + (wallet.label ? '<br><small>' + esc(wallet.label) + '</small>' : '') + '</td>' +
+        '<td>' + (wallet.balance === null ? '-' : esc(wallet.balance) + ' ' + esc(state.currency)) + '</td>' +
+        '<td class="' + esc(wallet.status) + '">' + esc(wallet.status) + '</td>' +
+        '<td>' + wallet.operations.map(operation => '<div><b class="' + esc(operation.status) + '">' + esc(operation.name) + '</b> ' +
+          operation.steps.map(step => '<span class="step ' + esc(step.status) + '" title="' + esc(step.reason) + '">' +
+            esc(step.key) + '</span>').join('') + '</div>').join('') + '</td>' +
+        '</tr>').join('');
+      byId('transactions').innerHTML = state.transactions.map(tx => '<tr>' +
+        '<td>' + esc(tx.wallet) + '</td>' +
+        '<td>' + esc(tx.operation) + (tx.step ? ' / ' + esc(tx.step) : '') + '</td>' +
+        '<td>' + esc(tx.method) + '</td>' +
+        '<td class="' + esc(tx.status) + '" title="' + esc(tx.error) + '">' + esc(tx.status) + '</td>' +
+        '<td>' + esc(tx.block_number ?? '-') + '</td>' +
+        '<td>' + (tx.url ? '<a href="' + esc(tx.url) + '" target="_blank" rel="noopener"><code>' + esc(tx.hash) + '</code></a>' : '<code>' + esc(tx.hash) + '</code>') + '</td>' +
+        '</tr>').join('');
+    }
+
+    const source = new EventSource('events');
+    source.addEventListener('state', (message) => {
+      state = JSON.parse(message.data);
+      render();
+    });
+    source.onopen = () => { byId('connection').textContent = 'live'; byId('connection').className = 'success'; };
+    source.onerror = () => { byId('connection').textContent = 'reconnecting'; byId('connection').className = 'failed'; };
+    setInterval(renderCycle, 1000);
+  </script>
+</body>
+</html>
+`;
+  }
+}
+
+// Create singleton instance
+Dashboard.instance = null;
+
+module.exports = Dashboard;
\ No newline at end of file
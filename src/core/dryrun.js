@@ -0,0 +1,158 @@
+/**
+ * Dry-run Plan
+ * Singleton that collects the transactions a dry run would have sent, per wallet
+ */
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Calldata longer than this is shortened in the printed plan (deploy bytecode runs to kilobytes)
+const MAX_CALLDATA_CHARS = 138;
+
+class DryRunPlan {
+  constructor() {
+    this.entries = [];
+    this.plannedContracts = new Set();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {DryRunPlan} The singleton instance
+   */
+  static getInstance() {
+    if (!DryRunPlan.instance) {
+      DryRunPlan.instance = new DryRunPlan();
+    }
+    return DryRunPlan.instance;
+  }
+
+  /**
+   * Check if dry-run mode is enabled
+   * @param {Object} config Configuration object
+   * @returns {boolean}
+   */
+  static isEnabled(config = {}) {
+    return config.get ?
+      config.get('dry_run.enabled', false) === true :
+      config.dry_run?.enabled === true;
+  }
+
+  /**
+   * Record a planned transaction
+   * @param {Object} entry Planned transaction
+   * @param {string} entry.wallet Wallet address
+   * @param {number|null} entry.walletNum Wallet number
+   * @param {string|null} entry.operation Operation name
+   * @param {string|null} entry.step Step inside the operation
+   * @param {string} entry.method Method name used in logs
+   * @param {string|null} entry.to Recipient, null for deployments
+   * @param {BigInt} entry.value Value in wei
+   * @param {string} entry.data Calldata
+   * @param {number} entry.nonce Nonce the transaction would use
+   * @param {BigInt|null} entry.gasLimit Estimated gas
+   * @param {BigInt|null} entry.feePerGas Max fee (or gas price) per gas
+   * @param {string|null} entry.contractAddress Address a deployment would create
+   * @param {string|null} entry.revert Predicted revert reason
+   * @param {string|null} entry.note Why the transaction was not simulated
+   * @returns {Object} Recorded entry with its fee
+   */
+  record(entry) {
+    const planned = {
+      ...entry,
+      value: BigInt(entry.value || 0),
+      fee: entry.gasLimit !== null && entry.feePerGas !== null ?
+        BigInt(entry.gasLimit) * BigInt(entry.feePerGas) :
+        null
+    };
+
+    this.entries.push(planned);
+    if (planned.contractAddress && !planned.revert) {
+      this.plannedContracts.add(planned.contractAddress.toLowerCase());
+    }
+
+    return planned;
+  }
+
+  /**
+   * Check whether an address is a contract deployed by an earlier planned transaction
+   * Such contracts do not exist on chain, so calls to them cannot be simulated.
+   * @param {string|null} address Contract address
+   * @returns {boolean}
+   */
+  isPlannedContract(address) {
+    return !!address && this.plannedContracts.has(address.toLowerCase());
+  }
+
+  /**
+   * Get the planned transactions of a wallet
+   * @param {string} wallet Wallet address
+   * @returns {Array<Object>} Planned transactions in order
+   */
+  getEntries(wallet) {
+    return this.entries.filter(entry => entry.wallet.toLowerCase() === wallet.toLowerCase());
+  }
+
+  /**
+   * Summarize planned transactions
+   * @param {Array<Object>} entries Planned transactions
+   * @returns {Object} { count, reverts, totalValue, totalFee }
+   */
+  static summarize(entries) {
+    return {
+      count: entries.length,
+      reverts: entries.filter(entry => entry.revert).length,
+      totalValue: entries.reduce((sum, entry) => sum + entry.value, BigInt(0)),
+      totalFee: entries.reduce((sum, entry) => sum + (entry.fee || BigInt(0)), BigInt(0))
+    };
+  }
+
+  /**
+   * Shorten calldata for printing
+   * @param {string|null} data Calldata
+   * @returns {string} Calldata, shortened with its size when long
+   * @private
+   */
+  static formatCalldata(data) {
+    if (!data || data === '0x') return '0x';
+    if (data.length <= MAX_CALLDATA_CHARS) return data;
+    return `${data.slice(0, MAX_CALLDATA_CHARS)}… (${(data.length - 2) / 2} bytes)`;
+  }
+
+  /**
+   * Print the plan of a wallet
+   * @param {string} wallet Wallet address
+   * @param {number|null} walletNum Wallet number
+   * @param {string} currency Currency symbol
+   */
+  printPlan(wallet, walletNum, currency) {
+    const entries = this.getEntries(wallet);
+    const title = walletNum !== null ? `Wallet ${walletNum} (${wallet})` : wallet;
+
+    logger.print('');
+    logger.print(chalk.bold(`Dry-run plan for ${title}`));
+
+    entries.forEach((entry, index) => {
+      const status = entry.revert ?
+        chalk.red(`would revert: ${entry.revert}`) :
+        (entry.note ? chalk.yellow(entry.note) : chalk.green('ok'));
+
+      logger.print(`${chalk.gray(`${index + 1}.`)} ${entry.operation || '-'}/${entry.step || '-'} ${entry.method} ${status}`);
+      logger.print(`   to: ${entry.to || `(new contract${entry.contractAddress ? ` at ${entry.contractAddress}` : ''})`}  nonce: ${entry.nonce}`);
+      logger.print(`   value: ${ethers.formatEther(entry.value)} ${currency}  ` +
+        `gas: ${entry.gasLimit ?? '-'}  fee: ${entry.fee !== null ? `${ethers.formatEther(entry.fee)} ${currency}` : '-'}`);
+      logger.print(`   calldata: ${DryRunPlan.formatCalldata(entry.data)}`);
+    });
+
+    const summary = DryRunPlan.summarize(entries);
+    logger.print(chalk.bold(
+      `${summary.count} transaction(s), ${summary.reverts} predicted revert(s), ` +
+      `value ${ethers.formatEther(summary.totalValue)} ${currency}, ` +
+      `max fee ${ethers.formatEther(summary.totalFee)} ${currency}`
+    ));
+  }
+}
+
+// Create singleton instance
+DryRunPlan.instance = null;
+
+module.exports = DryRunPlan;
\ No newline at end of file
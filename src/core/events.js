@@ -0,0 +1,116 @@
+/**
+ * Event Bus
+ * Singleton that publishes lifecycle events of cycles, wallets, operations, steps and transactions,
+ * so reporting, metrics and notifications can subscribe without touching operation code
+ */
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { getRunId } = require('../utils/run');
+
+const EVENTS = {
+  CYCLE_START: 'cycle:start',
+  WALLET_START: 'wallet:start',
+  OPERATION_START: 'operation:start',
+  STEP_START: 'step:start',
+  STEP_END: 'step:end',
+  OPERATION_END: 'operation:end',
+  TX_SIMULATED: 'tx:simulated',
+  TX_SENT: 'tx:sent',
+  TX_STUCK: 'tx:stuck',
+  TX_CONFIRMED: 'tx:confirmed',
+  TX_FAILED: 'tx:failed',
+  DEPLOY_DONE: 'deploy:done',
+  WALLET_END: 'wallet:end',
+  CYCLE_END: 'cycle:end'
+};
+
+// Subscribing to this receives every event
+const ALL_EVENTS = '*';
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Every subsystem may subscribe to every event type
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {EventBus} The singleton instance
+   */
+  static getInstance() {
+    if (!EventBus.instance) {
+      EventBus.instance = new EventBus();
+    }
+    return EventBus.instance;
+  }
+
+  /**
+   * Subscribe to one or more event types
+   * @param {string|Array<string>} types Event type(s), '*' for all events
+   * @param {Function} listener Called with the event; may be async
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(types, listener) {
+    const list = [].concat(types);
+    for (const type of list) {
+      if (type !== ALL_EVENTS && !Object.values(EVENTS).includes(type)) {
+        throw new Error(`Unknown event type: ${type}`);
+      }
+      this.on(type, listener);
+    }
+
+    return () => {
+      for (const type of list) {
+        this.off(type, listener);
+      }
+    };
+  }
+
+  /**
+   * Publish an event to its subscribers and to '*' subscribers
+   * A failing subscriber is logged and never interrupts the publisher or other subscribers.
+   * @param {string} type Event type
+   * @param {Object} payload Event fields
+   * @returns {Object} Published event ({ type, timestamp, run_id, ...payload })
+   */
+  publish(type, payload = {}) {
+    const event = {
+      type,
+      timestamp: new Date().toISOString(),
+      run_id: getRunId(),
+      ...payload
+    };
+
+    const listeners = [...this.listeners(type), ...this.listeners(ALL_EVENTS)];
+    for (const listener of listeners) {
+      try {
+        const returned = listener(event);
+        if (returned && typeof returned.catch === 'function') {
+          returned.catch(error => this.reportListenerError(type, error));
+        }
+      } catch (error) {
+        this.reportListenerError(type, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Log an error thrown by a subscriber
+   * @param {string} type Event type
+   * @param {Error} error Error
+   * @private
+   */
+  reportListenerError(type, error) {
+    logger.getInstance().warn(`Event subscriber for ${type} failed: ${error.message}`);
+  }
+}
+
+// Create singleton instance
+EventBus.instance = null;
+EventBus.EVENTS = EVENTS;
+EventBus.ALL_EVENTS = ALL_EVENTS;
+
+module.exports = EventBus;
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Transaction Journal
+ * Singleton append-only JSON-lines log of every transaction the bot sends
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { getRunId } = require('../utils/run');
+const { normalizeError } = require('../utils/errors');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_PATH = 'data/transactions.jsonl';
+
+/**
+ * Convert a wei amount to a decimal string
+ * @param {BigInt|number|string|null|undefined} value Amount
+ * @returns {string|null} Decimal string, or null if not set
+ * @private
+ */
+function toWeiString(value) {
+  return value === null || value === undefined ? null : BigInt(value).toString();
+}
+
+class TransactionJournal {
+  constructor() {
+    this.enabled = true;
+    this.path = DEFAULT_PATH;
+    this.logger = logger.getInstance();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {TransactionJournal} The singleton instance
+   */
+  static getInstance() {
+    if (!TransactionJournal.instance) {
+      TransactionJournal.instance = new TransactionJournal();
+    }
+    return TransactionJournal.instance;
+  }
+
+  /**
+   * Read journal settings from configuration
+   * @param {Object} config Configuration object
+   */
+  initialize(config = {}) {
+    const read = sectionReader(config, 'journal');
+
+    this.enabled = read('enabled', true) !== false;
+    this.path = read('path', DEFAULT_PATH);
+  }
+
+  /**
+   * Append an entry to the journal
+   * Writes are serialized so entries never interleave; a failed write is logged and does not stop the run.
+   * @param {Object} entry Journal entry
+   * @returns {Promise<void>}
+   */
+  async append(entry) {
+    if (!this.enabled) return;
+
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      run_id: getRunId(),
+      ...entry
+    }) + '\n';
+
+    this.writing = this.writing
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.appendFile(this.path, line, 'utf8');
+      })
+      .catch(error => {
+        this.logger.warn(`Could not write transaction journal ${this.path}: ${error.message}`);
+      });
+
+    return this.writing;
+  }
+
+  /**
+   * Record the outcome of a sent (or attempted) transaction
+   * @param {Object} record Transaction record
+   * @param {string} record.wallet Wallet address
+   * @param {number|null} record.walletNum Wallet number
+   * @param {Object} record.network Network profile
+   * @param {string|null} record.operation Operation name
+   * @param {string|null} record.step Step inside the operation
+   * @param {string} record.method Method name used in logs
+   * @param {Object|null} record.request Transaction request (fees and nonce before broadcast)
+   * @param {Object|null} record.tx Broadcast TransactionResponse
+   * @param {Object|null} record.receipt Receipt of the mined transaction
+   * @param {Array<string>} record.replacements Hashes sharing the nonce, oldest first
+   * @param {Error|null} record.error Failure, if any
+   * @returns {Promise<void>}
+   */
+  async recordTransaction(record) {
+    const { request = null, tx = null, replacements = [], error = null } = record;
+    const receipt = record.receipt || error?.receipt || null;
+    const source = tx || request || {};
+    const typed = error ? normalizeError(error) : null;
+
+    const gasUsed = receipt?.gasUsed ?? null;
+    const effectiveGasPrice = receipt?.gasPrice ?? null;
+
+    await this.append({
+      wallet: record.wallet,
+      wallet_num: record.walletNum ?? null,
+      network: record.network?.key || null,
+      chain_id: record.network?.chain_id || null,
+      operation: record.operation || null,
+      step: record.step || null,
+      method: record.method,
+      status: TransactionJournal.getStatus(receipt, typed, tx),
+      hash: receipt?.hash || tx?.hash || null,
+      replacements,
+      to: source.to || null,
+      value: toWeiString(source.value ?? 0),
+      nonce: source.nonce ?? null,
+      type: source.type ?? null,
+      gas_limit: toWeiString(source.gasLimit),
+      max_fee_per_gas: toWeiString(source.maxFeePerGas),
+      max_priority_fee_per_gas: toWeiString(source.maxPriorityFeePerGas),
+      gas_price: toWeiString(source.gasPrice),
+      gas_used: toWeiString(gasUsed),
+      effective_gas_price: toWeiString(effectiveGasPrice),
+      fee_wei: gasUsed !== null && effectiveGasPrice !== null ?
+        (BigInt(gasUsed) * BigInt(effectiveGasPrice)).toString() :
+        null,
+      block_number: receipt?.blockNumber ?? null,
+      contract_address: receipt?.contractAddress || null,
+      error: typed ? typed.message : null,
+      error_type: typed ? typed.name : null
+    });
+  }
+
+  /**
+   * Derive the journal status of a transaction
+   * @param {Object|null} receipt Receipt, if mined
+   * @param {AppError|null} error Typed failure, if any
+   * @param {Object|null} tx Broadcast transaction, if any
+   * @returns {string} confirmed, reverted, cancelled, replaced, pending, simulation_reverted or failed
+   */
+  static getStatus(receipt, error, tx) {
+    if (!error) return 'confirmed';
+    if (error.code === 'TRANSACTION_CANCELLED') return 'cancelled';
+    if (error.code === 'TRANSACTION_REPLACED') return 'replaced';
+    if (error.code === 'TIMEOUT' && tx) return 'pending';
+    if (error.category === 'revert') return receipt ? 'reverted' : 'simulation_reverted';
+    return 'failed';
+  }
+
+  /**
+   * Read every entry of the journal
+   * Lines that cannot be parsed (e.g. cut off by a crash) are skipped
+   * @returns {Promise<Array<Object>>} Journal entries, oldest first
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Query journal entries
+   * @param {Object} filters Filters, all optional
+   * @param {string|number} filters.wallet Wallet address or wallet number
+   * @param {string} filters.runId Run id
+   * @param {string} filters.operation Operation name
+   * @param {string} filters.status Transaction status
+   * @param {Date|string} filters.since Earliest timestamp (inclusive)
+   * @param {Date|string} filters.until Latest timestamp (exclusive)
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  async query(filters = {}) {
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+    const wallet = filters.wallet !== undefined && filters.wallet !== null ? String(filters.wallet).toLowerCase() : null;
+
+    const entries = await this.readAll();
+
+    return entries.filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+
+      if (wallet !== null &&
+          String(entry.wallet).toLowerCase() !== wallet &&
+          String(entry.wallet_num) !== wallet) return false;
+      if (filters.runId && entry.run_id !== filters.runId) return false;
+      if (filters.operation && entry.operation !== filters.operation) return false;
+      if (filters.status && entry.status !== filters.status) return false;
+      if (since !== null && time < since) return false;
+      if (until !== null && time >= until) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Summarize journal entries
+   * @param {Array<Object>} entries Journal entries
+   * @returns {Object} { count, byStatus, byOperation, totalFeeWei }
+   */
+  static summarize(entries) {
+    const byStatus = {};
+    const byOperation = {};
+    let totalFeeWei = BigInt(0);
+
+    for (const entry of entries) {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+
+      const operation = entry.operation || 'other';
+      byOperation[operation] = byOperation[operation] || { count: 0, feeWei: BigInt(0) };
+      byOperation[operation].count++;
+
+      if (entry.fee_wei) {
+        totalFeeWei += BigInt(entry.fee_wei);
+        byOperation[operation].feeWei += BigInt(entry.fee_wei);
+      }
+    }
+
+    return {
+      count: entries.length,
+      byStatus,
+      byOperation,
+      totalFeeWei
+    };
+  }
+}
+
+// Create singleton instance
+TransactionJournal.instance = null;
+
+module.exports = TransactionJournal;
\ No newline at end of file
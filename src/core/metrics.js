@@ -0,0 +1,246 @@
+/**
+ * Metrics
+ * Singleton Prometheus metrics fed by the event bus and the RPC pool, served over a local HTTP endpoint
+ */
+const client = require('prom-client');
+const { ethers } = require('ethers');
+const EventBus = require('./events');
+const logger = require('../utils/logger');
+const LocalServer = require('../utils/server');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 9464;
+const PREFIX = 's0mn1a_';
+
+class Metrics {
+  constructor() {
+    this.enabled = false;
+    this.host = DEFAULT_HOST;
+    this.port = DEFAULT_PORT;
+    this.currency = 'STT';
+    this.server = new LocalServer('Metrics endpoint', (req, res) => this.handleRequest(req, res));
+    this.unsubscribe = null;
+    this.defaultMetrics = false;
+    this.registry = new client.Registry();
+    this.createMetrics();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {Metrics} The singleton instance
+   */
+  static getInstance() {
+    if (!Metrics.instance) {
+      Metrics.instance = new Metrics();
+    }
+    return Metrics.instance;
+  }
+
+  /**
+   * Register the metrics
+   * @private
+   */
+  createMetrics() {
+    const registers = [this.registry];
+    const counter = (name, help, labelNames = []) => new client.Counter({ name: PREFIX + name, help, labelNames, registers });
+    const histogram = (name, help, buckets, labelNames = []) =>
+      new client.Histogram({ name: PREFIX + name, help, buckets, labelNames, registers });
+
+    this.txSent = counter('transactions_sent_total', 'Transactions broadcast, speed-ups included', ['operation']);
+    this.txConfirmed = counter('transactions_confirmed_total', 'Transactions confirmed', ['operation']);
+    this.txFailed = counter('transactions_failed_total', 'Failed transaction attempts', ['operation', 'category']);
+    this.gasUsed = counter('gas_used_total', 'Gas used by mined transactions', ['operation']);
+    this.spent = counter('native_spent_total', 'Native currency spent on fees and value, in whole units', ['operation', 'currency']);
+    this.txGas = histogram('transaction_gas_used', 'Gas used per mined transaction',
+      [21000, 50000, 100000, 200000, 500000, 1000000, 3000000], ['operation']);
+    this.rpcDuration = histogram('rpc_request_duration_seconds', 'JSON-RPC request latency per endpoint',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], ['endpoint', 'outcome']);
+    this.rpcErrors = counter('rpc_errors_total', 'Failed JSON-RPC requests per endpoint', ['endpoint']);
+    this.faucetClaims = counter('faucet_claims_total', 'Faucet claim outcomes', ['outcome']);
+    this.cycles = counter('cycles_total', 'Completed cycles by run status', ['status']);
+    this.cycleDuration = histogram('cycle_duration_seconds', 'Duration of a cycle over all wallets',
+      [60, 300, 600, 1800, 3600, 7200, 14400, 28800]);
+    this.nextCycle = new client.Gauge({
+      name: PREFIX + 'next_cycle_seconds',
+      help: 'Seconds until the next cycle starts, 0 while a cycle runs',
+      registers
+    });
+  }
+
+  /**
+   * Read metrics settings and start the endpoint when enabled
+   * @param {Object} config Configuration object
+   * @param {Object|null} network Active network profile (currency of the spent metric)
+   * @returns {Promise<void>}
+   */
+  async initialize(config = {}, network = null) {
+    const read = sectionReader(config, 'metrics');
+
+    this.enabled = read('enabled', false) === true;
+    this.host = read('host', DEFAULT_HOST);
+    this.port = Number(read('port', DEFAULT_PORT));
+    if (network?.currency_symbol) this.currency = network.currency_symbol;
+
+    if (!this.enabled) {
+      await this.stop();
+      return;
+    }
+
+    if (read('default_metrics', true) !== false && !this.defaultMetrics) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+      this.defaultMetrics = true;
+    }
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = EventBus.getInstance().subscribe(EventBus.ALL_EVENTS, event => this.handleEvent(event));
+    }
+
+    await this.server.start(this.host, this.port, { path: '/metrics' });
+  }
+
+  /**
+   * Update metrics from a lifecycle event
+   * @param {Object} event Event from the event bus
+   */
+  handleEvent(event) {
+    const operation = event.operation || 'other';
+    const { EVENTS } = EventBus;
+
+    switch (event.type) {
+      case EVENTS.TX_SENT:
+        this.txSent.inc({ operation });
+        break;
+
+      case EVENTS.TX_CONFIRMED:
+        this.txConfirmed.inc({ operation });
+        this.recordSpending(operation, event.gas_used, event.fee_wei, event.value_wei);
+        break;
+
+      case EVENTS.TX_FAILED:
+        this.txFailed.inc({ operation, category: event.category || 'unknown' });
+        this.recordSpending(operation, event.gas_used, event.fee_wei, null);
+        break;
+
+      case EVENTS.OPERATION_END:
+        if (event.operation === 'faucet') {
+          this.faucetClaims.inc({ outcome: Metrics.getFaucetOutcome(event.result) });
+        }
+        break;
+
+      case EVENTS.CYCLE_START:
+        this.nextCycle.set(0);
+        break;
+
+      case EVENTS.CYCLE_END:
+        this.cycles.inc({ status: event.status });
+        this.cycleDuration.observe(event.duration_ms / 1000);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Count gas and currency spent by a mined transaction
+   * @param {string} operation Operation name
+   * @param {string|null} gasUsed Gas used
+   * @param {string|null} feeWei Fee in wei
+   * @param {string|null} valueWei Value sent in wei (confirmed transactions only)
+   * @private
+   */
+  recordSpending(operation, gasUsed, feeWei, valueWei) {
+    if (gasUsed !== null && gasUsed !== undefined) {
+      this.gasUsed.inc({ operation }, Number(gasUsed));
+      this.txGas.observe({ operation }, Number(gasUsed));
+    }
+
+    const spentWei = BigInt(feeWei || 0) + BigInt(valueWei || 0);
+    if (spentWei > BigInt(0)) {
+      this.spent.inc({ operation, currency: this.currency }, Number(ethers.formatEther(spentWei)));
+    }
+  }
+
+  /**
+   * Derive the faucet claim outcome from the faucet operation result
+   * @param {Object} result OperationResult JSON
+   * @returns {string} claimed, already_claimed, skipped or failed
+   */
+  static getFaucetOutcome(result) {
+    if (!result) return 'failed';
+    if (result.status === 'success') return 'claimed';
+    if (result.status === 'skipped') {
+      return result.steps.some(step => step.reason === 'already claimed recently') ? 'already_claimed' : 'skipped';
+    }
+    return 'failed';
+  }
+
+  /**
+   * Record a JSON-RPC request to a pool endpoint
+   * @param {string} url Endpoint URL (credentials and secrets are redacted in the label)
+   * @param {number|null} latencyMs Request latency, null when unknown
+   * @param {Error|null} error Failure, if any
+   */
+  observeRpcRequest(url, latencyMs, error = null) {
+    if (!this.enabled) return;
+
+    const endpoint = logger.redact(url);
+    if (latencyMs !== null && latencyMs !== undefined) {
+      this.rpcDuration.observe({ endpoint, outcome: error ? 'error' : 'success' }, latencyMs / 1000);
+    }
+    if (error) {
+      this.rpcErrors.inc({ endpoint });
+    }
+  }
+
+  /**
+   * Set the time until the next cycle
+   * @param {number} seconds Seconds remaining
+   */
+  setNextCycle(seconds) {
+    this.nextCycle.set(seconds);
+  }
+
+  /**
+   * Serve GET /metrics
+   * @param {http.IncomingMessage} req Request
+   * @param {http.ServerResponse} res Response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    try {
+      const body = await this.registry.metrics();
+      res.writeHead(200, { 'Content-Type': this.registry.contentType });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${error.message}\n`);
+    }
+  }
+
+  /**
+   * Stop the HTTP endpoint and the event subscription
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    await this.server.stop();
+  }
+}
+
+// Create singleton instance
+Metrics.instance = null;
+
+module.exports = Metrics;
\ No newline at end of file
@@ -0,0 +1,378 @@
+/**
+ * Notifier
+ * Singleton that turns lifecycle events into notifications (cycle summary, wallet failure, low balance,
+ * faucet failure, stuck transaction) and POSTs them as JSON to configured webhooks
+ */
+const crypto = require('crypto');
+const _ = require('lodash');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const EventBus = require('./events');
+const RpcPool = require('./rpcpool');
+const Metrics = require('./metrics');
+const { RetryPolicy } = require('./retry');
+const logger = require('../utils/logger');
+const { getRunId } = require('../utils/run');
+const { sectionReader } = require('../utils/settings');
+
+const NOTIFICATIONS = {
+  CYCLE_SUMMARY: 'cycle.summary',
+  WALLET_FAILURE: 'wallet.failure',
+  LOW_BALANCE: 'balance.low',
+  FAUCET_FAILURE: 'faucet.failure',
+  TX_STUCK: 'tx.stuck',
+  TEST: 'test'
+};
+
+const DEFAULT_RETRY = {
+  max_attempts: 4,
+  backoff: 'exponential',
+  delay_ms: 2000,
+  max_delay_ms: 60000,
+  retry_on: ['network', 'timeout', 'server', 'rate_limit']
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// {{ path }} placeholders of templates
+const PLACEHOLDER = /\{\{\s*([\w.[\]-]+)\s*\}\}/g;
+
+class Notifier {
+  constructor() {
+    this.enabled = false;
+    this.webhooks = [];
+    this.lowBalance = null;
+    this.failureThreshold = 2;
+    this.timeoutMs = DEFAULT_TIMEOUT_MS;
+    this.retry = DEFAULT_RETRY;
+    this.unsubscribe = null;
+    this.network = null;
+    this.currency = null;
+    this.wallets = new Map();
+    this.failureStreaks = new Map();
+    this.pending = new Set();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {Notifier} The singleton instance
+   */
+  static getInstance() {
+    if (!Notifier.instance) {
+      Notifier.instance = new Notifier();
+    }
+    return Notifier.instance;
+  }
+
+  /**
+   * Read notification settings and subscribe to the event bus when enabled
+   * @param {Object} config Configuration object
+   * @param {Object|null} network Active network profile
+   */
+  initialize(config = {}, network = null) {
+    const read = sectionReader(config, 'notifications');
+
+    this.webhooks = (read('webhooks', []) || []).filter(webhook => webhook && webhook.url);
+    this.enabled = read('enabled', false) === true && this.webhooks.length > 0;
+    this.failureThreshold = Math.max(1, Number(read('wallet_failure_threshold', 2)));
+    this.timeoutMs = Number(read('timeout_ms', DEFAULT_TIMEOUT_MS));
+    this.retry = { ...DEFAULT_RETRY, ...read('retry', {}) };
+
+    const lowBalance = read('low_balance', null);
+    this.lowBalance = lowBalance === null || lowBalance === '' ? null : ethers.parseEther(String(lowBalance));
+
+    if (network) {
+      this.network = network.name;
+      this.currency = network.currency_symbol;
+    }
+
+    for (const webhook of this.webhooks) {
+      logger.addSecret(webhook.secret);
+    }
+
+    if (this.enabled && !this.unsubscribe) {
+      this.unsubscribe = EventBus.getInstance().subscribe(EventBus.ALL_EVENTS, event => this.handleEvent(event));
+    } else if (!this.enabled && this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Derive notifications from a lifecycle event
+   * @param {Object} event Event from the event bus
+   */
+  handleEvent(event) {
+    const { EVENTS } = EventBus;
+
+    switch (event.type) {
+      case EVENTS.CYCLE_START:
+        this.wallets.clear();
+        break;
+
+      case EVENTS.OPERATION_END:
+        if (event.operation === 'faucet' && Metrics.getFaucetOutcome(event.result) === 'failed') {
+          this.notify(NOTIFICATIONS.FAUCET_FAILURE, {
+            wallet: event.wallet,
+            address: event.address,
+            errors: event.result?.errors || []
+          });
+        }
+        break;
+
+      case EVENTS.TX_STUCK:
+        this.notify(NOTIFICATIONS.TX_STUCK, _.pick(event, [
+          'wallet', 'address', 'operation', 'method', 'tx_hash', 'nonce', 'pending_seconds', 'broadcasts', 'action'
+        ]));
+        break;
+
+      case EVENTS.WALLET_END:
+        this.wallets.set(event.wallet, event);
+        this.trackFailures(event);
+        this.track(this.checkBalance(event));
+        break;
+
+      case EVENTS.CYCLE_END:
+        this.notify(NOTIFICATIONS.CYCLE_SUMMARY, this.buildSummary(event));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Count consecutive failed cycles of a wallet and notify once the threshold is reached
+   * @param {Object} event wallet:end event
+   * @private
+   */
+  trackFailures(event) {
+    if (event.status !== 'failed') {
+      this.failureStreaks.delete(event.address);
+      return;
+    }
+
+    const streak = (this.failureStreaks.get(event.address) || 0) + 1;
+    this.failureStreaks.set(event.address, streak);
+
+    if (streak >= this.failureThreshold) {
+      this.notify(NOTIFICATIONS.WALLET_FAILURE, {
+        wallet: event.wallet,
+        address: event.address,
+        consecutive_failures: streak,
+        errors: event.errors
+      });
+    }
+  }
+
+  /**
+   * Notify when a wallet's balance is below the low balance threshold
+   * @param {Object} event wallet:end event
+   * @returns {Promise<void>}
+   * @private
+   */
+  async checkBalance(event) {
+    if (this.lowBalance === null) return;
+
+    try {
+      const pool = RpcPool.getInstance();
+      const balance = BigInt(await pool.request(pool.getBestUrl(), 'eth_getBalance', [event.address, 'latest']));
+      if (balance < this.lowBalance) {
+        this.notify(NOTIFICATIONS.LOW_BALANCE, {
+          wallet: event.wallet,
+          address: event.address,
+          balance: ethers.formatEther(balance),
+          threshold: ethers.formatEther(this.lowBalance),
+          currency: this.currency
+        });
+      }
+    } catch (error) {
+      logger.debug(`Could not check balance of wallet ${event.wallet} for notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the cycle summary from the cycle's wallet:end events
+   * @param {Object} event cycle:end event
+   * @returns {Object} Summary fields
+   * @private
+   */
+  buildSummary(event) {
+    const wallets = [...this.wallets.values()];
+    const count = status => wallets.filter(wallet => wallet.status === status).length;
+
+    return {
+      status: event.status,
+      dry_run: event.dry_run,
+      duration_ms: event.duration_ms,
+      wallets: {
+        total: event.wallets,
+        processed: event.processed,
+        success: count('success'),
+        partial: count('partial'),
+        skipped: count('skipped'),
+        failed: count('failed')
+      },
+      transactions: wallets.reduce((sum, wallet) => sum + wallet.tx_hashes.length, 0),
+      gas_used: wallets.reduce((sum, wallet) => sum + BigInt(wallet.gas_used || 0), BigInt(0)).toString(),
+      failed_wallets: wallets
+        .filter(wallet => wallet.status === 'failed' || wallet.status === 'partial')
+        .map(wallet => ({ wallet: wallet.wallet, address: wallet.address, status: wallet.status, errors: wallet.errors }))
+    };
+  }
+
+  /**
+   * Send a notification to every webhook that subscribed to it
+   * Deliveries run in the background; flush() waits for them.
+   * @param {string} type Notification type (see NOTIFICATIONS)
+   * @param {Object} fields Notification fields
+   * @returns {Object} Notification payload
+   */
+  notify(type, fields = {}) {
+    const payload = {
+      event: type,
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      run_id: getRunId(),
+      network: this.network,
+      ...fields
+    };
+
+    for (const webhook of this.webhooks) {
+      if (!Notifier.matches(webhook, payload)) continue;
+
+      this.track(this.deliver(webhook, payload));
+    }
+
+    return payload;
+  }
+
+  /**
+   * Keep a background task until it settles, so flush() can wait for it
+   * @param {Promise} task Task
+   * @private
+   */
+  track(task) {
+    const tracked = task.finally(() => this.pending.delete(tracked));
+    this.pending.add(tracked);
+  }
+
+  /**
+   * Check a notification against a webhook's event filter
+   * `events` is a list of notification types, or a map of type to true or to a field filter
+   * ({ path: value or list of accepted values }). Without `events` every notification is sent.
+   * @param {Object} webhook Webhook settings
+   * @param {Object} payload Notification payload
+   * @returns {boolean}
+   */
+  static matches(webhook, payload) {
+    const events = webhook.events;
+    if (!events) return true;
+    if (Array.isArray(events)) return events.includes(payload.event);
+
+    const filter = events[payload.event];
+    if (!filter) return false;
+    if (filter === true) return true;
+
+    return Object.entries(filter).every(([path, accepted]) =>
+      [].concat(accepted).some(value => _.isEqual(_.get(payload, path), value)));
+  }
+
+  /**
+   * Render a template with the notification's fields
+   * Strings get their {{ path }} placeholders replaced; a string that is a single placeholder
+   * keeps the type of the value (number, list, object).
+   * @param {*} template Template (object, list or string)
+   * @param {Object} payload Notification payload
+   * @returns {*} Rendered body
+   */
+  static render(template, payload) {
+    if (typeof template === 'string') {
+      const whole = /^\{\{\s*([\w.[\]-]+)\s*\}\}$/.exec(template);
+      if (whole) return _.get(payload, whole[1]) ?? null;
+
+      return template.replace(PLACEHOLDER, (match, path) => {
+        const value = _.get(payload, path);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      });
+    }
+    if (Array.isArray(template)) return template.map(item => Notifier.render(item, payload));
+    if (template && typeof template === 'object') {
+      return _.mapValues(template, value => Notifier.render(value, payload));
+    }
+    return template;
+  }
+
+  /**
+   * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>"
+   * @param {string} secret Webhook secret
+   * @param {string} timestamp Unix time in seconds, sent as X-Webhook-Timestamp
+   * @param {string} body Request body
+   * @returns {string} Signature, sent as X-Webhook-Signature: sha256=<signature>
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a notification to a webhook, retrying with backoff
+   * A delivery that still fails is logged and dropped.
+   * @param {Object} webhook Webhook settings
+   * @param {Object} payload Notification payload
+   * @returns {Promise<boolean>} Whether the webhook accepted the notification
+   */
+  async deliver(webhook, payload) {
+    const template = webhook.templates?.[payload.event] ?? webhook.template;
+    const body = JSON.stringify(template ? Notifier.render(template, payload) : payload);
+    const url = logger.redact(webhook.url);
+    const policy = new RetryPolicy({ ...this.retry, ...webhook.retry }, `webhook ${payload.event}`);
+
+    try {
+      await policy.execute(async () => {
+        // Signed per attempt, so the timestamp stays fresh on retries
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 's0mn1a-automation',
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Id': payload.id,
+          ...webhook.headers
+        };
+        if (webhook.secret) {
+          headers['X-Webhook-Timestamp'] = timestamp;
+          headers['X-Webhook-Signature'] = `sha256=${Notifier.sign(webhook.secret, timestamp, body)}`;
+        }
+
+        await axios.post(webhook.url, body, {
+          headers,
+          timeout: Number(webhook.timeout_ms ?? this.timeoutMs),
+          // The body is already serialized and signed
+          transformRequest: [data => data]
+        });
+      }, { logger: logger.getInstance(), name: `Webhook ${payload.event} to ${url}` });
+
+      logger.debug(`Notification ${payload.event} delivered to ${url}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not deliver notification ${payload.event} to ${url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Wait for the notifications still being delivered (and balance checks that may add more)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+// Create singleton instance
+Notifier.instance = null;
+Notifier.NOTIFICATIONS = NOTIFICATIONS;
+
+module.exports = Notifier;
\ No newline at end of file
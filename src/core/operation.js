@@ -3,8 +3,16 @@
  * All blockchain operations extend this class
  */
 const Blockchain = require('./blockchain');
+const { RetryPolicy } = require('./retry');
+const CheckpointStore = require('./checkpoint');
+const DryRunPlan = require('./dryrun');
+const OperationResult = require('./result');
+const Tracer = require('./tracing');
+const EventBus = require('./events');
+const RunControl = require('./control');
 const logger = require('../utils/logger');
 const { randomDelay } = require('../utils/delay');
+const { normalizeError, InterruptedError } = require('../utils/errors');
 
 class Operation {
   /**
@@ -28,6 +36,7 @@ class Operation {
     
     this.walletNum = this.blockchain ? this.blockchain.walletNum : null;
     this.config = config;
+    this.result = null;
     this.logger = this.walletNum !== null ? 
       logger.getInstance(this.walletNum) : 
       logger.getInstance();
@@ -66,43 +75,356 @@ class Operation {
       { min_seconds: 5, max_seconds: 30 };
   }
   
+  /**
+   * Check if dry-run mode is enabled (plan and simulate, never broadcast)
+   * @returns {boolean}
+   */
+  isDryRun() {
+    return DryRunPlan.isEnabled(this.config);
+  }
+  
+  /**
+   * Log the hash and explorer link of a sent transaction
+   * @param {Object} result Successful transaction result
+   */
+  logTransaction(result) {
+    if (result.dryRun) {
+      this.logger.info(`Dry run: transaction planned, not broadcast`);
+      return;
+    }
+    
+    this.logger.success(`Transaction hash: ${result.txHash}`, { txHash: result.txHash });
+    this.logger.success(`View on explorer: ${this.blockchain.getTxUrl(result.txHash)}`);
+  }
+  
+  /**
+   * Get the retry policy for a step of this operation
+   * @param {string} kind Call kind: 'tx', 'rpc' or 'http'
+   * @param {string|null} stepName Step name, matched against operations.<name>.retry.steps
+   * @returns {RetryPolicy} Resolved policy
+   */
+  getRetryPolicy(kind = 'tx', stepName = null) {
+    return RetryPolicy.resolve(this.config, kind, this.operationName, stepName);
+  }
+  
+  /**
+   * Get transaction send options for a step of this operation
+   * @param {string} stepName Step name
+   * @returns {Object} { policy, operation, step } for Blockchain.sendTransaction
+   */
+  getTxOptions(stepName) {
+    return {
+      policy: this.getRetryPolicy('tx', stepName),
+      operation: this.operationName,
+      step: stepName
+    };
+  }
+  
+  /**
+   * Log a failed step with the hint of its error type
+   * An interruption through the control API is not a failure: it is rethrown to stop the operation.
+   * @param {string} message What failed
+   * @param {Object|Error} failure Failed result ({ error, code, details }) or error
+   * @returns {AppError} Typed error of the failure
+   */
+  logFailure(message, failure) {
+    if (failure instanceof InterruptedError) throw failure;
+    
+    const error = normalizeError(failure);
+    
+    this.logger.error(`${message}: ${error.message}`, { error });
+    if (this.result) {
+      this.result.addError(`${message}: ${error.message}`);
+    }
+    if (error.hint) {
+      this.logger.info(`Hint: ${error.hint}`);
+    }
+    
+    return error;
+  }
+  
+  /**
+   * Get the checkpoint key of this operation's wallet
+   * @returns {string|null} Wallet address, or null without a wallet
+   */
+  getCheckpointWallet() {
+    return this.blockchain && this.blockchain.address ? this.blockchain.address : null;
+  }
+  
+  /**
+   * Run a step of this operation at most once per cycle
+   * Completed steps are skipped when an interrupted cycle resumes; a step interrupted after its
+   * transaction was broadcast is resolved from that transaction instead of being sent again.
+   * @param {string} stepKey Step key, unique within the operation (e.g. 'cycle1.mint_ping')
+   * @param {Function} fn Runs the step, resolves to a boolean, a result with success, a result with skipped,
+   *   or null when there was nothing to do
+   * @param {Function|null} recover Builds the result from the receipt of a transaction confirmed before the interruption
+   * @returns {Promise<*>} Step result (the checkpointed result for skipped steps)
+   */
+  async runStep(stepKey, fn, recover = null) {
+    await this.checkControl();
+    this.logger.setContext({ step: stepKey });
+    
+    return await Tracer.getInstance().withSpan(`step ${stepKey}`, {
+      'operation.name': this.operationName,
+      'step.name': stepKey
+    }, async (span) => {
+      const context = { operation: this.operationName, step: stepKey };
+      this.blockchain?.publishEvent(EventBus.EVENTS.STEP_START, context);
+      
+      const outcome = await this.runCheckpointedStep(stepKey, fn, recover);
+      const status = OperationResult.getStepStatus(outcome);
+      span.setAttribute('step.status', status);
+      if (status === OperationResult.STATUS.FAILED) span.recordError(outcome?.error || 'step failed');
+      
+      this.blockchain?.publishEvent(EventBus.EVENTS.STEP_END, context, {
+        status,
+        tx_hash: outcome?.txHash || null,
+        reason: outcome?.reason || outcome?.error || null
+      });
+      return outcome;
+    });
+  }
+  
+  /**
+   * Wait while the automation is paused through the control API, and stop the operation when
+   * its wallet was skipped or its cycle aborted
+   * @returns {Promise<void>}
+   * @throws {InterruptedError} The wallet has to stop
+   */
+  async checkControl() {
+    const control = RunControl.getInstance();
+    await control.waitIfPaused(this.logger);
+    
+    const reason = control.getInterruption();
+    if (reason) throw new InterruptedError(reason);
+  }
+  
+  /**
+   * Run a step against its checkpoint (see runStep)
+   * @param {string} stepKey Step key
+   * @param {Function} fn Runs the step
+   * @param {Function|null} recover Builds the result from the receipt of an earlier transaction
+   * @returns {Promise<*>} Step result
+   * @private
+   */
+  async runCheckpointedStep(stepKey, fn, recover) {
+    const wallet = this.getCheckpointWallet();
+    const checkpoint = CheckpointStore.getInstance();
+    
+    if (!wallet || !checkpoint.enabled) {
+      return this.recordStep(stepKey, await fn());
+    }
+    
+    const saved = checkpoint.getStep(wallet, this.operationName, stepKey);
+    
+    if (saved && saved.status === 'done') {
+      this.logger.info(`Skipping ${this.operationName} ${stepKey}, already completed in this cycle`);
+      return this.recordStep(stepKey, saved.result, { resumed: true });
+    }
+    
+    if (saved && saved.tx_hashes.length > 0) {
+      const receipt = await this.findStepReceipt(stepKey, saved.tx_hashes);
+      
+      if (receipt && receipt.status === 1) {
+        const result = recover ? await recover(receipt) : { success: true, txHash: receipt.hash };
+        this.logger.success(`${this.operationName} ${stepKey} was confirmed before the interruption: ${receipt.hash}`);
+        await checkpoint.markStep(wallet, this.operationName, stepKey, 'done', Operation.toCheckpointResult(result));
+        return this.recordStep(stepKey, result, { resumed: true });
+      }
+    }
+    
+    await checkpoint.markStep(wallet, this.operationName, stepKey, 'pending');
+    const result = await fn();
+    const success = result === true || (result && result.success === true);
+    await checkpoint.markStep(wallet, this.operationName, stepKey, success ? 'done' : 'failed',
+      Operation.toCheckpointResult(result));
+    
+    return this.recordStep(stepKey, result);
+  }
+  
+  /**
+   * Add a step outcome to the running operation's result
+   * @param {string} stepKey Step key
+   * @param {*} outcome Step result
+   * @param {Object} options Step options ({ resumed })
+   * @returns {*} The outcome, unchanged
+   */
+  recordStep(stepKey, outcome, options = {}) {
+    if (this.result) {
+      this.result.addStep(stepKey, outcome, options);
+    }
+    return outcome;
+  }
+  
+  /**
+   * Find the receipt of a step's transaction broadcast before an interruption
+   * A transaction that is still pending is awaited (and sped up or cancelled) as usual.
+   * @param {string} stepKey Step key for logging
+   * @param {Array<string>} hashes Hashes broadcast for the step, oldest first
+   * @returns {Promise<Object|null>} Receipt, or null if none of them was mined
+   */
+  async findStepReceipt(stepKey, hashes) {
+    const provider = this.blockchain.provider;
+    
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    
+    const tx = await provider.getTransaction(hashes[hashes.length - 1]);
+    if (!tx) return null;
+    
+    this.logger.info(`Waiting for ${stepKey} transaction broadcast before the interruption: ${tx.hash}`);
+    try {
+      const { receipt } = await this.blockchain.waitForTransaction(tx, stepKey);
+      return receipt;
+    } catch (error) {
+      this.logger.warn(`${stepKey} transaction did not confirm (${error.message}), sending it again`);
+      return null;
+    }
+  }
+  
+  /**
+   * Get a value that must stay the same when an interrupted cycle resumes
+   * (random counts, amounts and names the remaining steps depend on)
+   * @param {string} key Value key
+   * @param {Function} compute Computes the value the first time
+   * @returns {Promise<*>} Remembered or computed value
+   */
+  async rememberValue(key, compute) {
+    const wallet = this.getCheckpointWallet();
+    const checkpoint = CheckpointStore.getInstance();
+    
+    if (wallet) {
+      const saved = checkpoint.getValue(wallet, this.operationName, key);
+      if (saved !== undefined) return saved;
+    }
+    
+    const value = await compute();
+    if (wallet) {
+      await checkpoint.setValue(wallet, this.operationName, key, value);
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Reduce a step result to what the checkpoint keeps
+   * @param {*} result Step result
+   * @returns {*} Boolean, or { success, txHash, contractAddress }
+   */
+  static toCheckpointResult(result) {
+    if (!result || typeof result !== 'object') return result ?? null;
+    
+    const { success = false, skipped, reason, txHash, contractAddress } = result;
+    return {
+      success,
+      ...(skipped ? { skipped, reason: reason || null } : {}),
+      ...(txHash ? { txHash } : {}),
+      ...(contractAddress ? { contractAddress } : {})
+    };
+  }
+  
   /**
    * Add a random delay before next action
    * @param {string} message Message to display during delay
    * @returns {Promise<boolean>} Success status
    */
   async addDelay(message) {
-    return await randomDelay(this.getDelayConfig(), this.walletNum, message);
+    // Dry runs send nothing, so there is nothing to pace
+    if (this.isDryRun()) return true;
+    
+    return await Tracer.getInstance().withSpan('delay', { 'delay.reason': message },
+      () => randomDelay(this.getDelayConfig(), this.walletNum, message));
   }
   
   /**
-   * Main execution method
-   * @returns {Promise<boolean>} Success status
+   * Main execution method, traced as an operation span
+   * @returns {Promise<OperationResult>} Outcome of the operation
    */
   async execute() {
+    return await Tracer.getInstance().withSpan(`operation ${this.operationName}`, {
+      'operation.name': this.operationName,
+      'wallet.number': this.walletNum,
+      'wallet.address': this.getCheckpointWallet()
+    }, async (span) => {
+      const result = await this.runOperation();
+      span.setAttributes({ 'operation.status': result.status, 'tx.count': result.txHashes.length });
+      if (result.status === OperationResult.STATUS.FAILED) span.recordError(result.errors[0] || 'operation failed');
+      return result;
+    });
+  }
+  
+  /**
+   * Run the operation (see execute)
+   * @returns {Promise<OperationResult>} Outcome of the operation
+   * @private
+   */
+  async runOperation() {
+    const result = new OperationResult(this.operationName);
+    
     if (!this.isEnabled()) {
       this.logger.warn(`${this.operationName} operations disabled in config`);
-      return true; // Return success to not interrupt the flow
+      return result.skip('disabled in config').finish();
     }
     
+    // Skip operations an interrupted cycle already finished
+    const wallet = this.getCheckpointWallet();
+    const checkpoint = CheckpointStore.getInstance();
+    if (wallet && checkpoint.isOperationDone(wallet, this.operationName)) {
+      this.logger.info(`${this.operationName} operations already completed in this cycle, skipping`);
+      return result.skip('completed before the run was resumed').finish();
+    }
+    
+    this.logger.setContext({ operation: this.operationName, step: null });
     this.logger.header(`Starting ${this.operationName} operations...`);
     
+    // Steps, transactions and failures of this run are collected in the result
+    this.result = result;
+    if (this.blockchain) this.blockchain.setOperationResult(result);
+    
+    let returned = false;
+    let interrupted = false;
     try {
       // Reset blockchain manager nonce if available
       if (this.blockchain) this.blockchain.resetNonce();
       
       // Execute implementation-specific operations
-      const result = await this.executeOperations();
-      
-      if (result) {
-        this.logger.success(`${this.operationName} operations completed successfully!`);
-      }
-      
-      return result;
+      returned = await this.executeOperations();
     } catch (error) {
-      this.logger.error(`Error in ${this.operationName} operations: ${error.message}`);
-      return false;
+      if (error instanceof InterruptedError) {
+        // Steps that completed are kept; an operation stopped before any step is skipped
+        interrupted = true;
+        this.logger.warn(`${this.operationName} operations stopped: ${error.message}`);
+        if (result.steps.length === 0) result.skip(error.message);
+        result.warn(error.message);
+      } else {
+        this.logFailure(`Error in ${this.operationName} operations`, error);
+      }
+    } finally {
+      this.result = null;
+      if (this.blockchain) this.blockchain.setOperationResult(null);
+    }
+    
+    result.finish(returned);
+    if (result.status === OperationResult.STATUS.SUCCESS) {
+      this.logger.success(`${this.operationName} operations completed successfully!`);
+    } else if (result.status === OperationResult.STATUS.PARTIAL) {
+      this.logger.warn(`${this.operationName} operations partially completed`);
+    } else if (result.status === OperationResult.STATUS.SKIPPED) {
+      this.logger.info(`${this.operationName} operations had nothing to do`);
     }
+    
+    // Failed, partial and interrupted operations stay pending, so a resumed run picks them up again
+    const completed = result.status === OperationResult.STATUS.SUCCESS ||
+      (result.status === OperationResult.STATUS.SKIPPED && !interrupted);
+    if (wallet && completed) {
+      await checkpoint.markOperation(wallet, this.operationName, 'done');
+    }
+    
+    this.logger.setContext({ operation: null, step: null });
+    return result;
   }
   
   /**
@@ -0,0 +1,75 @@
+/**
+ * Pooled JSON-RPC Provider
+ * ethers provider that sends each request to the best endpoint in the RPC pool
+ */
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const Tracer = require('./tracing');
+
+class PooledProvider extends ethers.JsonRpcProvider {
+  /**
+   * Create a new pooled provider
+   * @param {Object} pool RpcPool instance
+   * @param {Object} network Network profile
+   */
+  constructor(pool, network) {
+    const chain = ethers.Network.from(network.chain_id);
+    super(pool.getBestUrl(), chain, { staticNetwork: chain });
+    this.pool = pool;
+  }
+
+  /**
+   * Send a JSON-RPC payload, failing over to the next endpoint on transport errors
+   * JSON-RPC errors (e.g. reverts) are returned as-is and do not trigger failover
+   * @param {Object|Array} payload JSON-RPC payload
+   * @returns {Promise<Array>} JSON-RPC responses
+   * @private
+   */
+  async _send(payload) {
+    const tracer = Tracer.getInstance();
+    if (!tracer.rpcSpans) return await this._sendToPool(payload);
+
+    const requests = [].concat(payload);
+    return await tracer.withSpan(`rpc ${[...new Set(requests.map(request => request.method))].join(',')}`, {
+      'rpc.system': 'jsonrpc',
+      'rpc.method': requests.length === 1 ? requests[0].method : null,
+      'rpc.batch_size': requests.length
+    }, span => this._sendToPool(payload, span), { kind: Tracer.SPAN_KIND.CLIENT });
+  }
+
+  /**
+   * Send a JSON-RPC payload to the ranked endpoints until one answers
+   * @param {Object|Array} payload JSON-RPC payload
+   * @param {Span|null} span RPC span, gets the endpoint that answered and failover events
+   * @returns {Promise<Array>} JSON-RPC responses
+   * @private
+   */
+  async _sendToPool(payload, span = null) {
+    const endpoints = this.pool.getRankedEndpoints();
+    let lastError = null;
+
+    for (const endpoint of endpoints) {
+      const started = Date.now();
+
+      try {
+        const request = this.pool.createRequest(endpoint.url, payload);
+        const response = await request.send();
+        response.assertOk();
+
+        this.pool.reportSuccess(endpoint, Date.now() - started);
+        span?.setAttribute('rpc.endpoint', logger.redact(endpoint.url));
+
+        const result = response.bodyJson;
+        return Array.isArray(result) ? result : [result];
+      } catch (error) {
+        lastError = error;
+        this.pool.reportFailure(endpoint, error, Date.now() - started);
+        span?.addEvent('failover', { 'rpc.endpoint': logger.redact(endpoint.url), 'error.message': error.shortMessage || error.message });
+      }
+    }
+
+    throw lastError || new Error('No usable RPC endpoints for this network');
+  }
+}
+
+module.exports = PooledProvider;
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const { SocksProxyAgent } = require('socks-proxy-agent');
+const { ethers } = require('ethers');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
@@ -251,6 +252,25 @@ class ProxyManager {
     };
   }
   
+  /**
+   * Route an ethers FetchRequest through the current proxy
+   * Uses the proxy agent when there is one, otherwise only adds the proxy headers.
+   * @param {ethers.FetchRequest} request Request to configure
+   * @returns {ethers.FetchRequest} The same request
+   */
+  applyToRequest(request) {
+    const agent = this.getAgent();
+    if (agent) {
+      request.getUrlFunc = ethers.FetchRequest.createGetUrlFunc({ agent });
+      return request;
+    }
+    
+    for (const [name, value] of Object.entries(this.getHeaders())) {
+      request.setHeader(name, value);
+    }
+    return request;
+  }
+  
   /**
    * Update wallet number and logger
    * @param {number} walletNum Wallet number
@@ -0,0 +1,449 @@
+/**
+ * Run Report
+ * Singleton per-wallet, per-operation summary of a run, printed as a table and
+ * exported to reports/<run-id>.json, .csv and .html
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { sectionReader } = require('../utils/settings');
+const TransactionJournal = require('./journal');
+
+const DEFAULT_DIR = 'reports';
+
+// Journal statuses of transactions that did not go through
+const FAILED_STATUSES = ['failed', 'reverted', 'simulation_reverted', 'cancelled', 'replaced', 'pending'];
+
+const STATUS_SYMBOLS = {
+  success: '✓',
+  partial: '◐',
+  failed: '✗',
+  skipped: '↷',
+  resumed: '↺'
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value Cell value
+ * @returns {string} Escaped cell
+ * @private
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function htmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class RunReport {
+  constructor() {
+    this.enabled = true;
+    this.dir = DEFAULT_DIR;
+    this.runId = null;
+    this.network = null;
+    this.startedAt = null;
+    this.wallets = new Map();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {RunReport} The singleton instance
+   */
+  static getInstance() {
+    if (!RunReport.instance) {
+      RunReport.instance = new RunReport();
+    }
+    return RunReport.instance;
+  }
+
+  /**
+   * Read report settings from configuration
+   * @param {Object} config Configuration object
+   */
+  initialize(config = {}) {
+    const read = sectionReader(config, 'report');
+
+    this.enabled = read('enabled', true) !== false;
+    this.dir = read('dir', DEFAULT_DIR);
+  }
+
+  /**
+   * Start collecting a run
+   * @param {string} runId Run id
+   * @param {Object} network Active network profile
+   */
+  start(runId, network) {
+    this.runId = runId;
+    this.network = network;
+    this.startedAt = new Date();
+    this.wallets = new Map();
+  }
+
+  /**
+   * Register a wallet of the run
+   * @param {number} walletNum Wallet number
+   * @param {Object} account Account ({ address, label })
+   */
+  addWallet(walletNum, account) {
+    this.wallets.set(walletNum, {
+      walletNum,
+      address: account.address,
+      label: account.label || null,
+      operations: new Map()
+    });
+  }
+
+  /**
+   * Record the operation results of a wallet
+   * Errors without a journaled transaction (faucet claims, reads, ...) come from the results,
+   * and so do transaction counts, gas and contracts when the journal is disabled
+   * @param {number} walletNum Wallet number
+   * @param {Object} walletResult Wallet result from OperationResult.aggregate
+   */
+  recordWallet(walletNum, walletResult) {
+    const wallet = this.wallets.get(walletNum);
+    if (!wallet) return;
+
+    for (const result of walletResult.operations) {
+      wallet.operations.set(result.operation, {
+        status: result.status,
+        transactions: result.txHashes.length,
+        gasUsed: result.gasUsed,
+        contracts: [...result.contracts],
+        errors: result.errors.map(error => logger.redact(error)),
+        warnings: result.warnings.map(warning => logger.redact(warning))
+      });
+    }
+  }
+
+  /**
+   * Build the report from the collected statuses and the run's journal entries
+   * Without the journal, transactions, gas and contracts come from the operation results;
+   * failed transactions and spent amounts are then unavailable (null).
+   * @returns {Promise<Object>} Report (amounts as decimal wei strings)
+   */
+  async build() {
+    const journal = TransactionJournal.getInstance();
+    const fromResults = !journal.enabled;
+    const entries = fromResults ? [] : await journal.query({ runId: this.runId });
+    const currency = this.network?.currency_symbol || 'ETH';
+    const byAddress = new Map([...this.wallets.values()].map(wallet => [wallet.address.toLowerCase(), wallet]));
+
+    const cells = new Map();
+    const getCell = (wallet, operation) => {
+      const key = `${wallet.walletNum}:${operation}`;
+      if (!cells.has(key)) {
+        const collected = wallet.operations.get(operation);
+        cells.set(key, {
+          operation,
+          // Transactions without a status in this process were sent before the run was resumed
+          status: collected?.status || 'resumed',
+          transactions: fromResults ? collected?.transactions || 0 : 0,
+          failed_transactions: fromResults ? null : 0,
+          gas_used: fromResults ? collected?.gasUsed || BigInt(0) : BigInt(0),
+          spent_wei: fromResults ? null : BigInt(0),
+          contracts: fromResults ? [...(collected?.contracts || [])] : [],
+          errors: [...(collected?.errors || [])],
+          warnings: [...(collected?.warnings || [])]
+        });
+      }
+      return cells.get(key);
+    };
+
+    for (const wallet of this.wallets.values()) {
+      for (const operation of wallet.operations.keys()) {
+        getCell(wallet, operation);
+      }
+    }
+
+    for (const entry of entries) {
+      const wallet = byAddress.get(String(entry.wallet).toLowerCase());
+      if (!wallet) continue;
+
+      const cell = getCell(wallet, entry.operation || 'other');
+      cell.transactions++;
+      if (FAILED_STATUSES.includes(entry.status)) cell.failed_transactions++;
+      if (entry.gas_used) cell.gas_used += BigInt(entry.gas_used);
+      // Gas is paid for reverted transactions too, value only moves when confirmed
+      if (entry.fee_wei) cell.spent_wei += BigInt(entry.fee_wei);
+      if (entry.status === 'confirmed' && entry.value) cell.spent_wei += BigInt(entry.value);
+      if (entry.contract_address) cell.contracts.push(entry.contract_address);
+      const error = entry.error ? logger.redact(entry.error) : null;
+      if (error && !cell.errors.includes(error)) cell.errors.push(error);
+    }
+
+    const operationNames = [];
+    const wallets = [...this.wallets.values()].map(wallet => {
+      const operations = [...cells.entries()]
+        .filter(([key]) => key.startsWith(`${wallet.walletNum}:`))
+        .map(([, cell]) => cell);
+
+      for (const cell of operations) {
+        if (!operationNames.includes(cell.operation)) operationNames.push(cell.operation);
+      }
+
+      return {
+        wallet_num: wallet.walletNum,
+        address: wallet.address,
+        label: wallet.label,
+        operations: operations.map(cell => RunReport.formatCell(cell, currency)),
+        totals: RunReport.formatCell(RunReport.sumCells(operations), currency)
+      };
+    });
+
+    const allCells = [...cells.values()];
+    return {
+      run_id: this.runId,
+      network: this.network?.name || null,
+      chain_id: this.network?.chain_id || null,
+      currency,
+      source: fromResults ? 'results' : 'journal',
+      started_at: this.startedAt?.toISOString() || null,
+      finished_at: new Date().toISOString(),
+      operations: operationNames,
+      wallets,
+      totals: {
+        ...RunReport.formatCell(RunReport.sumCells(allCells), currency),
+        operations_succeeded: allCells.filter(cell => cell.status === 'success').length,
+        operations_partial: allCells.filter(cell => cell.status === 'partial').length,
+        operations_failed: allCells.filter(cell => cell.status === 'failed').length
+      }
+    };
+  }
+
+  /**
+   * Add up report cells
+   * An unavailable (null) figure makes its total unavailable too.
+   * @param {Array<Object>} cells Cells with BigInt amounts
+   * @returns {Object} Total cell
+   */
+  static sumCells(cells) {
+    const add = (a, b) => (a === null || b === null ? null : a + b);
+
+    return cells.reduce((total, cell) => ({
+      ...total,
+      transactions: total.transactions + cell.transactions,
+      failed_transactions: add(total.failed_transactions, cell.failed_transactions),
+      gas_used: total.gas_used + cell.gas_used,
+      spent_wei: add(total.spent_wei, cell.spent_wei),
+      contracts: [...total.contracts, ...cell.contracts],
+      errors: [...total.errors, ...cell.errors],
+      warnings: [...total.warnings, ...cell.warnings]
+    }), {
+      transactions: 0,
+      failed_transactions: 0,
+      gas_used: BigInt(0),
+      spent_wei: BigInt(0),
+      contracts: [],
+      errors: [],
+      warnings: []
+    });
+  }
+
+  /**
+   * Convert a cell's amounts for export
+   * @param {Object} cell Cell with BigInt amounts
+   * @param {string} currency Currency symbol
+   * @returns {Object} Cell with decimal strings and a formatted spent amount ('n/a' when unavailable)
+   */
+  static formatCell(cell, currency) {
+    return {
+      ...cell,
+      gas_used: cell.gas_used.toString(),
+      spent_wei: cell.spent_wei === null ? null : cell.spent_wei.toString(),
+      spent: cell.spent_wei === null ? 'n/a' : `${ethers.formatEther(cell.spent_wei)} ${currency}`
+    };
+  }
+
+  /**
+   * Render a report as CSV, one row per wallet and operation
+   * @param {Object} report Report
+   * @returns {string} CSV
+   */
+  static toCsv(report) {
+    const header = ['run_id', 'wallet_num', 'address', 'label', 'operation', 'status', 'transactions',
+      'failed_transactions', 'gas_used', 'spent_wei', 'contracts', 'errors', 'warnings'];
+    const rows = [header.join(',')];
+
+    for (const wallet of report.wallets) {
+      for (const cell of wallet.operations) {
+        rows.push([
+          report.run_id, wallet.wallet_num, wallet.address, wallet.label, cell.operation, cell.status,
+          cell.transactions, cell.failed_transactions, cell.gas_used, cell.spent_wei,
+          cell.contracts.join(' '), cell.errors.join('; '), cell.warnings.join('; ')
+        ].map(csvCell).join(','));
+      }
+    }
+
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Render a report as a standalone HTML page
+   * @param {Object} report Report
+   * @returns {string} HTML
+   */
+  static toHtml(report) {
+    const statusCell = (cell) => cell ?
+      `<td class="${cell.status}">${STATUS_SYMBOLS[cell.status] || ''} ${cell.transactions} tx</td>` :
+      '<td class="none">-</td>';
+
+    const matrixRows = report.wallets.map(wallet => `
+      <tr>
+        <td>${wallet.wallet_num}</td>
+        <td><code>${htmlEscape(wallet.address)}</code>${wallet.label ? `<br><small>${htmlEscape(wallet.label)}</small>` : ''}</td>
+        ${report.operations.map(name => statusCell(wallet.operations.find(cell => cell.operation === name))).join('')}
+        <td>${wallet.totals.transactions}</td>
+        <td>${wallet.totals.gas_used}</td>
+        <td>${htmlEscape(wallet.totals.spent)}</td>
+        <td>${wallet.totals.contracts.length}</td>
+        <td>${wallet.totals.errors.length}</td>
+      </tr>`).join('');
+
+    const detailRows = report.wallets.flatMap(wallet => wallet.operations.map(cell => `
+      <tr>
+        <td>${wallet.wallet_num}</td>
+        <td>${htmlEscape(cell.operation)}</td>
+        <td class="${cell.status}">${htmlEscape(cell.status)}</td>
+        <td>${cell.transactions} (${cell.failed_transactions ?? 'n/a'} failed)</td>
+        <td>${cell.gas_used}</td>
+        <td>${htmlEscape(cell.spent)}</td>
+        <td>${cell.contracts.map(address => `<code>${htmlEscape(address)}</code>`).join('<br>')}</td>
+        <td>${cell.errors.map(htmlEscape).join('<br>')}</td>
+        <td>${cell.warnings.map(htmlEscape).join('<br>')}</td>
+      </tr>`)).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Run ${htmlEscape(report.run_id)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    table { border-collapse: collapse; margin-bottom: 2em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    .success { color: #1a7f37; }
+    .partial { color: #9a6700; }
+    .failed { color: #cf222e; }
+    .skipped, .resumed, .none { color: #888; }
+  </style>
+</head>
+<body>
+  <h1>Run ${htmlEscape(report.run_id)}</h1>
+  <p>
+    ${htmlEscape(report.network)} (chain ${htmlEscape(report.chain_id)}),
+    ${htmlEscape(report.started_at)} to ${htmlEscape(report.finished_at)}<br>
+    ${report.totals.transactions} transactions (${report.totals.failed_transactions ?? 'n/a'} failed),
+    ${report.totals.gas_used} gas, ${htmlEscape(report.totals.spent)} spent,
+    ${report.totals.contracts.length} contracts deployed,
+    ${report.totals.operations_succeeded} operations succeeded, ${report.totals.operations_partial} partial,
+    ${report.totals.operations_failed} failed
+  </p>
+  <h2>Wallets</h2>
+  <table>
+    <tr>
+      <th>#</th><th>Address</th>
+      ${report.operations.map(name => `<th>${htmlEscape(name)}</th>`).join('')}
+      <th>Txs</th><th>Gas used</th><th>Spent</th><th>Contracts</th><th>Errors</th>
+    </tr>${matrixRows}
+  </table>
+  <h2>Operations</h2>
+  <table>
+    <tr><th>#</th><th>Operation</th><th>Status</th><th>Transactions</th><th>Gas used</th><th>Spent</th><th>Contracts</th><th>Errors</th><th>Warnings</th></tr>${detailRows}
+  </table>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write a report to <dir>/<run-id>.json, .csv and .html
+   * @param {Object} report Report
+   * @returns {Promise<Array<string>>} Written file paths
+   */
+  async write(report) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const base = path.join(this.dir, report.run_id);
+    const files = {
+      [`${base}.json`]: JSON.stringify(report, null, 2) + '\n',
+      [`${base}.csv`]: RunReport.toCsv(report),
+      [`${base}.html`]: RunReport.toHtml(report)
+    };
+
+    for (const [file, content] of Object.entries(files)) {
+      await fs.writeFile(file, content, 'utf8');
+    }
+
+    return Object.keys(files);
+  }
+
+  /**
+   * Print a report as a wallet by operation table
+   * @param {Object} report Report
+   */
+  print(report) {
+    const opWidth = Math.max(8, ...report.operations.map(name => name.length));
+    const pad = (text, width) => String(text).padEnd(width);
+    const colorize = (status, text) => ({
+      success: chalk.green,
+      partial: chalk.yellow,
+      failed: chalk.red
+    }[status] || chalk.gray)(text);
+
+    logger.print('');
+    logger.print(chalk.bold(`Run report ${report.run_id}`));
+    logger.print(chalk.bold(
+      `${'#'.padStart(4)}  ${pad('Address', 42)}  ${report.operations.map(name => pad(name, opWidth)).join('  ')}  ` +
+      `${pad('Txs', 5)}  ${pad('Gas used', 12)}  Spent`
+    ));
+
+    for (const wallet of report.wallets) {
+      const cells = report.operations.map(name => {
+        const cell = wallet.operations.find(entry => entry.operation === name);
+        return cell ?
+          colorize(cell.status, pad(`${STATUS_SYMBOLS[cell.status] || ''} ${cell.transactions} tx`, opWidth)) :
+          chalk.gray(pad('-', opWidth));
+      });
+
+      logger.print(
+        `${String(wallet.wallet_num).padStart(4)}  ${pad(wallet.address, 42)}  ${cells.join('  ')}  ` +
+        `${pad(wallet.totals.transactions, 5)}  ${pad(wallet.totals.gas_used, 12)}  ${wallet.totals.spent}`
+      );
+      for (const error of wallet.totals.errors) {
+        logger.print(chalk.red(`      ${error}`));
+      }
+      for (const warning of wallet.totals.warnings) {
+        logger.print(chalk.yellow(`      ${warning}`));
+      }
+    }
+
+    const { totals } = report;
+    logger.print(chalk.bold(
+      `${totals.transactions} transaction(s), ${totals.failed_transactions ?? 'n/a'} failed, ${totals.gas_used} gas, ` +
+      `${totals.spent} spent, ${totals.contracts.length} contract(s) deployed, ` +
+      `${totals.operations_succeeded} operation(s) succeeded, ${totals.operations_partial} partial, ${totals.operations_failed} failed`
+    ));
+    logger.print('');
+  }
+}
+
+// Create singleton instance
+RunReport.instance = null;
+
+module.exports = RunReport;
\ No newline at end of file
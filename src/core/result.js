@@ -0,0 +1,201 @@
+/**
+ * Operation Result
+ * Outcome of one operation run: status, steps, transactions, gas, deployed contracts, warnings and errors
+ */
+
+const STATUS = {
+  SUCCESS: 'success',
+  PARTIAL: 'partial',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+class OperationResult {
+  /**
+   * Create a result for an operation run
+   * @param {string} operation Operation name
+   */
+  constructor(operation) {
+    this.operation = operation;
+    this.status = null;
+    this.steps = [];
+    this.txHashes = [];
+    this.gasUsed = BigInt(0);
+    this.contracts = [];
+    this.warnings = [];
+    this.errors = [];
+    this.skipReason = null;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+  }
+
+  /**
+   * Derive the status of a step from what its function returned
+   * @param {*} outcome true/false, a transaction result ({ success, skipped }) or null (nothing to do)
+   * @returns {string} success, skipped or failed
+   */
+  static getStepStatus(outcome) {
+    if (outcome === null || outcome?.skipped) return STATUS.SKIPPED;
+    if (outcome === true || outcome?.success === true) return STATUS.SUCCESS;
+    return STATUS.FAILED;
+  }
+
+  /**
+   * Record a step
+   * @param {string} name Step key
+   * @param {*} outcome What the step returned
+   * @param {Object} options Step options
+   * @param {boolean} options.resumed The step completed before the run was resumed
+   * @returns {Object} Step record
+   */
+  addStep(name, outcome, options = {}) {
+    const step = {
+      name,
+      status: OperationResult.getStepStatus(outcome),
+      txHash: outcome?.txHash || null,
+      contractAddress: outcome?.contractAddress || null,
+      resumed: options.resumed === true,
+      reason: outcome?.reason || outcome?.error || null
+    };
+
+    this.steps.push(step);
+    if (step.txHash && !this.txHashes.includes(step.txHash)) this.txHashes.push(step.txHash);
+    if (step.contractAddress && !this.contracts.includes(step.contractAddress)) this.contracts.push(step.contractAddress);
+    if (step.status === STATUS.SKIPPED && step.reason) this.warn(`${name}: ${step.reason}`);
+
+    return step;
+  }
+
+  /**
+   * Record a transaction sent while the operation ran
+   * @param {Object} transaction { hash, receipt }
+   */
+  addTransaction({ hash, receipt = null }) {
+    const txHash = receipt?.hash || hash;
+    if (txHash && !this.txHashes.includes(txHash)) this.txHashes.push(txHash);
+    if (receipt?.gasUsed) this.gasUsed += BigInt(receipt.gasUsed);
+    if (receipt?.contractAddress && !this.contracts.includes(receipt.contractAddress)) {
+      this.contracts.push(receipt.contractAddress);
+    }
+  }
+
+  /**
+   * Record a warning (something was left out but the operation went on)
+   * @param {string} message Warning
+   * @returns {OperationResult} This result for chaining
+   */
+  warn(message) {
+    if (!this.warnings.includes(message)) this.warnings.push(message);
+    return this;
+  }
+
+  /**
+   * Record an error
+   * @param {string} message Error message
+   * @returns {OperationResult} This result for chaining
+   */
+  addError(message) {
+    if (!this.errors.includes(message)) this.errors.push(message);
+    return this;
+  }
+
+  /**
+   * Mark the whole operation as skipped
+   * @param {string} reason Why it did not run
+   * @returns {OperationResult} This result for chaining
+   */
+  skip(reason) {
+    this.skipReason = reason;
+    return this;
+  }
+
+  /**
+   * Settle the status from the steps and what the operation returned
+   * @param {boolean|undefined} returned executeOperations return value (false when it threw)
+   * @returns {OperationResult} This result for chaining
+   */
+  finish(returned = true) {
+    const count = status => this.steps.filter(step => step.status === status).length;
+    const succeeded = count(STATUS.SUCCESS);
+    const failed = count(STATUS.FAILED);
+    const skipped = count(STATUS.SKIPPED);
+
+    if (this.skipReason) {
+      this.status = STATUS.SKIPPED;
+    } else if (returned === false) {
+      if (succeeded > 0) this.status = STATUS.PARTIAL;
+      else if (failed === 0 && skipped > 0) this.status = STATUS.SKIPPED;
+      else this.status = STATUS.FAILED;
+    } else if (failed > 0) {
+      this.status = succeeded > 0 ? STATUS.PARTIAL : STATUS.FAILED;
+    } else if (succeeded === 0 && skipped > 0) {
+      this.status = STATUS.SKIPPED;
+    } else {
+      this.status = STATUS.SUCCESS;
+    }
+
+    this.finishedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Whether the operation did everything it had to (succeeded or had nothing to do)
+   * @returns {boolean}
+   */
+  get ok() {
+    return this.status === STATUS.SUCCESS || this.status === STATUS.SKIPPED;
+  }
+
+  /**
+   * Plain representation for JSON export
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      operation: this.operation,
+      status: this.status,
+      steps: this.steps,
+      tx_hashes: this.txHashes,
+      gas_used: this.gasUsed.toString(),
+      contracts: this.contracts,
+      warnings: this.warnings,
+      errors: this.errors,
+      skip_reason: this.skipReason,
+      started_at: this.startedAt.toISOString(),
+      finished_at: this.finishedAt ? this.finishedAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Combine statuses of several operations (or wallets)
+   * @param {Array<string>} statuses Statuses
+   * @returns {string} success when all did what they had to, failed when all failed, partial otherwise
+   */
+  static combineStatus(statuses) {
+    if (statuses.length === 0 || statuses.every(status => status === STATUS.SKIPPED)) return STATUS.SKIPPED;
+    if (statuses.every(status => status === STATUS.FAILED)) return STATUS.FAILED;
+    if (statuses.every(status => status === STATUS.SUCCESS || status === STATUS.SKIPPED)) return STATUS.SUCCESS;
+    return STATUS.PARTIAL;
+  }
+
+  /**
+   * Aggregate the operation results of a wallet
+   * @param {Array<OperationResult>} results Operation results
+   * @returns {Object} { status, operations, txHashes, gasUsed, contracts, warnings, errors }
+   */
+  static aggregate(results) {
+    return {
+      status: OperationResult.combineStatus(results.map(result => result.status)),
+      operations: results,
+      txHashes: results.flatMap(result => result.txHashes),
+      gasUsed: results.reduce((total, result) => total + result.gasUsed, BigInt(0)),
+      contracts: results.flatMap(result => result.contracts),
+      warnings: results.flatMap(result => result.warnings.map(warning => `${result.operation}: ${warning}`)),
+      errors: results.flatMap(result => result.errors.map(error => `${result.operation}: ${error}`))
+    };
+  }
+}
+
+OperationResult.STATUS = STATUS;
+
+module.exports = OperationResult;
\ No newline at end of file
@@ -0,0 +1,199 @@
+/**
+ * Retry Policy Engine
+ * One retry implementation for transaction sends, RPC reads and HTTP calls
+ */
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const Tracer = require('./tracing');
+const { wait } = require('../utils/delay');
+const defaultConfig = require('../config/default');
+const { normalizeError, ConfigError } = require('../utils/errors');
+
+// Call kinds with their own default policy under config "retry.<kind>"
+const KINDS = ['tx', 'rpc', 'http'];
+
+/**
+ * Classify an error (or failed result object) into a retry category
+ * @param {Error|Object|string} error Error, failed result ({ error, code }) or message
+ * @returns {string} Category of the typed error, e.g. network, timeout, nonce, fee, revert, insufficient_funds
+ */
+function classifyError(error) {
+  return normalizeError(error).category;
+}
+
+class RetryPolicy {
+  /**
+   * Create a retry policy
+   * @param {Object} settings Policy settings (config format)
+   * @param {number} settings.max_attempts Total attempts including the first one
+   * @param {string} settings.backoff 'fixed', 'linear' or 'exponential'
+   * @param {number} settings.delay_ms Base delay between attempts
+   * @param {number} settings.max_delay_ms Upper bound for a single delay
+   * @param {number} settings.factor Growth factor for exponential backoff
+   * @param {number} settings.jitter_ms Random extra delay added to each wait
+   * @param {number} settings.gas_increase Fee multiplier applied per retry of a transaction
+   * @param {Array<string>} settings.retry_on Error categories to retry ('*' for all)
+   * @param {string} name Policy name for logging
+   */
+  constructor(settings = {}, name = 'operation') {
+    this.name = name;
+    this.maxAttempts = Math.max(1, Number(settings.max_attempts ?? 3));
+    this.backoff = String(settings.backoff || 'exponential').toLowerCase();
+    this.delayMs = Number(settings.delay_ms ?? 1000);
+    this.maxDelayMs = Number(settings.max_delay_ms ?? 60000);
+    this.factor = Number(settings.factor ?? 2);
+    this.jitterMs = Number(settings.jitter_ms ?? 0);
+    this.gasIncrease = Number(settings.gas_increase ?? 1);
+    this.retryOn = settings.retry_on || ['*'];
+  }
+
+  /**
+   * Resolve the policy for a call kind, operation and step
+   * Settings merge in order: retry.<kind> <- operations.<name>.retry <- operations.<name>.retry.steps.<step>
+   * @param {Object} config Configuration manager or plain object
+   * @param {string} kind Call kind: 'tx', 'rpc' or 'http'
+   * @param {string|null} operationName Operation name
+   * @param {string|null} stepName Step inside the operation
+   * @returns {RetryPolicy} Resolved policy
+   */
+  static resolve(config = {}, kind = 'tx', operationName = null, stepName = null) {
+    if (!KINDS.includes(kind)) {
+      throw new ConfigError(`Unknown retry kind "${kind}", expected one of: ${KINDS.join(', ')}`);
+    }
+
+    const read = (path) => (config && config.get ? config.get(path) : _.get(config, path));
+
+    const operationSettings = operationName ? read(`operations.${operationName}.retry`) || {} : {};
+    const stepSettings = stepName ? operationSettings.steps?.[stepName] || {} : {};
+
+    const settings = {
+      ..._.get(defaultConfig, `retry.${kind}`, {}),
+      ...(read(`retry.${kind}`) || {}),
+      ..._.omit(operationSettings, 'steps'),
+      ...stepSettings
+    };
+
+    const name = [operationName, stepName].filter(Boolean).join('.') || kind;
+    return new RetryPolicy(settings, name);
+  }
+
+  /**
+   * Check whether an error should be retried under this policy
+   * Errors flagged as not retryable are never retried, whatever retry_on says.
+   * @param {Error|Object} error Error or failed result
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    const typed = normalizeError(error);
+    if (typed.retryable === false) return false;
+
+    return this.retryOn.includes('*') || this.retryOn.includes(typed.category);
+  }
+
+  /**
+   * Delay before the given retry
+   * @param {number} retryNumber 1 for the first retry
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(retryNumber) {
+    let delay;
+    if (this.backoff === 'fixed') {
+      delay = this.delayMs;
+    } else if (this.backoff === 'linear') {
+      delay = this.delayMs * retryNumber;
+    } else {
+      delay = this.delayMs * Math.pow(this.factor, retryNumber - 1);
+    }
+
+    delay = Math.min(delay, this.maxDelayMs);
+    if (this.jitterMs > 0) {
+      delay += Math.floor(Math.random() * this.jitterMs);
+    }
+    return Math.floor(delay);
+  }
+
+  /**
+   * Run a function under this policy
+   * The function receives { attempt, retryCount, gasMultiplier } and may throw, or return
+   * a result that isFailure() recognises (e.g. { success: false, error, code }).
+   * @param {Function} fn Function to execute
+   * @param {Object} options Execution options
+   * @param {Function} options.isFailure Returns true for failed (non-throwing) results
+   * @param {Function} options.onRetry Called with (error, category, attempt) before each retry
+   * @param {Object} options.logger Logger instance
+   * @param {string} options.name Name for log messages (defaults to the policy name)
+   * @returns {Promise<*>} Last result; throws the last error if every attempt threw
+   */
+  async execute(fn, options = {}) {
+    const { isFailure = null, onRetry = null } = options;
+    const log = options.logger || logger.getInstance();
+    const name = options.name || this.name;
+    const tracer = Tracer.getInstance();
+
+    for (let attempt = 1; ; attempt++) {
+      let failure;
+      let result;
+
+      try {
+        // Each attempt is a span, so retries show up in traces with their number
+        result = await tracer.withSpan(`${name} attempt ${attempt}`, {
+          'retry.name': name,
+          'retry.attempt': attempt,
+          'retry.max_attempts': this.maxAttempts
+        }, async (span) => {
+          const value = await fn({
+            attempt,
+            retryCount: attempt - 1,
+            gasMultiplier: Math.pow(this.gasIncrease, attempt - 1)
+          });
+          if (isFailure && isFailure(value)) span.recordError(value);
+          return value;
+        });
+
+        if (!isFailure || !isFailure(result)) {
+          if (attempt > 1) {
+            log.success(`${name} succeeded on attempt ${attempt}/${this.maxAttempts}`);
+          }
+          return result;
+        }
+        failure = result;
+      } catch (error) {
+        failure = error;
+      }
+
+      const typed = normalizeError(failure);
+      const category = typed.category;
+      const message = typed.message;
+
+      if (!this.isRetryable(failure)) {
+        if (attempt > 1 || this.maxAttempts > 1) {
+          log.error(`${name} failed with non-retryable ${category} error: ${message}`, { error: typed });
+        }
+        if (failure === result) return result;
+        throw failure;
+      }
+
+      if (attempt >= this.maxAttempts) {
+        if (this.maxAttempts > 1) {
+          log.error(`${name} failed after ${this.maxAttempts} attempts: ${message}`, { error: typed });
+        }
+        if (failure === result) return result;
+        throw failure;
+      }
+
+      const delay = this.getDelay(attempt);
+      log.warn(`${name} attempt ${attempt}/${this.maxAttempts} failed (${category}): ${message}. Retrying in ${delay}ms...`, { error: typed });
+
+      if (onRetry) {
+        await onRetry(failure, category, attempt);
+      }
+
+      await tracer.withSpan('retry backoff', { 'retry.name': name, 'retry.delay_ms': delay }, () => wait(delay));
+    }
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  classifyError
+};
\ No newline at end of file
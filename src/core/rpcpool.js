@@ -0,0 +1,278 @@
+/**
+ * RPC Endpoint Pool
+ * Singleton class that ranks RPC endpoints by health and handles failover
+ */
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const logger = require('../utils/logger');
+const { sectionReader } = require('../utils/settings');
+const ProxyManager = require('./proxy');
+const Metrics = require('./metrics');
+const { getNetworkProfile } = require('../config/network');
+
+class RpcPool {
+  constructor() {
+    this.network = null;
+    this.endpoints = [];
+    this.settings = this._readSettings({});
+    this.logger = logger.getInstance();
+    this.lastProbe = 0;
+    this.probing = null;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {RpcPool} The singleton instance
+   */
+  static getInstance() {
+    if (!RpcPool.instance) {
+      RpcPool.instance = new RpcPool();
+    }
+    return RpcPool.instance;
+  }
+
+  /**
+   * Configure the pool for a network and probe every endpoint
+   * @param {Object} config Configuration object
+   * @returns {Promise<Array<Object>>} Endpoints in ranked order
+   */
+  async initialize(config = {}) {
+    const network = config.getNetwork ? config.getNetwork() : getNetworkProfile(config);
+    this.setNetwork(network, config);
+
+    await this.probeAll();
+
+    const ranked = this.getRankedEndpoints();
+    this.logger.info(`RPC pool: ${ranked.map(e => this._describe(e)).join(', ')}`);
+    return ranked;
+  }
+
+  /**
+   * Use the endpoints of a network profile (keeps health data if unchanged)
+   * @param {Object} network Network profile
+   * @param {Object} config Configuration object
+   */
+  setNetwork(network, config = {}) {
+    this.settings = this._readSettings(config);
+
+    const urls = network.rpc_urls || [network.rpc_url];
+    const unchanged = this.network &&
+      this.network.key === network.key &&
+      this.endpoints.map(e => e.url).join(',') === urls.join(',');
+
+    this.network = network;
+    if (unchanged) return;
+
+    this.endpoints = urls.map(url => ({
+      url,
+      latencyMs: null,
+      blockNumber: null,
+      healthy: true,
+      wrongChain: false,
+      failures: 0,
+      cooldownUntil: 0,
+      lastError: null
+    }));
+    this.lastProbe = 0;
+  }
+
+  /**
+   * Read pool settings from configuration
+   * @param {Object} config Configuration object
+   * @returns {Object} Pool settings
+   * @private
+   */
+  _readSettings(config) {
+    const setting = sectionReader(config, 'rpc');
+    const read = (path, defaultValue) => Number(setting(path, defaultValue));
+
+    return {
+      probeIntervalMs: read('probe_interval_seconds', constants.RPC.PROBE_INTERVAL_SECONDS) * 1000,
+      requestTimeoutMs: read('request_timeout_ms', constants.RPC.REQUEST_TIMEOUT_MS),
+      maxBlockLag: read('max_block_lag', constants.RPC.MAX_BLOCK_LAG),
+      failureThreshold: read('failure_threshold', constants.RPC.FAILURE_THRESHOLD),
+      cooldownMs: read('cooldown_seconds', constants.RPC.COOLDOWN_SECONDS) * 1000
+    };
+  }
+
+  /**
+   * Probe every endpoint with eth_chainId and eth_blockNumber
+   * @returns {Promise<void>}
+   */
+  async probeAll() {
+    if (this.probing) return this.probing;
+
+    this.probing = Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)))
+      .then(() => {
+        this.lastProbe = Date.now();
+      })
+      .finally(() => {
+        this.probing = null;
+      });
+
+    return this.probing;
+  }
+
+  /**
+   * Probe a single endpoint
+   * @param {Object} endpoint Endpoint state
+   * @returns {Promise<boolean>} Whether the endpoint is healthy
+   */
+  async probe(endpoint) {
+    const started = Date.now();
+
+    try {
+      const [chainId, blockNumber] = await Promise.all([
+        this.request(endpoint.url, 'eth_chainId'),
+        this.request(endpoint.url, 'eth_blockNumber')
+      ]);
+
+      // Never send requests to an endpoint serving another chain
+      endpoint.wrongChain = Number(chainId) !== this.network.chain_id;
+      if (endpoint.wrongChain) {
+        throw new Error(`chain id ${Number(chainId)} does not match ${this.network.chain_id}`);
+      }
+
+      endpoint.latencyMs = Date.now() - started;
+      Metrics.getInstance().observeRpcRequest(endpoint.url, endpoint.latencyMs);
+      endpoint.blockNumber = Number(blockNumber);
+      endpoint.healthy = true;
+      endpoint.lastError = null;
+      return true;
+    } catch (error) {
+      endpoint.healthy = false;
+      this.reportFailure(endpoint, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a single JSON-RPC request to an endpoint
+   * @param {string} url Endpoint URL
+   * @param {string} method RPC method
+   * @param {Array} params RPC params
+   * @returns {Promise<*>} RPC result
+   */
+  async request(url, method, params = []) {
+    const request = this.createRequest(url, { jsonrpc: '2.0', id: 1, method, params });
+    const response = await request.send();
+    response.assertOk();
+
+    const body = response.bodyJson;
+    if (body.error) {
+      throw new Error(body.error.message || `${method} failed`);
+    }
+    return body.result;
+  }
+
+  /**
+   * Build a JSON-RPC request to an endpoint, routed through the current proxy
+   * @param {string} url Endpoint URL
+   * @param {Object|Array} payload JSON-RPC payload
+   * @returns {ethers.FetchRequest} Request ready to send
+   */
+  createRequest(url, payload) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = this.settings.requestTimeoutMs;
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    return ProxyManager.getInstance().applyToRequest(request);
+  }
+
+  /**
+   * Get endpoints in preferred order
+   * Fresh, fast endpoints first; endpoints in cooldown only as a last resort.
+   * Endpoints reporting the wrong chain id are never returned.
+   * @returns {Array<Object>} Ranked endpoints
+   */
+  getRankedEndpoints() {
+    // Refresh health data in the background once it is stale
+    if (this.endpoints.length > 1 && Date.now() - this.lastProbe > this.settings.probeIntervalMs) {
+      this.probeAll().catch(() => {});
+    }
+
+    const now = Date.now();
+    const bestBlock = Math.max(0, ...this.endpoints.map(e => e.blockNumber || 0));
+    const isLagging = (e) => e.blockNumber !== null && bestBlock - e.blockNumber > this.settings.maxBlockLag;
+
+    const candidates = this.endpoints.filter(e => !e.wrongChain);
+
+    const available = candidates
+      .filter(e => e.cooldownUntil <= now)
+      .sort((a, b) => {
+        // Healthy before unhealthy, fresh before lagging, then by latency
+        if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+        if (isLagging(a) !== isLagging(b)) return isLagging(a) ? 1 : -1;
+        return (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+      });
+
+    const coolingDown = candidates
+      .filter(e => e.cooldownUntil > now)
+      .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+    return [...available, ...coolingDown];
+  }
+
+  /**
+   * Get URL of the best endpoint
+   * @returns {string} Endpoint URL
+   */
+  getBestUrl() {
+    const [best] = this.getRankedEndpoints();
+    return best ? best.url : this.network.rpc_url;
+  }
+
+  /**
+   * Record a successful request
+   * @param {Object} endpoint Endpoint state
+   * @param {number} latencyMs Request latency
+   */
+  reportSuccess(endpoint, latencyMs) {
+    Metrics.getInstance().observeRpcRequest(endpoint.url, latencyMs);
+
+    endpoint.failures = 0;
+    endpoint.healthy = true;
+    endpoint.cooldownUntil = 0;
+    endpoint.latencyMs = endpoint.latencyMs === null ?
+      latencyMs :
+      Math.round(endpoint.latencyMs * 0.7 + latencyMs * 0.3);
+  }
+
+  /**
+   * Record a failed request; endpoints that keep failing go into cooldown
+   * @param {Object} endpoint Endpoint state
+   * @param {Error} error Failure
+   * @param {number|null} latencyMs Time until the request failed, null when unknown
+   */
+  reportFailure(endpoint, error, latencyMs = null) {
+    Metrics.getInstance().observeRpcRequest(endpoint.url, latencyMs, error);
+
+    endpoint.failures++;
+    endpoint.lastError = error.shortMessage || error.message;
+
+    if (endpoint.failures >= this.settings.failureThreshold && endpoint.cooldownUntil <= Date.now()) {
+      endpoint.cooldownUntil = Date.now() + this.settings.cooldownMs;
+      this.logger.warn(`RPC endpoint ${endpoint.url} failed ${endpoint.failures} times, removed from rotation for ${Math.round(this.settings.cooldownMs / 1000)}s (${endpoint.lastError})`);
+    } else {
+      this.logger.warn(`RPC endpoint ${endpoint.url} failed: ${endpoint.lastError}`);
+    }
+  }
+
+  /**
+   * Describe an endpoint for logging
+   * @param {Object} endpoint Endpoint state
+   * @returns {string} Description
+   * @private
+   */
+  _describe(endpoint) {
+    if (!endpoint.healthy) {
+      return `${endpoint.url} (down: ${endpoint.lastError})`;
+    }
+    return `${endpoint.url} (${endpoint.latencyMs}ms, block ${endpoint.blockNumber})`;
+  }
+}
+
+// Create singleton instance
+RpcPool.instance = null;
+
+module.exports = RpcPool;
\ No newline at end of file
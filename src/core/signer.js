@@ -0,0 +1,196 @@
+/**
+ * Remote Signer
+ * ethers Signer that delegates signing to an external JSON-RPC signer (Clef, web3signer, ...)
+ * so private keys never enter the automation process
+ */
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { SignerError, normalizeError } = require('../utils/errors');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const TRANSACTION_FIELDS = [
+  'to', 'data', 'value', 'gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas',
+  'nonce', 'chainId', 'type', 'accessList'
+];
+
+let requestId = 0;
+
+/**
+ * Send a JSON-RPC request to a signer
+ * @param {string} url Signer URL
+ * @param {string} method JSON-RPC method
+ * @param {Array} params Parameters
+ * @param {number} timeoutMs Request timeout (signers may wait for manual approval)
+ * @returns {Promise<*>} Result
+ */
+async function signerRequest(url, method, params = [], timeoutMs = DEFAULT_TIMEOUT_MS) {
+  let response;
+  try {
+    response = await axios.post(url, {
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method,
+      params
+    }, {
+      timeout: timeoutMs,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    // A JSON-RPC error can come with an HTTP error status
+    if (!error.response?.data?.error) {
+      throw normalizeError(error);
+    }
+    response = error.response;
+  }
+
+  if (response.data?.error) {
+    throw new SignerError(`Remote signer ${method} failed: ${response.data.error.message}`, {
+      cause: response.data.error
+    });
+  }
+
+  return response.data?.result;
+}
+
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * Create a remote signer for one account
+   * @param {string} address Account address
+   * @param {string} url Signer JSON-RPC URL
+   * @param {Object|null} provider Provider used to populate and broadcast transactions
+   * @param {Object} options Signer options
+   * @param {number} options.timeoutMs Signing request timeout
+   */
+  constructor(address, url, provider = null, options = {}) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.url = url;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * List the accounts a signer can sign for
+   * @param {string} url Signer JSON-RPC URL
+   * @param {Object} options Request options ({ timeoutMs })
+   * @returns {Promise<Array<string>>} Checksummed addresses
+   */
+  static async getAccounts(url, options = {}) {
+    const accounts = await signerRequest(url, 'eth_accounts', [], options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+    return (accounts || []).map(address => ethers.getAddress(address));
+  }
+
+  /**
+   * Convert a transaction to its JSON-RPC form (hex quantities, 'gas' for the gas limit)
+   * @param {Object} tx Populated transaction
+   * @returns {Object} JSON-RPC transaction
+   */
+  static toRpcTransaction(tx) {
+    const rpcTx = {
+      from: tx.from,
+      ...(tx.to ? { to: tx.to } : {}),
+      ...(tx.data ? { data: tx.data } : {})
+    };
+
+    const quantities = {
+      gas: tx.gasLimit,
+      gasPrice: tx.gasPrice,
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+      value: tx.value,
+      nonce: tx.nonce,
+      chainId: tx.chainId,
+      type: tx.type
+    };
+
+    for (const [key, value] of Object.entries(quantities)) {
+      if (value !== null && value !== undefined) {
+        rpcTx[key] = ethers.toQuantity(value);
+      }
+    }
+
+    if (tx.accessList) {
+      rpcTx.accessList = ethers.accessListify(tx.accessList);
+    }
+
+    return rpcTx;
+  }
+
+  /**
+   * Get the account address
+   * @returns {Promise<string>}
+   */
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Connect to a provider
+   * @param {Object|null} provider Provider
+   * @returns {RemoteSigner} Signer for the same account on the new provider
+   */
+  connect(provider) {
+    return new RemoteSigner(this.address, this.url, provider, { timeoutMs: this.timeoutMs });
+  }
+
+  /**
+   * Sign a transaction with eth_signTransaction
+   * @param {Object} tx Transaction request
+   * @returns {Promise<string>} Signed serialized transaction
+   */
+  async signTransaction(tx) {
+    // sendTransaction passes an ethers Transaction, whose fields are getters that a spread would drop
+    const fields = {};
+    for (const key of TRANSACTION_FIELDS) {
+      fields[key] = tx[key];
+    }
+
+    const populated = await ethers.resolveProperties({
+      ...fields,
+      from: this.address,
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : null
+    });
+
+    const result = await signerRequest(this.url, 'eth_signTransaction', [RemoteSigner.toRpcTransaction(populated)], this.timeoutMs);
+
+    // geth and web3signer return the raw transaction, Clef returns { raw, tx }
+    const raw = typeof result === 'string' ? result : result?.raw;
+    if (!raw) {
+      throw new SignerError('Remote signer returned no signed transaction');
+    }
+
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== this.address) {
+      throw new SignerError(`Remote signer signed for ${signed.from} instead of ${this.address}`);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Sign a message with eth_sign
+   * @param {string|Uint8Array} message Message
+   * @returns {Promise<string>} Signature
+   */
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    return await signerRequest(this.url, 'eth_sign', [this.address, ethers.hexlify(data)], this.timeoutMs);
+  }
+
+  /**
+   * Sign typed data with eth_signTypedData_v4
+   * @param {Object} domain EIP-712 domain
+   * @param {Object} types EIP-712 types
+   * @param {Object} value Value
+   * @returns {Promise<string>} Signature
+   */
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return await signerRequest(this.url, 'eth_signTypedData_v4', [this.address, JSON.stringify(payload)], this.timeoutMs);
+  }
+}
+
+module.exports = {
+  RemoteSigner,
+  signerRequest
+};
\ No newline at end of file
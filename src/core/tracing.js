@@ -0,0 +1,347 @@
+/**
+ * Tracing
+ * Singleton tracer that records nested spans (cycle, wallet, operation, step, RPC call or transaction)
+ * and exports them as OTLP/JSON to a file or an OpenTelemetry collector
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const { getRunId } = require('../utils/run');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_DIR = 'traces';
+const DEFAULT_ENDPOINT = 'http://127.0.0.1:4318/v1/traces';
+const DEFAULT_SERVICE_NAME = 's0mn1a-automation';
+
+// Finished spans are exported in batches of this size, and at the end of every cycle
+const BATCH_SIZE = 512;
+
+// OTLP enums
+const SPAN_KIND = { INTERNAL: 1, CLIENT: 3 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// Wall clock in nanoseconds with hrtime precision
+const EPOCH_OFFSET_NS = BigInt(Date.now()) * BigInt(1000000) - process.hrtime.bigint();
+
+/**
+ * Current time in nanoseconds since the epoch
+ * @returns {BigInt} Nanoseconds
+ * @private
+ */
+function nowNanos() {
+  return process.hrtime.bigint() + EPOCH_OFFSET_NS;
+}
+
+/**
+ * Convert an attribute value to an OTLP AnyValue
+ * @param {*} value Attribute value
+ * @returns {Object} AnyValue
+ * @private
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'bigint') return { intValue: value.toString() };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an attribute map to OTLP key/value pairs
+ * @param {Object} attributes Attributes
+ * @returns {Array<Object>} KeyValue list
+ * @private
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+class Span {
+  /**
+   * Start a span
+   * @param {Tracer} tracer Tracer that exports the span
+   * @param {string} name Span name
+   * @param {Span|null} parent Parent span
+   * @param {Object} attributes Initial attributes
+   * @param {number} kind OTLP span kind
+   */
+  constructor(tracer, name, parent = null, attributes = {}, kind = SPAN_KIND.INTERNAL) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: STATUS_CODE.UNSET };
+    this.setAttributes(attributes);
+  }
+
+  /**
+   * Set attributes; null and undefined values are left out
+   * @param {Object} attributes Attributes
+   * @returns {Span} This span for chaining
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) {
+      if (value !== null && value !== undefined) {
+        this.attributes[key] = value;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Set a single attribute
+   * @param {string} key Attribute key
+   * @param {*} value Attribute value
+   * @returns {Span} This span for chaining
+   */
+  setAttribute(key, value) {
+    return this.setAttributes({ [key]: value });
+  }
+
+  /**
+   * Add a timestamped event
+   * @param {string} name Event name
+   * @param {Object} attributes Event attributes
+   * @returns {Span} This span for chaining
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowNanos(), attributes });
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error|Object|string} error Error, failed result or message
+   * @returns {Span} This span for chaining
+   */
+  recordError(error) {
+    const message = logger.redact(typeof error === 'string' ? error : (error?.message || error?.error || 'error'));
+    this.status = { code: STATUS_CODE.ERROR, message };
+    this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': message
+    });
+    return this;
+  }
+
+  /**
+   * End the span and hand it to the tracer for export
+   */
+  end() {
+    if (this.endTime !== null) return;
+    this.endTime = nowNanos();
+    this.tracer.onSpanEnd(this);
+  }
+
+  /**
+   * OTLP/JSON representation
+   * @returns {Object} OTLP span
+   */
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: this.startTime.toString(),
+      endTimeUnixNano: this.endTime.toString(),
+      attributes: toKeyValues(this.attributes),
+      events: this.events.map(event => ({
+        timeUnixNano: event.time.toString(),
+        name: event.name,
+        attributes: toKeyValues(event.attributes)
+      })),
+      status: this.status
+    };
+  }
+}
+
+// Stand-in span used while tracing is disabled, so callers never check for null
+const NOOP_SPAN = {
+  setAttributes() { return this; },
+  setAttribute() { return this; },
+  addEvent() { return this; },
+  recordError() { return this; },
+  end() {}
+};
+
+class Tracer {
+  constructor() {
+    this.enabled = false;
+    this.exporter = 'file';
+    this.dir = DEFAULT_DIR;
+    this.endpoint = DEFAULT_ENDPOINT;
+    this.serviceName = DEFAULT_SERVICE_NAME;
+    this.rpcSpans = true;
+    this.storage = new AsyncLocalStorage();
+    this.finished = [];
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {Tracer} The singleton instance
+   */
+  static getInstance() {
+    if (!Tracer.instance) {
+      Tracer.instance = new Tracer();
+    }
+    return Tracer.instance;
+  }
+
+  /**
+   * Read tracing settings from configuration
+   * @param {Object} config Configuration object
+   */
+  initialize(config = {}) {
+    const read = sectionReader(config, 'tracing');
+
+    this.enabled = read('enabled', false) === true;
+    this.exporter = read('exporter', 'file') === 'otlp' ? 'otlp' : 'file';
+    this.dir = read('dir', DEFAULT_DIR);
+    this.endpoint = read('endpoint', DEFAULT_ENDPOINT);
+    this.serviceName = read('service_name', DEFAULT_SERVICE_NAME);
+    this.rpcSpans = read('rpc_spans', true) !== false;
+  }
+
+  /**
+   * Get the span of the current async context
+   * @returns {Span|null} Active span
+   */
+  getActiveSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * Start a span under the active span; it is not made active
+   * @param {string} name Span name
+   * @param {Object} attributes Attributes
+   * @param {Object} options Span options
+   * @param {number} options.kind OTLP span kind
+   * @returns {Span|Object} Span, or a no-op span while tracing is disabled
+   */
+  startSpan(name, attributes = {}, options = {}) {
+    if (!this.enabled) return NOOP_SPAN;
+    return new Span(this, name, this.getActiveSpan(), attributes, options.kind ?? SPAN_KIND.INTERNAL);
+  }
+
+  /**
+   * Run a function inside a new active span, ended when the function settles
+   * A thrown error marks the span as failed; results with success false can be marked with span.recordError.
+   * @param {string} name Span name
+   * @param {Object} attributes Attributes
+   * @param {Function} fn Called with the span
+   * @param {Object} options Span options ({ kind })
+   * @returns {Promise<*>} Result of fn
+   */
+  async withSpan(name, attributes, fn, options = {}) {
+    if (!this.enabled) return await fn(NOOP_SPAN);
+
+    const span = this.startSpan(name, attributes, options);
+    try {
+      return await this.storage.run(span, () => fn(span));
+    } catch (error) {
+      span.recordError(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Add an event to the active span
+   * @param {string} name Event name
+   * @param {Object} attributes Event attributes
+   */
+  addEvent(name, attributes = {}) {
+    const span = this.getActiveSpan();
+    if (span) span.addEvent(name, attributes);
+  }
+
+  /**
+   * Queue a finished span for export
+   * @param {Span} span Finished span
+   * @private
+   */
+  onSpanEnd(span) {
+    this.finished.push(span);
+    if (this.finished.length >= BATCH_SIZE) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Build an OTLP/JSON ExportTraceServiceRequest
+   * @param {Array<Span>} spans Finished spans
+   * @returns {Object} Request body
+   */
+  buildRequest(spans) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toKeyValues({
+            'service.name': this.serviceName,
+            'service.version': constants.VERSION.APP,
+            'run.id': getRunId()
+          })
+        },
+        scopeSpans: [{
+          scope: { name: this.serviceName, version: constants.VERSION.APP },
+          spans: spans.map(span => span.toOtlp())
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Export the finished spans
+   * Spans go to <dir>/<run-id>.jsonl (one request per line, readable by the collector's otlpjsonfile
+   * receiver) or are posted to an OTLP/HTTP collector. Failed exports are logged and dropped.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.finished.length === 0) return this.flushing;
+
+    const spans = this.finished;
+    this.finished = [];
+    const body = this.buildRequest(spans);
+
+    // Exports run one at a time so file lines never interleave
+    this.flushing = this.flushing.then(async () => {
+      try {
+        if (this.exporter === 'otlp') {
+          await axios.post(this.endpoint, body, {
+            timeout: 10000,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        } else {
+          await fs.mkdir(this.dir, { recursive: true });
+          await fs.appendFile(path.join(this.dir, `${getRunId()}.jsonl`), JSON.stringify(body) + '\n', 'utf8');
+        }
+      } catch (error) {
+        logger.getInstance().warn(`Could not export ${spans.length} trace span(s): ${error.message}`);
+      }
+    });
+
+    return this.flushing;
+  }
+}
+
+// Create singleton instance
+Tracer.instance = null;
+Tracer.SPAN_KIND = SPAN_KIND;
+
+module.exports = Tracer;
\ No newline at end of file
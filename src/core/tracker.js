@@ -0,0 +1,376 @@
+/**
+ * Pending Transaction Tracker
+ * Waits for confirmations and replaces stuck transactions
+ */
+const { ethers } = require('ethers');
+const constants = require('../utils/constants');
+const Tracer = require('./tracing');
+const EventBus = require('./events');
+const { wait } = require('../utils/delay');
+const { AppError, NonceError, FeeError, RevertError, normalizeError } = require('../utils/errors');
+const { sectionReader } = require('../utils/settings');
+
+class TransactionTracker {
+  /**
+   * Create a new transaction tracker
+   * @param {Object} blockchain Blockchain instance that owns the wallet
+   */
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+  }
+
+  /**
+   * Get tracker settings from configuration
+   * @returns {Object} Timeout, speed-up and cancel settings
+   */
+  getSettings() {
+    const config = this.blockchain.config;
+    const read = sectionReader(config, 'transactions');
+
+    return {
+      timeoutMs: Number(read('confirmation_timeout_seconds', constants.TRANSACTION.CONFIRMATION_TIMEOUT_SECONDS)) * 1000,
+      maxSpeedups: Number(read('max_speedups', constants.TRANSACTION.MAX_SPEEDUPS)),
+      cancelOnStuck: read('cancel_on_stuck', true) !== false
+    };
+  }
+
+  /**
+   * Wait for a transaction to confirm, speeding it up or cancelling it when stuck
+   * @param {Object} tx Broadcast ethers TransactionResponse
+   * @param {string} methodName Method name for logging
+   * @param {number|null} gasIncrease Fee multiplier per speed-up, defaults to retry.tx.gas_increase
+   * @returns {Promise<Object>} { receipt, hash, replacements }
+   */
+  async waitForConfirmation(tx, methodName = 'transaction', gasIncrease = null) {
+    // Every transaction broadcast for this nonce, oldest first
+    const chain = [{ tx, kind: 'original' }];
+
+    try {
+      return await this.followChain(chain, methodName, gasIncrease ?? this.blockchain.getRetryPolicy('tx').gasIncrease);
+    } catch (error) {
+      throw TransactionTracker.toPendingError(error, chain.map(entry => entry.tx.hash));
+    }
+  }
+
+  /**
+   * Poll a replacement chain until one of its transactions is mined, adding speed-ups and a cancel
+   * @param {Array<Object>} chain Broadcast transactions for the nonce, the original first
+   * @param {string} methodName Method name for logging
+   * @param {number} gasIncrease Fee multiplier per speed-up
+   * @returns {Promise<Object>} { receipt, hash, replacements }
+   * @private
+   */
+  async followChain(chain, methodName, gasIncrease) {
+    const logger = this.blockchain.logger;
+    const settings = this.getSettings();
+    const tx = chain[0].tx;
+    let current = tx;
+    let speedups = 0;
+    let cancelled = false;
+    let receipt = null;
+
+    while (true) {
+      receipt = receipt || await this.waitForAny(chain.map(entry => entry.tx.hash), tx.nonce, settings.timeoutMs);
+
+      if (receipt) {
+        const mined = chain.find(entry => entry.tx.hash === receipt.hash);
+
+        if (chain.length > 1) {
+          logger.info(`Replacement chain for nonce ${tx.nonce}: ${this.formatChain(chain, receipt.hash)}`);
+        }
+
+        if (mined.kind === 'cancel') {
+          const error = new AppError(`${methodName} was cancelled after ${speedups} speed-up(s)`, {
+            code: 'TRANSACTION_CANCELLED',
+            category: 'cancelled',
+            retryable: false,
+            hint: 'The network did not pick up the transaction in time; raise transactions.confirmation_timeout_seconds or the gas price multiplier'
+          });
+          error.receipt = receipt;
+          error.replacements = chain.map(entry => entry.tx.hash);
+          throw error;
+        }
+
+        if (receipt.status === 0) {
+          const error = new RevertError(`${methodName} reverted in block ${receipt.blockNumber}`);
+          error.receipt = receipt;
+          error.replacements = chain.map(entry => entry.tx.hash);
+          throw error;
+        }
+
+        return {
+          receipt,
+          hash: receipt.hash,
+          replacements: chain.map(entry => entry.tx.hash)
+        };
+      }
+
+      const timeoutSeconds = Math.round(settings.timeoutMs / 1000);
+      const action = speedups < settings.maxSpeedups ? 'speed_up' :
+        (settings.cancelOnStuck && !cancelled ? 'cancel' : 'give_up');
+      this.blockchain.publishEvent(EventBus.EVENTS.TX_STUCK, {}, {
+        method: methodName,
+        tx_hash: current.hash,
+        nonce: tx.nonce,
+        pending_seconds: timeoutSeconds * chain.length,
+        broadcasts: chain.length,
+        action
+      });
+
+      // Anything thrown from here on leaves a broadcast transaction behind, so none of it is retryable:
+      // a resend would use a new nonce and could run the call twice
+      if (speedups < settings.maxSpeedups) {
+        speedups++;
+        logger.warn(`${methodName} not confirmed after ${timeoutSeconds}s, speeding up nonce ${tx.nonce} (${speedups}/${settings.maxSpeedups})...`);
+        try {
+          current = await this.replace(current, speedups, false, gasIncrease);
+        } catch (error) {
+          receipt = await this.handleReplaceFailure(error, chain, tx.nonce, methodName);
+          continue;
+        }
+        chain.push({ tx: current, kind: 'speedup' });
+        Tracer.getInstance().addEvent('speed_up', { 'tx.hash': current.hash, 'tx.nonce': tx.nonce, 'speedup.number': speedups });
+        await this.blockchain.noteBroadcast(current, `${methodName} speed-up`);
+        logger.info(`Speed-up transaction sent: ${current.hash} (replaces ${chain[chain.length - 2].tx.hash})`);
+      } else if (settings.cancelOnStuck && !cancelled) {
+        cancelled = true;
+        logger.warn(`${methodName} still pending after ${speedups} speed-up(s), cancelling nonce ${tx.nonce}...`);
+        try {
+          current = await this.replace(current, speedups + 1, true, gasIncrease);
+        } catch (error) {
+          receipt = await this.handleReplaceFailure(error, chain, tx.nonce, methodName);
+          continue;
+        }
+        chain.push({ tx: current, kind: 'cancel' });
+        Tracer.getInstance().addEvent('cancel', { 'tx.hash': current.hash, 'tx.nonce': tx.nonce });
+        await this.blockchain.noteBroadcast(current, `${methodName} cancel`);
+        logger.info(`Cancel transaction sent: ${current.hash} (replaces ${chain[chain.length - 2].tx.hash})`);
+      } else {
+        // A receipt may have appeared since the last poll
+        receipt = await this.findReceipt(chain.map(entry => entry.tx.hash)).catch(() => null);
+        if (receipt) continue;
+
+        logger.error(`Nonce ${tx.nonce} still pending: ${this.formatChain(chain, null)}`);
+        const error = new AppError(`${methodName} not confirmed after ${chain.length} broadcast(s)`, {
+          code: 'TIMEOUT',
+          category: 'timeout',
+          retryable: false,
+          hint: 'The transaction is still pending and may confirm later; check it on the explorer, then raise transactions.confirmation_timeout_seconds or enable cancel_on_stuck'
+        });
+        error.replacements = chain.map(entry => entry.tx.hash);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Handle a failed speed-up or cancel broadcast
+   * The failure often means the nonce was just mined, so the receipts are checked again first.
+   * @param {Error} error Broadcast error
+   * @param {Array<Object>} chain Broadcast transactions for the nonce
+   * @param {number} nonce Shared nonce
+   * @param {string} methodName Method name for logging
+   * @returns {Promise<Object>} Receipt of a transaction in the chain
+   * @throws {AppError} Non-retryable error when no transaction of the chain was mined
+   */
+  async handleReplaceFailure(error, chain, nonce, methodName) {
+    const hashes = chain.map(entry => entry.tx.hash);
+    const receipt = await this.findReceipt(hashes).catch(() => null);
+    if (receipt) return receipt;
+
+    const typed = normalizeError(error);
+    const minedNonce = await this.blockchain.provider.getTransactionCount(this.blockchain.address, 'latest').catch(() => null);
+    const failure = typed instanceof NonceError || (minedNonce !== null && minedNonce > nonce) ?
+      new NonceError(`Nonce ${nonce} was used by another transaction`, { code: 'TRANSACTION_REPLACED', retryable: false, cause: error }) :
+      new AppError(`Could not replace ${methodName}: ${typed.message}`, {
+        code: typed.code,
+        category: typed.category,
+        retryable: false,
+        hint: 'The transaction is still pending and may confirm later; check it on the explorer before sending it again',
+        cause: error
+      });
+
+    this.blockchain.logger.error(`Replacement for nonce ${nonce} failed: ${this.formatChain(chain, null)}`);
+    failure.replacements = hashes;
+    throw failure;
+  }
+
+  /**
+   * Poll for a receipt of any transaction in a replacement chain
+   * @param {Array<string>} hashes Transaction hashes sharing one nonce
+   * @param {number} nonce Shared nonce
+   * @param {number} timeoutMs Time to wait before giving up
+   * @returns {Promise<Object|null>} Receipt of the mined transaction, or null on timeout
+   */
+  async waitForAny(hashes, nonce, timeoutMs) {
+    const provider = this.blockchain.provider;
+    const deadline = Date.now() + timeoutMs;
+
+    // Polls once more at the deadline
+    while (true) {
+      let minedNonce = null;
+      try {
+        const receipt = await this.findReceipt(hashes);
+        if (receipt) return receipt;
+        minedNonce = await provider.getTransactionCount(this.blockchain.address, 'latest');
+      } catch (error) {
+        // A failed poll says nothing about the transaction, so keep polling until the timeout
+        this.blockchain.logger.debug(`Could not poll nonce ${nonce}: ${normalizeError(error).message}`);
+      }
+
+      // Nonce consumed by a transaction we did not send
+      if (minedNonce !== null && minedNonce > nonce) {
+        // Receipt may lag behind the nonce, check once more before giving up
+        const lateReceipt = await this.findReceipt(hashes).catch(() => null);
+        if (lateReceipt) return lateReceipt;
+
+        // Not retryable: one of our transactions may still show up, a resend could run the call twice
+        const error = new NonceError(`Nonce ${nonce} was used by another transaction`, { code: 'TRANSACTION_REPLACED', retryable: false });
+        error.replacements = hashes;
+        throw error;
+      }
+
+      if (Date.now() >= deadline) return null;
+      await wait(Math.min(constants.TRANSACTION.POLL_INTERVAL_MS, deadline - Date.now()));
+    }
+  }
+
+  /**
+   * Make an error raised after a broadcast non-retryable
+   * A retry would send the call again with a new nonce while a broadcast transaction can still be mined.
+   * @param {Error} error Error raised while the transactions were pending
+   * @param {Array<string>} hashes Broadcast transaction hashes for the nonce
+   * @returns {AppError} Non-retryable error carrying the hashes as replacements
+   */
+  static toPendingError(error, hashes) {
+    const typed = normalizeError(error);
+    if (typed.retryable === false) {
+      typed.replacements = typed.replacements || hashes;
+      return typed;
+    }
+
+    const pending = new AppError(typed.message, {
+      code: typed.code,
+      category: typed.category,
+      retryable: false,
+      hint: 'The transaction was broadcast and may still confirm; check it on the explorer before sending it again',
+      cause: error
+    });
+    pending.replacements = hashes;
+    return pending;
+  }
+
+  /**
+   * Get the receipt of the first transaction in a replacement chain that has one
+   * @param {Array<string>} hashes Transaction hashes sharing one nonce
+   * @returns {Promise<Object|null>} Receipt, or null when none is mined yet
+   */
+  async findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.blockchain.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Re-broadcast the same nonce with bumped fees
+   * @param {Object} previous Transaction being replaced
+   * @param {number} bumpCount Number of bumps so far, including this one
+   * @param {boolean} cancel Send a zero-value self-transfer instead of the original call
+   * @param {number} gasIncrease Fee multiplier per bump
+   * @returns {Promise<Object>} Replacement TransactionResponse
+   */
+  async replace(previous, bumpCount, cancel, gasIncrease) {
+    const fees = await this.bumpFees(previous, bumpCount, gasIncrease);
+
+    const replacement = cancel ? {
+      to: this.blockchain.address,
+      value: BigInt(0),
+      data: '0x',
+      gasLimit: BigInt(21000)
+    } : {
+      to: previous.to,
+      value: previous.value,
+      data: previous.data,
+      gasLimit: previous.gasLimit
+    };
+
+    return await this.blockchain.wallet.sendTransaction({
+      ...replacement,
+      ...fees,
+      nonce: previous.nonce,
+      chainId: previous.chainId
+    });
+  }
+
+  /**
+   * Calculate replacement fees: previous fees times the gas increase, or current network fees if higher,
+   * capped at GAS.MAX_GWEI
+   * @param {Object} previous Transaction being replaced
+   * @param {number} bumpCount Number of bumps so far
+   * @param {number} gasIncrease Fee multiplier, raised to GAS.MIN_REPLACEMENT_INCREASE when lower
+   * @returns {Promise<Object>} Fee fields of the same transaction type
+   * @throws {FeeError} When the previous fees are already at the cap
+   */
+  async bumpFees(previous, bumpCount, gasIncrease = constants.GAS.RETRY_INCREASE) {
+    const multiplier = Math.max(gasIncrease, constants.GAS.MIN_REPLACEMENT_INCREASE);
+    const increase = (value) => BigInt(Math.ceil(Number(value) * multiplier));
+    const max = (a, b) => (a > b ? a : b);
+    const min = (a, b) => (a < b ? a : b);
+    const cap = ethers.parseUnits(constants.GAS.MAX_GWEI.toString(), 'gwei');
+    const current = await this.blockchain.getFeeData(bumpCount, multiplier);
+    const checkCap = (previousFee) => {
+      if (previousFee >= cap) {
+        throw new FeeError(`Fees already at the maximum of ${constants.GAS.MAX_GWEI} gwei, cannot bump them`, { retryable: false });
+      }
+    };
+
+    if (previous.type === 2) {
+      let maxFeePerGas = increase(previous.maxFeePerGas);
+      let maxPriorityFeePerGas = increase(previous.maxPriorityFeePerGas);
+
+      if (current.type === 2) {
+        maxFeePerGas = max(maxFeePerGas, current.maxFeePerGas);
+        maxPriorityFeePerGas = max(maxPriorityFeePerGas, current.maxPriorityFeePerGas);
+      }
+
+      checkCap(previous.maxFeePerGas);
+      maxFeePerGas = min(maxFeePerGas, cap);
+      maxPriorityFeePerGas = min(maxPriorityFeePerGas, maxFeePerGas);
+
+      this.blockchain.logger.info(`Bumped fees: max fee ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei, priority fee ${ethers.formatUnits(maxPriorityFeePerGas, 'gwei')} gwei`);
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    let gasPrice = increase(previous.gasPrice);
+    if (current.gasPrice) {
+      gasPrice = max(gasPrice, current.gasPrice);
+    }
+
+    checkCap(previous.gasPrice);
+    gasPrice = min(gasPrice, cap);
+
+    this.blockchain.logger.info(`Bumped gas price: ${ethers.formatUnits(gasPrice, 'gwei')} gwei`);
+    return { type: previous.type, gasPrice };
+  }
+
+  /**
+   * Format a replacement chain for logging
+   * @param {Array<Object>} chain Broadcast transactions for one nonce
+   * @param {string|null} minedHash Hash that was mined, if any
+   * @returns {string} Chain description
+   * @private
+   */
+  formatChain(chain, minedHash) {
+    return chain
+      .map(entry => {
+        const label = entry.kind === 'original' ? '' : ` (${entry.kind})`;
+        const mined = entry.tx.hash === minedHash ? ' [mined]' : '';
+        return `${entry.tx.hash}${label}${mined}`;
+      })
+      .join(' -> ');
+  }
+}
+
+module.exports = TransactionTracker;
\ No newline at end of file
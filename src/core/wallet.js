@@ -0,0 +1,515 @@
+/**
+ * Wallet Manager
+ * Loads wallet accounts from data/pk.txt, encrypted keystores, an HD mnemonic or a remote signer
+ * and hands out ethers signers
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const logger = require('../utils/logger');
+const { RemoteSigner } = require('./signer');
+const { ConfigError } = require('../utils/errors');
+const { sectionReader } = require('../utils/settings');
+
+const DEFAULT_SETTINGS = {
+  source: 'pk_file',
+  pk_file: 'data/pk.txt',
+  keystore_dir: 'data/keystores',
+  mnemonic_file: 'data/mnemonic.txt',
+  derivation_path: "m/44'/60'/0'/0/{0..9}",
+  remote_signer: {
+    url: 'http://127.0.0.1:8550',
+    accounts: [],
+    timeout_ms: 30000
+  }
+};
+
+// Guards against typos like {0..10000} deriving for minutes
+const MAX_DERIVED_ACCOUNTS = 1000;
+
+class WalletManager {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.interactive = process.env.NON_INTERACTIVE !== 'true';
+    this.passphrase = null;
+    this.logger = logger.getInstance();
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {WalletManager} The singleton instance
+   */
+  static getInstance() {
+    if (!WalletManager.instance) {
+      WalletManager.instance = new WalletManager();
+    }
+    return WalletManager.instance;
+  }
+
+  /**
+   * Read wallet settings from configuration
+   * @param {Object} config Configuration object
+   */
+  initialize(config = {}) {
+    const setting = sectionReader(config, 'wallets');
+    const read = (key) => setting(key, DEFAULT_SETTINGS[key]);
+
+    this.settings = {
+      source: read('source'),
+      pk_file: read('pk_file'),
+      keystore_dir: read('keystore_dir'),
+      mnemonic_file: read('mnemonic_file'),
+      derivation_path: read('derivation_path'),
+      remote_signer: { ...DEFAULT_SETTINGS.remote_signer, ...read('remote_signer') }
+    };
+  }
+
+  /**
+   * Load the accounts of the configured source
+   * @returns {Promise<Array<Object>>} Accounts ({ index, label, address, signer }), in processing order
+   */
+  async loadAccounts() {
+    const accounts = await this.loadSourceAccounts();
+
+    // Key material never shows up in logs, whatever ends up printing it
+    for (const account of accounts) {
+      logger.addSecret(account.signer.privateKey);
+      logger.addSecret(account.signer.mnemonic?.phrase);
+    }
+
+    return accounts;
+  }
+
+  /**
+   * Load the accounts of the configured source without post-processing
+   * @returns {Promise<Array<Object>>} Accounts
+   * @private
+   */
+  async loadSourceAccounts() {
+    switch (this.settings.source) {
+      case 'pk_file': {
+        const keys = await this.loadPrivateKeys();
+        return keys.map((key, i) => WalletManager.toAccount(key.wallet, i, key.label));
+      }
+      case 'keystore': {
+        // Asked once per process, later cycles reuse it
+        this.passphrase = this.passphrase || await this.getPassphrase();
+        logger.addSecret(this.passphrase);
+        return await this.loadKeystores(this.passphrase);
+      }
+      case 'mnemonic': {
+        const phrase = await this.loadMnemonic();
+        logger.addSecret(process.env.MNEMONIC_PASSWORD);
+        return this.deriveAccounts(phrase, this.settings.derivation_path, process.env.MNEMONIC_PASSWORD || '');
+      }
+      case 'remote':
+        return await this.loadRemoteAccounts();
+      default:
+        throw new ConfigError(`Unknown wallet source "${this.settings.source}"`, {
+          hint: 'Set wallets.source to "pk_file", "keystore", "mnemonic" or "remote"'
+        });
+    }
+  }
+
+  /**
+   * Load and validate private keys from the key file
+   * @param {string} filePath Key file path
+   * @returns {Promise<Array<Object>>} Keys ({ line, label, privateKey, wallet }), in file order
+   */
+  async loadPrivateKeys(filePath = this.settings.pk_file) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new ConfigError(`Unable to read ${filePath}: ${error.message}`, { cause: error });
+      }
+
+      // Create an empty file so the user knows where keys go
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, '', 'utf8');
+      throw new ConfigError(`${filePath} not found, created an empty file`, {
+        hint: `Add private keys to ${filePath}, one per line`
+      });
+    }
+
+    const { keys, problems } = WalletManager.parseKeyFile(content);
+
+    if (problems.length > 0) {
+      throw new ConfigError(`${problems.length} problem(s) in ${filePath}:\n  ${problems.join('\n  ')}`, {
+        hint: 'Each line holds a 64 hex character private key, optionally prefixed with "label," - lines starting with # are ignored'
+      });
+    }
+
+    if (keys.length === 0) {
+      throw new ConfigError(`No private keys found in ${filePath}`, {
+        hint: `Add private keys to ${filePath}, one per line`
+      });
+    }
+
+    this.logger.success(`Loaded ${keys.length} private keys`);
+    return keys;
+  }
+
+  /**
+   * Parse key file content. Lines are "key" or "label, key"; blank lines and # comments are skipped.
+   * Problems name the line but never include the key itself, since they end up in logs.
+   * @param {string} content Key file content
+   * @returns {Object} { keys: [{ line, label, privateKey, wallet }], problems: [string] }
+   */
+  static parseKeyFile(content) {
+    const keys = [];
+    const problems = [];
+    const seen = new Map();
+
+    content.split(/\r?\n/).forEach((rawLine, i) => {
+      const line = i + 1;
+      const text = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      if (!text) return;
+
+      const separator = text.lastIndexOf(',');
+      const label = separator >= 0 ? text.slice(0, separator).trim() : null;
+      const key = (separator >= 0 ? text.slice(separator + 1) : text).trim();
+
+      if (separator >= 0 && !label) {
+        problems.push(`line ${line}: empty label before ","`);
+        return;
+      }
+
+      const hex = key.replace(/^0x/i, '');
+      if (!/^[0-9a-fA-F]*$/.test(hex)) {
+        problems.push(`line ${line}: private key contains non-hex characters`);
+        return;
+      }
+      if (hex.length !== 64) {
+        problems.push(`line ${line}: private key has ${hex.length} hex characters, expected 64`);
+        return;
+      }
+
+      let wallet;
+      try {
+        wallet = new ethers.Wallet(`0x${hex.toLowerCase()}`);
+      } catch (error) {
+        // Zero or above the curve order
+        problems.push(`line ${line}: private key is out of range for secp256k1`);
+        return;
+      }
+
+      const firstLine = seen.get(wallet.address);
+      if (firstLine) {
+        problems.push(`line ${line}: duplicate key for ${wallet.address} (first on line ${firstLine})`);
+        return;
+      }
+      seen.set(wallet.address, line);
+
+      keys.push({ line, label, privateKey: wallet.privateKey, wallet });
+    });
+
+    return { keys, problems };
+  }
+
+  /**
+   * Print the accounts that will be processed
+   * @param {Array<Object>} accounts Accounts ({ index, label, address })
+   */
+  printAccounts(accounts) {
+    const labelWidth = Math.max(5, ...accounts.map(account => (account.label || '-').length));
+
+    logger.print('');
+    logger.print(chalk.bold(`${'#'.padStart(4)}  ${'Label'.padEnd(labelWidth)}  Address`));
+    for (const account of accounts) {
+      logger.print(`${String(account.index + 1).padStart(4)}  ${(account.label || '-').padEnd(labelWidth)}  ${account.address}`);
+    }
+    logger.print('');
+  }
+
+  /**
+   * Get the keystore passphrase from KEYSTORE_PASSPHRASE or an interactive prompt
+   * @param {boolean} confirm Ask twice (when creating keystores)
+   * @returns {Promise<string>} Passphrase
+   */
+  async getPassphrase(confirm = false) {
+    if (process.env.KEYSTORE_PASSPHRASE) {
+      return process.env.KEYSTORE_PASSPHRASE;
+    }
+
+    if (!this.interactive) {
+      throw new ConfigError('Keystore passphrase required in non-interactive mode', {
+        hint: 'Set the KEYSTORE_PASSPHRASE environment variable'
+      });
+    }
+
+    const { passphrase } = await inquirer.prompt([{
+      type: 'password',
+      name: 'passphrase',
+      message: 'Keystore passphrase:',
+      mask: '*',
+      validate: value => value.length > 0 || 'Passphrase cannot be empty'
+    }]);
+
+    if (confirm) {
+      const { repeated } = await inquirer.prompt([{
+        type: 'password',
+        name: 'repeated',
+        message: 'Repeat passphrase:',
+        mask: '*'
+      }]);
+
+      if (repeated !== passphrase) {
+        throw new ConfigError('Passphrases do not match');
+      }
+    }
+
+    return passphrase;
+  }
+
+  /**
+   * List keystore files, oldest first (file names start with a UTC timestamp)
+   * @returns {Promise<Array<string>>} Keystore file paths
+   */
+  async listKeystores() {
+    let files;
+    try {
+      files = await fs.readdir(this.settings.keystore_dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .filter(file => file.endsWith('.json') || file.startsWith('UTC--'))
+      .sort()
+      .map(file => path.join(this.settings.keystore_dir, file));
+  }
+
+  /**
+   * Get the address a keystore belongs to without decrypting it
+   * @param {string} filePath Keystore file path
+   * @returns {Promise<string|null>} Checksummed address, or null if the file has none
+   */
+  async getKeystoreAddress(filePath) {
+    try {
+      const { address } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return address ? ethers.getAddress(address.startsWith('0x') ? address : `0x${address}`) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decrypt every keystore with one passphrase
+   * @param {string} passphrase Keystore passphrase
+   * @returns {Promise<Array<Object>>} Accounts ({ index, label, address, signer })
+   */
+  async loadKeystores(passphrase) {
+    const files = await this.listKeystores();
+
+    if (files.length === 0) {
+      throw new ConfigError(`No keystores found in ${this.settings.keystore_dir}`, {
+        hint: 'Import your keys with "npm run wallet -- import", or set wallets.source to "pk_file"'
+      });
+    }
+
+    const accounts = [];
+    for (const file of files) {
+      let signer;
+      try {
+        signer = await ethers.Wallet.fromEncryptedJson(await fs.readFile(file, 'utf8'), passphrase);
+      } catch (error) {
+        throw new ConfigError(`Unable to unlock keystore ${path.basename(file)}: ${error.shortMessage || error.message}`, {
+          hint: 'All keystores must use the same passphrase; check KEYSTORE_PASSPHRASE or the passphrase you entered',
+          cause: error
+        });
+      }
+
+      accounts.push(WalletManager.toAccount(signer, accounts.length));
+      this.logger.info(`Unlocked keystore ${accounts.length}/${files.length}: ${signer.address}`);
+    }
+
+    this.logger.success(`Loaded ${accounts.length} keystores`);
+    return accounts;
+  }
+
+  /**
+   * Encrypt private keys into keystores, skipping addresses that already have one
+   * @param {Array<string>} privateKeys Private keys
+   * @param {string} passphrase Keystore passphrase
+   * @returns {Promise<Object>} { imported, skipped } addresses
+   */
+  async importPrivateKeys(privateKeys, passphrase) {
+    await fs.mkdir(this.settings.keystore_dir, { recursive: true });
+
+    const existing = new Set();
+    for (const file of await this.listKeystores()) {
+      const address = await this.getKeystoreAddress(file);
+      if (address) existing.add(address);
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    for (const privateKey of privateKeys) {
+      const wallet = new ethers.Wallet(privateKey);
+
+      if (existing.has(wallet.address)) {
+        skipped.push(wallet.address);
+        continue;
+      }
+
+      const json = await wallet.encrypt(passphrase);
+      const fileName = `UTC--${new Date().toISOString().replace(/:/g, '-')}--${wallet.address.slice(2).toLowerCase()}.json`;
+      await fs.writeFile(path.join(this.settings.keystore_dir, fileName), json, { encoding: 'utf8', mode: 0o600 });
+
+      existing.add(wallet.address);
+      imported.push(wallet.address);
+      this.logger.info(`Encrypted keystore ${imported.length}: ${wallet.address}`);
+    }
+
+    return { imported, skipped };
+  }
+
+  /**
+   * Load the BIP-39 mnemonic from WALLET_MNEMONIC or the mnemonic file
+   * @returns {Promise<string>} Mnemonic phrase
+   */
+  async loadMnemonic() {
+    let phrase = process.env.WALLET_MNEMONIC;
+
+    if (!phrase) {
+      try {
+        phrase = await fs.readFile(this.settings.mnemonic_file, 'utf8');
+      } catch (error) {
+        throw new ConfigError(`Unable to read mnemonic from ${this.settings.mnemonic_file}: ${error.message}`, {
+          hint: `Put the mnemonic in ${this.settings.mnemonic_file} or the WALLET_MNEMONIC environment variable`,
+          cause: error
+        });
+      }
+    }
+
+    phrase = phrase.trim().split(/\s+/).join(' ');
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new ConfigError('Invalid BIP-39 mnemonic', {
+        hint: 'Check the words and their order; the checksum of the phrase does not match'
+      });
+    }
+
+    return phrase;
+  }
+
+  /**
+   * Derive accounts from a mnemonic
+   * @param {string} phrase Mnemonic phrase
+   * @param {string} pathTemplate Derivation path, the index range in braces (e.g. m/44'/60'/0'/0/{0..19})
+   * @param {string} password Optional BIP-39 passphrase
+   * @returns {Array<Object>} Accounts ({ index, label, address, signer }), labelled with their path
+   */
+  deriveAccounts(phrase, pathTemplate, password = '') {
+    const paths = WalletManager.expandDerivationPath(pathTemplate);
+
+    const accounts = paths.map((derivationPath, i) =>
+      WalletManager.toAccount(ethers.HDNodeWallet.fromPhrase(phrase, password, derivationPath), i, derivationPath));
+
+    this.logger.success(`Derived ${accounts.length} accounts from mnemonic (${pathTemplate})`);
+    return accounts;
+  }
+
+  /**
+   * Expand a derivation path template into paths
+   * @param {string} template Path with an optional {start..end} range, e.g. m/44'/60'/0'/0/{0..19}
+   * @returns {Array<string>} Derivation paths
+   */
+  static expandDerivationPath(template) {
+    const match = /\{(\d+)\.\.(\d+)\}/.exec(template);
+    const paths = [];
+
+    if (!match) {
+      paths.push(template);
+    } else {
+      const start = Number(match[1]);
+      const end = Number(match[2]);
+
+      if (end < start || end - start + 1 > MAX_DERIVED_ACCOUNTS) {
+        throw new ConfigError(`Invalid index range {${match[1]}..${match[2]}} in derivation path`, {
+          hint: `Use {start..end} with start <= end and at most ${MAX_DERIVED_ACCOUNTS} accounts`
+        });
+      }
+
+      for (let index = start; index <= end; index++) {
+        paths.push(template.replace(match[0], String(index)));
+      }
+    }
+
+    for (const derivationPath of paths) {
+      if (!/^m(\/\d+'?)+$/.test(derivationPath)) {
+        throw new ConfigError(`Invalid derivation path "${derivationPath}"`, {
+          hint: "Use a path like m/44'/60'/0'/0/{0..19}"
+        });
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Load address-only accounts of a remote JSON-RPC signer
+   * Keys stay in the signer; only eth_accounts and eth_signTransaction are used.
+   * @returns {Promise<Array<Object>>} Accounts ({ index, label, address, signer })
+   */
+  async loadRemoteAccounts() {
+    const { url, accounts: selected = [], timeout_ms: timeoutMs } = this.settings.remote_signer;
+
+    let available;
+    try {
+      available = await RemoteSigner.getAccounts(url, { timeoutMs });
+    } catch (error) {
+      throw new ConfigError(`Unable to list accounts of remote signer ${url}: ${error.message}`, {
+        hint: 'Check that the signer is running and wallets.remote_signer.url points to it',
+        cause: error
+      });
+    }
+
+    // Optionally restrict (and order) the accounts to the configured ones
+    let addresses = available;
+    if (selected.length > 0) {
+      const known = new Set(available);
+      addresses = selected.map(address => ethers.getAddress(address));
+
+      const missing = addresses.filter(address => !known.has(address));
+      if (missing.length > 0) {
+        throw new ConfigError(`Remote signer cannot sign for ${missing.join(', ')}`, {
+          hint: 'Remove them from wallets.remote_signer.accounts or add them to the signer'
+        });
+      }
+    }
+
+    if (addresses.length === 0) {
+      throw new ConfigError(`Remote signer ${url} has no accounts`);
+    }
+
+    this.logger.success(`Using ${addresses.length} accounts of remote signer ${url}`);
+    return addresses.map((address, i) => WalletManager.toAccount(new RemoteSigner(address, url, null, { timeoutMs }), i));
+  }
+
+  /**
+   * Build an account from a signer
+   * @param {Object} signer ethers Signer (not connected to a provider)
+   * @param {number} index Position in the account list
+   * @param {string|null} label Account label
+   * @returns {Object} { index, label, address, signer }
+   */
+  static toAccount(signer, index, label = null) {
+    return {
+      index,
+      label,
+      address: signer.address,
+      signer
+    };
+  }
+}
+
+// Create singleton instance
+WalletManager.instance = null;
+
+module.exports = WalletManager;
\ No newline at end of file
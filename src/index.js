@@ -4,7 +4,6 @@
  * Main application entry point
  */
 const fs = require('fs').promises;
-const path = require('path');
 const chalk = require('chalk');
 const logger = require('./utils/logger');
 const banner = require('./utils/banner');
@@ -13,10 +12,27 @@ const { handleError } = require('./utils/error');
 const { wait } = require('./utils/delay');
 const OperationRegistry = require('./commands');
 const ProxyManager = require('./core/proxy');
+const RpcPool = require('./core/rpcpool');
+const TransactionJournal = require('./core/journal');
+const CheckpointStore = require('./core/checkpoint');
+const DryRunPlan = require('./core/dryrun');
+const WalletManager = require('./core/wallet');
+const RunReport = require('./core/report');
+const OperationResult = require('./core/result');
+const EventBus = require('./core/events');
+const Metrics = require('./core/metrics');
+const Tracer = require('./core/tracing');
+const Dashboard = require('./core/dashboard');
+const RunControl = require('./core/control');
+const Notifier = require('./core/notifier');
+const { startRun } = require('./utils/run');
+const { EXIT_CODES } = require('./utils/constants');
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason) => {
-  console.error(chalk.red('Unhandled Rejection:'), reason);
+  // Through the logger, so secrets in the reason are masked and JSON output stays valid
+  const message = reason instanceof Error ? (reason.stack || reason.message) : String(reason);
+  logger.error(`Unhandled Rejection: ${message}`, { error: reason instanceof Error ? reason : null });
   process.exit(1);
 });
 
@@ -33,45 +49,6 @@ async function initializeDataDir() {
   }
 }
 
-/**
- * Load private keys from file
- * @returns {Promise<Array<string>>} Array of private keys
- */
-async function loadPrivateKeys() {
-  try {
-    // Ensure data directory exists
-    await fs.mkdir('data', { recursive: true });
-    
-    // Try to read pk.txt
-    try {
-      const pkFile = await fs.readFile('data/pk.txt', 'utf8');
-      const privateKeys = pkFile.split('\n')
-        .map(line => line.trim())
-        .filter(line => line);
-      
-      if (privateKeys.length === 0) {
-        throw new Error('No private keys found in pk.txt');
-      }
-      
-      logger.success(`Loaded ${privateKeys.length} private keys`);
-      return privateKeys;
-    } catch (err) {
-      // Create empty file if not exists
-      if (err.code === 'ENOENT') {
-        logger.error('data/pk.txt not found, creating empty file');
-        await fs.writeFile('data/pk.txt', '', 'utf8');
-        logger.error('Please add private keys to data/pk.txt, one per line');
-        process.exit(1);
-      } else {
-        throw err;
-      }
-    }
-  } catch (error) {
-    logger.error(`Error loading private keys: ${error.message}`);
-    throw new Error('Unable to load private keys. Make sure data/pk.txt exists and contains valid keys.');
-  }
-}
-
 /**
  * Run a countdown timer with visual feedback
  * @param {number} hours Hours to count down
@@ -83,79 +60,314 @@ async function countdownTimer(hours = 8) {
   
   logger.setWalletNum(null);
   const countdownLogger = logger.getInstance();
+  const metrics = Metrics.getInstance();
+  const control = RunControl.getInstance();
+  Dashboard.getInstance().setNextCycle(Date.now() + totalSeconds * 1000);
+  
+  // The live countdown rewrites one terminal line; JSON output and pipes get a single log record instead
+  const live = !logger.jsonConsole && process.stdout.isTTY;
+  const clearLine = () => {
+    if (!live) return;
+    process.stdout.clearLine(0);
+    process.stdout.cursorTo(0);
+  };
+  if (!live) {
+    countdownLogger.info(`Next cycle in ${hours} hour(s)`);
+  }
 
   while (remainingSeconds > 0) {
-    const hours = Math.floor(remainingSeconds / 3600);
-    const minutes = Math.floor((remainingSeconds % 3600) / 60);
-    const seconds = remainingSeconds % 60;
+    if (control.consumeNextCycle()) {
+      clearLine();
+      countdownLogger.info('Next cycle requested through the control API, skipping the countdown');
+      break;
+    }
+    
+    metrics.setNextCycle(remainingSeconds);
 
-    process.stdout.clearLine(0);
-    process.stdout.cursorTo(0);
-    process.stdout.write(
-      chalk.blue(`${countdownLogger.getTimestamp()} Next cycle in: `) + 
-      chalk.yellow(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`)
-    );
+    if (live) {
+      const hours = Math.floor(remainingSeconds / 3600);
+      const minutes = Math.floor((remainingSeconds % 3600) / 60);
+      const seconds = remainingSeconds % 60;
+
+      clearLine();
+      process.stdout.write(
+        chalk.blue(`${countdownLogger.getTimestamp()} Next cycle in: `) + 
+        chalk.yellow(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`)
+      );
+    }
 
     await wait(1000);
     remainingSeconds--;
   }
 
-  process.stdout.clearLine(0);
-  process.stdout.cursorTo(0);
+  clearLine();
+  Dashboard.getInstance().setNextCycle(null);
   countdownLogger.success(`Countdown completed!`);
 }
 
 /**
- * Run the automation process
+ * Print the run report and export it to JSON, CSV and HTML
+ * A failed export is logged and does not stop the automation.
+ * @param {RunReport} report Run report
+ * @returns {Promise<void>}
+ */
+async function writeRunReport(report) {
+  if (!report.enabled) return;
+  
+  try {
+    const result = await report.build();
+    report.print(result);
+    const files = await report.write(result);
+    logger.success(`Run report written to ${files.join(', ')}`);
+  } catch (error) {
+    logger.warn(`Could not write run report: ${error.message}`);
+  }
+}
+
+/**
+ * Reload config.json for the control API
+ * Operations read the new values from their next step, other settings from the next cycle.
+ * Dry-run mode stays as it is until the next cycle.
  * @returns {Promise<void>}
  */
+async function reloadConfig() {
+  const dryRun = config.get('dry_run.enabled', false);
+  await config.reload();
+  config.set('dry_run.enabled', dryRun);
+  logger.configure(config);
+}
+
+/**
+ * Get the process exit code for a run status
+ * @param {string} status Run status
+ * @returns {number} Exit code (success and skipped exit with 0)
+ */
+function getExitCode(status) {
+  switch (status) {
+    case OperationResult.STATUS.PARTIAL:
+      return EXIT_CODES.PARTIAL;
+    case OperationResult.STATUS.FAILED:
+      return EXIT_CODES.FAILED;
+    default:
+      return EXIT_CODES.SUCCESS;
+  }
+}
+
+/**
+ * Process the wallets of a cycle, skipping wallets an interrupted run already completed
+ * @param {Array<Object>} accounts Wallet accounts
+ * @param {Object} context Cycle context
+ * @param {Object} context.config Configuration
+ * @param {CheckpointStore} context.checkpoint Checkpoint store
+ * @param {RunReport} context.report Run report
+ * @param {Object} context.network Active network profile
+ * @param {boolean} context.dryRun Dry-run mode
+ * @returns {Promise<Array<string>>} Statuses of the processed wallets
+ */
+async function processWallets(accounts, { config, checkpoint, report, network, dryRun }) {
+  const walletCount = accounts.length;
+  const walletStatuses = [];
+  const control = RunControl.getInstance();
+  
+  for (let i = 0; i < walletCount; i++) {
+    const walletNum = i + 1;
+    const account = accounts[i];
+    
+    await control.waitIfPaused(logger.getInstance());
+    if (control.isCycleAborted()) {
+      logger.warn(`Cycle aborted through the control API, ${walletCount - i} wallet(s) left out`);
+      break;
+    }
+    
+    logger.setWalletNum(walletNum);
+    const walletLogger = logger.getInstance(walletNum);
+    walletLogger.setContext({ address: account.address });
+    
+    logger.print(''); // Add newline for readability
+    walletLogger.header(`Processing Wallet ${walletNum}/${walletCount}`);
+    
+    const walletAddress = account.address;
+    report.addWallet(walletNum, account);
+    
+    if (checkpoint.isWalletDone(walletAddress)) {
+      walletLogger.info(`Wallet ${walletNum} already completed in this cycle, skipping`);
+      continue;
+    }
+    
+    // Initialize operation registry for this wallet
+    const registry = new OperationRegistry(account.signer, config, walletNum);
+    await checkpoint.markWallet(walletAddress, 'pending', walletNum);
+    const walletResult = await registry.executeOperations();
+    // Interrupted wallets stay pending so a resumed cycle runs them again
+    if (!walletResult.interrupted) {
+      await checkpoint.markWallet(walletAddress, 'done', walletNum);
+    }
+    report.recordWallet(walletNum, walletResult);
+    walletStatuses.push(walletResult.status);
+    walletLogger.info(`Wallet ${walletNum} finished with status: ${walletResult.status}`);
+    
+    if (dryRun) {
+      DryRunPlan.getInstance().printPlan(walletAddress, walletNum, network.currency_symbol);
+    }
+    
+    // Wait between wallets if not the last one
+    if (i < walletCount - 1 && !dryRun && !control.isCycleAborted()) {
+      const waitTime = Math.floor(Math.random() * 11) + 5; // 5-15 seconds
+      walletLogger.warn(`Waiting ${waitTime} seconds before next wallet...`);
+      await Tracer.getInstance().withSpan('delay', { 'delay.reason': 'next wallet' }, () => wait(waitTime * 1000));
+    }
+  }
+  
+  return walletStatuses;
+}
+
+/**
+ * Run the automation process
+ * Cycles every 8 hours; with --once (or RUN_ONCE=true) and in dry runs a single cycle runs
+ * @returns {Promise<string>} Status of the last cycle when a single cycle runs
+ */
 async function runAutomation() {
+  const once = process.argv.includes('--once') || process.env.RUN_ONCE === 'true';
+  
   while (true) {
     try {
-      // Display banner
-      banner.showBanner();
+      // Display banner (not in JSON log mode, where stdout is for log records)
+      if (!logger.jsonConsole) {
+        banner.showBanner();
+      }
       
       // Load and validate configuration, always use interactive mode
       await config.load(true);
+      logger.configure(config);
+      Tracer.getInstance().initialize(config);
+      
+      // --dry-run (or DRY_RUN=true) simulates and plans every transaction without broadcasting
+      if (process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true') {
+        config.set('dry_run.enabled', true);
+      }
+      const dryRun = DryRunPlan.isEnabled(config);
+      if (dryRun) {
+        logger.warn('Dry run: transactions are simulated and planned, nothing is signed or broadcast');
+      }
+      
+      // Every cycle is a new run in the transaction journal, unless an interrupted one is resumed
+      const checkpoint = CheckpointStore.getInstance();
+      const interruptedRunId = await checkpoint.initialize(config);
+      const runId = startRun(interruptedRunId);
+      logger.startRunLog(runId);
+      TransactionJournal.getInstance().initialize(config);
+      await checkpoint.begin(runId);
+      if (interruptedRunId) {
+        logger.warn(`Resuming interrupted run ${runId}: completed wallets and steps are skipped`);
+      } else {
+        logger.info(`Run id: ${runId}`);
+      }
+      
+      // Resolve the active network profile
+      const network = config.getNetwork();
+      logger.info(`Using network: ${network.name} (chain ${network.chain_id})`);
+      
+      // Collect operation outcomes for the end-of-cycle report
+      const report = RunReport.getInstance();
+      report.initialize(config);
+      report.start(runId, network);
+      
+      // Serve Prometheus metrics when enabled (the endpoint stays up across cycles)
+      await Metrics.getInstance().initialize(config, network);
+      
+      // Serve the live dashboard when enabled (connected pages stay connected across cycles)
+      await Dashboard.getInstance().initialize(config, network);
+      
+      // Serve the control API when enabled (pause, resume, skip wallet, abort, next cycle, reload config)
+      await RunControl.getInstance().initialize(config, { reloadConfig });
+      
+      // Post cycle summaries and failures to the configured webhooks
+      Notifier.getInstance().initialize(config, network);
+      
+      // Probe RPC endpoints and rank them for failover
+      await RpcPool.getInstance().initialize(config);
       
       // Initialize proxy manager
       const proxyManager = ProxyManager.getInstance();
       await proxyManager.initialize(config);
       
-      // Load private keys
-      const privateKeys = await loadPrivateKeys();
-      const walletCount = privateKeys.length;
+      // Load wallet accounts (keystores or pk.txt)
+      const walletManager = WalletManager.getInstance();
+      walletManager.initialize(config);
+      const accounts = await walletManager.loadAccounts();
+      const walletCount = accounts.length;
       
       // Process each wallet
-      logger.success(`Found ${walletCount} private keys`);
+      logger.success(`Found ${walletCount} wallets`);
+      walletManager.printAccounts(accounts);
       logger.info(`Initializing automation...`);
       logger.header(`Processing ${walletCount} wallets...`);
       
-      for (let i = 0; i < walletCount; i++) {
-        const walletNum = i + 1;
-        const privateKey = privateKeys[i];
-        
-        logger.setWalletNum(walletNum);
-        const walletLogger = logger.getInstance(walletNum);
-        
-        console.log(''); // Add newline for readability
-        walletLogger.header(`Processing Wallet ${walletNum}/${walletCount}`);
-        
-        // Initialize operation registry for this wallet
-        const registry = new OperationRegistry(privateKey, config, walletNum);
-        await registry.executeOperations();
-        
-        // Wait between wallets if not the last one
-        if (i < walletCount - 1) {
-          const waitTime = Math.floor(Math.random() * 11) + 5; // 5-15 seconds
-          walletLogger.warn(`Waiting ${waitTime} seconds before next wallet...`);
-          await wait(waitTime * 1000);
-        }
-      }
+      const events = EventBus.getInstance();
+      const cycleStartedAt = Date.now();
+      events.publish(EventBus.EVENTS.CYCLE_START, {
+        network: network.name,
+        chain_id: network.chain_id,
+        currency: network.currency_symbol,
+        explorer_url: network.explorer_url || null,
+        wallets: walletCount,
+        accounts: accounts.map((account, index) => ({
+          wallet: index + 1,
+          address: account.address,
+          label: account.label || null
+        })),
+        resumed: Boolean(interruptedRunId),
+        dry_run: dryRun
+      });
+      
+      // Process each wallet, traced as the cycle span
+      const walletStatuses = await Tracer.getInstance().withSpan('cycle', {
+        'run.id': runId,
+        'network.name': network.name,
+        'network.chain_id': network.chain_id,
+        'cycle.wallets': walletCount,
+        'cycle.resumed': Boolean(interruptedRunId),
+        'cycle.dry_run': dryRun
+      }, async (span) => {
+        const statuses = await processWallets(accounts, { config, checkpoint, report, network, dryRun });
+        span.setAttribute('cycle.status', OperationResult.combineStatus(statuses));
+        return statuses;
+      });
+      
+      // The cycle is complete, the next one starts fresh
+      await checkpoint.complete();
+      await Tracer.getInstance().flush();
       
       // Reset to global logger for completion message
       logger.setWalletNum(null);
-      logger.header('Wallet processing completed! Starting 8-hour countdown...');
+      const runStatus = OperationResult.combineStatus(walletStatuses);
+      events.publish(EventBus.EVENTS.CYCLE_END, {
+        status: runStatus,
+        wallets: walletCount,
+        processed: walletStatuses.length,
+        duration_ms: Date.now() - cycleStartedAt,
+        dry_run: dryRun
+      });
+      
+      // A dry run plans a single cycle
+      if (dryRun) {
+        const summary = DryRunPlan.summarize(DryRunPlan.getInstance().entries);
+        logger.header(`Dry run completed: ${summary.count} transaction(s) planned, ${summary.reverts} predicted revert(s)`);
+        logger.endRunLog();
+        return runStatus;
+      }
+      
+      logger.header('Wallet processing completed!');
+      await writeRunReport(report);
+      logger.info(`Run status: ${runStatus}`);
+      
+      if (once) {
+        logger.endRunLog();
+        return runStatus;
+      }
+      
+      logger.header('Starting 8-hour countdown...');
+      logger.endRunLog();
       
       // Start the countdown timer
       await countdownTimer(8);
@@ -173,7 +385,13 @@ async function runAutomation() {
 async function main() {
   try {
     await initializeDataDir();
-    await runAutomation();
+    const status = await runAutomation();
+    await Metrics.getInstance().stop();
+    await Dashboard.getInstance().stop();
+    await RunControl.getInstance().stop();
+    await Notifier.getInstance().flush();
+    await Tracer.getInstance().flush();
+    process.exitCode = getExitCode(status);
   } catch (error) {
     handleError(error, 'Fatal error');
     process.exit(1);
@@ -188,4 +406,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main, runAutomation };
\ No newline at end of file
+module.exports = { main, runAutomation, getExitCode };
\ No newline at end of file
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Transaction Journal Query
+ * Lists journal entries and what they cost, e.g. `npm run journal -- --wallet 7 --day yesterday`
+ */
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const config = require('./config');
+const TransactionJournal = require('./core/journal');
+
+const STATUS_COLORS = {
+  confirmed: chalk.green,
+  reverted: chalk.red,
+  simulation_reverted: chalk.red,
+  failed: chalk.red,
+  cancelled: chalk.yellow,
+  replaced: chalk.yellow,
+  pending: chalk.yellow
+};
+
+/**
+ * Resolve a --day option to a [since, until) range in local time
+ * @param {string} day 'today', 'yesterday' or a YYYY-MM-DD date
+ * @returns {Object} { since, until }
+ */
+function getDayRange(day) {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+
+  if (day === 'yesterday') {
+    start.setDate(start.getDate() - 1);
+  } else if (day !== 'today') {
+    const [year, month, date] = day.split('-').map(Number);
+    if (!year || !month || !date) {
+      throw new Error(`Invalid --day "${day}", expected today, yesterday or YYYY-MM-DD`);
+    }
+    start.setFullYear(year, month - 1, date);
+  }
+
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { since: start, until: end };
+}
+
+/**
+ * Format a wei amount in the native currency
+ * @param {BigInt|string|null} wei Amount in wei
+ * @returns {string} Formatted amount
+ */
+function formatFee(wei) {
+  return wei === null || wei === undefined ? '-' : ethers.formatEther(BigInt(wei));
+}
+
+/**
+ * Print entries and their cost summary
+ * @param {Array<Object>} entries Journal entries
+ * @param {string} currency Currency symbol
+ */
+function printEntries(entries, currency) {
+  for (const entry of entries) {
+    const color = STATUS_COLORS[entry.status] || chalk.white;
+    const wallet = entry.wallet_num ? `#${entry.wallet_num}` : entry.wallet;
+
+    console.log(
+      `${chalk.gray(entry.timestamp)} ${wallet} ` +
+      `${entry.operation || '-'}/${entry.step || '-'} ${color(entry.status.padEnd(10))} ` +
+      `${entry.hash || '-'} nonce=${entry.nonce ?? '-'} block=${entry.block_number ?? '-'} ` +
+      `fee=${formatFee(entry.fee_wei)} ${currency}` +
+      (entry.error ? chalk.red(` ${entry.error}`) : '')
+    );
+  }
+
+  const summary = TransactionJournal.summarize(entries);
+  const statuses = Object.entries(summary.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+
+  console.log('');
+  console.log(chalk.bold(`${summary.count} transaction(s)${statuses ? ` (${statuses})` : ''}`));
+  for (const [operation, stats] of Object.entries(summary.byOperation)) {
+    console.log(`  ${operation}: ${stats.count} transaction(s), ${formatFee(stats.feeWei)} ${currency}`);
+  }
+  console.log(chalk.bold(`Total cost: ${formatFee(summary.totalFeeWei)} ${currency}`));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command();
+  program
+    .name('journal')
+    .description('Query the transaction journal')
+    .option('-w, --wallet <wallet>', 'wallet number or address')
+    .option('-r, --run <runId>', 'run id')
+    .option('-o, --operation <name>', 'operation name')
+    .option('-s, --status <status>', 'transaction status')
+    .option('-d, --day <day>', 'today, yesterday or YYYY-MM-DD')
+    .option('--since <date>', 'earliest timestamp (ISO date)')
+    .option('--until <date>', 'latest timestamp (ISO date)')
+    .option('--json', 'print matching entries as JSON lines')
+    .parse(process.argv);
+
+  const options = program.opts();
+
+  if (await config.checkConfigExists()) {
+    await config.loadFromFile();
+  }
+
+  const journal = TransactionJournal.getInstance();
+  journal.initialize(config);
+
+  const range = options.day ? getDayRange(options.day) : { since: options.since, until: options.until };
+  const entries = await journal.query({
+    wallet: options.wallet,
+    runId: options.run,
+    operation: options.operation,
+    status: options.status,
+    ...range
+  });
+
+  if (options.json) {
+    entries.forEach(entry => console.log(JSON.stringify(entry)));
+    return;
+  }
+
+  printEntries(entries, config.getNetwork().currency_symbol);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { getDayRange };
\ No newline at end of file
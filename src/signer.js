@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Local Stand-in Signer
+ * Minimal JSON-RPC signer (eth_accounts, eth_signTransaction, eth_sign) over local wallets,
+ * for testing the remote signer backend without Clef or web3signer, e.g. `npm run signer -- --source mnemonic`
+ */
+const http = require('http');
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+const config = require('./config');
+const WalletManager = require('./core/wallet');
+
+/**
+ * Convert a JSON-RPC transaction into an ethers transaction request
+ * @param {Object} rpcTx JSON-RPC transaction (hex quantities, 'gas' for the gas limit)
+ * @returns {Object} Transaction request
+ */
+function fromRpcTransaction(rpcTx) {
+  const quantity = value => value === undefined || value === null ? undefined : BigInt(value);
+
+  return {
+    to: rpcTx.to || null,
+    data: rpcTx.data || rpcTx.input || '0x',
+    value: quantity(rpcTx.value),
+    gasLimit: quantity(rpcTx.gas),
+    gasPrice: quantity(rpcTx.gasPrice),
+    maxFeePerGas: quantity(rpcTx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(rpcTx.maxPriorityFeePerGas),
+    nonce: rpcTx.nonce !== undefined ? Number(rpcTx.nonce) : undefined,
+    chainId: quantity(rpcTx.chainId),
+    type: rpcTx.type !== undefined ? Number(rpcTx.type) : undefined,
+    accessList: rpcTx.accessList
+  };
+}
+
+/**
+ * Create the JSON-RPC request handler
+ * @param {Map<string, Object>} signers Wallets by lower-cased address
+ * @returns {Function} (method, params) => Promise<result>
+ */
+function createHandler(signers) {
+  const getSigner = (address) => {
+    const signer = address && signers.get(address.toLowerCase());
+    if (!signer) {
+      throw Object.assign(new Error(`Unknown account ${address}`), { rpcCode: -32000 });
+    }
+    return signer;
+  };
+
+  return async (method, params = []) => {
+    switch (method) {
+      case 'eth_accounts':
+        return [...signers.values()].map(signer => signer.address);
+      case 'eth_signTransaction': {
+        const rpcTx = params[0] || {};
+        const signer = getSigner(rpcTx.from);
+        return await signer.signTransaction(fromRpcTransaction(rpcTx));
+      }
+      case 'eth_sign':
+        return await getSigner(params[0]).signMessage(ethers.getBytes(params[1]));
+      default:
+        throw Object.assign(new Error(`Method ${method} not supported`), { rpcCode: -32601 });
+    }
+  };
+}
+
+/**
+ * Start the signer server
+ * @param {Array<Object>} accounts Local accounts ({ address, signer })
+ * @param {string} host Listen host
+ * @param {number} port Listen port
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startServer(accounts, host, port) {
+  const handle = createHandler(new Map(accounts.map(account => [account.address.toLowerCase(), account.signer])));
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      let request = {};
+      let response;
+
+      try {
+        request = JSON.parse(body);
+        const result = await handle(request.method, request.params);
+        response = { jsonrpc: '2.0', id: request.id ?? null, result };
+        console.log(`${chalk.gray(new Date().toISOString())} ${request.method} ${chalk.green('ok')}`);
+      } catch (error) {
+        response = {
+          jsonrpc: '2.0',
+          id: request.id ?? null,
+          error: { code: error.rpcCode || -32603, message: error.shortMessage || error.message }
+        };
+        console.log(`${chalk.gray(new Date().toISOString())} ${request.method || '-'} ${chalk.red(response.error.message)}`);
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command();
+  program
+    .name('signer')
+    .description('Run a local stand-in JSON-RPC signer for testing the remote signer backend')
+    .option('-s, --source <source>', 'local account source: pk_file, keystore or mnemonic', 'pk_file')
+    .option('-H, --host <host>', 'listen host', '127.0.0.1')
+    .option('-p, --port <port>', 'listen port', '8550')
+    .parse(process.argv);
+
+  const options = program.opts();
+  if (options.source === 'remote') {
+    throw new Error('The stand-in signer needs a local account source (pk_file, keystore or mnemonic)');
+  }
+
+  if (await config.checkConfigExists()) {
+    await config.loadFromFile();
+  }
+
+  const walletManager = WalletManager.getInstance();
+  walletManager.initialize(config);
+  walletManager.settings.source = options.source;
+
+  const accounts = await walletManager.loadAccounts();
+  await startServer(accounts, options.host, Number(options.port));
+
+  console.log(chalk.bold(`Stand-in signer for ${accounts.length} account(s) listening on http://${options.host}:${options.port}`));
+  console.log(chalk.yellow('For testing only: it signs every request without confirmation.'));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    if (error.hint) {
+      console.error(chalk.yellow(`Hint: ${error.hint}`));
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { startServer };
\ No newline at end of file
@@ -2,26 +2,9 @@
  * Application constants
  */
 module.exports = {
-    // Network information for s0mn1a
-    NETWORK: {
-      NAME: "s0mn1a Testnet",
-      CHAIN_ID: 50312,
-      RPC_URL: "https://dream-rpc.somnia.network",
-      EXPLORER_URL: "https://shannon-explorer.somnia.network",
-      CURRENCY_SYMBOL: "STT"
-    },
-    
-    // Token information for swapping
+    // Function selectors used for raw token calls
+    // Contract addresses live in the network profiles (config network.profiles)
     TOKEN: {
-      // Ping token contract address
-      PING_ADDRESS: "0xBeCd9B5F373877881D91cBdBaF013D97eB532154",
-      
-      // Pong token contract address
-      PONG_ADDRESS: "0x7968ac15a72629E05F41B8271e4e7292E0cC9f90",
-      
-      // Router for swap operations
-      ROUTER_ADDRESS: "0x6AAC14f090A35EeA150705f72D90E4CDC4a49b2C",
-      
       // Mint function hash for ERC20 tokens
       MINT_FUNCTION: "0x1249c58b",
       
@@ -36,9 +19,32 @@ module.exports = {
     GAS: {
       PRICE_MULTIPLIER: 1.1,
       RETRY_INCREASE: 1.3,
+      // Nodes reject a replacement that raises the fees by less than 10%
+      MIN_REPLACEMENT_INCREASE: 1.1,
       MIN_GWEI: 0.0001,
       MAX_GWEI: 200,
       DEFAULT_GAS: 150000,
+      // EIP-1559 fee estimation from eth_feeHistory
+      FEE_HISTORY_BLOCKS: 10,
+      FEE_HISTORY_PERCENTILE: 50,
+      BASE_FEE_MULTIPLIER: 2,
+      MIN_PRIORITY_GWEI: 0.001
+    },
+    
+    // Pending transaction tracking
+    TRANSACTION: {
+      CONFIRMATION_TIMEOUT_SECONDS: 120,
+      MAX_SPEEDUPS: 3,
+      POLL_INTERVAL_MS: 3000
+    },
+    
+    // RPC endpoint pool
+    RPC: {
+      PROBE_INTERVAL_SECONDS: 60,
+      REQUEST_TIMEOUT_MS: 15000,
+      MAX_BLOCK_LAG: 5,
+      FAILURE_THRESHOLD: 3,
+      COOLDOWN_SECONDS: 300
     },
     
     // Retry settings
@@ -295,6 +301,14 @@ module.exports = {
       REFERER: "https://testnet.somnia.network/"
     },
     
+    // Process exit codes of a single cycle (--once, --dry-run)
+    EXIT_CODES: {
+      SUCCESS: 0,
+      ERROR: 1,
+      PARTIAL: 2,
+      FAILED: 3
+    },
+    
     // Version information
     VERSION: {
       APP: "2.0.0",
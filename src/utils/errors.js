@@ -0,0 +1,285 @@
+/**
+ * Error Taxonomy
+ * Typed errors carrying the original error code, a retry category and a user-facing hint
+ */
+
+class AppError extends Error {
+  /**
+   * Create a new application error
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   * @param {string|null} options.code Original ethers or system error code
+   * @param {string} options.category Retry category (see RetryPolicy)
+   * @param {boolean|null} options.retryable Whether retrying can succeed; null leaves it to the retry policy
+   * @param {string|null} options.hint What the user can do about it
+   * @param {Error|null} options.cause Original error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || null;
+    this.category = options.category || 'unknown';
+    this.retryable = options.retryable ?? null;
+    this.hint = options.hint || null;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class RpcError extends AppError {
+  /**
+   * Transport or node failure (network, timeout, server error, rate limit)
+   * @param {string} message Error message
+   * @param {Object} options Error options, category defaults to 'network'
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      category: 'network',
+      retryable: true,
+      hint: 'The RPC endpoint or proxy is unreachable or overloaded; add failover endpoints to rpc_urls or check your proxies',
+      ...options
+    });
+  }
+}
+
+class NonceError extends AppError {
+  /**
+   * Nonce already used or out of sync with the network
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      category: 'nonce',
+      retryable: true,
+      hint: 'Another transaction used this nonce; make sure the wallet is not used by another process at the same time',
+      ...options
+    });
+  }
+}
+
+class FeeError extends AppError {
+  /**
+   * Fees too low for the current base fee or to replace a pending transaction
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      category: 'fee',
+      retryable: true,
+      hint: 'Fees are too low for the network; raise general.gas_price_multiplier or retry.tx.gas_increase',
+      ...options
+    });
+  }
+}
+
+class RevertError extends AppError {
+  /**
+   * Transaction or call reverted in the contract
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   * @param {Object|null} options.revert Decoded revert reason (see utils/revert)
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'CALL_EXCEPTION',
+      category: 'revert',
+      retryable: false,
+      hint: 'The contract rejected the call; check balances, allowances and arguments',
+      ...options
+    });
+    this.revert = options.revert || null;
+  }
+}
+
+class InsufficientFundsError extends AppError {
+  /**
+   * Wallet cannot pay for value plus gas
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'INSUFFICIENT_FUNDS',
+      category: 'insufficient_funds',
+      retryable: false,
+      hint: 'Fund the wallet with enough native currency to cover the value plus gas, e.g. with the faucet operation',
+      ...options
+    });
+  }
+}
+
+class FaucetError extends AppError {
+  /**
+   * Faucet refused or failed a claim
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      category: 'faucet',
+      retryable: true,
+      hint: 'The faucet did not accept the claim; it may be busy or blocking your IP, try again later or use a proxy',
+      ...options
+    });
+  }
+}
+
+class SignerError extends AppError {
+  /**
+   * Remote signer refused or failed to sign
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'SIGNER_ERROR',
+      category: 'signer',
+      retryable: false,
+      hint: 'The remote signer did not sign; check that it is running, unlocked and allowed to sign for this account',
+      ...options
+    });
+  }
+}
+
+class ConfigError extends AppError {
+  /**
+   * Invalid or missing configuration
+   * @param {string} message Error message
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'CONFIG_ERROR',
+      category: 'config',
+      retryable: false,
+      hint: 'Check config.json (or run the interactive setup again)',
+      ...options
+    });
+  }
+}
+
+class InterruptedError extends AppError {
+  /**
+   * Wallet skipped or cycle aborted through the control API; not a failure
+   * @param {string} message Why the run was interrupted
+   * @param {Object} options Error options
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'INTERRUPTED',
+      category: 'interrupted',
+      retryable: false,
+      ...options
+    });
+  }
+}
+
+/**
+ * Collect the texts an error may carry (ethers nests node errors under info.error)
+ * @param {Error|Object|string} error Error
+ * @returns {string} Lower-cased message text
+ * @private
+ */
+function getErrorText(error) {
+  if (typeof error === 'string') return error.toLowerCase();
+
+  return [
+    error?.shortMessage,
+    error?.message,
+    error?.info?.error?.message,
+    error?.error?.message,
+    typeof error?.error === 'string' ? error.error : null
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Convert any error into a typed AppError
+ * Error codes decide first; message text is only used for nodes that return bare JSON-RPC errors.
+ * @param {Error|Object|string} error Error, failed result ({ error, code, details }) or message
+ * @returns {AppError} Typed error
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) return error;
+
+  // Failed results keep the original error in details
+  if (error && !(error instanceof Error) && error.details instanceof Error) {
+    return normalizeError(error.details);
+  }
+
+  const cause = error instanceof Error ? error : null;
+  const code = (error && typeof error === 'object' && error.code) || null;
+  const status = error?.status || error?.response?.status;
+  const text = getErrorText(error);
+  const message = typeof error === 'string' ?
+    error :
+    (error?.info?.error?.message || error?.error?.message || error?.shortMessage || error?.message ||
+     (typeof error?.error === 'string' ? error.error : null) || 'Unknown error');
+  const options = { code, cause };
+
+  if (error?.revert || code === 'CALL_EXCEPTION' || text.includes('execution reverted') || text.includes('would revert')) {
+    return new RevertError(message, { ...options, code: code || 'CALL_EXCEPTION', revert: error?.revert || null });
+  }
+  if (code === 'INSUFFICIENT_FUNDS' || text.includes('insufficient funds')) {
+    return new InsufficientFundsError(message, { ...options, code: code || 'INSUFFICIENT_FUNDS' });
+  }
+  if (code === 'NONCE_EXPIRED' || code === 'TRANSACTION_REPLACED' ||
+      text.includes('nonce too low') || text.includes('nonce has already been used')) {
+    return new NonceError(message, options);
+  }
+  if (code === 'REPLACEMENT_UNDERPRICED' || text.includes('underpriced') || text.includes('fee too low') ||
+      text.includes('max fee per gas less than block base fee')) {
+    return new FeeError(message, options);
+  }
+  if (status === 429 || text.includes('rate limit') || text.includes('too many requests')) {
+    return new RpcError(message, { ...options, category: 'rate_limit' });
+  }
+  if (['TIMEOUT', 'ETIMEDOUT', 'ECONNABORTED'].includes(code) || text.includes('timeout') || text.includes('timed out')) {
+    return new RpcError(message, { ...options, category: 'timeout' });
+  }
+  if (['NETWORK_ERROR', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(code) ||
+      /econnreset|econnrefused|enotfound|socket hang up|proxy|network error/.test(text)) {
+    return new RpcError(message, { ...options, category: 'network' });
+  }
+  if (code === 'SERVER_ERROR' || (status >= 500 && status < 600)) {
+    return new RpcError(message, { ...options, category: 'server' });
+  }
+
+  return new AppError(message, options);
+}
+
+/**
+ * Build a failed operation result from an error
+ * @param {Error|Object|string} error Error
+ * @returns {Object} { success: false, error, code, errorType, hint, details }
+ */
+function toFailureResult(error) {
+  const typed = normalizeError(error);
+
+  return {
+    success: false,
+    error: typed.message,
+    code: typed.code || 'UNKNOWN_ERROR',
+    errorType: typed.name,
+    hint: typed.hint,
+    ...(typed.revert ? { revert: typed.revert } : {}),
+    details: typed
+  };
+}
+
+module.exports = {
+  AppError,
+  RpcError,
+  NonceError,
+  FeeError,
+  RevertError,
+  InsufficientFundsError,
+  FaucetError,
+  SignerError,
+  ConfigError,
+  InterruptedError,
+  normalizeError,
+  toFailureResult
+};
\ No newline at end of file
@@ -1,10 +1,51 @@
 /**
  * Enhanced logging utility
- * Provides consistent logging with wallet context
+ * Provides consistent logging with wallet context, on the console and in log files
+ * (one combined file per run and a daily-rotated file per wallet)
  */
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
+const _ = require('lodash');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+const { ethers } = require('ethers');
+const { sectionReader } = require('./settings');
+
+const REDACTED = '[REDACTED]';
+
+// Environment variables whose values are always masked
+const SECRET_ENV_VARS = ['KEYSTORE_PASSPHRASE', 'WALLET_MNEMONIC', 'MNEMONIC_PASSWORD', 'CONTROL_TOKEN'];
+
+// Shorter values would mask ordinary words and numbers
+const MIN_SECRET_LENGTH = 6;
+
+// Shortest BIP-39 mnemonic
+const MIN_MNEMONIC_WORDS = 12;
+
+const DEFAULT_FILE_SETTINGS = {
+  enabled: true,
+  dir: 'logs',
+  retention_days: 14
+};
+
+// First transaction hash in a message, for the tx_hash field of JSON records
+const TX_HASH_PATTERN = /(?<![0-9a-f])0x[0-9a-f]{64}(?![0-9a-f])/i;
+
+// Lines logged before a run log is open (config loading, countdowns) are written to the next one
+const MAX_BUFFERED_LINES = 1000;
+
+/**
+ * Redaction rules applied to every message, in order
+ */
+const REDACTION_PATTERNS = [
+  // user:password@host in proxy strings and URLs
+  { pattern: /([a-z][a-z0-9+.-]*:\/\/)?[^\s:@/'"]+:[^\s@/'"]+@(?=[^\s@/'"])/gi, replacement: '$1***:***@' },
+  // 0x-prefixed keys next to a key-like name (bare 0x hex of this length is usually a hash)
+  { pattern: /((?:private[_\s-]?key|privkey|secret)["'\s:=]*)0x[0-9a-f]{64}(?![0-9a-f])/gi, replacement: `$1${REDACTED}` },
+  // Bare 64 hex character strings, the pk.txt key format
+  { pattern: /(?<![0-9a-fx])[0-9a-f]{64}(?![0-9a-f])/gi, replacement: REDACTED }
+];
 
 /**
  * Logger singleton class
@@ -21,6 +62,24 @@ class Logger {
     // Default log level
     this.logLevel = 'info';
     
+    // Redaction settings, see configureRedaction
+    this.redactEnabled = true;
+    this.secrets = new Set();
+    this._mnemonicWords = null;
+    for (const name of SECRET_ENV_VARS) {
+      this.addSecret(process.env[name]);
+    }
+    
+    // File logging settings, see configure
+    this.fileSettings = { ...DEFAULT_FILE_SETTINGS };
+    this.runLog = null;
+    this.walletLogs = new Map();
+    this._bufferedLines = [];
+    
+    // JSON-lines output, see configure
+    this.jsonConsole = process.env.LOG_FORMAT === 'json';
+    this.jsonLog = null;
+    
     // Create logs directory if it doesn't exist
     const logsDir = path.join(process.cwd(), 'logs');
     if (!fs.existsSync(logsDir)) {
@@ -63,6 +122,7 @@ class Logger {
     
     return {
       walletNum,
+      context: { address: null, operation: null, step: null },
       
       /**
        * Get formatted timestamp
@@ -106,74 +166,107 @@ class Logger {
       },
       
       /**
-       * Log informational message
+       * Set fields attached to this wallet's JSON records (address, operation, step)
+       * @param {Object} fields Context fields, null clears one
+       */
+      setContext(fields) {
+        Object.assign(this.context, fields);
+      },
+      
+      /**
+       * Write a message to the console and log files
+       * @param {string} level Log level
+       * @param {string} type Message type (info, success, warn, error, debug, header, custom)
+       * @param {string|null} symbol Symbol shown after the timestamp
        * @param {string} message Message content
+       * @param {Function} style Chalk style function
+       * @param {Object} fields Extra JSON record fields ({ txHash, error, errorCode, operation, step })
        */
-      info(message) {
-        if (this.shouldLog('info')) {
-          const formattedMessage = `${this.getTimestamp()} ℹ ${message}`;
-          console.log(chalk.cyan(formattedMessage));
+      write(level, type, symbol, message, style, fields = {}) {
+        if (!this.shouldLog(level)) {
+          return;
         }
+        
+        const text = self.redact(message);
+        const formattedMessage = symbol ? 
+          `${this.getTimestamp()} ${symbol} ${text}` : 
+          `${this.getTimestamp()} ${text}`;
+        const record = self.jsonConsole || self.jsonLog ? 
+          self._toRecord(this, level, type, text, fields) : 
+          null;
+        
+        if (self.jsonConsole) {
+          console.log(JSON.stringify(record));
+        } else if (type === 'header') {
+          // Create divider with width 80 characters
+          const divider = chalk.blue("═".repeat(80));
+          
+          // Display divider, header, and divider
+          console.log(`\n${divider}`);
+          console.log(style(formattedMessage));
+          console.log(`${divider}\n`);
+        } else {
+          console.log(style(formattedMessage));
+        }
+        
+        self._writeFile(this.walletNum, level, formattedMessage);
+        if (self.jsonLog) {
+          self.jsonLog.log(level, JSON.stringify(record));
+        }
+      },
+      
+      /**
+       * Log informational message
+       * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
+       */
+      info(message, fields) {
+        this.write('info', 'info', 'ℹ', message, chalk.cyan, fields);
       },
       
       /**
        * Log success message
        * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
        */
-      success(message) {
-        if (this.shouldLog('info')) {
-          const formattedMessage = `${this.getTimestamp()} ✓ ${message}`;
-          console.log(chalk.green(formattedMessage));
-        }
+      success(message, fields) {
+        this.write('info', 'success', '✓', message, chalk.green, fields);
       },
       
       /**
        * Log warning message
        * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
        */
-      warn(message) {
-        if (this.shouldLog('warn')) {
-          const formattedMessage = `${this.getTimestamp()} ⚠ ${message}`;
-          console.log(chalk.yellow(formattedMessage));
-        }
+      warn(message, fields) {
+        this.write('warn', 'warn', '⚠', message, chalk.yellow, fields);
       },
       
       /**
        * Log error message
        * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
        */
-      error(message) {
-        if (this.shouldLog('error')) {
-          const formattedMessage = `${this.getTimestamp()} ✗ ${message}`;
-          console.log(chalk.red(formattedMessage));
-        }
+      error(message, fields) {
+        this.write('error', 'error', '✗', message, chalk.red, fields);
       },
       
       /**
        * Log debug message
        * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
        */
-      debug(message) {
-        if (this.shouldLog('debug')) {
-          const formattedMessage = `${this.getTimestamp()} 🔍 ${message}`;
-          console.log(chalk.gray(formattedMessage));
-        }
+      debug(message, fields) {
+        this.write('debug', 'debug', '🔍', message, chalk.gray, fields);
       },
       
       /**
        * Log header message
        * @param {string} message Message content
+       * @param {Object} fields Extra JSON record fields
        */
-      header(message) {
-        if (this.shouldLog('info')) {
-          // Create divider with width 80 characters
-          const divider = chalk.blue("═".repeat(80));
-          
-          // Display divider, header, and divider
-          console.log(`\n${divider}`);
-          console.log(chalk.blue.bold(`${this.getTimestamp()} ${message}`));
-          console.log(`${divider}\n`);
-        }
+      header(message, fields) {
+        this.write('info', 'header', null, message, chalk.blue.bold, fields);
       },
       
       /**
@@ -182,10 +275,7 @@ class Logger {
        * @param {Function} style Chalk style function
        */
       custom(message, style) {
-        if (this.shouldLog('info')) {
-          const formattedMessage = `${this.getTimestamp()} ${message}`;
-          console.log(style(formattedMessage));
-        }
+        this.write('info', 'custom', null, message, style);
       }
     };
   }
@@ -202,6 +292,276 @@ class Logger {
     return this;
   }
   
+  /**
+   * Read log level, redaction and file settings from configuration
+   * @param {Object} config Configuration object
+   * @returns {Logger} This instance for chaining
+   */
+  configure(config = {}) {
+    const read = sectionReader(config);
+
+    this.setLogLevel(read('general.log_level', 'info'));
+
+    const settings = read('logging', {});
+    this.redactEnabled = settings.redact !== false;
+    for (const secret of settings.secrets || []) {
+      this.addSecret(secret);
+    }
+
+    this.fileSettings = { ...DEFAULT_FILE_SETTINGS, ...settings.files };
+
+    // LOG_FORMAT=json overrides the configured console format
+    this.jsonConsole = (process.env.LOG_FORMAT || settings.format) === 'json';
+
+    if (this.jsonLog) {
+      this.jsonLog.end();
+      this.jsonLog = null;
+    }
+    if (settings.json_file) {
+      this.jsonLog = winston.createLogger({
+        level: 'debug',
+        format: winston.format.printf(info => info.message),
+        transports: [new winston.transports.File({ filename: settings.json_file })]
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Build a JSON log record
+   * @param {Object} instance Wallet logger instance
+   * @param {string} level Log level
+   * @param {string} type Message type
+   * @param {string} text Redacted message
+   * @param {Object} fields Extra fields ({ txHash, error, errorCode, address, operation, step })
+   * @returns {Object} Record
+   * @private
+   */
+  _toRecord(instance, level, type, text, fields = {}) {
+    const context = { ...instance.context, ...fields };
+
+    return {
+      timestamp: new Date().toISOString(),
+      level,
+      type,
+      wallet: instance.walletNum,
+      address: context.address || null,
+      operation: context.operation || null,
+      step: context.step || null,
+      tx_hash: fields.txHash || text.match(TX_HASH_PATTERN)?.[0] || null,
+      error_code: fields.errorCode || fields.error?.code || null,
+      message: text
+    };
+  }
+
+  /**
+   * Open the combined log of a run (logs/runs/<run-id>.log) and prune expired run logs
+   * @param {string} runId Run id
+   * @returns {string|null} Log file path, or null when file logging is disabled
+   */
+  startRunLog(runId) {
+    this.endRunLog();
+    if (!this.fileSettings.enabled) {
+      this._bufferedLines = [];
+      return null;
+    }
+
+    const runsDir = path.join(this.fileSettings.dir, 'runs');
+    this._pruneFiles(runsDir);
+
+    const filename = path.join(runsDir, `${runId}.log`);
+    this.runLog = winston.createLogger({
+      level: 'debug',
+      format: winston.format.printf(info => info.message),
+      transports: [new winston.transports.File({ filename })]
+    });
+
+    // Appending keeps a resumed run in one file
+    for (const { level, line } of this._bufferedLines) {
+      this.runLog.log(level, line);
+    }
+    this._bufferedLines = [];
+
+    return filename;
+  }
+
+  /**
+   * Close the combined log of the current run
+   */
+  endRunLog() {
+    if (this.runLog) {
+      this.runLog.end();
+      this.runLog = null;
+    }
+  }
+
+  /**
+   * Write a formatted line to the run log and the wallet's log
+   * @param {number|null} walletNum Wallet number
+   * @param {string} level Log level
+   * @param {string} line Formatted, redacted line
+   * @private
+   */
+  _writeFile(walletNum, level, line) {
+    if (!this.fileSettings.enabled) {
+      return;
+    }
+
+    if (this.runLog) {
+      this.runLog.log(level, line);
+    } else if (this._bufferedLines.length < MAX_BUFFERED_LINES) {
+      this._bufferedLines.push({ level, line });
+    }
+
+    if (walletNum !== null) {
+      this._getWalletLog(walletNum).log(level, line);
+    }
+  }
+
+  /**
+   * Get the daily-rotated log of a wallet (logs/wallets/wallet-<n>-<date>.log)
+   * @param {number} walletNum Wallet number
+   * @returns {Object} winston logger
+   * @private
+   */
+  _getWalletLog(walletNum) {
+    if (!this.walletLogs.has(walletNum)) {
+      const dir = path.join(this.fileSettings.dir, 'wallets');
+      this.walletLogs.set(walletNum, winston.createLogger({
+        level: 'debug',
+        format: winston.format.printf(info => info.message),
+        transports: [new winston.transports.DailyRotateFile({
+          dirname: dir,
+          filename: `wallet-${walletNum}-%DATE%.log`,
+          datePattern: 'YYYY-MM-DD',
+          maxFiles: `${this.fileSettings.retention_days}d`,
+          auditFile: path.join(dir, `.wallet-${walletNum}-audit.json`)
+        })]
+      }));
+    }
+
+    return this.walletLogs.get(walletNum);
+  }
+
+  /**
+   * Delete log files older than the retention period
+   * @param {string} dir Log directory
+   * @private
+   */
+  _pruneFiles(dir) {
+    const cutoff = Date.now() - this.fileSettings.retention_days * 24 * 60 * 60 * 1000;
+
+    try {
+      for (const file of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, file);
+        if (file.endsWith('.log') && fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+        }
+      }
+    } catch (error) {
+      // Directory not created yet
+      if (error.code !== 'ENOENT') {
+        console.error(chalk.red(`Unable to prune logs in ${dir}: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Register a value to mask wherever it appears in log output
+   * @param {string} value Secret value (private key, passphrase, API key, ...)
+   * @returns {Logger} This instance for chaining
+   */
+  addSecret(value) {
+    if (typeof value !== 'string') {
+      return this;
+    }
+
+    const secret = value.trim();
+    if (secret.length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(secret);
+      // Keys are logged with or without the 0x prefix
+      if (/^0x[0-9a-f]+$/i.test(secret)) {
+        this.secrets.add(secret.slice(2));
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Mask credentials and secrets in a message
+   * @param {*} message Message content
+   * @returns {string} Redacted message
+   */
+  redact(message) {
+    let text = String(message);
+    if (!this.redactEnabled) {
+      return text;
+    }
+
+    // Longest first, so a secret containing another is masked whole
+    for (const secret of [...this.secrets].sort((a, b) => b.length - a.length)) {
+      if (text.includes(secret)) {
+        text = text.split(secret).join(REDACTED);
+      }
+    }
+
+    for (const { pattern, replacement } of REDACTION_PATTERNS) {
+      text = text.replace(pattern, replacement);
+    }
+
+    return this._redactMnemonics(text);
+  }
+
+  /**
+   * Mask runs of BIP-39 words long enough to be a mnemonic
+   * @param {string} text Message text
+   * @returns {string} Redacted text
+   * @private
+   */
+  _redactMnemonics(text) {
+    if (!this._mnemonicWords) {
+      const wordlist = ethers.wordlists.en;
+      this._mnemonicWords = new Set(Array.from({ length: 2048 }, (_, i) => wordlist.getWord(i)));
+    }
+
+    return text.replace(new RegExp(`\\b[a-z]+(?:[ \\t]+[a-z]+){${MIN_MNEMONIC_WORDS - 1},}\\b`, 'g'), (run) => {
+      const output = [];
+      let stretch = [];
+
+      // Mask each stretch of wordlist words long enough to be a phrase, keep everything else
+      const flush = () => {
+        output.push(...(stretch.length >= MIN_MNEMONIC_WORDS ? [REDACTED] : stretch));
+        stretch = [];
+      };
+
+      for (const word of run.split(/[ \t]+/)) {
+        if (this._mnemonicWords.has(word)) {
+          stretch.push(word);
+        } else {
+          flush();
+          output.push(word);
+        }
+      }
+      flush();
+
+      return output.join(' ');
+    });
+  }
+
+  /**
+   * Print plain console output such as tables and blank lines, with secrets masked
+   * Nothing is printed while the console writes JSON records, so stdout stays one record per line.
+   * @param {string} text Text to print
+   * @returns {Logger} This instance for chaining
+   */
+  print(text = '') {
+    if (!this.jsonConsole) {
+      console.log(this.redact(text));
+    }
+    return this;
+  }
+
   /**
    * Set current wallet number
    * @param {number|null} num Wallet number
@@ -222,33 +582,37 @@ class Logger {
   }
 
   // Proxy methods to the current instance
-  info(message) {
-    this.getInstance().info(message);
+  info(message, fields) {
+    this.getInstance().info(message, fields);
   }
   
-  success(message) {
-    this.getInstance().success(message);
+  success(message, fields) {
+    this.getInstance().success(message, fields);
   }
   
-  warn(message) {
-    this.getInstance().warn(message);
+  warn(message, fields) {
+    this.getInstance().warn(message, fields);
   }
   
-  error(message) {
-    this.getInstance().error(message);
+  error(message, fields) {
+    this.getInstance().error(message, fields);
   }
   
-  debug(message) {
-    this.getInstance().debug(message);
+  debug(message, fields) {
+    this.getInstance().debug(message, fields);
   }
   
-  header(message) {
-    this.getInstance().header(message);
+  header(message, fields) {
+    this.getInstance().header(message, fields);
   }
   
   custom(message, style) {
     this.getInstance().custom(message, style);
   }
+  
+  setContext(fields) {
+    this.getInstance().setContext(fields);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,147 @@
+/**
+ * Revert reason decoding
+ * Turns raw revert data into readable Error(string), Panic(uint256) or custom error messages
+ */
+const { ethers } = require('ethers');
+
+// Selectors of the two built-in Solidity errors
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized function'
+};
+
+// Common custom errors of OpenZeppelin token contracts, tried after the operation's own ABIs
+const COMMON_ERRORS_ABI = [
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+  'error ERC721NonexistentToken(uint256 tokenId)',
+  'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+  'error OwnableUnauthorizedAccount(address account)'
+];
+
+/**
+ * Find revert data on an ethers error
+ * @param {Error} error Error thrown by a call, estimate or send
+ * @returns {string|null} Hex revert data, or null if the error is not a revert
+ */
+function extractRevertData(error) {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.error?.data,
+    error?.info?.error?.data?.data
+  ];
+
+  const data = candidates.find(value => typeof value === 'string' && value.startsWith('0x'));
+  if (data !== undefined) return data;
+
+  // Revert without data (e.g. require(false) or revert())
+  if (error?.code === 'CALL_EXCEPTION' || /execution reverted/i.test(error?.message || '')) {
+    return '0x';
+  }
+
+  return null;
+}
+
+/**
+ * Normalize ABIs to ethers Interfaces
+ * @param {Array|Object|null} abis ABI, Interface, or a list of them
+ * @returns {Array<ethers.Interface>} Interfaces
+ * @private
+ */
+function toInterfaces(abis) {
+  if (!abis) return [];
+
+  // A single ABI is an array of fragments; a list of ABIs is an array of arrays/Interfaces
+  const list = Array.isArray(abis) && abis.length > 0 && (Array.isArray(abis[0]) || abis[0] instanceof ethers.Interface) ?
+    abis :
+    [abis];
+
+  return list
+    .map(abi => {
+      try {
+        return abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Decode revert data
+ * @param {string} data Hex revert data
+ * @param {Array|Object|null} abis ABIs of the called contract, tried for custom errors
+ * @returns {Object} { type, name, args, reason, data }
+ */
+function decodeRevertData(data, abis = null) {
+  if (!data || data === '0x') {
+    return { type: 'empty', name: null, args: [], reason: 'reverted without a reason', data: '0x' };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return { type: 'error', name: 'Error', args: [message], reason: message, data };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      const description = PANIC_REASONS[Number(code)] || 'unknown panic';
+      return {
+        type: 'panic',
+        name: 'Panic',
+        args: [code],
+        reason: `Panic(0x${code.toString(16).padStart(2, '0')}): ${description}`,
+        data
+      };
+    }
+  } catch (error) {
+    // Malformed built-in error payload, fall through to custom errors
+  }
+
+  for (const iface of [...toInterfaces(abis), new ethers.Interface(COMMON_ERRORS_ABI)]) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const args = parsed.args.map(arg => arg.toString());
+        return {
+          type: 'custom',
+          name: parsed.name,
+          args,
+          reason: `${parsed.name}(${args.join(', ')})`,
+          data
+        };
+      }
+    } catch (error) {
+      // Not an error of this ABI
+    }
+  }
+
+  return { type: 'unknown', name: null, args: [], reason: `unknown custom error ${selector}`, data };
+}
+
+module.exports = {
+  extractRevertData,
+  decodeRevertData,
+  PANIC_REASONS
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Run identification
+ * Every automation cycle gets an id that ties journal entries, checkpoints and reports together
+ */
+const crypto = require('crypto');
+
+let currentRunId = null;
+
+/**
+ * Create a new run id, sortable by start time (e.g. 20240131-142501-3fa9)
+ * @param {Date} date Start time of the run
+ * @returns {string} Run id
+ */
+function createRunId(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Start a new run
+ * @param {string|null} runId Run id to use, a new one is created if omitted
+ * @returns {string} Run id
+ */
+function startRun(runId = null) {
+  currentRunId = runId || createRunId();
+  return currentRunId;
+}
+
+/**
+ * Get the id of the current run, starting one if none is active
+ * @returns {string} Run id
+ */
+function getRunId() {
+  return currentRunId || startRun();
+}
+
+module.exports = {
+  createRunId,
+  startRun,
+  getRunId
+};
\ No newline at end of file
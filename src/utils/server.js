@@ -0,0 +1,94 @@
+/**
+ * Local server
+ * Optional HTTP server on a local port, shared by the metrics endpoint, the dashboard and the control API
+ */
+const http = require('http');
+const logger = require('./logger');
+
+class LocalServer {
+  /**
+   * Create a stopped server
+   * @param {string} name What the server provides, for logs (e.g. 'Dashboard')
+   * @param {Function} handler Request listener (req, res)
+   */
+  constructor(name, handler) {
+    this.name = name;
+    this.handler = handler;
+    this.server = null;
+  }
+
+  /**
+   * Whether the server is listening
+   * @returns {boolean} Listening state
+   */
+  get running() {
+    return this.server !== null;
+  }
+
+  /**
+   * Get the address the server listens on
+   * @returns {Object|null} { address, family, port }, or null when stopped
+   */
+  address() {
+    return this.server ? this.server.address() : null;
+  }
+
+  /**
+   * Start listening, unless the server is listening already
+   * A server that cannot start is only logged: the automation runs without it.
+   * @param {string} host Host to bind
+   * @param {number} port Port to bind
+   * @param {Object} options Start options
+   * @param {string} options.path Path logged with the server URL
+   * @param {Function|null} options.setup Runs before listening; when it fails the server stays stopped
+   * @returns {Promise<boolean>} The server is listening
+   */
+  async start(host, port, options = {}) {
+    if (this.server) return true;
+
+    const { path = '/', setup = null } = options;
+    try {
+      if (setup) await setup();
+      this.server = await LocalServer.listen(this.handler, host, port);
+      logger.info(`${this.name} available at http://${host}:${port}${path}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not start ${this.name} on ${host}:${port}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Create an HTTP server and bind it
+   * @param {Function} handler Request listener
+   * @param {string} host Host to bind
+   * @param {number} port Port to bind
+   * @returns {Promise<http.Server>} Listening server
+   * @private
+   */
+  static listen(handler, host, port) {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer(handler);
+
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+}
+
+module.exports = LocalServer;
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Settings reader
+ * Reads settings the same way from the configuration manager and from plain configuration objects
+ */
+const _ = require('lodash');
+
+/**
+ * Create a reader for one configuration section
+ * @param {Object} config Configuration manager (with get) or plain configuration object
+ * @param {string|null} section Section path, e.g. 'journal'; null reads full paths
+ * @returns {Function} (key, defaultValue) => value, the default when the setting is missing
+ */
+function sectionReader(config = {}, section = null) {
+  const prefix = section ? `${section}.` : '';
+
+  return (key, defaultValue) => (config && config.get ?
+    config.get(prefix + key, defaultValue) :
+    (_.get(config, prefix + key) ?? defaultValue));
+}
+
+module.exports = { sectionReader };
\ No newline at end of file
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Wallet Keystore Tool
+ * Imports data/pk.txt keys into encrypted keystores and lists them, e.g. `npm run wallet -- import`
+ */
+const { Command } = require('commander');
+const chalk = require('chalk');
+const config = require('./config');
+const WalletManager = require('./core/wallet');
+
+/**
+ * Load config.json (if any) and initialize the wallet manager
+ * @returns {Promise<WalletManager>} Wallet manager
+ */
+async function getWalletManager() {
+  if (await config.checkConfigExists()) {
+    await config.loadFromFile();
+  }
+
+  const walletManager = WalletManager.getInstance();
+  walletManager.initialize(config);
+  return walletManager;
+}
+
+/**
+ * Encrypt the keys of a key file into keystores
+ * @param {Object} options Command options
+ */
+async function importKeys(options) {
+  const walletManager = await getWalletManager();
+  const keys = await walletManager.loadPrivateKeys(options.file || walletManager.settings.pk_file);
+  const passphrase = await walletManager.getPassphrase(true);
+
+  const { imported, skipped } = await walletManager.importPrivateKeys(keys.map(key => key.privateKey), passphrase);
+
+  console.log(chalk.green(`Imported ${imported.length} key(s) into ${walletManager.settings.keystore_dir}`));
+  if (skipped.length > 0) {
+    console.log(chalk.yellow(`Skipped ${skipped.length} key(s) that already have a keystore`));
+  }
+  console.log(`Set wallets.source to "keystore" in config.json to use them, then remove the plaintext key file.`);
+}
+
+/**
+ * List keystores and their addresses
+ */
+async function listKeys() {
+  const walletManager = await getWalletManager();
+  const files = await walletManager.listKeystores();
+
+  for (const [index, file] of files.entries()) {
+    const address = await walletManager.getKeystoreAddress(file);
+    console.log(`${String(index + 1).padStart(3)}  ${address || chalk.red('unknown address')}  ${chalk.gray(file)}`);
+  }
+
+  console.log(chalk.bold(`${files.length} keystore(s) in ${walletManager.settings.keystore_dir}`));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command();
+  program
+    .name('wallet')
+    .description('Manage encrypted wallet keystores');
+
+  program
+    .command('import')
+    .description('encrypt private keys into keystores (passphrase from KEYSTORE_PASSPHRASE or a prompt)')
+    .option('-f, --file <path>', 'key file, defaults to wallets.pk_file')
+    .action(importKeys);
+
+  program
+    .command('list')
+    .description('list keystores and their addresses')
+    .action(listKeys);
+
+  await program.parseAsync(process.argv);
+}
+
+main().catch((error) => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  if (error.hint) {
+    console.error(chalk.yellow(`Hint: ${error.hint}`));
+  }
+  process.exit(1);
+});
\ No newline at end of file
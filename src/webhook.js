@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Local Webhook Receiver
+ * Prints the notifications it receives and checks their signatures, for testing webhook notifications
+ * without an external service, e.g. `npm run webhook -- --secret s3cret --fail 2`
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { Command } = require('commander');
+const chalk = require('chalk');
+const Notifier = require('./core/notifier');
+
+// Signatures older than this are reported as stale
+const MAX_SIGNATURE_AGE_SECONDS = 300;
+
+/**
+ * Check the signature headers of a request
+ * @param {Object} headers Request headers
+ * @param {string} body Raw request body
+ * @param {string} secret Shared secret
+ * @returns {string|null} Problem with the signature, or null when it is valid
+ */
+function checkSignature(headers, body, secret) {
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+  if (!timestamp || !signature) return 'unsigned';
+
+  const expected = Buffer.from(`sha256=${Notifier.sign(secret, timestamp, body)}`);
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return 'invalid signature';
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) {
+    return 'stale timestamp';
+  }
+  return null;
+}
+
+/**
+ * Start the receiver
+ * @param {Object} options Receiver options
+ * @param {string} options.host Listen host
+ * @param {number} options.port Listen port
+ * @param {string|null} options.secret Shared secret; signatures are checked when set
+ * @param {number} options.fail Answer this many requests with 500 first, to exercise retries
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startServer({ host, port, secret = null, fail = 0 }) {
+  let failuresLeft = fail;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const time = chalk.gray(new Date().toISOString());
+      const event = req.headers['x-webhook-event'] || '-';
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`${time} ${event} ${chalk.yellow('answered with 500 (simulated failure)')}`);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Simulated failure\n');
+        return;
+      }
+
+      if (secret) {
+        const problem = checkSignature(req.headers, body, secret);
+        if (problem) {
+          console.log(`${time} ${event} ${chalk.red(`rejected: ${problem}`)}`);
+          res.writeHead(401, { 'Content-Type': 'text/plain' });
+          res.end(`${problem}\n`);
+          return;
+        }
+      }
+
+      let printed = body;
+      try {
+        printed = JSON.stringify(JSON.parse(body), null, 2);
+      } catch (error) {
+        // Templates may render any text
+      }
+
+      console.log(`${time} ${event} ${chalk.green(secret ? 'signature ok' : 'received')} ${chalk.gray(req.headers['x-webhook-id'] || '')}`);
+      console.log(printed);
+      res.writeHead(204);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command();
+  program
+    .name('webhook')
+    .description('Run a local webhook receiver for testing notifications')
+    .option('-H, --host <host>', 'listen host', '127.0.0.1')
+    .option('-p, --port <port>', 'listen port', '9000')
+    .option('-s, --secret <secret>', 'shared secret to check signatures with')
+    .option('--fail <count>', 'answer the first requests with 500 to exercise retries', '0')
+    .option('--send-test', 'send a test notification to the receiver once it listens')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const port = Number(options.port);
+  await startServer({ host: options.host, port, secret: options.secret || null, fail: Number(options.fail) });
+  console.log(chalk.bold(`Webhook receiver listening on http://${options.host}:${port}/`));
+
+  if (options.sendTest) {
+    const notifier = Notifier.getInstance();
+    notifier.initialize({
+      notifications: {
+        enabled: true,
+        webhooks: [{ url: `http://${options.host}:${port}/`, secret: options.secret || '' }],
+        retry: { delay_ms: 500 }
+      }
+    });
+    notifier.notify(Notifier.NOTIFICATIONS.TEST, { message: 'Test notification' });
+    await notifier.flush();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+module.exports = { startServer, checkSignature };
\ No newline at end of file
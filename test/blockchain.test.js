@@ -0,0 +1,96 @@
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const Blockchain = require('../src/core/blockchain');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const quantity = (value) => ethers.toQuantity(gwei(value));
+
+/**
+ * Blockchain over a stub provider answering eth_feeHistory and getFeeData
+ */
+function createBlockchain(history, settings = {}) {
+  const config = { get: (key, defaultValue) => _.get(settings, key, defaultValue) };
+  const blockchain = new Blockchain(null, config);
+  blockchain.provider = {
+    send: jest.fn(async () => history),
+    getFeeData: jest.fn(async () => ({ gasPrice: gwei(5) }))
+  };
+  return blockchain;
+}
+
+describe('Blockchain fees', () => {
+  const settings = { general: { gas_price_multiplier: 1 } };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('derives type 2 fees from the next base fee and the median priority fee', async () => {
+    const blockchain = createBlockchain({
+      baseFeePerGas: [quantity(8), quantity(9), quantity(10)],
+      reward: [[quantity(1)], [quantity(3)], [quantity(2)]]
+    }, settings);
+
+    const fees = await blockchain.getFeeData();
+
+    expect(fees).toEqual({ type: 2, maxFeePerGas: gwei(22), maxPriorityFeePerGas: gwei(2) });
+    expect(blockchain.provider.send).toHaveBeenCalledWith('eth_feeHistory', ['0xa', 'latest', [50]]);
+    expect(blockchain.supportsEip1559).toBe(true);
+  });
+
+  test('bumps both fees on retries', async () => {
+    const blockchain = createBlockchain({
+      baseFeePerGas: [quantity(10)],
+      reward: [[quantity(2)]]
+    }, settings);
+
+    const fees = await blockchain.getFeeData(1);
+
+    expect(fees.maxPriorityFeePerGas).toBe(gwei(2.6));
+    expect(fees.maxFeePerGas).toBe(gwei(28.6));
+  });
+
+  test('ignores empty blocks and falls back to the minimum priority fee', async () => {
+    const blockchain = createBlockchain({
+      baseFeePerGas: [quantity(1)],
+      reward: [['0x0'], ['0x0']]
+    }, settings);
+
+    const fees = await blockchain.getFeeData();
+
+    expect(fees.maxPriorityFeePerGas).toBe(gwei(0.001));
+    expect(fees.maxFeePerGas).toBe(gwei(2.001));
+  });
+
+  test('caps the max fee at the configured maximum', async () => {
+    const blockchain = createBlockchain({
+      baseFeePerGas: [quantity(150)],
+      reward: [[quantity(2)]]
+    }, settings);
+
+    const fees = await blockchain.getFeeData();
+
+    expect(fees.maxFeePerGas).toBe(gwei(200));
+    expect(fees.maxPriorityFeePerGas).toBe(gwei(2));
+  });
+
+  test('switches to legacy gas prices when the network reports no base fee', async () => {
+    const blockchain = createBlockchain({ baseFeePerGas: ['0x0', '0x0'], reward: [] }, settings);
+
+    expect(await blockchain.getFeeData()).toEqual({ type: 0, gasPrice: gwei(5) });
+    expect(await blockchain.getFeeData()).toEqual({ type: 0, gasPrice: gwei(5) });
+    expect(blockchain.supportsEip1559).toBe(false);
+    expect(blockchain.provider.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('never reads the fee history in legacy fee mode', async () => {
+    const blockchain = createBlockchain({}, { general: { gas_price_multiplier: 1, fee_mode: 'legacy' } });
+
+    expect(await blockchain.getFeeData()).toEqual({ type: 0, gasPrice: gwei(5) });
+    expect(blockchain.provider.send).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const CheckpointStore = require('../src/core/checkpoint');
+const Operation = require('../src/core/operation');
+const OperationResult = require('../src/core/result');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+/**
+ * Operation running the given steps for a fixed wallet, without a blockchain
+ */
+class StepsOperation extends Operation {
+  constructor(config, steps) {
+    super(null, config, 'test');
+    this.steps = steps;
+  }
+
+  getCheckpointWallet() {
+    return WALLET;
+  }
+
+  async executeOperations() {
+    for (const [key, fn] of Object.entries(this.steps)) {
+      await this.runStep(key, fn);
+    }
+    return true;
+  }
+}
+
+describe('CheckpointStore', () => {
+  let dir;
+  let config;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    const settings = { checkpoint: { path: path.join(dir, 'checkpoint.json') } };
+    config = {
+      get: (key, defaultValue) => _.get(settings, key, defaultValue),
+      isEnabled: () => true
+    };
+    CheckpointStore.instance = null;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Load the checkpoint file into a fresh store, as a restarted process would
+   */
+  async function restart() {
+    CheckpointStore.instance = null;
+    const store = CheckpointStore.getInstance();
+    return { store, runId: await store.initialize(config) };
+  }
+
+  test('resumes an unfinished cycle with its steps and values', async () => {
+    const store = CheckpointStore.getInstance();
+    expect(await store.initialize(config)).toBeNull();
+
+    await store.begin('run-1');
+    await store.markStep(WALLET, 'test', 'mint', 'pending');
+    await store.recordBroadcast('0xhash');
+    await store.markStep(WALLET, 'test', 'mint', 'done', { success: true, txHash: '0xhash' });
+    await store.setValue(WALLET, 'test', 'amount', BigInt('1000000000000000000'));
+
+    const { store: resumed, runId } = await restart();
+    expect(runId).toBe('run-1');
+    expect(resumed.getStep(WALLET, 'test', 'mint')).toMatchObject({
+      status: 'done',
+      result: { success: true, txHash: '0xhash' },
+      tx_hashes: ['0xhash']
+    });
+    // Wallet keys are case-insensitive
+    expect(resumed.getValue('0x00000000000000000000000000000000000000AA', 'test', 'amount')).toBe(BigInt('1000000000000000000'));
+  });
+
+  test('starts fresh after a completed cycle', async () => {
+    const store = CheckpointStore.getInstance();
+    await store.initialize(config);
+    await store.begin('run-1');
+    await store.markWallet(WALLET, 'done', 1);
+    await store.complete();
+
+    const { store: next, runId } = await restart();
+    expect(runId).toBeNull();
+    expect(next.isWalletDone(WALLET)).toBe(false);
+  });
+
+  test('skips completed steps and operations when resuming', async () => {
+    const store = CheckpointStore.getInstance();
+    await store.initialize(config);
+    await store.begin('run-1');
+
+    const first = jest.fn(async () => ({ success: true, txHash: '0x1' }));
+    const second = jest.fn(async () => ({ success: false, error: 'reverted' }));
+    const result = await new StepsOperation(config, { first, second }).execute();
+
+    expect(result.status).toBe(OperationResult.STATUS.PARTIAL);
+    expect(store.isOperationDone(WALLET, 'test')).toBe(false);
+
+    await restart();
+    const firstAgain = jest.fn(async () => ({ success: true, txHash: '0x2' }));
+    const secondAgain = jest.fn(async () => ({ success: true, txHash: '0x3' }));
+    const retried = await new StepsOperation(config, { first: firstAgain, second: secondAgain }).execute();
+
+    expect(firstAgain).not.toHaveBeenCalled();
+    expect(secondAgain).toHaveBeenCalledTimes(1);
+    expect(retried.status).toBe(OperationResult.STATUS.SUCCESS);
+    expect(retried.txHashes).toEqual(['0x1', '0x3']);
+    expect(CheckpointStore.getInstance().isOperationDone(WALLET, 'test')).toBe(true);
+
+    const { store: resumed } = await restart();
+    const skipped = await new StepsOperation(config, { first: firstAgain, second: secondAgain }).execute();
+    expect(skipped.status).toBe(OperationResult.STATUS.SKIPPED);
+    expect(resumed.isOperationDone(WALLET, 'test')).toBe(true);
+  });
+
+  test('keeps a failed operation pending', async () => {
+    const store = CheckpointStore.getInstance();
+    await store.initialize(config);
+    await store.begin('run-1');
+
+    const result = await new StepsOperation(config, {
+      only: async () => { throw new Error('node exploded'); }
+    }).execute();
+
+    expect(result.status).toBe(OperationResult.STATUS.FAILED);
+    expect(store.isOperationDone(WALLET, 'test')).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventBus = require('../src/core/events');
+const RunControl = require('../src/core/control');
+
+const { EVENTS } = EventBus;
+const TOKEN = 'control-test-token';
+
+describe('RunControl API', () => {
+  let control;
+  let bus;
+
+  /**
+   * Call the control API
+   * @param {string} method HTTP method
+   * @param {string} route Route
+   * @param {string|null} token Bearer token, null to send none
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  async function call(method, route, token = TOKEN) {
+    const response = await fetch(`http://127.0.0.1:${control.server.address().port}${route}`, {
+      method,
+      headers: token === null ? {} : { Authorization: `Bearer ${token}` }
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    EventBus.instance = null;
+    bus = EventBus.getInstance();
+    control = new RunControl();
+    await control.initialize({ control: { enabled: true, port: 0, token: TOKEN } });
+  });
+
+  afterEach(async () => {
+    await control.stop();
+    console.log.mockRestore();
+  });
+
+  test('rejects requests without the bearer token', async () => {
+    const missing = await call('GET', '/status', null);
+    const wrong = await call('POST', '/pause', 'not-the-token');
+
+    expect(missing.status).toBe(401);
+    expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+    expect(wrong.status).toBe(401);
+    expect(control.paused).toBe(false);
+  });
+
+  test('only accepts GET for the status and POST for actions', async () => {
+    const status = await call('POST', '/status');
+    const action = await call('GET', '/pause');
+
+    expect(status.status).toBe(405);
+    expect(status.headers.get('allow')).toBe('GET');
+    expect(action.status).toBe(405);
+    expect(action.headers.get('allow')).toBe('POST');
+    expect((await call('POST', '/restart')).status).toBe(404);
+  });
+
+  test('answers 409 when an action does not fit the run state', async () => {
+    expect(await call('POST', '/resume')).toMatchObject({ status: 409, body: { ok: false, message: 'Not paused' } });
+    expect((await call('POST', '/skip-wallet')).body.message).toBe('No wallet is running');
+    expect((await call('POST', '/abort')).body.message).toBe('No cycle is running');
+    expect((await call('POST', '/reload-config')).status).toBe(409);
+
+    bus.publish(EVENTS.CYCLE_START);
+    expect(await call('POST', '/next-cycle')).toMatchObject({ status: 409, body: { message: 'A cycle is already running' } });
+  });
+
+  test('pauses until resumed', async () => {
+    const paused = await call('POST', '/pause');
+    let resumed = false;
+    const waiting = control.waitIfPaused({ warn: () => {}, info: () => {} }).then(() => { resumed = true; });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(paused.body).toMatchObject({ ok: true, state: { paused: true } });
+    expect(resumed).toBe(false);
+
+    expect((await call('POST', '/resume')).status).toBe(200);
+    await waiting;
+    expect(resumed).toBe(true);
+  });
+
+  test('skips the running wallet and aborts the running cycle', async () => {
+    bus.publish(EVENTS.CYCLE_START);
+    bus.publish(EVENTS.WALLET_START, { wallet: 2 });
+
+    const skip = await call('POST', '/skip-wallet');
+    expect(skip.body).toMatchObject({ ok: true, message: 'Skipping wallet 2 after the current step', state: { wallet: 2, skip_requested: true } });
+    expect(control.getInterruption()).toBe('wallet skipped through the control API');
+
+    bus.publish(EVENTS.WALLET_END, { wallet: 2 });
+    expect(control.getInterruption()).toBeNull();
+
+    expect((await call('POST', '/abort')).status).toBe(200);
+    expect(control.isCycleAborted()).toBe(true);
+
+    bus.publish(EVENTS.CYCLE_END);
+    expect((await call('GET', '/status')).body).toMatchObject({ cycle_running: false, abort_requested: false });
+    expect((await call('POST', '/next-cycle')).status).toBe(200);
+    expect(control.consumeNextCycle()).toBe(true);
+    expect(control.consumeNextCycle()).toBe(false);
+  });
+
+  test('reloads the configuration and reports failures', async () => {
+    const reloadConfig = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('invalid YAML'));
+    await control.initialize({ control: { enabled: true, port: 0, token: TOKEN } }, { reloadConfig });
+
+    expect((await call('POST', '/reload-config')).body).toMatchObject({ ok: true, message: 'Configuration reloaded' });
+    expect(await call('POST', '/reload-config')).toMatchObject({ status: 500, body: { ok: false, message: 'invalid YAML' } });
+    expect(reloadConfig).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('RunControl token', () => {
+  let dir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  test('generates a private token file once and reuses it', async () => {
+    const tokenFile = path.join(dir, 'data', 'control-token');
+    const savedEnv = process.env.CONTROL_TOKEN;
+    delete process.env.CONTROL_TOKEN;
+
+    try {
+      const token = await RunControl.resolveToken('', tokenFile);
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.statSync(tokenFile).mode & 0o777).toBe(0o600);
+      expect(await RunControl.resolveToken('', tokenFile)).toBe(token);
+      expect(await RunControl.resolveToken('configured', tokenFile)).toBe('configured');
+    } finally {
+      if (savedEnv !== undefined) process.env.CONTROL_TOKEN = savedEnv;
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+const http = require('http');
+const EventBus = require('../src/core/events');
+const Dashboard = require('../src/core/dashboard');
+
+const { EVENTS } = EventBus;
+
+const ADDRESS = '0x00000000000000000000000000000000000000AA';
+const NETWORK = {
+  name: 'Somnia Testnet',
+  chain_id: 50312,
+  currency_symbol: 'STT',
+  explorer_url: 'https://explorer.example'
+};
+
+describe('Dashboard', () => {
+  let dashboard;
+  let bus;
+
+  /**
+   * Request a dashboard route
+   * @param {string} route Route
+   * @returns {Promise<Object>} { status, type, body }
+   */
+  async function get(route) {
+    const response = await fetch(`http://127.0.0.1:${dashboard.server.address().port}${route}`);
+    return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+  }
+
+  /**
+   * Publish the start of a one-wallet cycle
+   */
+  function startCycle() {
+    bus.publish(EVENTS.CYCLE_START, {
+      network: NETWORK.name,
+      chain_id: NETWORK.chain_id,
+      dry_run: false,
+      resumed: false,
+      wallets: 1,
+      accounts: [{ wallet: 1, address: ADDRESS, label: 'main' }]
+    });
+    bus.publish(EVENTS.WALLET_START, { wallet: 1, address: ADDRESS, operations: ['transfer', 'nft'] });
+  }
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    EventBus.instance = null;
+    bus = EventBus.getInstance();
+    dashboard = new Dashboard();
+    await dashboard.initialize({ dashboard: { enabled: true, port: 0, recent_transactions: 2 } }, NETWORK);
+  });
+
+  afterEach(async () => {
+    await dashboard.stop();
+    console.log.mockRestore();
+  });
+
+  test('follows wallets, operations and steps through the cycle', async () => {
+    startCycle();
+    bus.publish(EVENTS.OPERATION_START, { wallet: 1, operation: 'transfer' });
+    bus.publish(EVENTS.STEP_START, { wallet: 1, operation: 'transfer', step: 'send' });
+    bus.publish(EVENTS.STEP_END, { wallet: 1, operation: 'transfer', step: 'send', status: 'success', tx_hash: '0x01' });
+    bus.publish(EVENTS.OPERATION_END, { wallet: 1, operation: 'transfer', status: 'success' });
+    bus.publish(EVENTS.WALLET_END, { wallet: 1, status: 'partial' });
+    bus.publish(EVENTS.CYCLE_END, { status: 'partial' });
+
+    const state = JSON.parse((await get('/state')).body);
+
+    expect(state).toMatchObject({ network: NETWORK.name, currency: 'STT', run_id: expect.any(String) });
+    expect(state.cycle).toMatchObject({ status: 'partial', wallets: 1, processed: 1, ended_at: expect.any(String) });
+    expect(state.wallets).toEqual([{
+      wallet: 1,
+      address: ADDRESS,
+      label: 'main',
+      status: 'partial',
+      balance: null,
+      operations: [
+        { name: 'transfer', status: 'success', steps: [{ key: 'send', status: 'success', tx_hash: '0x01', reason: undefined }] },
+        { name: 'nft', status: 'pending', steps: [] }
+      ]
+    }]);
+  });
+
+  test('keeps the most recent transactions with explorer links', async () => {
+    startCycle();
+    const tx = (type, hash, fields = {}) => bus.publish(type, { wallet: 1, operation: 'transfer', method: 'transfer', tx_hash: hash, ...fields });
+    tx(EVENTS.TX_SENT, '0x01');
+    tx(EVENTS.TX_CONFIRMED, '0x01', { block_number: 7 });
+    tx(EVENTS.TX_SENT, '0x02');
+    tx(EVENTS.TX_FAILED, '0x02', { error: 'reverted' });
+    tx(EVENTS.TX_SENT, '0x03');
+
+    const { transactions } = JSON.parse((await get('/state')).body);
+
+    expect(transactions.map(({ hash, status }) => [hash, status])).toEqual([['0x03', 'sent'], ['0x02', 'failed']]);
+    expect(transactions[1]).toMatchObject({ url: 'https://explorer.example/tx/0x02', error: 'reverted', block_number: null });
+  });
+
+  test('streams the state to connected pages over Server-Sent Events', async () => {
+    const messages = [];
+    const req = http.get(`http://127.0.0.1:${dashboard.server.address().port}/events`);
+    const received = new Promise((resolve, reject) => {
+      req.on('error', reject);
+      req.on('response', res => {
+        expect(res.headers['content-type']).toBe('text/event-stream');
+        let buffer = '';
+        res.on('data', chunk => {
+          buffer += chunk;
+          const parts = buffer.split('\n\n');
+          buffer = parts.pop();
+          messages.push(...parts.filter(part => part.includes('event: state')));
+          if (messages.length === 1) startCycle();
+          if (messages.length === 2) resolve();
+        });
+      });
+    });
+
+    await received;
+    req.destroy();
+
+    const data = message => JSON.parse(message.split('\n').find(line => line.startsWith('data: ')).slice(6));
+    expect(messages[0]).toMatch(/^retry: 3000\n/);
+    expect(data(messages[0]).wallets).toEqual([]);
+    expect(data(messages[1]).wallets[0]).toMatchObject({ wallet: 1, status: 'running' });
+  });
+
+  test('serves the page and nothing else', async () => {
+    const page = await get('/');
+
+    expect(page.status).toBe(200);
+    expect(page.type).toContain('text/html');
+    expect(page.body).toContain('new EventSource');
+    expect((await get('/missing')).status).toBe(404);
+  });
+
+  test('stops the server and the event subscription when disabled', async () => {
+    await dashboard.initialize({ dashboard: { enabled: false } });
+
+    startCycle();
+
+    expect(dashboard.server.running).toBe(false);
+    expect(dashboard.state.cycle).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const Blockchain = require('../src/core/blockchain');
+const DryRunPlan = require('../src/core/dryrun');
+
+// First development key of Hardhat and Anvil
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TARGET = '0x000000000000000000000000000000000000dEaD';
+const GAS_PRICE = ethers.parseUnits('2', 'gwei');
+
+/**
+ * Dry-run blockchain over a stub provider; the wallet throws if anything is sent
+ * @param {Function} call Answers eth_call simulations
+ */
+function createBlockchain(call = async () => '0x') {
+  const settings = { dry_run: { enabled: true }, general: { fee_mode: 'legacy', gas_price_multiplier: 1 } };
+  const blockchain = new Blockchain(PRIVATE_KEY, { get: (key, defaultValue) => _.get(settings, key, defaultValue) });
+  blockchain.provider = {
+    getTransactionCount: jest.fn(async () => 5),
+    getFeeData: async () => ({ gasPrice: GAS_PRICE }),
+    call: jest.fn(call),
+    estimateGas: async () => BigInt(50000)
+  };
+  blockchain.wallet = { sendTransaction: jest.fn(async () => { throw new Error('dry run must not send'); }) };
+  return blockchain;
+}
+
+describe('dry-run planning', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    DryRunPlan.instance = null;
+  });
+
+  test('plans transactions with consecutive nonces, gas and fees without sending them', async () => {
+    const blockchain = createBlockchain();
+
+    const deploy = await blockchain.sendTransaction({ data: '0x6000' }, 'deploy', { operation: 'deploy', step: 'deploy' });
+    const call = await blockchain.sendTransaction({ to: deploy.contractAddress, data: '0x1234' }, 'setValue');
+    const transfer = await blockchain.sendTransaction({ to: TARGET, value: BigInt(7), gasLimit: BigInt(21000) }, 'transfer');
+
+    expect(deploy).toMatchObject({ success: true, dryRun: true, txHash: null });
+    expect(deploy.contractAddress).toBe(ethers.getCreateAddress({ from: blockchain.address, nonce: 5 }));
+    expect(call.success).toBe(true);
+    expect(transfer.success).toBe(true);
+    expect(blockchain.wallet.sendTransaction).not.toHaveBeenCalled();
+
+    const entries = DryRunPlan.getInstance().getEntries(blockchain.address);
+    expect(entries.map(entry => [entry.method, entry.nonce, entry.gasLimit])).toEqual([
+      ['deploy', 5, BigInt(50000)],
+      ['setValue', 6, null],
+      ['transfer', 7, BigInt(21000)]
+    ]);
+    expect(entries[0]).toMatchObject({ operation: 'deploy', step: 'deploy', to: null, fee: BigInt(50000) * GAS_PRICE });
+    // The planned contract does not exist on chain, so the call to it is not simulated
+    expect(entries[1].note).toMatch(/deployed earlier in this plan/);
+    expect(blockchain.provider.call).toHaveBeenCalledTimes(2);
+
+    expect(DryRunPlan.summarize(entries)).toEqual({
+      count: 3,
+      reverts: 0,
+      totalValue: BigInt(7),
+      totalFee: BigInt(71000) * GAS_PRICE
+    });
+  });
+
+  test('records predicted reverts as failures and keeps their nonce for the next transaction', async () => {
+    const reason = ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['Sold out'])]);
+    const blockchain = createBlockchain(async (tx) => {
+      if (tx.data === '0xdead') throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: reason });
+      return '0x';
+    });
+
+    const mint = await blockchain.sendTransaction({ to: TARGET, data: '0xdead' }, 'mint');
+    const transfer = await blockchain.sendTransaction({ to: TARGET, value: BigInt(1) }, 'transfer');
+
+    expect(mint).toMatchObject({ success: false, dryRun: true });
+    expect(transfer.success).toBe(true);
+
+    const entries = DryRunPlan.getInstance().getEntries(blockchain.address);
+    expect(entries.map(entry => [entry.method, entry.nonce, entry.revert])).toEqual([
+      ['mint', 5, 'Sold out'],
+      ['transfer', 5, null]
+    ]);
+    expect(DryRunPlan.summarize(entries).reverts).toBe(1);
+  });
+
+  test('is enabled through dry_run.enabled', () => {
+    expect(DryRunPlan.isEnabled({ dry_run: { enabled: true } })).toBe(true);
+    expect(DryRunPlan.isEnabled({ dry_run: { enabled: 'yes' } })).toBe(false);
+    expect(DryRunPlan.isEnabled({})).toBe(false);
+  });
+});
\ No newline at end of file
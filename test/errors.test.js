@@ -0,0 +1,84 @@
+const {
+  AppError,
+  RpcError,
+  NonceError,
+  FeeError,
+  RevertError,
+  InsufficientFundsError,
+  InterruptedError,
+  normalizeError,
+  toFailureResult
+} = require('../src/utils/errors');
+const { RetryPolicy } = require('../src/core/retry');
+
+describe('normalizeError', () => {
+  test('maps ethers error codes to typed errors', () => {
+    expect(normalizeError(Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION' }))).toBeInstanceOf(RevertError);
+    expect(normalizeError(Object.assign(new Error('no funds'), { code: 'INSUFFICIENT_FUNDS' }))).toBeInstanceOf(InsufficientFundsError);
+    expect(normalizeError(Object.assign(new Error('used'), { code: 'NONCE_EXPIRED' }))).toBeInstanceOf(NonceError);
+    expect(normalizeError(Object.assign(new Error('cheap'), { code: 'REPLACEMENT_UNDERPRICED' }))).toBeInstanceOf(FeeError);
+  });
+
+  test('falls back to the message of bare JSON-RPC errors', () => {
+    const error = new Error('could not coalesce error');
+    error.info = { error: { message: 'nonce too low: next nonce 5, tx nonce 4' } };
+
+    const typed = normalizeError(error);
+    expect(typed).toBeInstanceOf(NonceError);
+    expect(typed.message).toBe('nonce too low: next nonce 5, tx nonce 4');
+    expect(typed.cause).toBe(error);
+  });
+
+  test('classifies transport failures by code and HTTP status', () => {
+    expect(normalizeError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })).category).toBe('network');
+    expect(normalizeError(Object.assign(new Error('slow'), { code: 'ETIMEDOUT' })).category).toBe('timeout');
+    expect(normalizeError({ message: 'busy', response: { status: 429 } }).category).toBe('rate_limit');
+    expect(normalizeError({ message: 'oops', status: 502 }).category).toBe('server');
+    expect(normalizeError(new Error('something else'))).toMatchObject({ category: 'unknown', retryable: null });
+  });
+
+  test('keeps typed errors and unwraps failed results', () => {
+    const typed = new FeeError('too low');
+    expect(normalizeError(typed)).toBe(typed);
+    expect(normalizeError({ success: false, error: 'too low', details: typed })).toBe(typed);
+  });
+});
+
+describe('toFailureResult', () => {
+  test('builds a failed result with code, type and hint', () => {
+    const result = toFailureResult(Object.assign(new Error('no funds'), { code: 'INSUFFICIENT_FUNDS' }));
+
+    expect(result).toMatchObject({
+      success: false,
+      error: 'no funds',
+      code: 'INSUFFICIENT_FUNDS',
+      errorType: 'InsufficientFundsError'
+    });
+    expect(result.hint).toEqual(expect.any(String));
+    expect(result.details).toBeInstanceOf(InsufficientFundsError);
+  });
+
+  test('attaches the decoded revert reason', () => {
+    const revert = { kind: 'error', message: 'Not enough tokens' };
+    expect(toFailureResult(new RevertError('reverted', { revert })).revert).toBe(revert);
+  });
+});
+
+describe('retryable flag', () => {
+  test('typed errors say whether a retry can help', () => {
+    expect(new RpcError('down').retryable).toBe(true);
+    expect(new NonceError('used').retryable).toBe(true);
+    expect(new RevertError('reverted').retryable).toBe(false);
+    expect(new InterruptedError('skipped').retryable).toBe(false);
+    expect(new AppError('plain').retryable).toBeNull();
+  });
+
+  test('errors flagged as not retryable are never retried, even with retry_on "*"', () => {
+    const policy = new RetryPolicy({ retry_on: ['*'] });
+
+    expect(policy.isRetryable(new NonceError('used', { retryable: false }))).toBe(false);
+    expect(policy.isRetryable(new RevertError('reverted'))).toBe(false);
+    expect(policy.isRetryable(new AppError('plain'))).toBe(true);
+    expect(new RetryPolicy({ retry_on: ['nonce'] }).isRetryable(new NonceError('used'))).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+const _ = require('lodash');
+const EventBus = require('../src/core/events');
+const Blockchain = require('../src/core/blockchain');
+const DryRunPlan = require('../src/core/dryrun');
+
+const { EVENTS } = EventBus;
+
+describe('EventBus', () => {
+  let bus;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    EventBus.instance = null;
+    bus = EventBus.getInstance();
+  });
+
+  test('delivers events to their subscribers and to catch-all subscribers', () => {
+    const received = [];
+    bus.subscribe(EVENTS.TX_SENT, event => received.push(['sent', event.type]));
+    bus.subscribe([EVENTS.TX_CONFIRMED, EVENTS.TX_FAILED], event => received.push(['done', event.type]));
+    bus.subscribe(EventBus.ALL_EVENTS, event => received.push(['all', event.type]));
+
+    const event = bus.publish(EVENTS.TX_SENT, { tx_hash: '0x01' });
+    bus.publish(EVENTS.TX_FAILED);
+
+    expect(event).toEqual({ type: EVENTS.TX_SENT, timestamp: expect.any(String), run_id: expect.any(String), tx_hash: '0x01' });
+    expect(received).toEqual([
+      ['sent', EVENTS.TX_SENT],
+      ['all', EVENTS.TX_SENT],
+      ['done', EVENTS.TX_FAILED],
+      ['all', EVENTS.TX_FAILED]
+    ]);
+  });
+
+  test('stops delivering after unsubscribing', () => {
+    const listener = jest.fn();
+    const unsubscribe = bus.subscribe([EVENTS.CYCLE_START, EVENTS.CYCLE_END], listener);
+
+    unsubscribe();
+    bus.publish(EVENTS.CYCLE_START);
+    bus.publish(EVENTS.CYCLE_END);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown event types', () => {
+    expect(() => bus.subscribe('cycle:begin', () => {})).toThrow('Unknown event type: cycle:begin');
+  });
+
+  test('keeps publishing when a subscriber throws or rejects', async () => {
+    const listener = jest.fn();
+    bus.subscribe(EVENTS.WALLET_END, () => { throw new Error('broken'); });
+    bus.subscribe(EVENTS.WALLET_END, async () => { throw new Error('broken later'); });
+    bus.subscribe(EVENTS.WALLET_END, listener);
+
+    expect(() => bus.publish(EVENTS.WALLET_END, { wallet: 1 })).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ wallet: 1 }));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`Event subscriber for ${EVENTS.WALLET_END} failed: broken later`));
+  });
+
+  test('carries the wallet and operation context of transaction events', async () => {
+    const settings = { dry_run: { enabled: true }, general: { fee_mode: 'legacy' } };
+    const blockchain = new Blockchain(null, { get: (key, defaultValue) => _.get(settings, key, defaultValue) });
+    // Set after construction, so the wallet logs to the console only
+    blockchain.walletNum = 2;
+    blockchain.address = '0x00000000000000000000000000000000000000AA';
+    blockchain.provider = {
+      getTransactionCount: async () => 0,
+      getFeeData: async () => ({ gasPrice: BigInt(1) }),
+      call: async () => '0x',
+      estimateGas: async () => BigInt(21000)
+    };
+    DryRunPlan.instance = null;
+    const events = [];
+    bus.subscribe(EVENTS.TX_SIMULATED, event => events.push(event));
+
+    await blockchain.sendTransaction({ to: blockchain.address, value: BigInt(1) }, 'transfer', { operation: 'transfer', step: 'send' });
+
+    expect(events).toEqual([expect.objectContaining({
+      wallet: 2,
+      address: blockchain.address,
+      operation: 'transfer',
+      step: 'send',
+      method: 'transfer',
+      success: true,
+      dry_run: true
+    })]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TransactionJournal = require('../src/core/journal');
+const { AppError, RevertError } = require('../src/utils/errors');
+
+const WALLET_A = '0x00000000000000000000000000000000000000AA';
+const WALLET_B = '0x00000000000000000000000000000000000000BB';
+const NETWORK = { key: 'testnet', chain_id: 50312 };
+
+describe('TransactionJournal', () => {
+  let dir;
+  let journal;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    journal = new TransactionJournal();
+    journal.initialize({ journal: { path: path.join(dir, 'transactions.jsonl') } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records a confirmed transaction with its fees and gas', async () => {
+    await journal.recordTransaction({
+      wallet: WALLET_A,
+      walletNum: 1,
+      network: NETWORK,
+      operation: 'transfer',
+      step: 'send',
+      method: 'transfer',
+      tx: { hash: '0x01', to: WALLET_B, value: BigInt(5), nonce: 3, type: 2, gasLimit: BigInt(21000), maxFeePerGas: BigInt(20), maxPriorityFeePerGas: BigInt(2) },
+      receipt: { hash: '0x02', gasUsed: BigInt(21000), gasPrice: BigInt(10), blockNumber: 42 },
+      replacements: ['0x01', '0x02']
+    });
+
+    const [entry] = await journal.readAll();
+
+    expect(entry).toMatchObject({
+      wallet: WALLET_A,
+      wallet_num: 1,
+      network: 'testnet',
+      chain_id: 50312,
+      operation: 'transfer',
+      step: 'send',
+      status: 'confirmed',
+      hash: '0x02',
+      replacements: ['0x01', '0x02'],
+      value: '5',
+      nonce: 3,
+      max_fee_per_gas: '20',
+      gas_used: '21000',
+      fee_wei: '210000',
+      block_number: 42,
+      error: null
+    });
+    expect(entry.run_id).toEqual(expect.any(String));
+  });
+
+  test('derives the status from the failure', () => {
+    const tx = { hash: '0x01' };
+
+    expect(TransactionJournal.getStatus({ status: 0 }, new RevertError('reverted'), tx)).toBe('reverted');
+    expect(TransactionJournal.getStatus(null, new RevertError('would revert'), null)).toBe('simulation_reverted');
+    expect(TransactionJournal.getStatus(null, new AppError('cancelled', { code: 'TRANSACTION_CANCELLED' }), tx)).toBe('cancelled');
+    expect(TransactionJournal.getStatus(null, new AppError('replaced', { code: 'TRANSACTION_REPLACED' }), tx)).toBe('replaced');
+    expect(TransactionJournal.getStatus(null, new AppError('slow', { code: 'TIMEOUT' }), tx)).toBe('pending');
+    expect(TransactionJournal.getStatus(null, new AppError('slow', { code: 'TIMEOUT' }), null)).toBe('failed');
+  });
+
+  test('queries entries by wallet, run, operation, status and time range', async () => {
+    await journal.append({ timestamp: '2026-01-01T00:00:00.000Z', run_id: 'run-1', wallet: WALLET_A, wallet_num: 1, operation: 'transfer', status: 'confirmed' });
+    await journal.append({ timestamp: '2026-01-02T00:00:00.000Z', run_id: 'run-1', wallet: WALLET_B, wallet_num: 2, operation: 'mint', status: 'failed' });
+    await journal.append({ timestamp: '2026-01-03T00:00:00.000Z', run_id: 'run-2', wallet: WALLET_A, wallet_num: 1, operation: 'mint', status: 'confirmed' });
+
+    const days = async (filters) => (await journal.query(filters)).map(entry => entry.timestamp.slice(8, 10));
+
+    expect(await days({ wallet: WALLET_A.toLowerCase() })).toEqual(['01', '03']);
+    expect(await days({ wallet: 2 })).toEqual(['02']);
+    expect(await days({ runId: 'run-1', operation: 'mint' })).toEqual(['02']);
+    expect(await days({ status: 'confirmed' })).toEqual(['01', '03']);
+    expect(await days({ since: '2026-01-02', until: '2026-01-03' })).toEqual(['02']);
+  });
+
+  test('skips lines cut off by a crash', async () => {
+    await journal.append({ status: 'confirmed' });
+    fs.appendFileSync(journal.path, '{"status":"conf');
+
+    expect(await journal.readAll()).toHaveLength(1);
+  });
+
+  test('summarizes entries by status and operation', () => {
+    const summary = TransactionJournal.summarize([
+      { operation: 'transfer', status: 'confirmed', fee_wei: '100' },
+      { operation: 'transfer', status: 'failed', fee_wei: null },
+      { operation: null, status: 'confirmed', fee_wei: '50' }
+    ]);
+
+    expect(summary).toEqual({
+      count: 3,
+      byStatus: { confirmed: 2, failed: 1 },
+      byOperation: {
+        transfer: { count: 2, feeWei: BigInt(100) },
+        other: { count: 1, feeWei: BigInt(50) }
+      },
+      totalFeeWei: BigInt(150)
+    });
+  });
+
+  test('writes nothing when disabled', async () => {
+    journal.initialize({ journal: { enabled: false, path: journal.path } });
+
+    await journal.append({ status: 'confirmed' });
+
+    expect(fs.existsSync(journal.path)).toBe(false);
+    expect(await journal.readAll()).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+const { startServer, checkSignature } = require('../src/webhook');
+const Notifier = require('../src/core/notifier');
+
+const SECRET = 'webhook-test-secret';
+
+/**
+ * Start a receiver that remembers the requests it answered
+ * @param {Object} options Receiver options (see startServer)
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+async function startReceiver(options) {
+  const server = await startServer({ host: '127.0.0.1', port: 0, ...options });
+  const requests = [];
+  server.on('request', (req, res) => {
+    res.on('finish', () => requests.push({ headers: req.headers, status: res.statusCode }));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}/`, requests };
+}
+
+/**
+ * Create a notifier for a single webhook
+ * @param {Object} webhook Webhook settings
+ * @returns {Notifier} Notifier
+ */
+function createNotifier(webhook) {
+  const notifier = new Notifier();
+  notifier.initialize({
+    notifications: {
+      enabled: false,
+      webhooks: [webhook],
+      retry: { max_attempts: 4, delay_ms: 10, max_delay_ms: 20 }
+    }
+  });
+  return notifier;
+}
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'test' });
+
+  test('accepts a fresh signature made with the shared secret', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': `sha256=${Notifier.sign(SECRET, timestamp, body)}`
+    };
+
+    expect(checkSignature(headers, body, SECRET)).toBeNull();
+  });
+
+  test('rejects unsigned, tampered, foreign and stale requests', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signed = secret => ({
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': `sha256=${Notifier.sign(secret, timestamp, body)}`
+    });
+    const old = String(Math.floor(Date.now() / 1000) - 3600);
+
+    expect(checkSignature({}, body, SECRET)).toBe('unsigned');
+    expect(checkSignature(signed(SECRET), body + ' ', SECRET)).toBe('invalid signature');
+    expect(checkSignature(signed('other-secret'), body, SECRET)).toBe('invalid signature');
+    expect(checkSignature({
+      'x-webhook-timestamp': old,
+      'x-webhook-signature': `sha256=${Notifier.sign(SECRET, old, body)}`
+    }, body, SECRET)).toBe('stale timestamp');
+  });
+});
+
+describe('webhook delivery', () => {
+  let receiver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (receiver) await new Promise(resolve => receiver.server.close(resolve));
+    receiver = null;
+    console.log.mockRestore();
+  });
+
+  test('delivers a signed notification after server errors', async () => {
+    receiver = await startReceiver({ secret: SECRET, fail: 2 });
+    const notifier = createNotifier({ url: receiver.url, secret: SECRET });
+
+    const payload = notifier.notify(Notifier.NOTIFICATIONS.TEST, { message: 'Test notification' });
+    await notifier.flush();
+
+    expect(receiver.requests.map(request => request.status)).toEqual([500, 500, 204]);
+    expect(receiver.requests[2].headers['x-webhook-id']).toBe(payload.id);
+    expect(receiver.requests[2].headers['x-webhook-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+
+  test('gives up once the attempts are used up', async () => {
+    receiver = await startReceiver({ fail: 10 });
+    const webhook = { url: receiver.url };
+    const notifier = createNotifier(webhook);
+
+    const delivered = await notifier.deliver(webhook, { event: 'test', id: 'x' });
+
+    expect(delivered).toBe(false);
+    expect(receiver.requests).toHaveLength(4);
+  });
+
+  test('is rejected without retries when the secret does not match', async () => {
+    receiver = await startReceiver({ secret: SECRET });
+    const webhook = { url: receiver.url, secret: 'wrong-secret' };
+    const notifier = createNotifier(webhook);
+
+    const delivered = await notifier.deliver(webhook, { event: 'test', id: 'x' });
+
+    expect(delivered).toBe(false);
+    expect(receiver.requests.map(request => request.status)).toEqual([401]);
+  });
+});
\ No newline at end of file
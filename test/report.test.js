@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunReport = require('../src/core/report');
+const TransactionJournal = require('../src/core/journal');
+const OperationResult = require('../src/core/result');
+
+const WALLET_1 = '0x00000000000000000000000000000000000000AA';
+const WALLET_2 = '0x00000000000000000000000000000000000000BB';
+const CONTRACT = '0x00000000000000000000000000000000000000CC';
+const NETWORK = { name: 'Testnet', chain_id: 50312, currency_symbol: 'STT' };
+
+/**
+ * Build a finished operation result
+ */
+function operationResult(operation, steps, setup = () => {}) {
+  const result = new OperationResult(operation);
+  for (const [name, outcome] of Object.entries(steps)) {
+    result.addStep(name, outcome);
+  }
+  setup(result);
+  return result.finish();
+}
+
+describe('RunReport', () => {
+  let dir;
+  let journal;
+  let report;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    TransactionJournal.instance = null;
+    journal = TransactionJournal.getInstance();
+    journal.initialize({ journal: { path: path.join(dir, 'transactions.jsonl') } });
+
+    report = new RunReport();
+    report.initialize({ report: { dir: path.join(dir, 'reports') } });
+    report.start('run-1', NETWORK);
+    report.addWallet(1, { address: WALLET_1, label: 'main' });
+    report.addWallet(2, { address: WALLET_2 });
+  });
+
+  afterEach(() => {
+    TransactionJournal.instance = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Record the results of this test run, as the automation does after each wallet
+   */
+  const recordResults = () => {
+    report.recordWallet(1, OperationResult.aggregate([
+      operationResult('transfer', { send: { success: true, txHash: '0x01' } }, result => {
+        result.addTransaction({ hash: '0x01', receipt: { hash: '0x01', gasUsed: BigInt(21000) } });
+      }),
+      operationResult('mint', { approve: { success: true }, mint: { success: false, error: 'Sold out' } })
+    ]));
+    report.recordWallet(2, OperationResult.aggregate([
+      operationResult('faucet', {}, result => result.addError('faucet rate limited').skip('rate limited')),
+      operationResult('deploy', { deploy: { success: true, txHash: '0x03', contractAddress: CONTRACT } })
+    ]));
+  };
+
+  test('adds up the run\'s journal entries per wallet and operation', async () => {
+    await journal.append({ run_id: 'run-0', wallet: WALLET_1, operation: 'transfer', status: 'confirmed', fee_wei: '999' });
+    await journal.append({ run_id: 'run-1', wallet: WALLET_1, operation: 'transfer', status: 'confirmed', value: '5', gas_used: '21000', fee_wei: '100' });
+    await journal.append({ run_id: 'run-1', wallet: WALLET_1, operation: 'mint', status: 'reverted', value: '7', gas_used: '30000', fee_wei: '50', error: 'Sold out' });
+    await journal.append({ run_id: 'run-1', wallet: WALLET_2, operation: 'deploy', status: 'confirmed', gas_used: '90000', fee_wei: '300', contract_address: CONTRACT });
+    recordResults();
+
+    const built = await report.build();
+
+    expect(built).toMatchObject({ run_id: 'run-1', network: 'Testnet', chain_id: 50312, currency: 'STT', source: 'journal' });
+    expect(built.operations).toEqual(['transfer', 'mint', 'faucet', 'deploy']);
+    expect(built.wallets[0].operations).toEqual([
+      expect.objectContaining({ operation: 'transfer', status: 'success', transactions: 1, failed_transactions: 0, gas_used: '21000', spent_wei: '105' }),
+      expect.objectContaining({ operation: 'mint', status: 'partial', transactions: 1, failed_transactions: 1, gas_used: '30000', spent_wei: '50', errors: ['Sold out'] })
+    ]);
+    expect(built.wallets[0].totals).toMatchObject({ transactions: 2, failed_transactions: 1, gas_used: '51000', spent_wei: '155' });
+    expect(built.wallets[1].operations[0]).toMatchObject({ operation: 'faucet', status: 'skipped', transactions: 0, errors: ['faucet rate limited'] });
+    expect(built.wallets[1].operations[1].contracts).toEqual([CONTRACT]);
+    expect(built.totals).toMatchObject({
+      transactions: 3,
+      gas_used: '141000',
+      spent_wei: '455',
+      spent: '0.000000000000000455 STT',
+      operations_succeeded: 2,
+      operations_partial: 1,
+      operations_failed: 0
+    });
+  });
+
+  test('falls back to the operation results when the journal is disabled', async () => {
+    journal.initialize({ journal: { enabled: false } });
+    recordResults();
+
+    const built = await report.build();
+
+    expect(built.source).toBe('results');
+    expect(built.wallets[0].operations[0]).toMatchObject({ transactions: 1, gas_used: '21000', failed_transactions: null, spent_wei: null, spent: 'n/a' });
+    expect(built.wallets[1].totals.contracts).toEqual([CONTRACT]);
+    expect(built.totals).toMatchObject({ transactions: 2, failed_transactions: null, spent: 'n/a' });
+  });
+
+  test('exports JSON, CSV and HTML with escaped values', async () => {
+    recordResults();
+    report.recordWallet(1, OperationResult.aggregate([
+      operationResult('mint', { mint: { success: false } }, result => result.addError('<b>"quoted", reverted</b>'))
+    ]));
+
+    const built = await report.build();
+    const files = await report.write(built);
+
+    expect(files.map(file => path.basename(file))).toEqual(['run-1.json', 'run-1.csv', 'run-1.html']);
+    expect(JSON.parse(fs.readFileSync(files[0], 'utf8')).wallets).toHaveLength(2);
+
+    const csv = fs.readFileSync(files[1], 'utf8').trim().split('\n');
+    expect(csv[0]).toBe('run_id,wallet_num,address,label,operation,status,transactions,failed_transactions,gas_used,spent_wei,contracts,errors,warnings');
+    expect(csv).toContain(`run-1,1,${WALLET_1},main,mint,failed,0,0,0,0,,"<b>""quoted"", reverted</b>",`);
+
+    const html = fs.readFileSync(files[2], 'utf8');
+    expect(html).toContain('&lt;b&gt;&quot;quoted&quot;, reverted&lt;/b&gt;');
+    expect(html).not.toContain('<b>"quoted"');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const OperationResult = require('../src/core/result');
+
+const { SUCCESS, PARTIAL, SKIPPED, FAILED } = OperationResult.STATUS;
+
+/**
+ * Build a result from step outcomes and settle it
+ * @param {Array<*>} outcomes Step outcomes, in order
+ * @param {boolean} returned What executeOperations returned
+ */
+function finished(outcomes, returned = true) {
+  const result = new OperationResult('test');
+  outcomes.forEach((outcome, i) => result.addStep(`step${i + 1}`, outcome));
+  return result.finish(returned);
+}
+
+describe('OperationResult', () => {
+  test('derives step statuses from what the step returned', () => {
+    expect(OperationResult.getStepStatus(true)).toBe(SUCCESS);
+    expect(OperationResult.getStepStatus({ success: true, txHash: '0x01' })).toBe(SUCCESS);
+    expect(OperationResult.getStepStatus(null)).toBe(SKIPPED);
+    expect(OperationResult.getStepStatus({ success: true, skipped: true })).toBe(SKIPPED);
+    expect(OperationResult.getStepStatus(false)).toBe(FAILED);
+    expect(OperationResult.getStepStatus({ success: false, error: 'reverted' })).toBe(FAILED);
+    expect(OperationResult.getStepStatus(undefined)).toBe(FAILED);
+  });
+
+  test('settles the operation status from its steps', () => {
+    expect(finished([true, { success: true }]).status).toBe(SUCCESS);
+    expect(finished([true, null]).status).toBe(SUCCESS);
+    expect(finished([true, false]).status).toBe(PARTIAL);
+    expect(finished([false, false]).status).toBe(FAILED);
+    expect(finished([null, null]).status).toBe(SKIPPED);
+    expect(finished([]).status).toBe(SUCCESS);
+  });
+
+  test('settles operations that threw from the steps that ran', () => {
+    expect(finished([true], false).status).toBe(PARTIAL);
+    expect(finished([null], false).status).toBe(SKIPPED);
+    expect(finished([], false).status).toBe(FAILED);
+    expect(new OperationResult('test').skip('no funds').finish(false).status).toBe(SKIPPED);
+  });
+
+  test('collects transactions, gas, contracts and skip reasons once', () => {
+    const result = new OperationResult('deploy');
+    result.addStep('deploy', { success: true, txHash: '0x01', contractAddress: '0xc1' });
+    result.addTransaction({ hash: '0x01', receipt: { hash: '0x01', gasUsed: BigInt(90000), contractAddress: '0xc1' } });
+    result.addTransaction({ hash: '0x02', receipt: { hash: '0x03', gasUsed: BigInt(21000) } });
+    result.addStep('verify', { success: true, skipped: true, reason: 'no explorer' });
+    result.finish();
+
+    expect(result.txHashes).toEqual(['0x01', '0x03']);
+    expect(result.gasUsed).toBe(BigInt(111000));
+    expect(result.contracts).toEqual(['0xc1']);
+    expect(result.warnings).toEqual(['verify: no explorer']);
+    expect(result.ok).toBe(true);
+    expect(result.toJSON()).toMatchObject({ operation: 'deploy', status: SUCCESS, gas_used: '111000', tx_hashes: ['0x01', '0x03'] });
+  });
+
+  test('combines statuses of several operations', () => {
+    expect(OperationResult.combineStatus([])).toBe(SKIPPED);
+    expect(OperationResult.combineStatus([SKIPPED, SKIPPED])).toBe(SKIPPED);
+    expect(OperationResult.combineStatus([SUCCESS, SKIPPED])).toBe(SUCCESS);
+    expect(OperationResult.combineStatus([FAILED, FAILED])).toBe(FAILED);
+    expect(OperationResult.combineStatus([SUCCESS, FAILED])).toBe(PARTIAL);
+    expect(OperationResult.combineStatus([FAILED, SKIPPED])).toBe(PARTIAL);
+  });
+
+  test('aggregates a wallet\'s results with messages prefixed by operation', () => {
+    const transfer = new OperationResult('transfer');
+    transfer.addStep('send', { success: true, txHash: '0x01' });
+    transfer.addTransaction({ receipt: { hash: '0x01', gasUsed: BigInt(21000) } });
+    transfer.finish();
+    const mint = new OperationResult('mint').addError('Sold out').warn('low balance');
+    mint.addStep('mint', false);
+    mint.finish();
+
+    expect(OperationResult.aggregate([transfer, mint])).toEqual({
+      status: PARTIAL,
+      operations: [transfer, mint],
+      txHashes: ['0x01'],
+      gasUsed: BigInt(21000),
+      contracts: [],
+      warnings: ['mint: low balance'],
+      errors: ['mint: Sold out']
+    });
+  });
+});
\ No newline at end of file
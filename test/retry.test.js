@@ -0,0 +1,87 @@
+const { RetryPolicy, classifyError } = require('../src/core/retry');
+
+const silent = { info() {}, success() {}, warn() {}, error() {}, debug() {} };
+const failWith = (message, code) => Object.assign(new Error(message), { code });
+
+describe('RetryPolicy', () => {
+  test('computes fixed, linear and exponential delays capped at max_delay_ms', () => {
+    expect(new RetryPolicy({ backoff: 'fixed', delay_ms: 100 }).getDelay(3)).toBe(100);
+    expect(new RetryPolicy({ backoff: 'linear', delay_ms: 100 }).getDelay(3)).toBe(300);
+    expect(new RetryPolicy({ backoff: 'exponential', delay_ms: 100, factor: 2 }).getDelay(3)).toBe(400);
+    expect(new RetryPolicy({ backoff: 'exponential', delay_ms: 100, max_delay_ms: 250 }).getDelay(5)).toBe(250);
+  });
+
+  test('retries only the configured categories', () => {
+    const policy = new RetryPolicy({ retry_on: ['network'] });
+
+    expect(policy.isRetryable(failWith('down', 'NETWORK_ERROR'))).toBe(true);
+    expect(policy.isRetryable(failWith('slow', 'TIMEOUT'))).toBe(false);
+    expect(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe('network');
+  });
+
+  test('retries a throwing function until it succeeds', async () => {
+    const policy = new RetryPolicy({ max_attempts: 3, delay_ms: 0, retry_on: ['network'] });
+    const calls = [];
+
+    const result = await policy.execute(async ({ attempt }) => {
+      calls.push(attempt);
+      if (attempt < 3) throw failWith('down', 'NETWORK_ERROR');
+      return 'ok';
+    }, { logger: silent });
+
+    expect(result).toBe('ok');
+    expect(calls).toEqual([1, 2, 3]);
+  });
+
+  test('rethrows the last error once the attempts run out', async () => {
+    const policy = new RetryPolicy({ max_attempts: 2, delay_ms: 0 });
+    const fn = jest.fn(async () => { throw failWith('down', 'NETWORK_ERROR'); });
+
+    await expect(policy.execute(fn, { logger: silent })).rejects.toThrow('down');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns a failed result without retrying errors outside retry_on', async () => {
+    const policy = new RetryPolicy({ max_attempts: 3, delay_ms: 0, retry_on: ['network', 'timeout'] });
+    const failure = { success: false, error: 'reverted', details: failWith('reverted', 'CALL_EXCEPTION') };
+    const fn = jest.fn(async () => failure);
+
+    const result = await policy.execute(fn, { logger: silent, isFailure: value => value.success === false });
+
+    expect(result).toBe(failure);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('passes the gas multiplier and calls onRetry before each retry', async () => {
+    const policy = new RetryPolicy({ max_attempts: 3, delay_ms: 0, gas_increase: 1.5, retry_on: ['*'] });
+    const multipliers = [];
+    const onRetry = jest.fn();
+
+    await policy.execute(async ({ attempt, gasMultiplier }) => {
+      multipliers.push(gasMultiplier);
+      if (attempt < 3) throw failWith('down', 'NETWORK_ERROR');
+      return true;
+    }, { logger: silent, onRetry });
+
+    expect(multipliers).toEqual([1, 1.5, 2.25]);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+    expect(onRetry.mock.calls[0][1]).toBe('network');
+  });
+
+  test('resolves step settings over operation, kind and default settings', () => {
+    const config = {
+      retry: { tx: { max_attempts: 4, delay_ms: 10 } },
+      operations: {
+        tokenswap: { retry: { delay_ms: 20, steps: { swap: { max_attempts: 6 } } } }
+      }
+    };
+
+    const policy = RetryPolicy.resolve(config, 'tx', 'tokenswap', 'swap');
+
+    expect(policy.maxAttempts).toBe(6);
+    expect(policy.delayMs).toBe(20);
+    expect(policy.name).toBe('tokenswap.swap');
+    expect(RetryPolicy.resolve(config, 'tx', 'tokenswap', 'approve').maxAttempts).toBe(4);
+    expect(() => RetryPolicy.resolve(config, 'smtp')).toThrow('Unknown retry kind');
+  });
+});
\ No newline at end of file
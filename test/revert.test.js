@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+const { extractRevertData, decodeRevertData } = require('../src/utils/revert');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const encodeError = (selector, types, values) => ethers.concat([selector, coder.encode(types, values)]);
+
+describe('decodeRevertData', () => {
+  test('decodes Error(string) reasons', () => {
+    const data = encodeError('0x08c379a0', ['string'], ['Ownable: caller is not the owner']);
+
+    expect(decodeRevertData(data)).toMatchObject({
+      type: 'error',
+      name: 'Error',
+      reason: 'Ownable: caller is not the owner'
+    });
+  });
+
+  test('decodes Panic(uint256) codes', () => {
+    const data = encodeError('0x4e487b71', ['uint256'], [0x11]);
+
+    expect(decodeRevertData(data)).toMatchObject({
+      type: 'panic',
+      reason: 'Panic(0x11): arithmetic overflow or underflow'
+    });
+  });
+
+  test('decodes custom errors of the given ABI before the common token errors', () => {
+    const iface = new ethers.Interface(['error MintLimitReached(address account, uint256 limit)']);
+    const account = '0x00000000000000000000000000000000000000AA';
+    const data = iface.encodeErrorResult('MintLimitReached', [account, 3]);
+
+    expect(decodeRevertData(data, iface.fragments)).toMatchObject({
+      type: 'custom',
+      name: 'MintLimitReached',
+      args: [account, '3'],
+      reason: `MintLimitReached(${account}, 3)`
+    });
+  });
+
+  test('decodes common OpenZeppelin errors without an ABI', () => {
+    const iface = new ethers.Interface(['error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)']);
+    const data = iface.encodeErrorResult('ERC20InsufficientBalance', [ethers.ZeroAddress, 1, 2]);
+
+    expect(decodeRevertData(data).reason).toBe(`ERC20InsufficientBalance(${ethers.ZeroAddress}, 1, 2)`);
+  });
+
+  test('reports empty and unknown revert data', () => {
+    expect(decodeRevertData('0x')).toMatchObject({ type: 'empty', reason: 'reverted without a reason' });
+    expect(decodeRevertData('0xdeadbeef')).toMatchObject({ type: 'unknown', reason: 'unknown custom error 0xdeadbeef' });
+  });
+});
+
+describe('extractRevertData', () => {
+  test('finds revert data on nested ethers errors', () => {
+    expect(extractRevertData({ data: '0x1234' })).toBe('0x1234');
+    expect(extractRevertData({ info: { error: { data: '0xabcd' } } })).toBe('0xabcd');
+    expect(extractRevertData({ error: { data: '0xbeef' } })).toBe('0xbeef');
+  });
+
+  test('treats reverts without data as empty and other errors as no revert', () => {
+    expect(extractRevertData({ code: 'CALL_EXCEPTION' })).toBe('0x');
+    expect(extractRevertData(new Error('execution reverted'))).toBe('0x');
+    expect(extractRevertData(new Error('socket hang up'))).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const RpcPool = require('../src/core/rpcpool');
+const PooledProvider = require('../src/core/provider');
+
+const NETWORK = { key: 'local', name: 'Local', chain_id: 31337 };
+
+/**
+ * Start a JSON-RPC node stand-in on a free port
+ * @param {Object} options { chainId, blockNumber, delayMs, failing: methods answered with HTTP 500 }
+ * @returns {Promise<Object>} { server, url, calls }
+ */
+async function startNode({ chainId = NETWORK.chain_id, blockNumber = 100, delayMs = 0, failing = [] } = {}) {
+  const calls = [];
+  const results = {
+    eth_chainId: ethers.toQuantity(chainId),
+    eth_blockNumber: ethers.toQuantity(blockNumber),
+    eth_getBalance: ethers.toQuantity(100)
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(body);
+      const requests = [].concat(payload);
+      calls.push(...requests.map(request => request.method));
+
+      if (requests.some(request => failing.includes(request.method))) {
+        res.writeHead(500);
+        res.end();
+        return;
+      }
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+
+      const responses = requests.map(request => ({ jsonrpc: '2.0', id: request.id, result: results[request.method] }));
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/`, calls };
+}
+
+/**
+ * Create a pool over the given nodes
+ * @param {Array<Object>} nodes Started nodes
+ * @param {Object} rpc Pool settings (rpc.*)
+ * @returns {RpcPool} Pool
+ */
+function createPool(nodes, rpc = {}) {
+  const pool = new RpcPool();
+  pool.setNetwork({ ...NETWORK, rpc_urls: nodes.map(node => node.url) }, { rpc: { probe_interval_seconds: 3600, ...rpc } });
+  return pool;
+}
+
+describe('RpcPool', () => {
+  const nodes = [];
+
+  const start = async (options) => {
+    const node = await startNode(options);
+    nodes.push(node);
+    return node;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await Promise.all(nodes.splice(0).map(node => new Promise(resolve => node.server.close(resolve))));
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  test('ranks healthy endpoints first and drops endpoints on another chain', async () => {
+    const down = await start({ failing: ['eth_chainId'] });
+    const otherChain = await start({ chainId: 1 });
+    const lagging = await start({ blockNumber: 50 });
+    const healthy = await start();
+    const pool = createPool([down, otherChain, lagging, healthy]);
+
+    await pool.probeAll();
+
+    expect(pool.getRankedEndpoints().map(endpoint => endpoint.url)).toEqual([healthy.url, lagging.url, down.url]);
+    expect(pool.getBestUrl()).toBe(healthy.url);
+  });
+
+  test('fails over on transport errors and cools down endpoints that keep failing', async () => {
+    const flaky = await start({ failing: ['eth_getBalance'] });
+    // Slower to answer, so the flaky endpoint ranks first
+    const healthy = await start({ delayMs: 50 });
+    const pool = createPool([flaky, healthy], { failure_threshold: 2, cooldown_seconds: 300 });
+    await pool.probeAll();
+    const provider = new PooledProvider(pool, NETWORK);
+    // A new address per call, the provider caches identical requests for a moment
+    const getBalance = (n) => provider.getBalance(ethers.zeroPadValue(ethers.toBeHex(n), 20));
+
+    expect(await getBalance(1)).toBe(BigInt(100));
+    expect(pool.getBestUrl()).toBe(flaky.url);
+
+    expect(await getBalance(2)).toBe(BigInt(100));
+    expect(pool.getBestUrl()).toBe(healthy.url);
+
+    expect(await getBalance(3)).toBe(BigInt(100));
+    expect(flaky.calls.filter(method => method === 'eth_getBalance')).toHaveLength(2);
+    expect(healthy.calls.filter(method => method === 'eth_getBalance')).toHaveLength(3);
+  });
+
+  test('rejects when every endpoint fails', async () => {
+    const pool = createPool([await start({ failing: ['eth_getBalance'] }), await start({ failing: ['eth_getBalance'] })]);
+    await pool.probeAll();
+    const provider = new PooledProvider(pool, NETWORK);
+
+    await expect(provider.getBalance(ethers.ZeroAddress)).rejects.toThrow();
+  });
+});
\ No newline at end of file
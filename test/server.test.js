@@ -0,0 +1,55 @@
+const LocalServer = require('../src/utils/server');
+
+describe('LocalServer', () => {
+  const servers = [];
+
+  /**
+   * Server answering every request with its name
+   */
+  function createServer(name) {
+    const server = new LocalServer(name, (req, res) => res.end(name));
+    servers.push(server);
+    return server;
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(server => server.stop()));
+    servers.length = 0;
+  });
+
+  test('starts once and serves the handler until stopped', async () => {
+    const server = createServer('Test server');
+
+    expect(await server.start('127.0.0.1', 0)).toBe(true);
+    const { port } = server.address();
+    expect(await server.start('127.0.0.1', 0)).toBe(true);
+    expect(server.address().port).toBe(port);
+    expect(await (await fetch(`http://127.0.0.1:${port}/`)).text()).toBe('Test server');
+
+    await server.stop();
+    expect(server.running).toBe(false);
+    expect(server.address()).toBeNull();
+  });
+
+  test('stays stopped when the port is taken or the setup fails', async () => {
+    const first = createServer('First');
+    await first.start('127.0.0.1', 0);
+
+    const second = createServer('Second');
+    expect(await second.start('127.0.0.1', first.address().port)).toBe(false);
+    expect(second.running).toBe(false);
+
+    const setup = jest.fn().mockRejectedValue(new Error('no token'));
+    expect(await second.start('127.0.0.1', 0, { setup })).toBe(false);
+    expect(setup).toHaveBeenCalled();
+    expect(second.running).toBe(false);
+  });
+});
\ No newline at end of file
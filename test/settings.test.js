@@ -0,0 +1,23 @@
+const _ = require('lodash');
+const { sectionReader } = require('../src/utils/settings');
+
+describe('sectionReader', () => {
+  const settings = { journal: { enabled: false, path: null }, general: { log_level: 'debug' } };
+
+  test('reads a section of a plain configuration object', () => {
+    const read = sectionReader(settings, 'journal');
+
+    expect(read('enabled', true)).toBe(false);
+    expect(read('path', 'data/transactions.jsonl')).toBe('data/transactions.jsonl');
+    expect(read('missing', 7)).toBe(7);
+    expect(sectionReader(undefined, 'journal')('enabled', true)).toBe(true);
+  });
+
+  test('reads through the configuration manager and full paths without a section', () => {
+    const config = { get: jest.fn((key, defaultValue) => _.get(settings, key, defaultValue)) };
+
+    expect(sectionReader(config, 'journal')('enabled', true)).toBe(false);
+    expect(config.get).toHaveBeenCalledWith('journal.enabled', true);
+    expect(sectionReader(settings)('general.log_level', 'info')).toBe('debug');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { ethers } = require('ethers');
+const { startServer } = require('../src/signer');
+const { RemoteSigner } = require('../src/core/signer');
+const { SignerError } = require('../src/utils/errors');
+
+describe('RemoteSigner', () => {
+  const wallet = ethers.Wallet.createRandom();
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    server = await startServer([{ address: wallet.address, signer: wallet }], '127.0.0.1', 0);
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    console.log.mockRestore();
+  });
+
+  test('lists the accounts of the signer', async () => {
+    expect(await RemoteSigner.getAccounts(url)).toEqual([wallet.address]);
+  });
+
+  test('signs EIP-1559 transactions through eth_signTransaction', async () => {
+    const signer = new RemoteSigner(wallet.address, url);
+    const tx = {
+      to: '0x000000000000000000000000000000000000dEaD',
+      value: ethers.parseEther('0.01'),
+      data: '0x1234',
+      nonce: 7,
+      gasLimit: BigInt(50000),
+      maxFeePerGas: ethers.parseUnits('20', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('2', 'gwei'),
+      chainId: BigInt(50312),
+      type: 2
+    };
+
+    const signed = ethers.Transaction.from(await signer.signTransaction(tx));
+
+    expect(signed.from).toBe(wallet.address);
+    expect(signed.to).toBe(tx.to);
+    expect(signed.value).toBe(tx.value);
+    expect(signed.data).toBe(tx.data);
+    expect(signed.nonce).toBe(7);
+    expect(signed.gasLimit).toBe(tx.gasLimit);
+    expect(signed.maxFeePerGas).toBe(tx.maxFeePerGas);
+    expect(signed.chainId).toBe(tx.chainId);
+  });
+
+  test('signs legacy contract deployments', async () => {
+    const signer = new RemoteSigner(wallet.address, url);
+
+    const signed = ethers.Transaction.from(await signer.signTransaction({
+      data: '0x6080',
+      nonce: 0,
+      gasLimit: BigInt(100000),
+      gasPrice: ethers.parseUnits('5', 'gwei'),
+      chainId: BigInt(1),
+      type: 0
+    }));
+
+    expect(signed.to).toBeNull();
+    expect(signed.type).toBe(0);
+    expect(signed.from).toBe(wallet.address);
+  });
+
+  test('signs messages through eth_sign', async () => {
+    const signer = new RemoteSigner(wallet.address, url);
+    const signature = await signer.signMessage('hello');
+
+    expect(ethers.verifyMessage('hello', signature)).toBe(wallet.address);
+  });
+
+  test('reports signer refusals as SignerError', async () => {
+    const stranger = new RemoteSigner(ethers.Wallet.createRandom().address, url);
+
+    await expect(stranger.signMessage('hello')).rejects.toThrow(SignerError);
+    await expect(stranger.signMessage('hello')).rejects.toThrow(/Unknown account/);
+  });
+
+  test('keeps the account and timeout when connecting to a provider', () => {
+    const signer = new RemoteSigner(wallet.address.toLowerCase(), url, null, { timeoutMs: 1234 });
+    const provider = new ethers.JsonRpcProvider('http://127.0.0.1:1', 1, { staticNetwork: true });
+    const connected = signer.connect(provider);
+
+    expect(connected.address).toBe(wallet.address);
+    expect(connected.timeoutMs).toBe(1234);
+    expect(connected.provider).toBe(provider);
+    provider.destroy();
+  });
+});
\ No newline at end of file
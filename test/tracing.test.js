@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const Tracer = require('../src/core/tracing');
+const { getRunId } = require('../src/utils/run');
+
+/**
+ * Flatten the spans of an OTLP request
+ * @param {Object} request ExportTraceServiceRequest
+ * @returns {Array<Object>} Spans
+ */
+function getSpans(request) {
+  return request.resourceSpans.flatMap(resource => resource.scopeSpans.flatMap(scope => scope.spans));
+}
+
+/**
+ * Read an attribute of an OTLP span or resource
+ * @param {Object} item Span or resource
+ * @param {string} key Attribute key
+ * @returns {Object|undefined} AnyValue
+ */
+function getAttribute(item, key) {
+  return item.attributes.find(attribute => attribute.key === key)?.value;
+}
+
+describe('Tracer', () => {
+  let dir;
+  let tracer;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+    tracer = new Tracer();
+    tracer.initialize({ tracing: { enabled: true, dir, service_name: 'test-service' } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  /**
+   * Read the requests exported to the trace file of this run
+   * @returns {Array<Object>} Requests
+   */
+  function readExports() {
+    const file = path.join(dir, `${getRunId()}.jsonl`);
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  test('nests spans through async calls and exports them as OTLP/JSON', async () => {
+    await tracer.withSpan('cycle', { 'cycle.number': 1 }, async () => {
+      await tracer.withSpan('wallet', { 'wallet.number': 3 }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        tracer.addEvent('retry', { attempt: 2 });
+        const rpc = tracer.startSpan('eth_call', { 'rpc.method': 'eth_call', ratio: 0.5 }, { kind: Tracer.SPAN_KIND.CLIENT });
+        rpc.end();
+      });
+    });
+    await tracer.flush();
+
+    const [request] = readExports();
+    const spans = getSpans(request);
+    const byName = Object.fromEntries(spans.map(span => [span.name, span]));
+
+    expect(spans.map(span => span.name)).toEqual(['eth_call', 'wallet', 'cycle']);
+    expect(new Set(spans.map(span => span.traceId)).size).toBe(1);
+    expect(byName.cycle.parentSpanId).toBeUndefined();
+    expect(byName.wallet.parentSpanId).toBe(byName.cycle.spanId);
+    expect(byName.eth_call.parentSpanId).toBe(byName.wallet.spanId);
+    expect(byName.eth_call.kind).toBe(Tracer.SPAN_KIND.CLIENT);
+    expect(getAttribute(byName.eth_call, 'ratio')).toEqual({ doubleValue: 0.5 });
+    expect(getAttribute(byName.wallet, 'wallet.number')).toEqual({ intValue: '3' });
+    expect(byName.wallet.events).toEqual([expect.objectContaining({ name: 'retry' })]);
+    expect(BigInt(byName.cycle.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(byName.wallet.endTimeUnixNano));
+    expect(getAttribute(request.resourceSpans[0].resource, 'service.name')).toEqual({ stringValue: 'test-service' });
+    expect(getAttribute(request.resourceSpans[0].resource, 'run.id')).toEqual({ stringValue: getRunId() });
+  });
+
+  test('marks a span failed when its function throws, with the message redacted', async () => {
+    const key = 'ab'.repeat(32);
+
+    await expect(tracer.withSpan('step', {}, async () => {
+      throw new Error(`bad key ${key}`);
+    })).rejects.toThrow('bad key');
+    await tracer.flush();
+
+    const [span] = getSpans(readExports()[0]);
+    expect(span.status.code).toBe(2);
+    expect(span.status.message).not.toContain(key);
+    expect(span.events[0]).toMatchObject({ name: 'exception' });
+  });
+
+  test('posts to an OTLP collector when configured', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      tracer.initialize({
+        tracing: { enabled: true, exporter: 'otlp', endpoint: `http://127.0.0.1:${server.address().port}/v1/traces` }
+      });
+      await tracer.withSpan('cycle', {}, async () => {});
+      await tracer.flush();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    expect(received).toHaveLength(1);
+    expect(received[0].url).toBe('/v1/traces');
+    expect(getSpans(received[0].body).map(span => span.name)).toEqual(['cycle']);
+  });
+
+  test('records nothing while disabled', async () => {
+    tracer.initialize({ tracing: { enabled: false, dir } });
+
+    const result = await tracer.withSpan('cycle', {}, async span => {
+      span.setAttribute('ignored', true).end();
+      return 'done';
+    });
+    await tracer.flush();
+
+    expect(result).toBe('done');
+    expect(tracer.getActiveSpan()).toBeNull();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+const _ = require('lodash');
+const { ethers } = require('ethers');
+const TransactionTracker = require('../src/core/tracker');
+const { RetryPolicy } = require('../src/core/retry');
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+const TARGET = '0x00000000000000000000000000000000000000bb';
+const NONCE = 7;
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const silent = { info() {}, success() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Tracker over a stub chain: nothing is mined until a test calls mine()
+ * @param {Object} transactions Tracker settings (transactions.*)
+ * @param {Function} onSend Called with every replacement sent and the chain, before it is returned
+ * @param {Object} retry Transaction retry settings (retry.tx.*)
+ */
+function createTracker(transactions, onSend = () => {}, retry = {}) {
+  const settings = { transactions: { confirmation_timeout_seconds: 0.02, ...transactions }, retry: { tx: retry } };
+  const receipts = new Map();
+  const chain = {
+    sent: [],
+    minedNonce: NONCE,
+    mine(hash, status = 1) {
+      receipts.set(hash, { hash, status, blockNumber: 100 });
+    }
+  };
+
+  const blockchain = {
+    config: { get: (key, defaultValue) => _.get(settings, key, defaultValue) },
+    logger: silent,
+    address: ADDRESS,
+    provider: {
+      getTransactionReceipt: jest.fn(async hash => receipts.get(hash) || null),
+      getTransactionCount: jest.fn(async () => chain.minedNonce)
+    },
+    wallet: {
+      sendTransaction: jest.fn(async request => {
+        const tx = { ...request, hash: `0x${String(chain.sent.length + 2).padStart(64, '0')}` };
+        chain.sent.push(tx);
+        onSend(tx, chain);
+        return tx;
+      })
+    },
+    getFeeData: async () => ({ type: 2, maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(0.1) }),
+    getRetryPolicy: kind => RetryPolicy.resolve(blockchain.config, kind),
+    noteBroadcast: async () => {},
+    publishEvent: () => {}
+  };
+
+  return { tracker: new TransactionTracker(blockchain), chain };
+}
+
+const original = (fees = {}) => ({
+  hash: `0x${'1'.padStart(64, '0')}`,
+  to: TARGET,
+  value: BigInt(5),
+  data: '0x1234',
+  gasLimit: BigInt(50000),
+  nonce: NONCE,
+  chainId: BigInt(1),
+  type: 2,
+  maxFeePerGas: gwei(10),
+  maxPriorityFeePerGas: gwei(1),
+  ...fees
+});
+
+describe('TransactionTracker', () => {
+  test('returns the receipt of a transaction that confirms in time', async () => {
+    const { tracker, chain } = createTracker({});
+    const tx = original();
+    chain.mine(tx.hash);
+
+    const result = await tracker.waitForConfirmation(tx, 'mint');
+
+    expect(result.hash).toBe(tx.hash);
+    expect(result.replacements).toEqual([tx.hash]);
+    expect(chain.sent).toHaveLength(0);
+  });
+
+  test('speeds up a stuck transaction with the same nonce and bumped fees', async () => {
+    const { tracker, chain } = createTracker({ max_speedups: 2 }, (tx, chain) => chain.mine(tx.hash));
+    const tx = original();
+
+    const result = await tracker.waitForConfirmation(tx, 'mint');
+
+    expect(chain.sent).toHaveLength(1);
+    expect(chain.sent[0]).toMatchObject({
+      to: TARGET,
+      value: BigInt(5),
+      data: '0x1234',
+      nonce: NONCE,
+      type: 2,
+      maxFeePerGas: gwei(13),
+      maxPriorityFeePerGas: gwei(1.3)
+    });
+    expect(result.hash).toBe(chain.sent[0].hash);
+    expect(result.replacements).toEqual([tx.hash, chain.sent[0].hash]);
+  });
+
+  test('bumps fees by the configured gas increase, at least by the minimum replacement increase', async () => {
+    const bumpedBy = async (gasIncrease) => {
+      const { tracker, chain } = createTracker({}, (tx, chain) => chain.mine(tx.hash), { gas_increase: gasIncrease });
+      await tracker.waitForConfirmation(original(), 'mint');
+      return chain.sent[0].maxFeePerGas;
+    };
+
+    expect(await bumpedBy(1.5)).toBe(gwei(15));
+    expect(await bumpedBy(1)).toBe(gwei(11));
+  });
+
+  test('accepts a receipt for any transaction in the replacement chain', async () => {
+    const tx = original();
+    const { tracker, chain } = createTracker({ max_speedups: 2 }, (sent, chain) => {
+      if (chain.sent.length === 2) chain.mine(tx.hash);
+    });
+
+    const result = await tracker.waitForConfirmation(tx, 'mint');
+
+    expect(result.hash).toBe(tx.hash);
+    expect(result.replacements).toEqual([tx.hash, ...chain.sent.map(sent => sent.hash)]);
+    expect(chain.sent[1].maxFeePerGas).toBe(gwei(16.9));
+  });
+
+  test('cancels with a zero-value self-transfer once the speed-ups are used up', async () => {
+    const { tracker, chain } = createTracker({ max_speedups: 0 }, (tx, chain) => chain.mine(tx.hash));
+    const tx = original();
+
+    const error = await tracker.waitForConfirmation(tx, 'mint').catch(e => e);
+
+    expect(error.code).toBe('TRANSACTION_CANCELLED');
+    expect(error.retryable).toBe(false);
+    expect(chain.sent[0]).toMatchObject({ to: ADDRESS, value: BigInt(0), data: '0x', gasLimit: BigInt(21000), nonce: NONCE });
+  });
+
+  test('gives up with the replacement chain when cancelling is disabled', async () => {
+    const { tracker, chain } = createTracker({ max_speedups: 1, cancel_on_stuck: false });
+    const tx = original();
+
+    const error = await tracker.waitForConfirmation(tx, 'mint').catch(e => e);
+
+    expect(error.code).toBe('TIMEOUT');
+    expect(error.replacements).toEqual([tx.hash, chain.sent[0].hash]);
+  });
+
+  test('keeps polling when a receipt request fails', async () => {
+    const { tracker, chain } = createTracker({});
+    const tx = original();
+    chain.mine(tx.hash);
+    tracker.blockchain.provider.getTransactionReceipt.mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    const result = await tracker.waitForConfirmation(tx, 'mint');
+
+    expect(result.hash).toBe(tx.hash);
+    expect(tracker.blockchain.provider.getTransactionReceipt).toHaveBeenCalledTimes(2);
+    expect(chain.sent).toHaveLength(0);
+  });
+
+  test('makes errors raised while transactions are pending non-retryable', async () => {
+    const { tracker, chain } = createTracker({ max_speedups: 1 });
+    tracker.blockchain.noteBroadcast = async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    };
+    const tx = original();
+
+    const error = await tracker.waitForConfirmation(tx, 'mint').catch(e => e);
+
+    expect(error.retryable).toBe(false);
+    expect(error.category).toBe('network');
+    expect(error.replacements).toEqual([tx.hash, chain.sent[0].hash]);
+  });
+
+  test('reports a nonce taken by a transaction it did not send', async () => {
+    const { tracker, chain } = createTracker({});
+    chain.minedNonce = NONCE + 1;
+
+    const error = await tracker.waitForConfirmation(original(), 'mint').catch(e => e);
+
+    expect(error.code).toBe('TRANSACTION_REPLACED');
+    expect(chain.sent).toHaveLength(0);
+  });
+
+  test('uses current network fees when they are above the bumped fees', async () => {
+    const { tracker } = createTracker({});
+    tracker.blockchain.getFeeData = async () => ({ type: 2, maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(3) });
+
+    expect(await tracker.bumpFees(original(), 1)).toEqual({ type: 2, maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(3) });
+  });
+
+  test('caps bumped fees and stops once they are at the maximum', async () => {
+    const { tracker, chain } = createTracker({ max_speedups: 1 });
+
+    expect((await tracker.bumpFees(original({ maxFeePerGas: gwei(180) }), 1)).maxFeePerGas).toBe(gwei(200));
+
+    const tx = original({ maxFeePerGas: gwei(200) });
+    const error = await tracker.waitForConfirmation(tx, 'mint').catch(e => e);
+
+    expect(error.message).toMatch(/Could not replace mint: .*maximum of 200 gwei/);
+    expect(error.replacements).toEqual([tx.hash]);
+    expect(chain.sent).toHaveLength(0);
+  });
+});
\ No newline at end of file
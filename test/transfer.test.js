@@ -0,0 +1,110 @@
+const _ = require('lodash');
+const Transfer = require('../src/commands/transfer');
+const { InsufficientFundsError } = require('../src/utils/errors');
+
+const GWEI = BigInt(1000000000);
+const ETHER = BigInt('1000000000000000000');
+
+/**
+ * Blockchain stand-in holding a balance and answering sends with the given results
+ * (named Blockchain so Operation accepts it)
+ */
+class Blockchain {
+  constructor(balance, send) {
+    this.balance = balance;
+    this.send = send;
+    this.sent = [];
+  }
+
+  resetNonce() {}
+
+  setOperationResult() {}
+
+  publishEvent() {}
+
+  getTxUrl(hash) {
+    return `https://explorer.example.org/tx/${hash}`;
+  }
+
+  async getBalance() {
+    return { balance: this.balance, currency: 'ETH' };
+  }
+
+  async getFeeData() {
+    return { maxFeePerGas: GWEI, gasPrice: GWEI };
+  }
+
+  async sendTransaction(tx) {
+    this.sent.push(tx);
+    return this.send(tx, this.sent.length);
+  }
+}
+
+describe('Transfer', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  /**
+   * Transfer operation sending 2 transfers, repeated twice, without delays
+   */
+  function createTransfer(blockchain) {
+    const settings = { operations: { transfer: { use_percentage: true, percentage: 50 } } };
+    const config = {
+      get: (key, defaultValue) => _.get(settings, key, defaultValue),
+      getRandomInRange: () => 2,
+      getRepeatTimes: () => 2,
+      getBoolean: (key, defaultValue) => _.get(settings, key, defaultValue),
+      getNumber: (key, defaultValue) => _.get(settings, key, defaultValue),
+      isEnabled: () => false
+    };
+    const transfer = new Transfer(blockchain, config);
+    jest.spyOn(transfer, 'addDelay').mockResolvedValue(true);
+    return transfer;
+  }
+
+  test('sends every transfer of every repeat cycle', async () => {
+    const blockchain = new Blockchain(ETHER, (tx, n) => ({ success: true, txHash: `0x${n}` }));
+
+    expect(await createTransfer(blockchain).executeOperations()).toBe(true);
+    expect(blockchain.sent).toHaveLength(4);
+  });
+
+  test('stops every repeat cycle once the wallet cannot cover value plus gas', async () => {
+    const blockchain = new Blockchain(ETHER, () => ({
+      success: false,
+      error: 'insufficient funds for gas * price + value',
+      code: 'INSUFFICIENT_FUNDS'
+    }));
+    const transfer = createTransfer(blockchain);
+
+    const outcome = await transfer.executeTransfer(1, 2);
+    expect(outcome.failure).toBeInstanceOf(InsufficientFundsError);
+
+    blockchain.sent = [];
+    expect(await transfer.executeOperations()).toBe(false);
+    expect(blockchain.sent).toHaveLength(1);
+  });
+
+  test('keeps sending after other failures', async () => {
+    const blockchain = new Blockchain(ETHER, (tx, n) => n === 1 ?
+      { success: false, error: 'nonce too low', code: 'NONCE_EXPIRED' } :
+      { success: true, txHash: `0x${n}` });
+
+    expect(await createTransfer(blockchain).executeOperations()).toBe(true);
+    expect(blockchain.sent).toHaveLength(4);
+  });
+
+  test('stops when the balance has nothing left to send', async () => {
+    const blockchain = new Blockchain(BigInt(0), () => ({ success: true }));
+    const transfer = createTransfer(blockchain);
+
+    expect(await transfer.executeTransfer(1, 2)).toMatchObject({ skipped: true, reason: 'no balance to transfer' });
+    expect(await transfer.executeOperations()).toBe(false);
+    expect(blockchain.sent).toHaveLength(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WalletManager = require('../src/core/wallet');
+const { ConfigError } = require('../src/utils/errors');
+
+// Well-known development mnemonic (Hardhat, Anvil) and its first two keys
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const KEY_0 = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const KEY_1 = '59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+describe('WalletManager key file', () => {
+  test('parses keys with optional labels, comments and blank lines', () => {
+    const { keys, problems } = WalletManager.parseKeyFile([
+      '# main wallets',
+      KEY_0,
+      '',
+      `farm 1, ${KEY_1.toUpperCase()}  # imported`,
+      '   '
+    ].join('\r\n'));
+
+    expect(problems).toEqual([]);
+    expect(keys.map(key => [key.line, key.label, key.wallet.address])).toEqual([
+      [2, null, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'],
+      [4, 'farm 1', '0x70997970C51812dc3A010C7d01b50e0d17dc79C8']
+    ]);
+    expect(keys[1].privateKey).toBe(`0x${KEY_1}`);
+  });
+
+  test('reports problems by line without the key', () => {
+    const badHex = `${KEY_1.slice(0, 63)}z`;
+    const { keys, problems } = WalletManager.parseKeyFile([
+      KEY_0,
+      KEY_1.slice(0, 60),
+      badHex,
+      `, ${KEY_1}`,
+      `0x${'0'.repeat(64)}`,
+      `copy, ${KEY_0}`
+    ].join('\n'));
+
+    expect(keys).toHaveLength(1);
+    expect(problems).toEqual([
+      'line 2: private key has 60 hex characters, expected 64',
+      'line 3: private key contains non-hex characters',
+      'line 4: empty label before ","',
+      'line 5: private key is out of range for secp256k1',
+      'line 6: duplicate key for 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266 (first on line 1)'
+    ]);
+    expect(problems.join('\n')).not.toContain(KEY_1.slice(0, 60));
+  });
+});
+
+describe('WalletManager mnemonic source', () => {
+  test('expands index ranges in derivation paths', () => {
+    expect(WalletManager.expandDerivationPath("m/44'/60'/0'/0/{2..4}")).toEqual([
+      "m/44'/60'/0'/0/2",
+      "m/44'/60'/0'/0/3",
+      "m/44'/60'/0'/0/4"
+    ]);
+    expect(WalletManager.expandDerivationPath("m/44'/60'/0'/0/7")).toEqual(["m/44'/60'/0'/0/7"]);
+  });
+
+  test('rejects invalid ranges and paths', () => {
+    expect(() => WalletManager.expandDerivationPath("m/44'/60'/0'/0/{5..1}")).toThrow(ConfigError);
+    expect(() => WalletManager.expandDerivationPath("m/44'/60'/0'/0/{0..5000}")).toThrow(/Invalid index range/);
+    expect(() => WalletManager.expandDerivationPath("m/44'/60'/x/0/0")).toThrow(/Invalid derivation path/);
+  });
+
+  test('derives accounts labelled with their path', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const accounts = new WalletManager().deriveAccounts(MNEMONIC, "m/44'/60'/0'/0/{0..1}");
+    console.log.mockRestore();
+
+    expect(accounts.map(account => account.address)).toEqual([
+      '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+      '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'
+    ]);
+    expect(accounts.map(account => account.label)).toEqual(["m/44'/60'/0'/0/0", "m/44'/60'/0'/0/1"]);
+    expect(accounts.map(account => account.index)).toEqual([0, 1]);
+  });
+});
+
+describe('WalletManager keystores', () => {
+  const PASSPHRASE = 'correct horse battery staple';
+  let dir;
+  let manager;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystores-'));
+    manager = new WalletManager();
+    manager.initialize({ wallets: { source: 'keystore', keystore_dir: dir } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('imports keys into keystores and unlocks them again', async () => {
+    expect(await manager.importPrivateKeys([KEY_0], PASSPHRASE)).toEqual({
+      imported: ['0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'],
+      skipped: []
+    });
+
+    const [file] = await manager.listKeystores();
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(fs.readFileSync(file, 'utf8')).not.toContain(KEY_0.slice(2));
+    expect(await manager.getKeystoreAddress(file)).toBe('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+
+    const accounts = await manager.loadKeystores(PASSPHRASE);
+    expect(accounts).toHaveLength(1);
+    expect(accounts[0]).toMatchObject({ index: 0, label: null, address: '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266' });
+    expect(accounts[0].signer.privateKey).toBe(KEY_0);
+
+    await expect(manager.loadKeystores('wrong passphrase')).rejects.toThrow(/Unable to unlock keystore/);
+  }, 60000);
+
+  test('skips keys that already have a keystore', async () => {
+    await manager.importPrivateKeys([KEY_0], PASSPHRASE);
+
+    expect(await manager.importPrivateKeys([KEY_0], PASSPHRASE)).toEqual({
+      imported: [],
+      skipped: ['0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266']
+    });
+    expect(await manager.listKeystores()).toHaveLength(1);
+  }, 60000);
+
+  test('requires keystores and a passphrase', async () => {
+    await expect(manager.loadKeystores(PASSPHRASE)).rejects.toThrow(ConfigError);
+
+    const passphrase = process.env.KEYSTORE_PASSPHRASE;
+    delete process.env.KEYSTORE_PASSPHRASE;
+    manager.interactive = false;
+    try {
+      await expect(manager.getPassphrase()).rejects.toThrow(/passphrase required in non-interactive mode/);
+    } finally {
+      if (passphrase !== undefined) process.env.KEYSTORE_PASSPHRASE = passphrase;
+    }
+  });
+});
\ No newline at end of file